@@ -0,0 +1,610 @@
+#!/usr/bin/env node
+// aoraina – command-line client for an Aoraina server, either the Node
+// server (server.js) or a Cloudflare Pages deployment. It goes through the
+// same HTTP API as the web page.
+//
+// Like the browser keeps owner keys in localStorage, the CLI keeps the owner
+// key of every link it uploaded in $XDG_CONFIG_HOME/aoraina/links.json
+// (~/.config/aoraina by default, AORAINA_CONFIG_DIR to override), together
+// with the server it went to. status, delete, list and download use them.
+//
+// Results go to stdout (the share URL, or JSON with --json); progress and
+// notes go to stderr. The exit code is 1 on errors and when a link is gone.
+
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { Readable, Transform } from 'node:stream';
+import { pipeline } from 'node:stream/promises';
+import { parseArgs } from 'node:util';
+
+import { EXPIRY_OPTIONS } from '../lib/expiry.js';
+import { MAX_TRACKS_PER_REQUEST } from '../lib/limits.js';
+import { MAX_SINGLE_UPLOAD_BYTES } from '../lib/upload.js';
+
+const DEFAULT_BASE_URL = 'http://localhost:3000';
+const PART_CONCURRENCY = 3;
+const PART_MAX_ATTEMPTS = 3;
+
+const USAGE = `Usage: aoraina <command> [options]
+
+Commands:
+  upload <file>              Upload an audio file and print its share URL
+  status <token|url>         Show whether a link is live, and its details
+  delete <token|url>         Delete a link uploaded from this machine
+  list                       List the links uploaded from this machine
+  download <token|url>       Download the audio behind a link
+
+Options:
+  --url <base>               Server to use (default: $AORAINA_URL, the link's
+                             own server, or ${DEFAULT_BASE_URL})
+  --json                     Print JSON instead of text
+  -h, --help                 Show this help
+
+upload:
+  --expiry <choice>          ${Object.keys(EXPIRY_OPTIONS).join(', ')} (default 24h)
+  --password <password>      Password listeners must enter
+  --max-plays <n>            Plays allowed before the link stops working
+  --no-download              Do not let listeners download the file
+
+download:
+  -o, --output <path>        Where to save it ("-" for stdout; default: its
+                             original name in the current directory)
+  --password <password>      Password of a protected link
+`;
+
+const OPTIONS = {
+  url: { type: 'string' },
+  json: { type: 'boolean' },
+  help: { type: 'boolean', short: 'h' },
+  expiry: { type: 'string' },
+  password: { type: 'string' },
+  'max-plays': { type: 'string' },
+  'no-download': { type: 'boolean' },
+  output: { type: 'string', short: 'o' },
+};
+
+const COMMANDS = { upload, status, delete: deleteLink, list, download };
+
+function usageError(message) {
+  return Object.assign(new Error(message), { usage: true });
+}
+
+// ===== Local link store =====
+
+function configDir() {
+  if (process.env.AORAINA_CONFIG_DIR) return process.env.AORAINA_CONFIG_DIR;
+  const base = process.env.XDG_CONFIG_HOME || path.join(os.homedir(), '.config');
+  return path.join(base, 'aoraina');
+}
+
+function linksFile() {
+  return path.join(configDir(), 'links.json');
+}
+
+// { token: { baseUrl, ownerKey, filename, uploadedAt } }
+function loadLinks() {
+  try {
+    const data = JSON.parse(fs.readFileSync(linksFile(), 'utf8'));
+    return data && typeof data.links === 'object' ? data.links : {};
+  } catch (err) {
+    if (err.code === 'ENOENT') return {};
+    throw new Error(`Cannot read ${linksFile()}: ${err.message}`);
+  }
+}
+
+// Owner keys are secrets, so the file is readable by its owner only.
+function saveLinks(links) {
+  fs.mkdirSync(configDir(), { recursive: true, mode: 0o700 });
+  const file = linksFile();
+  const temp = `${file}.${process.pid}.tmp`;
+  fs.writeFileSync(temp, `${JSON.stringify({ version: 1, links }, null, 2)}\n`, { mode: 0o600 });
+  fs.renameSync(temp, file);
+}
+
+function rememberLink(token, link) {
+  const links = loadLinks();
+  links[token] = link;
+  saveLinks(links);
+}
+
+function forgetLinks(tokens) {
+  const links = loadLinks();
+  tokens.forEach((token) => delete links[token]);
+  saveLinks(links);
+}
+
+// ===== HTTP =====
+
+function normalizeBaseUrl(value) {
+  let url;
+  try {
+    url = new URL(value);
+  } catch {
+    throw usageError(`Invalid server URL: ${value}`);
+  }
+  return url.origin + url.pathname.replace(/\/+$/, '');
+}
+
+function chosenBaseUrl(values) {
+  const value = values.url || process.env.AORAINA_URL;
+  return value ? normalizeBaseUrl(value) : null;
+}
+
+// Sends a request and returns { status, ok, data } with the parsed JSON
+// body. Only network failures throw.
+async function request(baseUrl, pathname, { method = 'GET', headers = {}, body } = {}) {
+  let resp;
+  try {
+    resp = await fetch(baseUrl + pathname, { method, headers, body });
+  } catch (err) {
+    throw new Error(`Cannot reach ${baseUrl}: ${err.cause?.message || err.message}`);
+  }
+  const data = await resp.json().catch(() => ({}));
+  return { status: resp.status, ok: resp.ok, data };
+}
+
+// Like request(), but a non-2xx answer throws with the server's message.
+async function api(baseUrl, pathname, options) {
+  const { status, ok, data } = await request(baseUrl, pathname, options);
+  if (!ok) {
+    throw Object.assign(new Error(data.error || data.message || `Request failed (HTTP ${status})`), { status, data });
+  }
+  return data;
+}
+
+function jsonBody(body, headers = {}) {
+  return { headers: { 'Content-Type': 'application/json', ...headers }, body: JSON.stringify(body) };
+}
+
+function shareUrl(baseUrl, token) {
+  return `${baseUrl}/?token=${encodeURIComponent(token)}`;
+}
+
+// A token, or a share / stream / download URL. The server comes from
+// --url, then the URL itself, then where this machine uploaded the token.
+function resolveLink(arg, values) {
+  if (!arg) throw usageError('Missing token or link');
+  let token = arg;
+  let linkBaseUrl = null;
+  if (/^https?:\/\//i.test(arg)) {
+    const url = new URL(arg);
+    const match = /\/(?:stream|download)\/([^/]+)$/.exec(url.pathname);
+    token = url.searchParams.get('token') || (match && decodeURIComponent(match[1]));
+    if (!token) throw usageError(`No token in ${arg}`);
+    linkBaseUrl = url.origin;
+  }
+  const stored = loadLinks()[token] || null;
+  const baseUrl = chosenBaseUrl(values) || linkBaseUrl || (stored && stored.baseUrl) || DEFAULT_BASE_URL;
+  return { token, baseUrl, ownerKey: stored && stored.baseUrl === baseUrl ? stored.ownerKey : null };
+}
+
+// ===== Output =====
+
+function printJson(value) {
+  process.stdout.write(`${JSON.stringify(value, null, 2)}\n`);
+}
+
+function note(values, message) {
+  if (!values.json) process.stderr.write(`${message}\n`);
+}
+
+function formatBytes(bytes) {
+  if (!Number.isFinite(bytes)) return '';
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(0)} KB`;
+  if (bytes < 1024 * 1024 * 1024) return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+  return `${(bytes / (1024 * 1024 * 1024)).toFixed(2)} GB`;
+}
+
+function formatDuration(seconds) {
+  const total = Math.round(seconds);
+  const h = Math.floor(total / 3600);
+  const m = Math.floor((total % 3600) / 60);
+  const s = String(total % 60).padStart(2, '0');
+  return h ? `${h}:${String(m).padStart(2, '0')}:${s}` : `${m}:${s}`;
+}
+
+function formatExpiry(info) {
+  const at = new Date(Number(info.expiresAt));
+  const minutes = Math.max(0, Math.round((at.getTime() - Date.now()) / 60000));
+  const left = minutes >= 60 * 24
+    ? `${Math.floor(minutes / (60 * 24))}d ${Math.floor((minutes % (60 * 24)) / 60)}h`
+    : `${Math.floor(minutes / 60)}h ${minutes % 60}m`;
+  const listen = info.expiry === 'listen' ? ', or after the first full listen' : '';
+  return `${at.toLocaleString()} (in ${left}${listen})`;
+}
+
+function displayName(info) {
+  return info.filename || '';
+}
+
+// A one-line progress indicator on stderr, shown only on a terminal.
+function createProgress(values, label, total) {
+  const enabled = process.stderr.isTTY && !values.json;
+  let shown = -1;
+  return {
+    update(done) {
+      const percent = total ? Math.min(100, Math.floor((done / total) * 100)) : 0;
+      if (!enabled || percent === shown) return;
+      shown = percent;
+      process.stderr.write(`\r${label} ${percent}% (${formatBytes(done)} of ${formatBytes(total)})`);
+    },
+    done() {
+      if (enabled && shown >= 0) process.stderr.write('\n');
+    },
+  };
+}
+
+// ===== upload =====
+
+async function upload(args, values) {
+  const [file] = args;
+  if (!file) throw usageError('Missing file to upload');
+  const stats = await fs.promises.stat(file).catch(() => null);
+  if (!stats || !stats.isFile()) throw new Error(`Not a file: ${file}`);
+  if (!stats.size) throw new Error(`${file} is empty`);
+
+  const baseUrl = chosenBaseUrl(values) || DEFAULT_BASE_URL;
+  const filename = path.basename(file);
+  const options = {
+    expiry: values.expiry,
+    password: values.password || '',
+    maxPlays: values['max-plays'] ? Number(values['max-plays']) : 0,
+    allowDownload: !values['no-download'],
+  };
+  if (!Number.isInteger(options.maxPlays) || options.maxPlays < 0) {
+    throw usageError('--max-plays must be a whole number');
+  }
+
+  const progress = createProgress(values, `Uploading ${filename}`, stats.size);
+  let data;
+  try {
+    data = stats.size > MAX_SINGLE_UPLOAD_BYTES
+      ? await uploadInParts(baseUrl, file, filename, stats.size, options, progress)
+      : await uploadSingle(baseUrl, file, filename, options, progress);
+  } finally {
+    progress.done();
+  }
+
+  rememberLink(data.token, { baseUrl, ownerKey: data.ownerKey, filename, uploadedAt: Date.now() });
+
+  const url = shareUrl(baseUrl, data.token);
+  if (values.json) {
+    printJson({ ...data, filename, url });
+    return 0;
+  }
+  process.stdout.write(`${url}\n`);
+  note(values, `Expires ${formatExpiry(data)}. Owner key saved in ${linksFile()}.`);
+  return 0;
+}
+
+async function uploadSingle(baseUrl, file, filename, options, progress) {
+  const body = await fs.promises.readFile(file);
+  const headers = {
+    'Content-Type': 'application/octet-stream',
+    'X-Filename': encodeURIComponent(filename),
+    'X-Password': encodeURIComponent(options.password),
+    'X-Max-Plays': String(options.maxPlays),
+    'X-Allow-Download': String(options.allowDownload),
+  };
+  if (options.expiry) headers['X-Expires-In'] = options.expiry;
+  const data = await api(baseUrl, '/api/upload', { method: 'POST', headers, body });
+  progress.update(body.length);
+  return data;
+}
+
+// The resumable protocol of /api/uploads, without the resuming: a failed
+// upload is aborted so the server does not keep its parts.
+async function uploadInParts(baseUrl, file, filename, size, options, progress) {
+  const session = await api(baseUrl, '/api/uploads', {
+    method: 'POST',
+    ...jsonBody({ filename, size, ...options }),
+  });
+  const ownerHeaders = { 'X-Owner-Key': session.ownerKey };
+  const handle = await fs.promises.open(file, 'r');
+  try {
+    let doneBytes = 0;
+    const etags = {};
+    const sendPart = async (partNumber) => {
+      const start = (partNumber - 1) * session.partSize;
+      const length = Math.min(session.partSize, size - start);
+      const buffer = Buffer.alloc(length);
+      await handle.read(buffer, 0, length, start);
+      for (let attempt = 1; ; attempt++) {
+        try {
+          const data = await api(baseUrl, `/api/uploads/${encodeURIComponent(session.token)}/parts/${partNumber}`, {
+            method: 'PUT',
+            headers: { ...ownerHeaders, 'Content-Type': 'application/octet-stream' },
+            body: buffer,
+          });
+          etags[partNumber] = data.etag;
+          break;
+        } catch (err) {
+          const retryable = !err.status || err.status >= 500 || err.status === 429;
+          if (!retryable || attempt >= PART_MAX_ATTEMPTS) throw err;
+          await new Promise((resolve) => setTimeout(resolve, 1000 * 2 ** (attempt - 1)));
+        }
+      }
+      doneBytes += length;
+      progress.update(doneBytes);
+    };
+
+    // Part 1 decides the stored audio type, so it goes first.
+    await sendPart(1);
+    let next = 2;
+    const worker = async () => {
+      while (next <= session.partCount) await sendPart(next++);
+    };
+    await Promise.all(Array.from({ length: PART_CONCURRENCY }, worker));
+
+    const parts = Object.keys(etags).map((n) => ({ partNumber: Number(n), etag: etags[n] }));
+    const done = await api(baseUrl, `/api/uploads/${encodeURIComponent(session.token)}/complete`, {
+      method: 'POST',
+      ...jsonBody({ parts }, ownerHeaders),
+    });
+    const { partSize, partCount, ...data } = session;
+    return { ...data, ...done };
+  } catch (err) {
+    await request(baseUrl, `/api/uploads/${encodeURIComponent(session.token)}`, {
+      method: 'DELETE',
+      headers: ownerHeaders,
+    }).catch(() => {});
+    throw err;
+  } finally {
+    await handle.close();
+  }
+}
+
+// ===== status =====
+
+// What check says about a link: the owner's view with the stored owner
+// key, else what a listener sees (not counted in the access statistics).
+async function checkLink(link) {
+  if (link.ownerKey) {
+    const data = await api(link.baseUrl, '/api/check', {
+      method: 'POST',
+      ...jsonBody({ tracks: [{ token: link.token, ownerKey: link.ownerKey }] }),
+    });
+    return data.tracks[0];
+  }
+  const { ok, data, status: code } = await request(link.baseUrl, `/api/check/${encodeURIComponent(link.token)}?stats=0`);
+  if (!ok && data.exists !== false) {
+    throw Object.assign(new Error(data.error || `Request failed (HTTP ${code})`), { status: code });
+  }
+  return { token: link.token, ...data };
+}
+
+function describeLink(info) {
+  if (!info.exists) return [['Status', info.message || 'This link is no longer available.']];
+  const meta = info.metadata || {};
+  const rows = [['Status', info.locked ? 'live (password protected)' : 'live']];
+  const name = displayName(info);
+  if (name) rows.push(['Name', meta.title ? `${name} (${[meta.title, meta.artist].filter(Boolean).join(' — ')})` : name]);
+  rows.push(['Expires', formatExpiry(info)]);
+  if (info.size !== undefined) rows.push(['Size', formatBytes(info.size)]);
+  if (meta.duration) rows.push(['Duration', formatDuration(meta.duration)]);
+  rows.push(['Password', info.passwordProtected ? 'yes' : 'no']);
+  if (info.maxPlays) rows.push(['Plays', `${info.playsRemaining} of ${info.maxPlays} left`]);
+  rows.push(['Downloads', info.allowDownload ? 'allowed' : 'off']);
+  if (info.encrypted) rows.push(['Encrypted', 'end-to-end (key in the link)']);
+  if (info.error) rows.push(['Owner key', info.error]);
+  return rows;
+}
+
+async function status(args, values) {
+  const link = resolveLink(args[0], values);
+  const info = await checkLink(link);
+  if (values.json) {
+    printJson({ ...info, url: shareUrl(link.baseUrl, link.token) });
+  } else {
+    const rows = [['Link', shareUrl(link.baseUrl, link.token)], ...describeLink(info)];
+    rows.forEach(([label, value]) => process.stdout.write(`${`${label}:`.padEnd(11)}${value}\n`));
+  }
+  return info.exists ? 0 : 1;
+}
+
+// ===== delete =====
+
+async function deleteLink(args, values) {
+  const link = resolveLink(args[0], values);
+  if (!link.ownerKey) {
+    throw new Error(`No owner key for ${link.token} on this machine; only its uploader can delete it.`);
+  }
+  await api(link.baseUrl, `/api/delete/${encodeURIComponent(link.token)}`, {
+    method: 'DELETE',
+    headers: { 'X-Owner-Key': link.ownerKey },
+  });
+  forgetLinks([link.token]);
+  if (values.json) {
+    printJson({ token: link.token, deleted: true });
+  } else {
+    process.stdout.write(`Deleted ${link.token}\n`);
+  }
+  return 0;
+}
+
+// ===== list =====
+
+// Like the My uploads dashboard: every stored link is checked with its
+// owner key, and links that are gone are forgotten.
+async function list(args, values) {
+  const links = loadLinks();
+  const only = chosenBaseUrl(values);
+  const entries = Object.entries(links).filter(([, link]) => !only || link.baseUrl === only);
+
+  const byServer = new Map();
+  entries.forEach(([token, link]) => {
+    if (!byServer.has(link.baseUrl)) byServer.set(link.baseUrl, []);
+    byServer.get(link.baseUrl).push({ token, ownerKey: link.ownerKey });
+  });
+
+  const results = [];
+  const gone = [];
+  for (const [baseUrl, tracks] of byServer) {
+    for (let i = 0; i < tracks.length; i += MAX_TRACKS_PER_REQUEST) {
+      const batch = tracks.slice(i, i + MAX_TRACKS_PER_REQUEST);
+      let infos;
+      try {
+        infos = (await api(baseUrl, '/api/check', { method: 'POST', ...jsonBody({ tracks: batch }) })).tracks;
+      } catch (err) {
+        // An unreachable server keeps its links for next time.
+        infos = batch.map(({ token }) => ({ token, error: err.message }));
+      }
+      infos.forEach((info) => {
+        const link = links[info.token];
+        if (info.exists === false) gone.push(info.token);
+        results.push({ ...info, filename: info.filename || link.filename || '', baseUrl, url: shareUrl(baseUrl, info.token) });
+      });
+    }
+  }
+  if (gone.length) forgetLinks(gone);
+
+  if (values.json) {
+    printJson(results);
+    return 0;
+  }
+  if (!results.length) {
+    note(values, 'No links uploaded from this machine.');
+    return 0;
+  }
+  results.forEach((info) => {
+    const state = info.exists
+      ? `expires ${formatExpiry(info)}`
+      : info.exists === false ? `${info.message || 'gone'} (forgotten)` : info.error;
+    process.stdout.write(`${info.url}\n  ${displayName(info) || info.token} · ${info.size !== undefined ? `${formatBytes(info.size)} · ` : ''}${state}\n`);
+  });
+  return 0;
+}
+
+// ===== download =====
+
+async function download(args, values) {
+  const link = resolveLink(args[0], values);
+  const info = await checkLink(link);
+  if (!info.exists) throw new Error(info.message || 'This link is no longer available.');
+  if (info.encrypted) {
+    throw new Error('This link is end-to-end encrypted; open it in a browser to play or download it.');
+  }
+
+  const headers = {};
+  const params = new URLSearchParams();
+  if (link.ownerKey) {
+    // The owner key opens the link whatever its password, play limit or
+    // download setting, and keeps the download out of the statistics.
+    headers['X-Owner-Key'] = link.ownerKey;
+  } else {
+    if (!info.allowDownload) throw new Error('The uploader has turned off downloads for this audio.');
+    if (info.locked) {
+      if (!values.password) throw new Error('This link is password protected; pass --password.');
+      const unlocked = await api(link.baseUrl, `/api/unlock/${encodeURIComponent(link.token)}`, {
+        method: 'POST',
+        ...jsonBody({ password: values.password }),
+      });
+      if (unlocked.accessToken) params.set('access', unlocked.accessToken);
+    }
+    if (info.maxPlays) {
+      const access = params.toString() ? `?${params}` : '';
+      const play = await api(link.baseUrl, `/api/play/${encodeURIComponent(link.token)}${access}`, { method: 'POST' });
+      if (play.session) params.set('session', play.session);
+      note(values, `This used one of the link's plays (${play.playsRemaining} left).`);
+    }
+  }
+
+  const query = params.toString() ? `?${params}` : '';
+  let resp;
+  try {
+    resp = await fetch(`${link.baseUrl}/download/${encodeURIComponent(link.token)}${query}`, { headers });
+  } catch (err) {
+    throw new Error(`Cannot reach ${link.baseUrl}: ${err.cause?.message || err.message}`);
+  }
+  if (!resp.ok) {
+    throw new Error((await resp.text().catch(() => '')) || `Download failed (HTTP ${resp.status})`);
+  }
+
+  const toStdout = values.output === '-';
+  const output = toStdout ? null : values.output || dispositionFilename(resp.headers.get('Content-Disposition')) || link.token;
+  const total = Number(resp.headers.get('Content-Length')) || 0;
+  const progress = createProgress(values, `Downloading ${toStdout ? link.token : path.basename(output)}`, total);
+  let received = 0;
+  const counter = new Transform({
+    transform(chunk, encoding, callback) {
+      received += chunk.length;
+      progress.update(received);
+      callback(null, chunk);
+    },
+  });
+  try {
+    // Never overwrites: an existing file needs an explicit --output.
+    const target = toStdout ? process.stdout : fs.createWriteStream(output, { flags: 'wx' });
+    await pipeline(Readable.fromWeb(resp.body), counter, target);
+  } catch (err) {
+    if (err.code === 'EEXIST') throw new Error(`${output} already exists; choose another name with --output.`);
+    throw err;
+  } finally {
+    progress.done();
+  }
+
+  if (values.json) {
+    printJson({ token: link.token, file: output, bytes: received });
+  } else if (!toStdout) {
+    note(values, `Saved ${output} (${formatBytes(received)})`);
+  }
+  return 0;
+}
+
+// The original name from Content-Disposition, reduced to a plain file name.
+function dispositionFilename(header) {
+  if (!header) return '';
+  const extended = /filename\*=UTF-8''([^;]+)/i.exec(header);
+  const plain = /filename="([^"]*)"/i.exec(header);
+  let name = '';
+  try {
+    name = extended ? decodeURIComponent(extended[1]) : plain ? plain[1] : '';
+  } catch {
+    name = plain ? plain[1] : '';
+  }
+  return path.basename(name.replace(/[\\/]/g, '_')).replace(/^\.+/, '');
+}
+
+// ===== Main =====
+
+async function main(argv) {
+  let parsed;
+  try {
+    parsed = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true });
+  } catch (err) {
+    throw usageError(err.message);
+  }
+  const { values, positionals } = parsed;
+  const [command, ...args] = positionals;
+
+  if (values.help || !command) {
+    process.stdout.write(USAGE);
+    return values.help ? 0 : 2;
+  }
+  if (!Object.prototype.hasOwnProperty.call(COMMANDS, command)) {
+    throw usageError(`Unknown command: ${command}`);
+  }
+  try {
+    return await COMMANDS[command](args, values);
+  } catch (err) {
+    err.json = values.json;
+    throw err;
+  }
+}
+
+main(process.argv.slice(2)).then(
+  (code) => {
+    process.exitCode = code;
+  },
+  (err) => {
+    if (err.json) {
+      printJson({ error: err.message });
+    } else {
+      process.stderr.write(`aoraina: ${err.message}\n`);
+      if (err.usage) process.stderr.write('Run "aoraina --help" for usage.\n');
+    }
+    process.exitCode = err.usage ? 2 : 1;
+  }
+);
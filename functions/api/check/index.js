@@ -0,0 +1,2 @@
+// POST /api/check – see lib/routes/check-batch.js
+export { onRequestPost } from "../../../lib/routes/check-batch.js";
@@ -0,0 +1,2 @@
+// GET/PATCH/DELETE /api/collections/:id – see lib/routes/collection.js
+export { onRequestGet, onRequestPatch, onRequestDelete } from "../../../lib/routes/collection.js";
@@ -0,0 +1,2 @@
+// POST /api/collections/:id/tracks – see lib/routes/collection-tracks.js
+export { onRequestPost } from "../../../../lib/routes/collection-tracks.js";
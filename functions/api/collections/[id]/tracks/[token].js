@@ -0,0 +1,2 @@
+// DELETE /api/collections/:id/tracks/:token – see lib/routes/collection-track.js
+export { onRequestDelete } from "../../../../../lib/routes/collection-track.js";
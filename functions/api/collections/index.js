@@ -0,0 +1,2 @@
+// POST /api/collections – see lib/routes/collections.js
+export { onRequestPost } from "../../../lib/routes/collections.js";
@@ -0,0 +1,2 @@
+// GET /api/cover/:token – see lib/routes/cover.js
+export { onRequestGet } from "../../../lib/routes/cover.js";
@@ -0,0 +1,2 @@
+// POST /api/extend/:token – see lib/routes/extend.js
+export { onRequestPost } from "../../../lib/routes/extend.js";
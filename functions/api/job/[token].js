@@ -0,0 +1,2 @@
+// GET/POST /api/job/:token – see lib/routes/job.js
+export { onRequestGet, onRequestPost } from "../../../lib/routes/job.js";
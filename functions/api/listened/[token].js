@@ -0,0 +1,2 @@
+// POST /api/listened/:token – see lib/routes/listened.js
+export { onRequestPost } from "../../../lib/routes/listened.js";
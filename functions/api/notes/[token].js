@@ -0,0 +1,2 @@
+// GET/POST /api/notes/:token – see lib/routes/notes.js
+export { onRequestGet, onRequestPost } from "../../../lib/routes/notes.js";
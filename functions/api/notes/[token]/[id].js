@@ -0,0 +1,2 @@
+// PATCH/DELETE /api/notes/:token/:id – see lib/routes/note.js
+export { onRequestPatch, onRequestDelete } from "../../../../lib/routes/note.js";
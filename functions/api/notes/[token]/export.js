@@ -0,0 +1,2 @@
+// GET /api/notes/:token/export – see lib/routes/notes-export.js
+export { onRequestGet } from "../../../../lib/routes/notes-export.js";
@@ -0,0 +1,2 @@
+// POST /api/notes/:token/import – see lib/routes/notes-import.js
+export { onRequestPost } from "../../../../lib/routes/notes-import.js";
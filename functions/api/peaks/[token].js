@@ -0,0 +1,2 @@
+// GET/PUT /api/peaks/:token – see lib/routes/peaks.js
+export { onRequestGet, onRequestPut } from "../../../lib/routes/peaks.js";
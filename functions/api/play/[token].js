@@ -0,0 +1,2 @@
+// POST /api/play/:token – see lib/routes/play.js
+export { onRequestPost } from "../../../lib/routes/play.js";
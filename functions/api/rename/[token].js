@@ -0,0 +1,2 @@
+// POST /api/rename/:token – see lib/routes/rename.js
+export { onRequestPost } from "../../../lib/routes/rename.js";
@@ -0,0 +1,2 @@
+// POST /api/replace/:token – see lib/routes/replace.js
+export { onRequestPost } from "../../../lib/routes/replace.js";
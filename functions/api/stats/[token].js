@@ -0,0 +1,2 @@
+// GET /api/stats/:token – see lib/routes/stats.js
+export { onRequestGet } from "../../../lib/routes/stats.js";
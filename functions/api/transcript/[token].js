@@ -0,0 +1,2 @@
+// GET/PUT /api/transcript/:token – see lib/routes/transcript.js
+export { onRequestGet, onRequestPut } from "../../../lib/routes/transcript.js";
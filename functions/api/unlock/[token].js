@@ -0,0 +1,2 @@
+// POST /api/unlock/:token – see lib/routes/unlock.js
+export { onRequestPost } from "../../../lib/routes/unlock.js";
@@ -0,0 +1,2 @@
+// GET/DELETE /api/uploads/:token – see lib/routes/upload-status.js
+export { onRequestGet, onRequestDelete } from "../../../lib/routes/upload-status.js";
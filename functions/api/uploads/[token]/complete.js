@@ -0,0 +1,2 @@
+// POST /api/uploads/:token/complete – see lib/routes/upload-complete.js
+export { onRequestPost } from "../../../../lib/routes/upload-complete.js";
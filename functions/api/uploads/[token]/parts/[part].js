@@ -0,0 +1,2 @@
+// PUT /api/uploads/:token/parts/:part – see lib/routes/upload-part.js
+export { onRequestPut } from "../../../../../lib/routes/upload-part.js";
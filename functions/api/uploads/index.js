@@ -0,0 +1,2 @@
+// POST /api/uploads – see lib/routes/uploads.js
+export { onRequestPost } from "../../../lib/routes/uploads.js";
@@ -0,0 +1,2 @@
+// GET|HEAD /download/:token – see lib/routes/download.js
+export { onRequestGet, onRequestHead } from "../../lib/routes/download.js";
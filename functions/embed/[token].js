@@ -0,0 +1,2 @@
+// GET /embed/:token – see lib/routes/embed.js
+export { onRequestGet } from "../../lib/routes/embed.js";
@@ -0,0 +1,2 @@
+// GET|HEAD / – see lib/routes/share-page.js
+export { onRequestGet, onRequestHead } from "../lib/routes/share-page.js";
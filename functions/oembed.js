@@ -0,0 +1,2 @@
+// GET /oembed – see lib/routes/oembed.js
+export { onRequestGet } from "../lib/routes/oembed.js";
@@ -0,0 +1,155 @@
+/**
+ * Password-protected links.
+ *
+ * Passwords are stored as PBKDF2-SHA256 hashes with a random salt
+ * (customMetadata.passwordSalt / passwordHash), never in plaintext.
+ * POST /api/unlock/:token exchanges the password (or the owner key) for a
+ * short-lived access token, signed with HMAC-SHA256 keyed by the stored
+ * password hash, so no separate server secret is needed. The token is set as
+ * the `access_<token>` cookie for the <audio> element's range requests and
+ * may also be passed as `?access=` by clients without cookies.
+ */
+
+import { fromBase64Url, toBase64Url } from "./encoding.js";
+import { jsonResponse } from "./http.js";
+import { ownerKeyError, readOwnerKey, timingSafeEqual } from "./owner.js";
+import { isActivePlay } from "./plays.js";
+import { GONE_MESSAGES, goneStatus } from "./store.js";
+
+const encoder = new TextEncoder();
+
+// Workers cap PBKDF2 at 100k iterations.
+const PBKDF2_ITERATIONS = 100000;
+
+export const ACCESS_TTL_MS = 2 * 60 * 60 * 1000;
+
+export const MAX_PASSWORD_LENGTH = 256;
+
+export async function hashPassword(password) {
+  const salt = new Uint8Array(16);
+  crypto.getRandomValues(salt);
+  const passwordSalt = toBase64Url(salt);
+  return { passwordSalt, passwordHash: await derive(password, passwordSalt) };
+}
+
+export async function verifyPassword(password, meta) {
+  if (typeof password !== "string" || !meta.passwordHash || !meta.passwordSalt) {
+    return false;
+  }
+  const hash = await derive(password, meta.passwordSalt);
+  return timingSafeEqual(hash, meta.passwordHash);
+}
+
+export function isPasswordProtected(meta) {
+  return Boolean(meta.passwordHash);
+}
+
+export async function createAccessToken(token, meta, now = Date.now()) {
+  const expiresAt = now + ACCESS_TTL_MS;
+  const signature = await sign(meta.passwordHash, `${token}.${expiresAt}`);
+  return { accessToken: `${expiresAt}.${signature}`, expiresAt };
+}
+
+export function accessCookieName(token) {
+  return `access_${token}`;
+}
+
+export function accessCookie(request, token, accessToken) {
+  const secure = new URL(request.url).protocol === "https:" ? "; Secure" : "";
+  const maxAge = Math.floor(ACCESS_TTL_MS / 1000);
+  return `${accessCookieName(token)}=${accessToken}; Path=/; Max-Age=${maxAge}; HttpOnly; SameSite=Lax${secure}`;
+}
+
+/**
+ * Returns null if the request may read the track (no password, or a valid
+ * access token), otherwise `{ status, error }`.
+ */
+export async function listenerAccessError(request, token, meta, now = Date.now()) {
+  if (!isPasswordProtected(meta)) return null;
+
+  const value = readAccessToken(request, token);
+  if (!value) {
+    return { status: 401, error: "This audio is password protected" };
+  }
+
+  const [expiresAt, signature] = value.split(".");
+  if (!(Number(expiresAt) > now) || !signature) {
+    return { status: 401, error: "Access expired, unlock again" };
+  }
+  const expected = await sign(meta.passwordHash, `${token}.${expiresAt}`);
+  if (!timingSafeEqual(signature, expected)) {
+    return { status: 403, error: "Invalid access token" };
+  }
+  return null;
+}
+
+/**
+ * Everything a listener needs to read a track's audio or its notes: the
+ * owner key, or else the password access token (if protected) and an active
+ * play session (if play-limited, passed as `?session=` or X-Play-Session).
+ * `track` is the result of findTrack(). Returns null or `{ status, error }`.
+ */
+export async function trackAccessError(request, token, track, now = Date.now()) {
+  if (readOwnerKey(request)) {
+    return ownerKeyError(request, track.meta.ownerKeyHash);
+  }
+
+  const denied = await listenerAccessError(request, token, track.meta, now);
+  if (denied) return denied;
+
+  if (track.meta.maxPlays) {
+    const session = new URL(request.url).searchParams.get("session") || request.headers.get("X-Play-Session");
+    if (!isActivePlay(track.plays, session, now)) {
+      return { status: 403, error: "Start a play session first (POST /api/play/:token)" };
+    }
+  }
+  return null;
+}
+
+/**
+ * trackAccessError as the JSON answer of a route that reads or writes a
+ * track's listener data (notes, peaks), with gone tracks refused too.
+ * Returns null when the request may go ahead.
+ */
+export async function trackAccessResponse(request, token, track) {
+  if (track.gone) {
+    return jsonResponse({ error: GONE_MESSAGES[track.gone] }, goneStatus(track.gone));
+  }
+  const denied = await trackAccessError(request, token, track);
+  return denied ? jsonResponse({ error: denied.error }, denied.status) : null;
+}
+
+function readAccessToken(request, token) {
+  const fromQuery = new URL(request.url).searchParams.get("access");
+  if (fromQuery) return fromQuery;
+
+  const name = accessCookieName(token);
+  const cookies = request.headers.get("Cookie") || "";
+  for (const part of cookies.split(";")) {
+    const [key, ...rest] = part.trim().split("=");
+    if (key === name) return rest.join("=");
+  }
+  return "";
+}
+
+async function derive(password, saltB64) {
+  const key = await crypto.subtle.importKey("raw", encoder.encode(password), "PBKDF2", false, ["deriveBits"]);
+  const bits = await crypto.subtle.deriveBits(
+    { name: "PBKDF2", hash: "SHA-256", salt: fromBase64Url(saltB64), iterations: PBKDF2_ITERATIONS },
+    key,
+    256
+  );
+  return toBase64Url(new Uint8Array(bits));
+}
+
+async function sign(secret, message) {
+  const key = await crypto.subtle.importKey(
+    "raw",
+    encoder.encode(secret),
+    { name: "HMAC", hash: "SHA-256" },
+    false,
+    ["sign"]
+  );
+  const signature = await crypto.subtle.sign("HMAC", key, encoder.encode(message));
+  return toBase64Url(new Uint8Array(signature));
+}
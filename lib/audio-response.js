@@ -0,0 +1,96 @@
+/**
+ * Sends a track's audio once the route has checked access: RFC 9110 range
+ * requests (single, suffix and multi-range as multipart/byteranges) and
+ * conditional requests against the object's ETag / Last-Modified. Shared by
+ * /stream/:token and /download/:token.
+ */
+
+import { ifRangeMatches, preconditionStatus, validatorHeaders } from "./conditional.js";
+import { textResponse } from "./http.js";
+import { multipartByteRanges, parseRange } from "./ranges.js";
+import { audioKey } from "./store.js";
+
+/**
+ * `head` is the track's R2 head. Options: `withBody` (false for HEAD) and
+ * `headers`, extra headers for every 200/206 answer (e.g. Content-Disposition).
+ */
+export async function audioResponse(request, bucket, token, head, { withBody = true, headers: extra = {} } = {}) {
+  const key = audioKey(token);
+  const size = head.size;
+  const contentType = head.httpMetadata?.contentType || "audio/mpeg";
+
+  const headers = new Headers(validatorHeaders(head));
+  headers.set("Accept-Ranges", "bytes");
+  headers.set("Cache-Control", "no-store");
+  // Only the stored type counts; encrypted uploads have a non-audio one.
+  headers.set("X-Content-Type-Options", "nosniff");
+
+  const precondition = preconditionStatus(request, head);
+  if (precondition === 304) {
+    return new Response(null, { status: 304, headers });
+  }
+  if (precondition === 412) {
+    return textResponse("Precondition failed", 412);
+  }
+
+  // Range only applies to GET, and If-Range falls back to the whole object
+  // when the client's copy is out of date.
+  const range = withBody && ifRangeMatches(request, head) ? parseRange(request.headers.get("Range"), size) : null;
+
+  if (range && range.unsatisfiable) {
+    headers.set("Content-Type", "text/plain; charset=utf-8");
+    headers.set("Content-Range", `bytes */${size}`);
+    return new Response("Range not satisfiable", { status: 416, headers });
+  }
+
+  for (const [name, value] of Object.entries(extra)) {
+    headers.set(name, value);
+  }
+
+  if (range && range.ranges.length > 1) {
+    const multipart = multipartByteRanges(bucket, key, range.ranges, size, contentType);
+    headers.set("Content-Type", multipart.contentType);
+    headers.set("Content-Length", String(multipart.length));
+    return new Response(multipart.body, { status: 206, headers });
+  }
+
+  headers.set("Content-Type", contentType);
+
+  if (range) {
+    const { start, end } = range.ranges[0];
+    const length = end - start + 1;
+
+    const object = await bucket.get(key, {
+      range: { offset: start, length },
+    });
+
+    if (!object || !object.body) {
+      return textResponse("This audio is no longer available.", 404);
+    }
+
+    headers.set("Content-Length", String(length));
+    headers.set("Content-Range", `bytes ${start}-${end}/${size}`);
+
+    return new Response(object.body, {
+      status: 206,
+      headers,
+    });
+  }
+
+  headers.set("Content-Length", String(size));
+  if (!withBody) {
+    return new Response(null, { status: 200, headers });
+  }
+
+  // Full-object response (no usable Range header)
+  const object = await bucket.get(key);
+
+  if (!object || !object.body) {
+    return textResponse("This audio is no longer available.", 404);
+  }
+
+  return new Response(object.body, {
+    status: 200,
+    headers,
+  });
+}
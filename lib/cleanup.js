@@ -0,0 +1,167 @@
+/**
+ * Sweeps the `audio/` prefix and deletes every expired or play-limit
+ * exhausted track together with its sidecars, plus sidecars whose track is
+ * already gone, aborts multipart uploads that were never completed and
+ * deletes collections left without tracks and transcription jobs kept past
+ * their audio (see jobs.js). Run on a schedule by
+ * workers/cleanup; the routes also delete lazily when they hit a dead
+ * track, so this only bounds how long unvisited links linger.
+ *
+ * Each run does a fixed amount of work, so a large bucket cannot take it
+ * past what one invocation may do (see limits.js): it looks at one page of
+ * keys under one of the prefixes below, taking them in turns, and stores
+ * where it stopped in CLEANUP_STATE_KEY for the next run.
+ */
+
+import {
+  COLLECTIONS_PREFIX,
+  collectionGone,
+  countLiveTracks,
+  deleteCollection,
+  readCollection,
+} from "./collections.js";
+import { JOBS_PREFIX, changeJob, deleteJob, jobExpired, readJob } from "./jobs.js";
+import { MAX_TRACKS_PER_REQUEST, R2_OPERATIONS_PER_INVOCATION } from "./limits.js";
+import {
+  abortPendingUpload,
+  audioKey,
+  deleteTrack,
+  findTrack,
+  readJsonObject,
+  readPendingUpload,
+  trackStatus,
+} from "./store.js";
+import { PENDING_UPLOAD_TTL_MS } from "./upload.js";
+
+// { next, cursors: { [prefix]: cursor } }: the prefix the next run sweeps
+// (an index into SWEEPS) and where each unfinished pass stopped.
+export const CLEANUP_STATE_KEY = "cleanup/state.json";
+
+// `cost` is the most R2 operations one key can take, which sets how many
+// keys a run looks at. A track: its state and plays, then deleting its
+// pending upload (read, abort, delete), listing its sidecars and deleting.
+// A collection: reading it, looking each track up (object, state, plays)
+// and deleting it.
+const SWEEPS = [
+  { prefix: "audio/", cost: 7, sweep: sweepTracks },
+  { prefix: "uploads/", cost: 3, sweep: sweepPendingUploads },
+  { prefix: COLLECTIONS_PREFIX, cost: 3 * MAX_TRACKS_PER_REQUEST + 2, sweep: sweepCollections },
+  { prefix: JOBS_PREFIX, cost: 6, sweep: sweepJobs },
+];
+
+// Reading and writing the state, and listing the page.
+const RUN_OPERATIONS = 3;
+
+/**
+ * Sweeps the next page of keys. Returns { prefix, removed }: where it looked
+ * and how many tracks, uploads, collections or jobs it removed there.
+ */
+export async function sweepExpiredTracks(bucket, now = Date.now()) {
+  const state = (await readJsonObject(bucket, CLEANUP_STATE_KEY)) || {};
+  const next = SWEEPS[state.next] ? state.next : 0;
+  const cursors = { ...state.cursors };
+  const { prefix, cost, sweep } = SWEEPS[next];
+
+  const page = await bucket.list({
+    prefix,
+    cursor: cursors[prefix],
+    limit: Math.floor((R2_OPERATIONS_PER_INVOCATION - RUN_OPERATIONS) / cost),
+    include: ["customMetadata"],
+  });
+  if (page.truncated) {
+    cursors[prefix] = page.cursor;
+  } else {
+    delete cursors[prefix];
+  }
+
+  // Saved first, so a key that keeps failing cannot hold the sweep up.
+  await bucket.put(CLEANUP_STATE_KEY, JSON.stringify({ next: (next + 1) % SWEEPS.length, cursors }), {
+    httpMetadata: { contentType: "application/json" },
+  });
+  const removed = await sweep(bucket, page.objects, now);
+
+  return { prefix, removed };
+}
+
+async function sweepTracks(bucket, objects, now) {
+  const tracks = new Map(); // token -> customMetadata
+  const sidecarTokens = new Set();
+  for (const object of objects) {
+    const [, token, sidecar] = object.key.split("/");
+    if (!token) continue;
+    if (sidecar === undefined) {
+      tracks.set(token, object.customMetadata || {});
+    } else {
+      sidecarTokens.add(token);
+    }
+  }
+
+  let deleted = 0;
+  for (const [token, meta] of tracks) {
+    const status = await trackStatus(bucket, token, meta, now);
+    if (status.gone) {
+      await deleteTrack(bucket, token);
+      deleted++;
+    }
+  }
+
+  // Leftovers from a delete that failed half-way. A track listed on the
+  // previous page is still there.
+  for (const token of sidecarTokens) {
+    if (!tracks.has(token) && !(await bucket.head(audioKey(token)))) {
+      await deleteTrack(bucket, token);
+    }
+  }
+  return deleted;
+}
+
+async function sweepPendingUploads(bucket, objects, now) {
+  let aborted = 0;
+  for (const object of objects) {
+    const token = object.key.slice("uploads/".length).replace(/\.json$/, "");
+    const pending = await readPendingUpload(bucket, token);
+    if (pending && pending.createdAt + PENDING_UPLOAD_TTL_MS > now) continue;
+
+    await abortPendingUpload(bucket, token, pending);
+    aborted++;
+  }
+  return aborted;
+}
+
+async function sweepCollections(bucket, objects, now) {
+  let removed = 0;
+  for (const object of objects) {
+    const id = object.key.slice(COLLECTIONS_PREFIX.length).replace(/\.json$/, "");
+    const doc = await readCollection(bucket, id);
+    if (doc && !collectionGone(doc, await countLiveTracks(bucket, doc, now), now)) continue;
+
+    await deleteCollection(bucket, id);
+    removed++;
+  }
+  return removed;
+}
+
+// A job whose audio is gone starts its retention the first time it is seen
+// so (or when accepting deleted the audio), and is deleted once that is over
+// or right away if there is no transcript to keep.
+async function sweepJobs(bucket, objects, now) {
+  const tokens = new Set(
+    objects.map((object) => object.key.slice(JOBS_PREFIX.length).split("/")[0].replace(/\.json$/, ""))
+  );
+
+  let removed = 0;
+  for (const token of tokens) {
+    if (!(await findTrack(bucket, token, now)).gone) continue;
+
+    const job = await readJob(bucket, token);
+    if (job && job.transcript && !job.orphanedAt) {
+      await changeJob(bucket, token, null, () => ({ orphanedAt: now }), now);
+      continue;
+    }
+    if (!jobExpired(job, now)) continue;
+
+    await deleteJob(bucket, token);
+    removed++;
+  }
+  return removed;
+}
@@ -0,0 +1,129 @@
+/**
+ * Collections: several tracks behind one share link, e.g. an interview
+ * split into parts. A collection is a mutable JSON document at
+ * `collections/<id>.json`:
+ *   { title, ownerKeyHash, tokens: [token, ...], createdAt }
+ *
+ * It has its own owner key, returned once when it is created. Adding a track
+ * also takes that track's owner key, so only the track's uploader can put it
+ * in a collection; that is also what allows deleting the member tracks
+ * together with the collection.
+ *
+ * A collection lives as long as its tracks: once none is left (or it stayed
+ * empty for a day) it is deleted, on access or by the scheduled cleanup.
+ */
+
+import { generateOwnerKey, hashOwnerKey, ownerKeyMatches } from "./owner.js";
+import { deleteTrack, findTrack, readJsonObject, updateJsonObject } from "./store.js";
+
+export const COLLECTIONS_PREFIX = "collections/";
+
+export const MAX_COLLECTION_TITLE_LENGTH = 200;
+
+// An empty collection is given this long to get its first tracks.
+export const EMPTY_COLLECTION_TTL_MS = 24 * 60 * 60 * 1000;
+
+export const COLLECTION_GONE_MESSAGES = {
+  missing: "This collection is no longer available.",
+  empty: "Every track in this collection has expired or been deleted.",
+};
+
+export function collectionKey(id) {
+  return `${COLLECTIONS_PREFIX}${id}.json`;
+}
+
+export async function readCollection(bucket, id) {
+  const doc = await readJsonObject(bucket, collectionKey(id));
+  return doc && Array.isArray(doc.tokens) ? doc : null;
+}
+
+/** Returns { title } or { error }. A missing title is an empty one. */
+export function parseCollectionTitle(value) {
+  if (value === undefined || value === null) return { title: "" };
+  if (typeof value !== "string" || value.length > MAX_COLLECTION_TITLE_LENGTH) {
+    return { error: `title must be a string of at most ${MAX_COLLECTION_TITLE_LENGTH} characters` };
+  }
+  return { title: value.trim() };
+}
+
+/**
+ * Allocates an id and owner key for a new collection. Returns
+ * { id, ownerKey, doc }; the caller stores `doc`.
+ */
+export async function newCollection(title, tokens, now = Date.now()) {
+  const ownerKey = generateOwnerKey();
+  return {
+    id: crypto.randomUUID(),
+    ownerKey,
+    doc: { title, ownerKeyHash: await hashOwnerKey(ownerKey), tokens, createdAt: now },
+  };
+}
+
+/**
+ * Checks that `ownerKey` is the owner key of the live track `token`, as
+ * required to add it to a collection. Returns null or `{ status, error }`.
+ */
+export async function trackOwnerError(bucket, token, ownerKey) {
+  if (typeof token !== "string" || !token) {
+    return { status: 400, error: "Missing track token" };
+  }
+  if (typeof ownerKey !== "string" || !ownerKey) {
+    return { status: 401, error: "The track's owner key is required to add it" };
+  }
+  const track = await findTrack(bucket, token);
+  if (track.gone) {
+    return { status: 404, error: `Track ${token} is no longer available` };
+  }
+  if (!(await ownerKeyMatches(ownerKey, track.meta.ownerKeyHash))) {
+    return { status: 403, error: `Invalid owner key for track ${token}` };
+  }
+  return null;
+}
+
+/**
+ * Applies `change(doc)` to a stored collection. `change` returns the new
+ * document, or `{ status, error }` to abort without writing.
+ * Returns { collection } or { status, error }.
+ */
+export async function changeCollection(bucket, id, change) {
+  let failure = null;
+  const doc = await updateJsonObject(bucket, collectionKey(id), (current) => {
+    if (!current || !Array.isArray(current.tokens)) {
+      failure = { status: 404, error: COLLECTION_GONE_MESSAGES.missing };
+      return undefined;
+    }
+    const result = change(current);
+    if (result.error) {
+      failure = result;
+      return undefined;
+    }
+    failure = null;
+    return result;
+  });
+  return failure || { collection: doc };
+}
+
+/**
+ * Whether a collection with `liveCount` live tracks should be deleted:
+ * every track it had is gone, or it has been empty for too long.
+ */
+export function collectionGone(doc, liveCount, now = Date.now()) {
+  if (liveCount > 0) return false;
+  return doc.tokens.length > 0 || doc.createdAt + EMPTY_COLLECTION_TTL_MS <= now;
+}
+
+/** Number of the collection's tracks that are still live. */
+export async function countLiveTracks(bucket, doc, now = Date.now()) {
+  const tracks = await Promise.all(doc.tokens.map((token) => findTrack(bucket, token, now)));
+  return tracks.filter((track) => !track.gone).length;
+}
+
+/** Deletes the collection, and with `withTracks` every member track too. */
+export async function deleteCollection(bucket, id, doc, withTracks = false) {
+  if (withTracks && doc) {
+    for (const token of doc.tokens) {
+      await deleteTrack(bucket, token);
+    }
+  }
+  await bucket.delete(collectionKey(id));
+}
@@ -0,0 +1,82 @@
+/**
+ * Conditional requests (RFC 9110 §13) against a stored object's validators:
+ * its ETag and its upload time as Last-Modified.
+ */
+
+/** ETag and Last-Modified headers for an R2 object (head or get result). */
+export function validatorHeaders(object) {
+  return {
+    ETag: object.httpEtag,
+    "Last-Modified": object.uploaded.toUTCString(),
+  };
+}
+
+/**
+ * Evaluates If-Match, If-Unmodified-Since, If-None-Match and
+ * If-Modified-Since in the order §13.2.2 gives. Returns 412 or 304 when the
+ * request should be answered with that status instead, otherwise null.
+ */
+export function preconditionStatus(request, object) {
+  const headers = request.headers;
+  const method = request.method.toUpperCase();
+  const readOnly = method === "GET" || method === "HEAD";
+
+  const ifMatch = headers.get("If-Match");
+  if (ifMatch !== null) {
+    if (!etagListMatches(ifMatch, object.etag, { weak: false })) return 412;
+  } else {
+    const since = parseHttpDate(headers.get("If-Unmodified-Since"));
+    if (since !== null && lastModifiedSeconds(object) > since) return 412;
+  }
+
+  const ifNoneMatch = headers.get("If-None-Match");
+  if (ifNoneMatch !== null) {
+    if (etagListMatches(ifNoneMatch, object.etag, { weak: true })) return readOnly ? 304 : 412;
+  } else if (readOnly) {
+    const since = parseHttpDate(headers.get("If-Modified-Since"));
+    if (since !== null && lastModifiedSeconds(object) <= since) return 304;
+  }
+
+  return null;
+}
+
+/**
+ * Whether a Range request may be served as ranges: true without If-Range, or
+ * when If-Range names the current representation (strong ETag match or the
+ * exact Last-Modified date). Otherwise the whole object is sent.
+ */
+export function ifRangeMatches(request, object) {
+  const value = request.headers.get("If-Range");
+  if (value === null) return true;
+
+  const trimmed = value.trim();
+  if (trimmed.startsWith('"') || trimmed.startsWith("W/")) {
+    return etagListMatches(trimmed, object.etag, { weak: false });
+  }
+  const date = parseHttpDate(trimmed);
+  return date !== null && date === lastModifiedSeconds(object);
+}
+
+function etagListMatches(header, etag, { weak }) {
+  if (header.trim() === "*") return true;
+  return header.split(",").some((candidate) => {
+    let tag = candidate.trim();
+    if (tag.startsWith("W/")) {
+      // Weak tags never match in a strong comparison.
+      if (!weak) return false;
+      tag = tag.slice(2);
+    }
+    return tag === `"${etag}"`;
+  });
+}
+
+// HTTP dates have one-second precision.
+function lastModifiedSeconds(object) {
+  return Math.floor(object.uploaded.getTime() / 1000);
+}
+
+function parseHttpDate(value) {
+  if (!value) return null;
+  const time = Date.parse(value);
+  return Number.isNaN(time) ? null : Math.floor(time / 1000);
+}
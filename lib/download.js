@@ -0,0 +1,22 @@
+/**
+ * Whether listeners may save the file (GET /download/:token).
+ *
+ * Downloads are allowed unless the uploader turned them off, which is stored
+ * as customMetadata.allowDownload = "false"; links from before the option
+ * existed keep allowing them. This only hides the button and refuses the
+ * route: anyone who can stream the audio can still record it.
+ */
+
+/** Normalizes a client-supplied choice: true, false, or null if invalid. */
+export function parseAllowDownload(value) {
+  if (value === undefined || value === null || value === "" || value === true) return true;
+  if (value === false) return false;
+  const choice = String(value).trim().toLowerCase();
+  if (["true", "1", "yes"].includes(choice)) return true;
+  if (["false", "0", "no"].includes(choice)) return false;
+  return null;
+}
+
+export function downloadsAllowed(meta) {
+  return meta.allowDownload !== "false";
+}
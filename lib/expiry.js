@@ -0,0 +1,74 @@
+/**
+ * Per-link expiry.
+ *
+ * The uploader picks one of EXPIRY_OPTIONS; the choice and the resulting
+ * absolute deadline are stored in customMetadata (`expiry`, `expiresAt`).
+ * "listen" links expire LISTEN_GRACE_MS after the first full listen has been
+ * reported, and never live longer than EXPIRY_OPTIONS.listen regardless.
+ * The owner can later push the deadline back (POST /api/extend/:token); the
+ * new one is kept in the track's state.json.
+ */
+
+const HOUR_MS = 60 * 60 * 1000;
+
+export const EXPIRY_OPTIONS = {
+  "1h": HOUR_MS,
+  "24h": 24 * HOUR_MS,
+  "7d": 7 * 24 * HOUR_MS,
+  listen: 7 * 24 * HOUR_MS,
+};
+
+export const DEFAULT_EXPIRY = "24h";
+
+// Time the listener keeps after finishing a "listen" link (e.g. to re-check
+// the last few seconds) before it goes away.
+export const LISTEN_GRACE_MS = 10 * 60 * 1000;
+
+/** Normalizes a client-supplied expiry choice; null if it is not allowed. */
+export function parseExpiry(value) {
+  const choice = String(value || DEFAULT_EXPIRY).trim().toLowerCase();
+  return Object.prototype.hasOwnProperty.call(EXPIRY_OPTIONS, choice) ? choice : null;
+}
+
+/** customMetadata fields for a new upload. */
+export function expiryMetadata(choice, createdAt) {
+  return {
+    expiry: choice,
+    expiresAt: String(createdAt + EXPIRY_OPTIONS[choice]),
+  };
+}
+
+/**
+ * Absolute expiry (ms) for a stored object. `state` is the mutable per-track
+ * state (see store.js); objects stored before expiry existed get the default.
+ * NaN for an object without `createdAt`, which no upload ever stored.
+ */
+export function expiresAtFor(meta, state) {
+  let expiresAt =
+    Number(state && state.expiresAt) ||
+    Number(meta.expiresAt) ||
+    Number(meta.createdAt) + EXPIRY_OPTIONS[DEFAULT_EXPIRY];
+  if (meta.expiry === "listen" && state && state.listenedAt) {
+    expiresAt = Math.min(expiresAt, state.listenedAt + LISTEN_GRACE_MS);
+  }
+  return expiresAt;
+}
+
+/**
+ * Normalizes how long an owner extends a link by; null if not allowed.
+ * "listen" is not a duration, so only the timed choices qualify.
+ */
+export function parseExtension(value) {
+  const choice = parseExpiry(value);
+  return choice && choice !== "listen" ? choice : null;
+}
+
+/**
+ * The track state after extending the link to live `choice` from now. It
+ * never shortens a link. A "listen" link that was already heard to the end
+ * waits for a new full listen.
+ */
+export function extendedState(meta, state, choice, now = Date.now()) {
+  const { listenedAt, ...rest } = state;
+  return { ...rest, expiresAt: Math.max(expiresAtFor(meta, rest), now + EXPIRY_OPTIONS[choice]) };
+}
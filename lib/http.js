@@ -0,0 +1,41 @@
+/**
+ * Response helpers shared by the routes. API answers are never cached: they
+ * describe links that can expire, be deleted or run out of plays any time.
+ */
+
+export function jsonResponse(body, status = 200) {
+  return new Response(JSON.stringify(body), {
+    status,
+    headers: {
+      "Content-Type": "application/json",
+      "Cache-Control": "no-store",
+    },
+  });
+}
+
+/** Plain-text error for routes the <audio> element talks to directly. */
+export function textResponse(message, status) {
+  return new Response(message, {
+    status,
+    headers: { "Content-Type": "text/plain; charset=utf-8" },
+  });
+}
+
+/**
+ * Content-Disposition for a download under the uploader's original name:
+ * an ASCII `filename` fallback for old clients plus the exact name as an
+ * RFC 5987 `filename*`. Path separators and control characters are dropped.
+ */
+export function attachmentDisposition(filename, fallback = "audio") {
+  const name = String(filename || "")
+    .replace(/[\u0000-\u001f\u007f/\\]+/g, "_")
+    .trim() || fallback;
+  const ascii = name.replace(/[^\x20-\x7e]/g, "_").replace(/["%;]/g, "_");
+  const encoded = encodeURIComponent(name).replace(/['()*]/g, (c) => `%${c.charCodeAt(0).toString(16).toUpperCase()}`);
+  return `attachment; filename="${ascii}"; filename*=UTF-8''${encoded}`;
+}
+
+/** Text made safe for HTML content and double-quoted attributes. */
+export function escapeHtml(text) {
+  return String(text).replace(/&/g, "&amp;").replace(/"/g, "&quot;").replace(/</g, "&lt;").replace(/>/g, "&gt;");
+}
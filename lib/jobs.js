@@ -0,0 +1,140 @@
+/**
+ * Transcription jobs: the listener hands the finished transcript back
+ * against the share link, and the owner accepts it. A job is a JSON document
+ * at `jobs/<token>.json`:
+ *   { status, updatedAt, ownerKeyHash, transcript, orphanedAt }
+ * `transcript` is { id, filename, contentType, size, deliveredAt } once one
+ * was delivered; its content is stored at `jobs/<token>/transcripts/<id>`,
+ * a new key for every delivery, so that one refused by the job (accepted in
+ * the meantime) never replaces what the job points at. A link without a
+ * document is simply pending.
+ *
+ * The status goes pending → in-progress (the listener started) → delivered
+ * (transcript uploaded) → accepted (by the owner). The owner can send a
+ * delivered transcript back to in-progress, and the listener can deliver a
+ * new one until it is accepted.
+ *
+ * Jobs live outside `audio/<token>/` so that a transcript outlasts its
+ * audio: accepting may delete the audio, and a link can expire before the
+ * owner picked the transcript up. The owner key hash is copied in for that.
+ * Once the audio is gone a job is kept JOB_RETENTION_MS (`orphanedAt` marks
+ * when that started), then deleted by the scheduled cleanup.
+ */
+
+import { trackAccessError } from "./access.js";
+import { ownerKeyMatches, readOwnerKey } from "./owner.js";
+import { GONE_MESSAGES, findTrack, goneStatus, readJsonObject, updateJsonObject } from "./store.js";
+
+export const JOBS_PREFIX = "jobs/";
+
+export const JOB_STATUSES = ["pending", "in-progress", "delivered", "accepted"];
+
+export const MAX_TRANSCRIPT_BYTES = 10 * 1024 * 1024;
+
+export const JOB_RETENTION_MS = 7 * 24 * 60 * 60 * 1000;
+
+export function jobKey(token) {
+  return `${JOBS_PREFIX}${token}.json`;
+}
+
+export function transcriptKey(token, id) {
+  return `${JOBS_PREFIX}${token}/transcripts/${id}`;
+}
+
+export async function readJob(bucket, token) {
+  const doc = await readJsonObject(bucket, jobKey(token));
+  return doc && JOB_STATUSES.includes(doc.status) ? doc : null;
+}
+
+/** The job as GET /api/job/:token reports it. */
+export function describeJob(doc) {
+  if (!doc) return { status: "pending", updatedAt: null, transcript: null };
+  const { transcript } = doc;
+  return {
+    status: doc.status,
+    updatedAt: String(doc.updatedAt),
+    transcript: transcript
+      ? { filename: transcript.filename, size: transcript.size, deliveredAt: String(transcript.deliveredAt) }
+      : null,
+  };
+}
+
+/**
+ * Who is asking about a link's job. Returns { track, job, isOwner }, or
+ * { status, error }. The owner (by owner key) may do so as long as the job
+ * exists, even after the audio is gone; anyone else needs what listening
+ * needs (see access.js), so only while the link is live.
+ */
+export async function jobAccess(request, bucket, token, now = Date.now()) {
+  const [track, job] = await Promise.all([findTrack(bucket, token, now), readJob(bucket, token)]);
+
+  const ownerKey = readOwnerKey(request);
+  if (ownerKey) {
+    const storedHash = track.gone ? job && job.ownerKeyHash : track.meta.ownerKeyHash;
+    if (track.gone && !job) {
+      return { status: goneStatus(track.gone), error: GONE_MESSAGES[track.gone] };
+    }
+    if (!(await ownerKeyMatches(ownerKey, storedHash))) {
+      return { status: 403, error: "Invalid owner key" };
+    }
+    return { track, job, isOwner: true };
+  }
+
+  if (track.gone) {
+    return { status: goneStatus(track.gone), error: GONE_MESSAGES[track.gone] };
+  }
+  const denied = await trackAccessError(request, token, track, now);
+  if (denied) return denied;
+  return { track, job, isOwner: false };
+}
+
+/**
+ * Whether `isOwner` (or a listener) may move a job from `from` to `to`.
+ * Delivering goes through PUT /api/transcript/:token instead. Returns null
+ * or `{ status, error }`.
+ */
+export function transitionError(from, to, isOwner) {
+  if (to === "in-progress") {
+    if (from === "pending" || from === "in-progress") return null;
+    if (from === "delivered" && isOwner) return null;
+    return { status: 409, error: `A job that is ${from} cannot go back to in-progress` };
+  }
+  if (to === "accepted") {
+    if (!isOwner) return { status: 403, error: "Only the owner can accept the transcript" };
+    if (from === "delivered" || from === "accepted") return null;
+    return { status: 409, error: "There is no delivered transcript to accept" };
+  }
+  return { status: 400, error: "status must be in-progress or accepted" };
+}
+
+/**
+ * Applies `change(job)` to the stored job, creating it (pending, owned by
+ * `ownerKeyHash`) if missing. `change` returns the fields to set, or
+ * `{ status, error }` to abort without writing. Returns { job } or
+ * { status, error }.
+ */
+export async function changeJob(bucket, token, ownerKeyHash, change, now = Date.now()) {
+  let failure = null;
+  const doc = await updateJsonObject(bucket, jobKey(token), (current) => {
+    const job = current || { status: "pending", ownerKeyHash, transcript: null };
+    const result = change(job);
+    if (result.error) {
+      failure = result;
+      return undefined;
+    }
+    failure = null;
+    return { ...job, ...result, updatedAt: now };
+  });
+  return failure || { job: doc };
+}
+
+/** Whether the cleanup should delete a job whose audio is gone. */
+export function jobExpired(job, now = Date.now()) {
+  return !job || !job.transcript || (job.orphanedAt && job.orphanedAt + JOB_RETENTION_MS <= now);
+}
+
+/** Deletes the job with every delivery still stored for it. */
+export async function deleteJob(bucket, token) {
+  const { objects } = await bucket.list({ prefix: `${JOBS_PREFIX}${token}/` });
+  await bucket.delete([jobKey(token), ...objects.map((object) => object.key)]);
+}
@@ -0,0 +1,14 @@
+/**
+ * How much one request may do. Every call through the R2 binding counts
+ * against Workers' limit on subrequests to Cloudflare services, 1,000 per
+ * invocation (not the 50 subrequests to the Internet of the free plan):
+ * https://developers.cloudflare.com/workers/platform/limits/#subrequests
+ */
+
+export const R2_OPERATIONS_PER_INVOCATION = 1000;
+
+// Most tracks one request looks up: a collection's listing
+// (GET /api/collections/:id) or a batched check (POST /api/check). Each
+// takes up to 9 R2 operations: the object, its state, plays and metadata,
+// and deleting it with its pending upload when it turns out to be dead.
+export const MAX_TRACKS_PER_REQUEST = 100;
@@ -0,0 +1,80 @@
+/**
+ * Byte-level helpers shared by the format parsers. Reads past the end of a
+ * buffer yield 0 / "" rather than throwing: a truncated header simply
+ * produces less metadata.
+ */
+
+export function ascii(bytes, start, length) {
+  let text = "";
+  for (let i = start; i < start + length && i < bytes.length; i++) {
+    text += String.fromCharCode(bytes[i]);
+  }
+  return text;
+}
+
+export function u16be(bytes, offset) {
+  return ((bytes[offset] << 8) | bytes[offset + 1]) >>> 0;
+}
+
+export function u24be(bytes, offset) {
+  return ((bytes[offset] << 16) | (bytes[offset + 1] << 8) | bytes[offset + 2]) >>> 0;
+}
+
+export function u32be(bytes, offset) {
+  return ((bytes[offset] << 24) | (bytes[offset + 1] << 16) | (bytes[offset + 2] << 8) | bytes[offset + 3]) >>> 0;
+}
+
+export function u64be(bytes, offset) {
+  return u32be(bytes, offset) * 2 ** 32 + u32be(bytes, offset + 4);
+}
+
+export function u16le(bytes, offset) {
+  return (bytes[offset] | (bytes[offset + 1] << 8)) >>> 0;
+}
+
+export function u32le(bytes, offset) {
+  return (bytes[offset] | (bytes[offset + 1] << 8) | (bytes[offset + 2] << 16) | (bytes[offset + 3] << 24)) >>> 0;
+}
+
+export function u64le(bytes, offset) {
+  return u32le(bytes, offset + 4) * 2 ** 32 + u32le(bytes, offset);
+}
+
+/** ID3v2 "synchsafe" integer: four bytes of seven bits each. */
+export function synchsafe(bytes, offset) {
+  return ((bytes[offset] & 0x7f) << 21) | ((bytes[offset + 1] & 0x7f) << 14) |
+    ((bytes[offset + 2] & 0x7f) << 7) | (bytes[offset + 3] & 0x7f);
+}
+
+export function utf8(bytes) {
+  return new TextDecoder("utf-8").decode(bytes);
+}
+
+export function latin1(bytes) {
+  return new TextDecoder("latin1").decode(bytes);
+}
+
+/** UTF-16 honouring a byte order mark, big-endian without one. */
+export function utf16(bytes, bigEndianDefault = false) {
+  if (bytes[0] === 0xff && bytes[1] === 0xfe) return new TextDecoder("utf-16le").decode(bytes.subarray(2));
+  if (bytes[0] === 0xfe && bytes[1] === 0xff) return new TextDecoder("utf-16be").decode(bytes.subarray(2));
+  return new TextDecoder(bigEndianDefault ? "utf-16be" : "utf-16le").decode(bytes);
+}
+
+export function concatBytes(chunks) {
+  const total = chunks.reduce((sum, chunk) => sum + chunk.byteLength, 0);
+  const out = new Uint8Array(total);
+  let offset = 0;
+  for (const chunk of chunks) {
+    out.set(chunk, offset);
+    offset += chunk.byteLength;
+  }
+  return out;
+}
+
+export function fromBase64(text) {
+  const binary = atob(text.replace(/\s+/g, ""));
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+  return bytes;
+}
@@ -0,0 +1,112 @@
+/**
+ * FLAC: STREAMINFO for the stream parameters and exact duration,
+ * VORBIS_COMMENT for tags and PICTURE for the cover. The Vorbis comment and
+ * picture layouts are also what Ogg streams carry, so ogg.js reuses them.
+ */
+
+import { ascii, fromBase64, latin1, u24be, u32be, u32le, utf8 } from "./bytes.js";
+import { readId3 } from "./mpeg.js";
+
+const MAX_BLOCKS = 64;
+const MAX_COMMENT_BYTES = 1024 * 1024;
+const MAX_PICTURE_BYTES = 4 * 1024 * 1024;
+
+const COMMENT_FIELDS = { TITLE: "title", ARTIST: "artist", ALBUM: "album" };
+
+export async function readFlac(read, size) {
+  // A few taggers put ID3 in front of FLAC; its tags are a fallback.
+  const { tags, audioStart } = await readId3(read);
+  const info = {};
+  const pictures = [];
+
+  let offset = audioStart + 4; // "fLaC"
+  for (let i = 0; i < MAX_BLOCKS && offset + 4 <= size; i++) {
+    const header = await read(offset, 4);
+    const last = header[0] & 0x80;
+    const type = header[0] & 0x7f;
+    const length = u24be(header, 1);
+    const start = offset + 4;
+
+    if (type === 0) {
+      Object.assign(info, parseStreamInfo(await read(start, 34)));
+    } else if (type === 4 && length <= MAX_COMMENT_BYTES) {
+      const comment = parseVorbisComment(await read(start, length));
+      pictures.push(...comment.pictures);
+      delete comment.pictures;
+      Object.assign(info, comment);
+    } else if (type === 6 && length <= MAX_PICTURE_BYTES) {
+      pictures.push(parsePicture(await read(start, length)));
+    }
+
+    offset = start + length;
+    if (last) break;
+  }
+
+  if (info.duration) info.bitrate = Math.round(((size - offset) * 8) / info.duration);
+  const cover = choosePicture(pictures);
+  return { ...tags, ...info, ...(cover ? { cover } : {}) };
+}
+
+/** The 34-byte STREAMINFO block. */
+export function parseStreamInfo(block) {
+  const sampleRate = (block[10] << 12) | (block[11] << 4) | (block[12] >> 4);
+  const channels = ((block[12] >> 1) & 0x07) + 1;
+  const totalSamples = (block[13] & 0x0f) * 2 ** 32 + u32be(block, 14);
+  return {
+    codec: "FLAC",
+    sampleRate,
+    channels,
+    ...(sampleRate && totalSamples ? { duration: totalSamples / sampleRate } : {}),
+  };
+}
+
+/**
+ * Vorbis comment (little-endian lengths, "KEY=value" entries). Returns the
+ * title/artist/album found plus `pictures` from METADATA_BLOCK_PICTURE.
+ */
+export function parseVorbisComment(bytes) {
+  const info = { pictures: [] };
+  let offset = 4 + u32le(bytes, 0); // vendor string
+  const count = u32le(bytes, offset);
+  offset += 4;
+
+  for (let i = 0; i < count && offset + 4 <= bytes.length; i++) {
+    const length = u32le(bytes, offset);
+    const entry = bytes.subarray(offset + 4, offset + 4 + length);
+    offset += 4 + length;
+
+    const separator = entry.indexOf(0x3d); // "="
+    if (separator < 0) continue;
+    const key = ascii(entry, 0, separator).toUpperCase();
+    if (COMMENT_FIELDS[key]) {
+      info[COMMENT_FIELDS[key]] = info[COMMENT_FIELDS[key]] || utf8(entry.subarray(separator + 1)).trim();
+    } else if (key === "METADATA_BLOCK_PICTURE") {
+      try {
+        info.pictures.push(parsePicture(fromBase64(latin1(entry.subarray(separator + 1)))));
+      } catch {
+        // Not valid base64; ignore the picture.
+      }
+    }
+  }
+  return info;
+}
+
+/** FLAC PICTURE block (big-endian). */
+export function parsePicture(bytes) {
+  const type = u32be(bytes, 0);
+  const mimeLength = u32be(bytes, 4);
+  const mimeType = ascii(bytes, 8, mimeLength);
+  let offset = 8 + mimeLength;
+  offset += 4 + u32be(bytes, offset); // description
+  offset += 16; // width, height, depth, colours
+  const dataLength = u32be(bytes, offset);
+  const data = bytes.subarray(offset + 4, offset + 4 + dataLength);
+  return data.length ? { type, mimeType, data } : null;
+}
+
+/** Front cover (type 3) if there is one, else the first picture. */
+export function choosePicture(pictures) {
+  const usable = pictures.filter(Boolean);
+  const picture = usable.find((p) => p.type === 3) || usable[0];
+  return picture ? { mimeType: picture.mimeType, data: picture.data } : null;
+}
@@ -0,0 +1,120 @@
+/**
+ * Audio metadata read from the file headers at upload time: duration,
+ * codec, bitrate, sample rate, channel count, title / artist / album tags
+ * and embedded cover art.
+ *
+ * The parsers pull only the bytes they need through `read(offset, length)`,
+ * so the same code works on an upload still in memory (bufferReader) and on
+ * a multipart upload already assembled in R2 (bucketReader, ranged gets).
+ *
+ * Results live next to the track, as it is immutable once stored:
+ *   audio/<token>/metadata.json   { duration, codec, bitrate, sampleRate,
+ *                                   channels, title, artist, album, cover }
+ *   audio/<token>/cover           the image, when the file has one
+ */
+
+import { readJsonSidecar, sidecarKey } from "../store.js";
+import { readFlac } from "./flac.js";
+import { readMp4 } from "./mp4.js";
+import { readMpeg } from "./mpeg.js";
+import { readOgg } from "./ogg.js";
+import { readWav } from "./wav.js";
+import { readWebm } from "./webm.js";
+
+export const METADATA_SIDECAR = "metadata.json";
+export const COVER_SIDECAR = "cover";
+
+export const MAX_COVER_BYTES = 2 * 1024 * 1024;
+
+const MAX_TAG_LENGTH = 500;
+
+// Keyed by the type lib/sniff.js stored the upload with.
+const READERS = {
+  "audio/mpeg": readMpeg,
+  "audio/aac": readMpeg,
+  "audio/wav": readWav,
+  "audio/flac": readFlac,
+  "audio/ogg": readOgg,
+  "audio/mp4": readMp4,
+  "audio/webm": readWebm,
+};
+
+export function bufferReader(bytes) {
+  return async (offset, length) => bytes.subarray(offset, offset + length);
+}
+
+export function bucketReader(bucket, key) {
+  return async (offset, length) => {
+    const object = await bucket.get(key, { range: { offset, length } });
+    return object ? new Uint8Array(await object.arrayBuffer()) : new Uint8Array(0);
+  };
+}
+
+/**
+ * Parses the file and stores metadata.json (and the cover). Never throws:
+ * a file the parsers do not understand just has no metadata. Returns the
+ * stored document or null.
+ */
+export async function storeMetadata(bucket, token, read, size, contentType) {
+  let parsed;
+  try {
+    const reader = READERS[contentType];
+    parsed = reader ? await reader(read, size) : null;
+  } catch (err) {
+    parsed = null;
+  }
+  if (!parsed) return null;
+
+  const { cover, ...fields } = parsed;
+  const doc = normalize(fields);
+
+  const coverType = cover && cover.data.byteLength <= MAX_COVER_BYTES ? sniffImageType(cover.data) : null;
+  try {
+    if (coverType) {
+      await bucket.put(sidecarKey(token, COVER_SIDECAR), cover.data, { httpMetadata: { contentType: coverType } });
+      doc.cover = true;
+    }
+    await bucket.put(sidecarKey(token, METADATA_SIDECAR), JSON.stringify(doc), {
+      httpMetadata: { contentType: "application/json" },
+    });
+  } catch (err) {
+    return null;
+  }
+  return doc;
+}
+
+export async function readMetadata(bucket, token) {
+  return readJsonSidecar(bucket, token, METADATA_SIDECAR);
+}
+
+export async function readCover(bucket, token) {
+  return bucket.get(sidecarKey(token, COVER_SIDECAR));
+}
+
+function normalize(fields) {
+  const doc = {};
+  if (Number.isFinite(fields.duration) && fields.duration > 0) {
+    doc.duration = Math.round(fields.duration * 1000) / 1000;
+  }
+  for (const name of ["bitrate", "sampleRate", "channels"]) {
+    if (Number.isFinite(fields[name]) && fields[name] > 0) doc[name] = Math.round(fields[name]);
+  }
+  for (const name of ["codec", "title", "artist", "album"]) {
+    const value = typeof fields[name] === "string" ? fields[name].replace(/\0/g, "").trim() : "";
+    if (value) doc[name] = value.slice(0, MAX_TAG_LENGTH);
+  }
+  return doc;
+}
+
+// Covers are served back as images, so their type is checked rather than
+// taken from the tag: anything but these four is dropped.
+function sniffImageType(bytes) {
+  if (bytes[0] === 0xff && bytes[1] === 0xd8 && bytes[2] === 0xff) return "image/jpeg";
+  if (bytes[0] === 0x89 && bytes[1] === 0x50 && bytes[2] === 0x4e && bytes[3] === 0x47) return "image/png";
+  if (bytes[0] === 0x47 && bytes[1] === 0x49 && bytes[2] === 0x46) return "image/gif";
+  if (bytes[8] === 0x57 && bytes[9] === 0x45 && bytes[10] === 0x42 && bytes[11] === 0x50 &&
+    bytes[0] === 0x52 && bytes[1] === 0x49) {
+    return "image/webp";
+  }
+  return null;
+}
@@ -0,0 +1,194 @@
+/**
+ * MP4 / M4A (ISO BMFF): everything lives in the `moov` box, which encoders
+ * put either right after `ftyp` or at the very end of the file, so the
+ * top-level boxes are walked by their headers and only `moov` is read.
+ * The sound track's sample entry gives the codec and stream parameters,
+ * and the iTunes-style `ilst` list the tags and cover.
+ */
+
+import { ascii, u16be, u32be, u64be, utf8 } from "./bytes.js";
+
+const MAX_TOP_LEVEL_BOXES = 64;
+const MAX_MOOV_BYTES = 8 * 1024 * 1024;
+
+const CODECS = {
+  mp4a: "AAC",
+  alac: "ALAC",
+  Opus: "Opus",
+  fLaC: "FLAC",
+  "ac-3": "AC-3",
+  "ec-3": "E-AC-3",
+  ".mp3": "MP3",
+};
+
+const TAG_FIELDS = { "\xa9nam": "title", "\xa9ART": "artist", "\xa9alb": "album" };
+
+export async function readMp4(read, size) {
+  let offset = 0;
+  for (let i = 0; i < MAX_TOP_LEVEL_BOXES && offset + 8 <= size; i++) {
+    const header = await read(offset, 16);
+    let boxSize = u32be(header, 0);
+    const type = ascii(header, 4, 4);
+    if (boxSize === 1) boxSize = u64be(header, 8);
+    else if (boxSize === 0) boxSize = size - offset;
+    if (boxSize < 8) break;
+
+    if (type === "moov") {
+      if (boxSize > MAX_MOOV_BYTES) return {};
+      const moov = await read(offset, boxSize);
+      return parseMoov(moov, headerLength(moov, 0), moov.length, size);
+    }
+    offset += boxSize;
+  }
+  return {};
+}
+
+function parseMoov(bytes, start, end, size) {
+  const info = {};
+  let movieDuration = 0;
+
+  for (const box of children(bytes, start, end)) {
+    if (box.type === "mvhd") {
+      movieDuration = mediaDuration(bytes, box.start);
+    } else if (box.type === "trak" && !info.codec) {
+      Object.assign(info, parseTrack(bytes, box));
+    } else if (box.type === "udta" || box.type === "meta") {
+      Object.assign(info, findTags(bytes, box));
+    }
+  }
+
+  info.duration = info.duration || movieDuration || undefined;
+  if (info.duration && !info.bitrate) info.bitrate = Math.round((size * 8) / info.duration);
+  return info;
+}
+
+function parseTrack(bytes, trak) {
+  const mdia = child(bytes, trak, "mdia");
+  const hdlr = mdia && child(bytes, mdia, "hdlr");
+  if (!hdlr || ascii(bytes, hdlr.start + 8, 4) !== "soun") return {};
+
+  const info = {};
+  const mdhd = child(bytes, mdia, "mdhd");
+  if (mdhd) info.duration = mediaDuration(bytes, mdhd.start);
+
+  const stsd = path(bytes, mdia, ["minf", "stbl", "stsd"]);
+  if (!stsd) return info;
+  // Full box (4 bytes) and entry count (4 bytes), then the first sample entry.
+  const entry = children(bytes, stsd.start + 8, stsd.end).next().value;
+  if (!entry) return info;
+
+  info.codec = CODECS[entry.type] || entry.type.trim();
+  // Audio sample entry: 8 bytes of SampleEntry, 8 reserved, then the fields.
+  info.channels = u16be(bytes, entry.start + 16);
+  info.sampleRate = u32be(bytes, entry.start + 24) >>> 16;
+
+  if (entry.type === "mp4a") {
+    const esds = [...children(bytes, entry.start + 28, entry.end)].find((box) => box.type === "esds");
+    if (esds) Object.assign(info, parseEsds(bytes, esds.start + 4, esds.end));
+  }
+  return info;
+}
+
+// Elementary stream descriptor: the object type tells MP3 from AAC and the
+// decoder config carries the average bitrate.
+function parseEsds(bytes, start, end) {
+  const info = {};
+  let offset = start;
+  while (offset < end) {
+    const tag = bytes[offset];
+    let length = 0;
+    let i = offset + 1;
+    for (let n = 0; n < 4; n++, i++) {
+      length = (length << 7) | (bytes[i] & 0x7f);
+      if (!(bytes[i] & 0x80)) {
+        i++;
+        break;
+      }
+    }
+
+    if (tag === 0x03) {
+      const flags = bytes[i + 2];
+      offset = i + 3 + (flags & 0x80 ? 2 : 0) + (flags & 0x40 ? 1 + bytes[i + 3] : 0) + (flags & 0x20 ? 2 : 0);
+      continue;
+    }
+    if (tag === 0x04) {
+      const objectType = bytes[i];
+      if (objectType === 0x69 || objectType === 0x6b) info.codec = "MP3";
+      const average = u32be(bytes, i + 9);
+      if (average) info.bitrate = average;
+      return info;
+    }
+    offset = i + length;
+  }
+  return info;
+}
+
+function findTags(bytes, box) {
+  const meta = box.type === "meta" ? box : child(bytes, box, "meta");
+  if (!meta) return {};
+  // `meta` is a full box: four bytes of version and flags before its children
+  // (QuickTime files leave them out).
+  const childStart = ascii(bytes, meta.start + 4, 4) === "hdlr" ? meta.start : meta.start + 4;
+  const ilst = [...children(bytes, childStart, meta.end)].find((b) => b.type === "ilst");
+  if (!ilst) return {};
+
+  const info = {};
+  for (const item of children(bytes, ilst.start, ilst.end)) {
+    const data = child(bytes, item, "data");
+    if (!data) continue;
+    const dataType = u32be(bytes, data.start) & 0xffffff;
+    const value = bytes.subarray(data.start + 8, data.end);
+
+    if (TAG_FIELDS[item.type] && dataType === 1) {
+      info[TAG_FIELDS[item.type]] = utf8(value).trim();
+    } else if (item.type === "covr" && !info.cover && value.length) {
+      info.cover = { mimeType: dataType === 14 ? "image/png" : "image/jpeg", data: value };
+    }
+  }
+  return info;
+}
+
+// mvhd / mdhd: duration in the box's own timescale.
+function mediaDuration(bytes, start) {
+  const version = bytes[start];
+  const timescale = version === 1 ? u32be(bytes, start + 20) : u32be(bytes, start + 12);
+  const duration = version === 1 ? u64be(bytes, start + 24) : u32be(bytes, start + 16);
+  return timescale && duration && duration !== 0xffffffff ? duration / timescale : 0;
+}
+
+function headerLength(bytes, offset) {
+  return offset + (u32be(bytes, offset) === 1 ? 16 : 8);
+}
+
+export function* children(bytes, start, end) {
+  let offset = start;
+  while (offset + 8 <= end) {
+    let boxSize = u32be(bytes, offset);
+    const type = ascii(bytes, offset + 4, 4);
+    let header = 8;
+    if (boxSize === 1) {
+      boxSize = u64be(bytes, offset + 8);
+      header = 16;
+    } else if (boxSize === 0) {
+      boxSize = end - offset;
+    }
+    if (boxSize < header || offset + boxSize > end) return;
+    yield { type, start: offset + header, end: offset + boxSize };
+    offset += boxSize;
+  }
+}
+
+function child(bytes, box, type) {
+  for (const candidate of children(bytes, box.start, box.end)) {
+    if (candidate.type === type) return candidate;
+  }
+  return null;
+}
+
+export function path(bytes, box, types) {
+  let current = box;
+  for (const type of types) {
+    current = current && child(bytes, current, type);
+  }
+  return current;
+}
@@ -0,0 +1,227 @@
+/**
+ * MP3 and AAC (ADTS): ID3v2 / ID3v1 tags, then the first frame header for
+ * the stream parameters. Duration comes from a Xing/Info or VBRI header
+ * when the encoder wrote one, otherwise from the file size and bitrate.
+ */
+
+import { ascii, latin1, synchsafe, u24be, u32be, utf16, utf8 } from "./bytes.js";
+
+// Tags bigger than this (huge embedded artwork) are skipped entirely.
+const MAX_ID3_BYTES = 4 * 1024 * 1024;
+
+// How far past the tag to look for the first audio frame.
+const FRAME_SEARCH_BYTES = 64 * 1024;
+
+const MP3_BITRATES = {
+  "1-1": [0, 32, 64, 96, 128, 160, 192, 224, 256, 288, 320, 352, 384, 416, 448],
+  "1-2": [0, 32, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320, 384],
+  "1-3": [0, 32, 40, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320],
+  "2-1": [0, 32, 48, 56, 64, 80, 96, 112, 128, 144, 160, 176, 192, 224, 256],
+  "2-2": [0, 8, 16, 24, 32, 40, 48, 56, 64, 80, 96, 112, 128, 144, 160],
+  "2-3": [0, 8, 16, 24, 32, 40, 48, 56, 64, 80, 96, 112, 128, 144, 160],
+};
+
+const MP3_SAMPLE_RATES = {
+  1: [44100, 48000, 32000],
+  2: [22050, 24000, 16000],
+  2.5: [11025, 12000, 8000],
+};
+
+const ADTS_SAMPLE_RATES = [96000, 88200, 64000, 48000, 44100, 32000, 24000, 22050, 16000, 12000, 11025, 8000, 7350];
+
+/** Size of a leading ID3v2 tag (0 if there is none), from its 10-byte header. */
+export function id3Length(header) {
+  if (ascii(header, 0, 3) !== "ID3") return 0;
+  return 10 + synchsafe(header, 6) + (header[5] & 0x10 ? 10 : 0);
+}
+
+/** Reads the leading ID3v2 tag, if any. Returns { tags, audioStart }. */
+export async function readId3(read) {
+  const header = await read(0, 10);
+  const length = id3Length(header);
+  if (!length) return { tags: {}, audioStart: 0 };
+  const tags = length <= MAX_ID3_BYTES ? parseId3v2(await read(0, length)) : {};
+  return { tags, audioStart: length };
+}
+
+export async function readMpeg(read, size) {
+  const { tags, audioStart } = await readId3(read);
+  const info = { ...tags };
+
+  const window = await read(audioStart, FRAME_SEARCH_BYTES);
+  let offset = 0;
+  while (offset < window.length && window[offset] === 0) offset++; // tag padding
+
+  for (; offset + 4 <= window.length; offset++) {
+    if (window[offset] !== 0xff || (window[offset + 1] & 0xe0) !== 0xe0) continue;
+    const stream = (window[offset + 1] & 0x06) === 0
+      ? parseAdts(window, offset, size - audioStart - offset)
+      : parseMp3(window, offset, size - audioStart - offset);
+    if (stream) {
+      Object.assign(info, stream);
+      break;
+    }
+  }
+
+  if (!info.title && !info.artist && size >= 128) {
+    Object.assign(info, parseId3v1(await read(size - 128, 128)));
+  }
+  return info;
+}
+
+function parseMp3(bytes, offset, audioBytes) {
+  const b1 = bytes[offset + 1];
+  const b2 = bytes[offset + 2];
+  const b3 = bytes[offset + 3];
+  const version = [2.5, 0, 2, 1][(b1 >> 3) & 0x03];
+  const layer = [0, 3, 2, 1][(b1 >> 1) & 0x03];
+  const table = MP3_BITRATES[`${version === 1 ? 1 : 2}-${layer}`];
+  const kbps = table ? table[b2 >> 4] : undefined;
+  const sampleRate = version ? MP3_SAMPLE_RATES[version][(b2 >> 2) & 0x03] : undefined;
+  if (!version || !layer || !kbps || !sampleRate) return null;
+
+  const channels = b3 >> 6 === 3 ? 1 : 2;
+  const samplesPerFrame = layer === 1 ? 384 : layer === 3 && version !== 1 ? 576 : 1152;
+
+  // Xing/Info sits after the side information; VBRI at a fixed offset.
+  const sideInfo = version === 1 ? (channels === 1 ? 17 : 32) : channels === 1 ? 9 : 17;
+  let frames = 0;
+  const xing = offset + 4 + sideInfo;
+  const xingId = ascii(bytes, xing, 4);
+  if ((xingId === "Xing" || xingId === "Info") && u32be(bytes, xing + 4) & 0x01) {
+    frames = u32be(bytes, xing + 8);
+  } else if (ascii(bytes, offset + 36, 4) === "VBRI") {
+    frames = u32be(bytes, offset + 36 + 14);
+  }
+
+  const duration = frames ? (frames * samplesPerFrame) / sampleRate : (audioBytes * 8) / (kbps * 1000);
+  return {
+    codec: layer === 3 ? "MP3" : layer === 2 ? "MP2" : "MP1",
+    sampleRate,
+    channels,
+    bitrate: frames ? Math.round((audioBytes * 8) / duration) : kbps * 1000,
+    duration,
+  };
+}
+
+// ADTS has no duration header: average the frame sizes seen in the window.
+function parseAdts(bytes, offset, audioBytes) {
+  if ((bytes[offset + 1] & 0xf6) !== 0xf0) return null;
+  const sampleRate = ADTS_SAMPLE_RATES[(bytes[offset + 2] >> 2) & 0x0f];
+  const channels = ((bytes[offset + 2] & 0x01) << 2) | (bytes[offset + 3] >> 6);
+  if (!sampleRate) return null;
+
+  let frames = 0;
+  let position = offset;
+  while (position + 7 <= bytes.length && bytes[position] === 0xff && (bytes[position + 1] & 0xf6) === 0xf0) {
+    const length = ((bytes[position + 3] & 0x03) << 11) | (bytes[position + 4] << 3) | (bytes[position + 5] >> 5);
+    if (length < 7) break;
+    frames++;
+    position += length;
+  }
+  const info = { codec: "AAC", sampleRate, channels: channels || undefined };
+  if (frames) {
+    const totalFrames = audioBytes / ((position - offset) / frames);
+    info.duration = (totalFrames * 1024) / sampleRate;
+    info.bitrate = Math.round((audioBytes * 8) / info.duration);
+  }
+  return info;
+}
+
+/** Title, artist, album and front cover from a whole ID3v2 tag (header included). */
+export function parseId3v2(tag) {
+  const major = tag[3];
+  const flags = tag[5];
+  let body = tag.subarray(10, 10 + synchsafe(tag, 6));
+  if (flags & 0x80 && major < 4) body = removeUnsynchronisation(body);
+
+  let offset = 0;
+  if (flags & 0x40) {
+    offset = major === 4 ? synchsafe(body, 0) : 4 + u32be(body, 0);
+  }
+
+  const idLength = major === 2 ? 3 : 4;
+  const headerLength = major === 2 ? 6 : 10;
+  const info = {};
+  let pictures = [];
+
+  while (offset + headerLength <= body.length) {
+    const id = ascii(body, offset, idLength);
+    if (!/^[A-Z0-9]+$/.test(id)) break; // padding
+    const frameSize = major === 2 ? u24be(body, offset + 3) : major === 4 ? synchsafe(body, offset + 4) : u32be(body, offset + 4);
+    const formatFlags = major === 2 ? 0 : body[offset + 9];
+    let frame = body.subarray(offset + headerLength, offset + headerLength + frameSize);
+    offset += headerLength + frameSize;
+
+    // Compressed or encrypted frames are not worth the trouble.
+    if (major === 3 && formatFlags & 0xc0) continue;
+    if (major === 4 && formatFlags & 0x0c) continue;
+    if (major === 4 && formatFlags & 0x02) frame = removeUnsynchronisation(frame);
+    if (major === 4 && formatFlags & 0x01) frame = frame.subarray(4);
+
+    if (id === "TIT2" || id === "TT2") info.title = info.title || id3Text(frame);
+    else if (id === "TPE1" || id === "TP1") info.artist = info.artist || id3Text(frame);
+    else if (id === "TALB" || id === "TAL") info.album = info.album || id3Text(frame);
+    else if (id === "APIC" || id === "PIC") pictures.push(id3Picture(frame, id === "PIC"));
+  }
+
+  pictures = pictures.filter(Boolean);
+  const cover = pictures.find((picture) => picture.type === 3) || pictures[0];
+  if (cover) info.cover = { mimeType: cover.mimeType, data: cover.data };
+  return info;
+}
+
+function parseId3v1(tail) {
+  if (ascii(tail, 0, 3) !== "TAG") return {};
+  const field = (start, length) => latin1(tail.subarray(start, start + length)).replace(/\0.*$/s, "").trim();
+  return { title: field(3, 30), artist: field(33, 30), album: field(63, 30) };
+}
+
+function removeUnsynchronisation(bytes) {
+  const out = [];
+  for (let i = 0; i < bytes.length; i++) {
+    out.push(bytes[i]);
+    if (bytes[i] === 0xff && bytes[i + 1] === 0x00) i++;
+  }
+  return Uint8Array.from(out);
+}
+
+function id3Text(frame) {
+  // Several values are separated by NULs in ID3v2.4; keep the first.
+  return decodeId3(frame.subarray(1), frame[0]).split("\0")[0].trim();
+}
+
+function decodeId3(bytes, encoding) {
+  if (encoding === 1) return utf16(bytes);
+  if (encoding === 2) return utf16(bytes, true);
+  if (encoding === 3) return utf8(bytes);
+  return latin1(bytes);
+}
+
+// Index just past the NUL terminator of a string in the given encoding.
+function skipTerminated(bytes, start, encoding) {
+  const wide = encoding === 1 || encoding === 2;
+  for (let i = start; i < bytes.length; i += wide ? 2 : 1) {
+    if (bytes[i] === 0 && (!wide || bytes[i + 1] === 0)) return i + (wide ? 2 : 1);
+  }
+  return bytes.length;
+}
+
+function id3Picture(frame, v22) {
+  const encoding = frame[0];
+  let offset;
+  let mimeType;
+  if (v22) {
+    const format = ascii(frame, 1, 3).toUpperCase();
+    mimeType = format === "PNG" ? "image/png" : "image/jpeg";
+    offset = 4;
+  } else {
+    const mimeEnd = skipTerminated(frame, 1, 0);
+    mimeType = latin1(frame.subarray(1, mimeEnd - 1));
+    offset = mimeEnd;
+  }
+  const type = frame[offset];
+  offset = skipTerminated(frame, offset + 1, encoding);
+  const data = frame.subarray(offset);
+  return data.length ? { type, mimeType, data } : null;
+}
@@ -0,0 +1,118 @@
+/**
+ * Ogg (Opus, Vorbis, FLAC, Speex): the first two packets of the first
+ * logical stream hold the codec's identification header and its Vorbis
+ * comment; the duration is the granule position of the last page.
+ */
+
+import { ascii, concatBytes, u16le, u32le, u64le } from "./bytes.js";
+import { choosePicture, parseStreamInfo, parseVorbisComment } from "./flac.js";
+
+// Comment packets with embedded artwork can span many pages.
+const HEAD_BYTES = 2 * 1024 * 1024;
+const TAIL_BYTES = 64 * 1024;
+
+export async function readOgg(read, size) {
+  const [idPacket, commentPacket] = oggPackets(await read(0, HEAD_BYTES), 2);
+  if (!idPacket) return {};
+
+  const stream = identify(idPacket);
+  if (!stream) return {};
+  const { granuleRate, preSkip = 0, commentOffset, ...info } = stream;
+
+  if (commentPacket) {
+    const comment = parseVorbisComment(commentPacket.subarray(commentOffset(commentPacket)));
+    const cover = choosePicture(comment.pictures);
+    delete comment.pictures;
+    Object.assign(info, comment, cover ? { cover } : {});
+  }
+
+  const granule = lastGranule(await read(Math.max(0, size - TAIL_BYTES), TAIL_BYTES));
+  if (granule > preSkip && granuleRate) {
+    info.duration = (granule - preSkip) / granuleRate;
+    info.bitrate = Math.round((size * 8) / info.duration);
+  }
+  return info;
+}
+
+function identify(packet) {
+  if (ascii(packet, 0, 8) === "OpusHead") {
+    return {
+      codec: "Opus",
+      channels: packet[9],
+      sampleRate: u32le(packet, 12) || 48000,
+      preSkip: u16le(packet, 10),
+      granuleRate: 48000, // Opus granules always count 48 kHz samples
+      commentOffset: () => 8, // "OpusTags"
+    };
+  }
+  if (ascii(packet, 0, 7) === "\x01vorbis") {
+    const sampleRate = u32le(packet, 12);
+    return {
+      codec: "Vorbis",
+      channels: packet[11],
+      sampleRate,
+      granuleRate: sampleRate,
+      commentOffset: () => 7, // "\x03vorbis"
+    };
+  }
+  if (ascii(packet, 0, 5) === "\x7fFLAC") {
+    // Mapping header (9 bytes), "fLaC", then a STREAMINFO metadata block.
+    const streamInfo = parseStreamInfo(packet.subarray(17));
+    delete streamInfo.duration;
+    return { ...streamInfo, granuleRate: streamInfo.sampleRate, commentOffset: () => 4 };
+  }
+  if (ascii(packet, 0, 8) === "Speex   ") {
+    const sampleRate = u32le(packet, 36);
+    return {
+      codec: "Speex",
+      channels: u32le(packet, 48),
+      sampleRate,
+      granuleRate: sampleRate,
+      commentOffset: () => 0,
+    };
+  }
+  return null;
+}
+
+// Reassembles the first `count` packets of the first stream in `bytes`.
+// A packet cut off by the end of the buffer is dropped.
+function oggPackets(bytes, count) {
+  const packets = [];
+  let pending = [];
+  let serial = null;
+  let offset = 0;
+
+  while (packets.length < count && offset + 27 <= bytes.length && ascii(bytes, offset, 4) === "OggS") {
+    const segments = bytes[offset + 26];
+    const pageSerial = u32le(bytes, offset + 14);
+    let dataOffset = offset + 27 + segments;
+    if (serial === null) serial = pageSerial;
+
+    for (let i = 0; i < segments; i++) {
+      const length = bytes[offset + 27 + i];
+      if (pageSerial === serial) {
+        if (dataOffset + length > bytes.length) return packets;
+        pending.push(bytes.subarray(dataOffset, dataOffset + length));
+        if (length < 255) {
+          packets.push(concatBytes(pending));
+          pending = [];
+          if (packets.length === count) break;
+        }
+      }
+      dataOffset += length;
+    }
+    offset = dataOffset;
+  }
+  return packets;
+}
+
+function lastGranule(tail) {
+  for (let offset = tail.length - 27; offset >= 0; offset--) {
+    if (tail[offset] === 0x4f && ascii(tail, offset, 4) === "OggS") {
+      const granule = u64le(tail, offset + 6);
+      // -1 marks a page on which no packet ends.
+      if (granule !== 2 ** 64 - 1 && granule < Number.MAX_SAFE_INTEGER) return granule;
+    }
+  }
+  return 0;
+}
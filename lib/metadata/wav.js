@@ -0,0 +1,75 @@
+/**
+ * WAV (RIFF / RF64): the `fmt ` chunk for the stream parameters, the `data`
+ * chunk size for the duration and a LIST/INFO chunk for tags, which editors
+ * put before or after the audio.
+ */
+
+import { ascii, latin1, u16le, u32le } from "./bytes.js";
+
+const MAX_CHUNKS = 64;
+const MAX_INFO_BYTES = 64 * 1024;
+
+const FORMATS = {
+  0x0001: "PCM",
+  0x0002: "ADPCM",
+  0x0003: "IEEE float",
+  0x0006: "A-law",
+  0x0007: "µ-law",
+  0x0011: "IMA ADPCM",
+  0x0055: "MP3",
+};
+
+const INFO_FIELDS = { INAM: "title", IART: "artist", IPRD: "album" };
+
+export async function readWav(read, size) {
+  const info = {};
+  const rf64 = ascii(await read(0, 4), 0, 4) === "RF64";
+  let byteRate = 0;
+  let dataSize = 0;
+
+  let offset = 12;
+  for (let i = 0; i < MAX_CHUNKS && offset + 8 <= size; i++) {
+    const header = await read(offset, 8);
+    const id = ascii(header, 0, 4);
+    let chunkSize = u32le(header, 4);
+    const start = offset + 8;
+
+    if (id === "fmt ") {
+      const fmt = await read(start, Math.min(chunkSize, 40));
+      let format = u16le(fmt, 0);
+      if (format === 0xfffe && chunkSize >= 26) format = u16le(fmt, 24); // WAVE_FORMAT_EXTENSIBLE
+      info.codec = FORMATS[format] || `WAV format 0x${format.toString(16)}`;
+      info.channels = u16le(fmt, 2);
+      info.sampleRate = u32le(fmt, 4);
+      byteRate = u32le(fmt, 8);
+      info.bitrate = byteRate * 8;
+    } else if (id === "data") {
+      // RF64 and streamed WAVs leave the size at 0xFFFFFFFF: the rest of the file.
+      if (rf64 || chunkSize === 0xffffffff || start + chunkSize > size) chunkSize = size - start;
+      dataSize = chunkSize;
+    } else if (id === "LIST" && chunkSize <= MAX_INFO_BYTES) {
+      const list = await read(start, chunkSize);
+      if (ascii(list, 0, 4) === "INFO") Object.assign(info, parseInfo(list));
+    }
+
+    offset = start + chunkSize + (chunkSize & 1);
+  }
+
+  if (byteRate && dataSize) info.duration = dataSize / byteRate;
+  return info;
+}
+
+function parseInfo(list) {
+  const tags = {};
+  let offset = 4;
+  while (offset + 8 <= list.length) {
+    const id = ascii(list, offset, 4);
+    const length = u32le(list, offset + 4);
+    const field = INFO_FIELDS[id];
+    if (field) {
+      tags[field] = latin1(list.subarray(offset + 8, offset + 8 + length)).replace(/\0.*$/s, "").trim();
+    }
+    offset += 8 + length + (length & 1);
+  }
+  return tags;
+}
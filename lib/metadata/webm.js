@@ -0,0 +1,133 @@
+/**
+ * WebM (Matroska): Segment > Info for the duration, Tracks for the audio
+ * track's codec and parameters, Tags for a title and artist. Browser
+ * recordings (MediaRecorder) write no duration; it is simply left out then.
+ * Parsing stops at the first Cluster, where the media data begins.
+ */
+
+import { ascii, utf8 } from "./bytes.js";
+
+const HEAD_BYTES = 512 * 1024;
+
+const SEGMENT = 0x18538067;
+const CLUSTER = 0x1f43b675;
+const MASTER_ELEMENTS = new Set([
+  SEGMENT,
+  0x1549a966, // Info
+  0x1654ae6b, // Tracks
+  0xae, // TrackEntry
+  0xe1, // Audio
+  0x1254c367, // Tags
+  0x7373, // Tag
+  0x67c8, // SimpleTag
+]);
+
+const CODECS = {
+  A_OPUS: "Opus",
+  A_VORBIS: "Vorbis",
+  A_FLAC: "FLAC",
+  "A_MPEG/L3": "MP3",
+  A_AC3: "AC-3",
+};
+
+export async function readWebm(read, size) {
+  const bytes = await read(0, HEAD_BYTES);
+  const state = { timecodeScale: 1000000, trackType: 0, track: {}, audio: null, tagName: "", tags: {} };
+  walk(bytes, 0, bytes.length, state);
+
+  const info = { ...(state.audio || {}) };
+  if (info.codec) info.codec = CODECS[info.codec] || (info.codec.startsWith("A_AAC") ? "AAC" : info.codec.replace(/^A_/, ""));
+  if (state.duration) {
+    info.duration = (state.duration * state.timecodeScale) / 1e9;
+    info.bitrate = Math.round((size * 8) / info.duration);
+  }
+  if (state.tags.TITLE) info.title = state.tags.TITLE;
+  if (state.tags.ARTIST) info.artist = state.tags.ARTIST;
+  if (state.tags.ALBUM) info.album = state.tags.ALBUM;
+  return info;
+}
+
+// Returns false once a Cluster is reached.
+function walk(bytes, start, end, state) {
+  let offset = start;
+  while (offset < end) {
+    const id = readVint(bytes, offset, true);
+    if (!id) return true;
+    const length = readVint(bytes, offset + id.length, false);
+    if (!length) return true;
+    const dataStart = offset + id.length + length.length;
+    // Unknown sizes (live recordings) run to the end of the parent.
+    const dataEnd = length.unknown ? end : Math.min(end, dataStart + length.value);
+
+    if (id.value === CLUSTER) return false;
+    if (MASTER_ELEMENTS.has(id.value)) {
+      if (id.value === 0xae) state.track = {};
+      if (!walk(bytes, dataStart, dataEnd, state)) return false;
+      if (id.value === 0xae && state.trackType === 2 && !state.audio) state.audio = state.track;
+    } else {
+      element(bytes, id.value, dataStart, dataEnd, state);
+    }
+    offset = dataEnd;
+  }
+  return true;
+}
+
+function element(bytes, id, start, end, state) {
+  const data = bytes.subarray(start, end);
+  switch (id) {
+    case 0x2ad7b1: // TimecodeScale
+      state.timecodeScale = uint(data) || state.timecodeScale;
+      break;
+    case 0x4489: // Duration
+      state.duration = float(data);
+      break;
+    case 0x83: // TrackType
+      state.trackType = uint(data);
+      break;
+    case 0x86: // CodecID
+      state.track.codec = ascii(data, 0, data.length).replace(/\0+$/, "");
+      break;
+    case 0xb5: // SamplingFrequency
+      state.track.sampleRate = Math.round(float(data));
+      break;
+    case 0x9f: // Channels
+      state.track.channels = uint(data);
+      break;
+    case 0x45a3: // TagName
+      state.tagName = utf8(data).toUpperCase();
+      break;
+    case 0x4487: // TagString
+      if (state.tagName && !state.tags[state.tagName]) state.tags[state.tagName] = utf8(data).trim();
+      break;
+  }
+}
+
+// EBML variable-length integer. IDs keep their length marker bit.
+export function readVint(bytes, offset, keepMarker) {
+  const first = bytes[offset];
+  if (first === undefined || first === 0) return null;
+  let length = 1;
+  while (!(first & (0x80 >> (length - 1)))) length++;
+  if (offset + length > bytes.length) return null;
+
+  let value = keepMarker ? first : first & (0xff >> length);
+  let allOnes = value === (0xff >> length);
+  for (let i = 1; i < length; i++) {
+    value = value * 256 + bytes[offset + i];
+    if (bytes[offset + i] !== 0xff) allOnes = false;
+  }
+  return { value, length, unknown: !keepMarker && allOnes };
+}
+
+function uint(data) {
+  let value = 0;
+  for (const byte of data) value = value * 256 + byte;
+  return value;
+}
+
+function float(data) {
+  const view = new DataView(data.buffer, data.byteOffset, data.byteLength);
+  if (data.length === 4) return view.getFloat32(0);
+  if (data.length === 8) return view.getFloat64(0);
+  return 0;
+}
@@ -0,0 +1,80 @@
+/**
+ * Timestamped transcription notes, stored per track in the
+ * `audio/<token>/notes.json` sidecar as { notes: [...] } and therefore
+ * deleted together with the audio.
+ *
+ * A note is { id, time, text, createdAt }, `time` being seconds into the
+ * track (the listener's audio.currentTime when the note was taken).
+ */
+
+import { readJsonSidecar, updateJsonSidecar } from "./store.js";
+
+export const NOTES_SIDECAR = "notes.json";
+
+export const MAX_NOTES = 2000;
+export const MAX_NOTE_LENGTH = 2000;
+const MAX_NOTE_TIME = 24 * 60 * 60;
+
+export async function readNotes(bucket, token) {
+  const doc = await readJsonSidecar(bucket, token, NOTES_SIDECAR);
+  return sortNotes(doc && Array.isArray(doc.notes) ? doc.notes : []);
+}
+
+export function sortNotes(notes) {
+  return notes.slice().sort((a, b) => a.time - b.time || a.createdAt - b.createdAt);
+}
+
+/**
+ * Validates client input for a new or edited note. `partial` allows either
+ * field to be missing (for edits). Returns { error } or { fields }.
+ */
+export function parseNoteInput(body, partial = false) {
+  if (!body || typeof body !== "object") {
+    return { error: "Invalid JSON body" };
+  }
+  const fields = {};
+
+  if (body.time !== undefined || !partial) {
+    const time = Number(body.time);
+    if (!Number.isFinite(time) || time < 0 || time > MAX_NOTE_TIME) {
+      return { error: "time must be a number of seconds" };
+    }
+    fields.time = Math.round(time * 1000) / 1000;
+  }
+
+  if (body.text !== undefined || !partial) {
+    if (typeof body.text !== "string" || !body.text.trim()) {
+      return { error: "text must be a non-empty string" };
+    }
+    if (body.text.length > MAX_NOTE_LENGTH) {
+      return { error: `text must be at most ${MAX_NOTE_LENGTH} characters` };
+    }
+    fields.text = body.text.trim();
+  }
+
+  return { fields };
+}
+
+export function newNote(fields, now = Date.now()) {
+  return { id: crypto.randomUUID(), time: fields.time, text: fields.text, createdAt: now };
+}
+
+/**
+ * Applies `change(notes)` to the stored notes. `change` returns the new
+ * array, or `{ status, error }` to abort without writing.
+ * Returns { notes } or { status, error }.
+ */
+export async function changeNotes(bucket, token, change) {
+  let failure = null;
+  const doc = await updateJsonSidecar(bucket, token, NOTES_SIDECAR, (current) => {
+    const notes = current && Array.isArray(current.notes) ? current.notes : [];
+    const result = change(notes);
+    if (!Array.isArray(result)) {
+      failure = result;
+      return undefined;
+    }
+    failure = null;
+    return { notes: result };
+  });
+  return failure || { notes: sortNotes(doc.notes) };
+}
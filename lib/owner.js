@@ -0,0 +1,83 @@
+/**
+ * Owner (management) keys.
+ *
+ * The share token only lets people listen. Every mutating route requires the
+ * separate owner key that POST /api/upload returns exactly once. Only the
+ * SHA-256 hash of that key is stored, in customMetadata.ownerKeyHash.
+ *
+ * Clients send the key as `X-Owner-Key: <key>` (or `Authorization: Bearer`).
+ */
+
+import { toBase64Url, toHex } from "./encoding.js";
+import { GONE_MESSAGES, findTrack, goneStatus } from "./store.js";
+
+const encoder = new TextEncoder();
+
+export function generateOwnerKey() {
+  const bytes = new Uint8Array(32);
+  crypto.getRandomValues(bytes);
+  return toBase64Url(bytes);
+}
+
+export async function hashOwnerKey(ownerKey) {
+  const digest = await crypto.subtle.digest("SHA-256", encoder.encode(ownerKey));
+  return toHex(new Uint8Array(digest));
+}
+
+export function readOwnerKey(request) {
+  const header = request.headers.get("X-Owner-Key");
+  if (header) return header.trim();
+
+  const auth = request.headers.get("Authorization") || "";
+  const match = /^Bearer\s+(\S+)$/i.exec(auth.trim());
+  return match ? match[1] : "";
+}
+
+/**
+ * Returns null when the request carries the owner key matching `storedHash`,
+ * otherwise `{ status, error }` describing why it was refused.
+ */
+export async function ownerKeyError(request, storedHash) {
+  const ownerKey = readOwnerKey(request);
+  if (!ownerKey) {
+    return { status: 401, error: "Owner key required" };
+  }
+  // Objects uploaded before owner keys existed cannot be managed at all.
+  if (!storedHash) {
+    return { status: 403, error: "This audio cannot be managed" };
+  }
+  if (!(await ownerKeyMatches(ownerKey, storedHash))) {
+    return { status: 403, error: "Invalid owner key" };
+  }
+  return null;
+}
+
+/**
+ * Looks up a live track for an owner-only route. Returns { track }, or
+ * { status, error } when it is gone or the request lacks its owner key.
+ */
+export async function findOwnedTrack(request, bucket, token) {
+  const track = await findTrack(bucket, token);
+  if (track.gone) {
+    return { status: goneStatus(track.gone), error: GONE_MESSAGES[track.gone] };
+  }
+  const denied = await ownerKeyError(request, track.meta.ownerKeyHash);
+  return denied || { track };
+}
+
+/** Whether `ownerKey` is the key whose hash is `storedHash`. */
+export async function ownerKeyMatches(ownerKey, storedHash) {
+  if (typeof ownerKey !== "string" || !ownerKey || !storedHash) return false;
+  return timingSafeEqual(await hashOwnerKey(ownerKey), storedHash);
+}
+
+export function timingSafeEqual(a, b) {
+  if (typeof a !== "string" || typeof b !== "string" || a.length !== b.length) {
+    return false;
+  }
+  let diff = 0;
+  for (let i = 0; i < a.length; i++) {
+    diff |= a.charCodeAt(i) ^ b.charCodeAt(i);
+  }
+  return diff === 0;
+}
@@ -0,0 +1,53 @@
+/**
+ * Waveform peaks, stored per track in the `audio/<token>/peaks.json` sidecar.
+ *
+ * Workers cannot decode audio, so peaks are computed by a browser that has
+ * the file anyway (the uploader's right after uploading, or the first
+ * listener of a track that has none) and sent here once. The document is
+ * { version: 1, duration, peaks }, `peaks` being the loudest absolute sample
+ * of each equal slice of the track scaled to 0–255.
+ */
+
+import { readJsonSidecar, updateJsonSidecar } from "./store.js";
+
+export const PEAKS_SIDECAR = "peaks.json";
+
+export const MAX_PEAKS = 4000;
+export const MAX_PEAKS_BYTES = 64 * 1024;
+const MAX_DURATION = 24 * 60 * 60;
+
+export async function readPeaks(bucket, token) {
+  return readJsonSidecar(bucket, token, PEAKS_SIDECAR);
+}
+
+/** Validates uploaded peaks. Returns { error } or { peaks } (the document). */
+export function parsePeaks(body) {
+  if (!body || typeof body !== "object") {
+    return { error: "Invalid JSON body" };
+  }
+  const duration = Number(body.duration);
+  if (!Number.isFinite(duration) || duration <= 0 || duration > MAX_DURATION) {
+    return { error: "duration must be the track length in seconds" };
+  }
+  const { peaks } = body;
+  if (!Array.isArray(peaks) || !peaks.length || peaks.length > MAX_PEAKS) {
+    return { error: `peaks must be a list of 1 to ${MAX_PEAKS} values` };
+  }
+  if (!peaks.every((value) => Number.isInteger(value) && value >= 0 && value <= 255)) {
+    return { error: "peaks must be integers from 0 to 255" };
+  }
+  return { peaks: { version: 1, duration: Math.round(duration * 1000) / 1000, peaks } };
+}
+
+/**
+ * Stores peaks. Listeners may only fill in missing peaks; the owner
+ * (`overwrite`) may replace them. Returns true if the document was written.
+ */
+export async function savePeaks(bucket, token, doc, overwrite) {
+  let written = false;
+  await updateJsonSidecar(bucket, token, PEAKS_SIDECAR, (current) => {
+    written = overwrite || !current;
+    return written ? doc : undefined;
+  });
+  return written;
+}
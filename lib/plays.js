@@ -0,0 +1,59 @@
+/**
+ * Listen limits ("stop working after N plays", 1 = burn after listening).
+ *
+ * A play is a listening session, not an HTTP request: the player asks
+ * POST /api/play/:token for a session id once, then passes it as
+ * `?session=` on every range request the <audio> element makes. Each
+ * session is an empty object under `audio/<token>/plays/`, so counting plays
+ * is a list, with the creation time encoded in the id. Sessions stay usable
+ * for PLAY_SESSION_TTL_MS, long enough to finish a long recording, after
+ * which an exhausted link is gone for good.
+ */
+
+export const MAX_PLAYS_LIMIT = 1000;
+
+export const PLAY_SESSION_TTL_MS = 3 * 60 * 60 * 1000;
+
+// Sessions opened with the owner key (the uploader previewing) do not count.
+const OWNER_PREFIX = "owner-";
+
+/** Normalizes a client-supplied play limit: 0 for none, null if invalid. */
+export function parseMaxPlays(value) {
+  if (value === undefined || value === null || value === "") return 0;
+  const maxPlays = Number(value);
+  if (!Number.isInteger(maxPlays) || maxPlays < 0 || maxPlays > MAX_PLAYS_LIMIT) {
+    return null;
+  }
+  return maxPlays;
+}
+
+export function newPlaySessionId(owner, now = Date.now()) {
+  const bytes = new Uint8Array(8);
+  crypto.getRandomValues(bytes);
+  const random = Array.from(bytes, (b) => b.toString(16).padStart(2, "0")).join("");
+  return `${owner ? OWNER_PREFIX : ""}${now}-${random}`;
+}
+
+export function playSessionCreatedAt(sessionId) {
+  return Number(String(sessionId).replace(OWNER_PREFIX, "").split("-")[0]) || 0;
+}
+
+/** Plays that count towards the limit, oldest first. */
+export function countedPlays(plays) {
+  return plays.filter((id) => !id.startsWith(OWNER_PREFIX)).sort();
+}
+
+export function isActivePlay(plays, sessionId, now = Date.now()) {
+  return Boolean(sessionId) && plays.includes(sessionId) &&
+    playSessionCreatedAt(sessionId) + PLAY_SESSION_TTL_MS > now;
+}
+
+export function playsRemaining(meta, plays) {
+  const maxPlays = Number(meta.maxPlays) || 0;
+  return maxPlays ? Math.max(0, maxPlays - countedPlays(plays).length) : Infinity;
+}
+
+/** True once no new session may start and every started one has run out. */
+export function playsExhausted(meta, plays, now = Date.now()) {
+  return playsRemaining(meta, plays) === 0 && !plays.some((id) => isActivePlay(plays, id, now));
+}
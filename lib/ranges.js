@@ -0,0 +1,125 @@
+/**
+ * Byte ranges (RFC 9110 §14): parsing the Range header against the object
+ * size, and the multipart/byteranges body for requests asking for several
+ * ranges at once.
+ */
+
+// More ranges than this (before coalescing) and the Range header is ignored;
+// real players ask for one or two, and each range costs a storage read.
+export const MAX_RANGES = 16;
+
+/**
+ * Resolves a Range header against an object of `size` bytes.
+ *
+ * Returns:
+ *   null                      serve the whole object (no header, another unit,
+ *                             a malformed header or too many ranges)
+ *   { unsatisfiable: true }   answer 416 (no range starts inside the object)
+ *   { ranges: [{ start, end }] } inclusive offsets, sorted, overlapping and
+ *                             adjacent ranges merged
+ */
+export function parseRange(header, size) {
+  if (!header) return null;
+  const match = /^\s*bytes\s*=\s*(.*)$/i.exec(header);
+  if (!match) return null;
+
+  const specs = match[1].split(",").map((spec) => spec.trim()).filter(Boolean);
+  if (!specs.length || specs.length > MAX_RANGES) return null;
+
+  const ranges = [];
+  for (const spec of specs) {
+    const parts = /^(\d*)\s*-\s*(\d*)$/.exec(spec);
+    if (!parts || (!parts[1] && !parts[2])) return null;
+
+    if (!parts[1]) {
+      // Suffix range: the last N bytes.
+      const suffix = Number(parts[2]);
+      if (suffix > 0 && size > 0) {
+        ranges.push({ start: Math.max(0, size - suffix), end: size - 1 });
+      }
+      continue;
+    }
+
+    const start = Number(parts[1]);
+    const end = parts[2] ? Number(parts[2]) : Infinity;
+    if (end < start) return null;
+    if (start < size) {
+      ranges.push({ start, end: Math.min(end, size - 1) });
+    }
+  }
+
+  if (!ranges.length) return { unsatisfiable: true };
+  return { ranges: coalesce(ranges) };
+}
+
+function coalesce(ranges) {
+  const sorted = [...ranges].sort((a, b) => a.start - b.start);
+  const merged = [sorted[0]];
+  for (const range of sorted.slice(1)) {
+    const last = merged[merged.length - 1];
+    if (range.start <= last.end + 1) {
+      last.end = Math.max(last.end, range.end);
+    } else {
+      merged.push(range);
+    }
+  }
+  return merged;
+}
+
+/**
+ * Builds a multipart/byteranges body, reading each range from the bucket only
+ * when the client gets to it. Returns { body, contentType, length }.
+ */
+export function multipartByteRanges(bucket, key, ranges, size, partContentType) {
+  const boundary = `aoraina-${crypto.randomUUID()}`;
+  const encoder = new TextEncoder();
+  const heads = ranges.map((range, i) =>
+    encoder.encode(
+      `${i ? "\r\n" : ""}--${boundary}\r\n` +
+        `Content-Type: ${partContentType}\r\n` +
+        `Content-Range: bytes ${range.start}-${range.end}/${size}\r\n\r\n`,
+    ),
+  );
+  const tail = encoder.encode(`\r\n--${boundary}--\r\n`);
+
+  const length =
+    heads.reduce((total, head) => total + head.byteLength, 0) +
+    ranges.reduce((total, range) => total + range.end - range.start + 1, 0) +
+    tail.byteLength;
+
+  let index = 0;
+  let reader = null;
+  const body = new ReadableStream({
+    async pull(controller) {
+      if (reader) {
+        const { done, value } = await reader.read();
+        if (!done) {
+          controller.enqueue(value);
+          return;
+        }
+        reader = null;
+        index += 1;
+      }
+
+      if (index === ranges.length) {
+        controller.enqueue(tail);
+        controller.close();
+        return;
+      }
+
+      const { start, end } = ranges[index];
+      const object = await bucket.get(key, { range: { offset: start, length: end - start + 1 } });
+      if (!object || !object.body) {
+        controller.error(new Error("Audio disappeared while streaming"));
+        return;
+      }
+      controller.enqueue(heads[index]);
+      reader = object.body.getReader();
+    },
+    cancel(reason) {
+      if (reader) return reader.cancel(reason);
+    },
+  });
+
+  return { body, contentType: `multipart/byteranges; boundary=${boundary}`, length };
+}
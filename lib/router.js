@@ -0,0 +1,124 @@
+/**
+ * Route table for the Node server. Cloudflare Pages reaches the same route
+ * modules through the file layout under functions/, whose files only
+ * re-export them, so this table must list the same paths.
+ *
+ * Route modules follow the Pages Functions conventions: they export
+ * `onRequest<Method>` (or `onRequest` for any method) and receive
+ * { request, params, env, waitUntil }, with the storage bucket as
+ * `env.AUDIO_BUCKET`.
+ */
+
+import * as checkBatch from "./routes/check-batch.js";
+import * as check from "./routes/check.js";
+import * as collectionTrack from "./routes/collection-track.js";
+import * as collectionTracks from "./routes/collection-tracks.js";
+import * as collection from "./routes/collection.js";
+import * as collections from "./routes/collections.js";
+import * as cover from "./routes/cover.js";
+import * as deleteRoute from "./routes/delete.js";
+import * as download from "./routes/download.js";
+import * as embed from "./routes/embed.js";
+import * as extend from "./routes/extend.js";
+import * as job from "./routes/job.js";
+import * as listened from "./routes/listened.js";
+import * as note from "./routes/note.js";
+import * as notesExport from "./routes/notes-export.js";
+import * as notesImport from "./routes/notes-import.js";
+import * as notes from "./routes/notes.js";
+import * as oembed from "./routes/oembed.js";
+import * as peaks from "./routes/peaks.js";
+import * as play from "./routes/play.js";
+import * as rename from "./routes/rename.js";
+import * as replace from "./routes/replace.js";
+import * as sharePage from "./routes/share-page.js";
+import * as stats from "./routes/stats.js";
+import * as stream from "./routes/stream.js";
+import * as transcript from "./routes/transcript.js";
+import * as unlock from "./routes/unlock.js";
+import * as uploadComplete from "./routes/upload-complete.js";
+import * as uploadPart from "./routes/upload-part.js";
+import * as uploadStatus from "./routes/upload-status.js";
+import * as upload from "./routes/upload.js";
+import * as uploads from "./routes/uploads.js";
+import { jsonResponse } from "./http.js";
+
+// Pages prefers static path segments over parameters; listing the more
+// specific paths first gets the same result here.
+const ROUTES = [
+  ["/", sharePage],
+  ["/api/upload", upload],
+  ["/api/uploads", uploads],
+  ["/api/uploads/:token", uploadStatus],
+  ["/api/uploads/:token/complete", uploadComplete],
+  ["/api/uploads/:token/parts/:part", uploadPart],
+  ["/api/check", checkBatch],
+  ["/api/check/:token", check],
+  ["/api/play/:token", play],
+  ["/api/listened/:token", listened],
+  ["/api/unlock/:token", unlock],
+  ["/api/delete/:token", deleteRoute],
+  ["/api/extend/:token", extend],
+  ["/api/rename/:token", rename],
+  ["/api/replace/:token", replace],
+  ["/api/stats/:token", stats],
+  ["/api/job/:token", job],
+  ["/api/transcript/:token", transcript],
+  ["/api/notes/:token", notes],
+  ["/api/notes/:token/export", notesExport],
+  ["/api/notes/:token/import", notesImport],
+  ["/api/notes/:token/:id", note],
+  ["/api/peaks/:token", peaks],
+  ["/api/cover/:token", cover],
+  ["/api/collections", collections],
+  ["/api/collections/:id", collection],
+  ["/api/collections/:id/tracks", collectionTracks],
+  ["/api/collections/:id/tracks/:token", collectionTrack],
+  ["/stream/:token", stream],
+  ["/download/:token", download],
+  ["/embed/:token", embed],
+  ["/oembed", oembed],
+].map(([pattern, module]) => ({ segments: pattern.split("/").filter(Boolean), module }));
+
+/** Finds the route for a path. Returns { module, params } or null. */
+export function matchRoute(pathname) {
+  const parts = pathname.split("/").filter(Boolean);
+  for (const { segments, module } of ROUTES) {
+    if (segments.length !== parts.length) continue;
+    const params = {};
+    const matches = segments.every((segment, i) => {
+      if (segment.startsWith(":")) {
+        params[segment.slice(1)] = decodeSegment(parts[i]);
+        return true;
+      }
+      return segment === parts[i];
+    });
+    if (matches) return { module, params };
+  }
+  return null;
+}
+
+/**
+ * Runs the route matching the request. Resolves null when no route matches
+ * (the caller serves static files then).
+ */
+export async function handleRequest(request, env, waitUntil) {
+  const match = matchRoute(new URL(request.url).pathname);
+  if (!match) return null;
+
+  const method = request.method.toUpperCase();
+  const name = `onRequest${method.charAt(0)}${method.slice(1).toLowerCase()}`;
+  const handler = match.module[name] || match.module.onRequest;
+  if (!handler) {
+    return jsonResponse({ error: "Method not allowed" }, 405);
+  }
+  return handler({ request, params: match.params, env, waitUntil });
+}
+
+function decodeSegment(segment) {
+  try {
+    return decodeURIComponent(segment);
+  } catch {
+    return segment;
+  }
+}
@@ -0,0 +1,43 @@
+/**
+ * POST /api/check
+ *
+ * Batched check for the uploader's dashboard ("My uploads"): one request for
+ * every link this browser holds the owner key of, instead of one
+ * GET /api/check/:token each. Body: { tracks: [{ token, ownerKey }] } with at
+ * most MAX_TRACKS_PER_REQUEST (lib/limits.js) tracks; clients page through
+ * more. Returns { tracks: [{ token, ...info }] } in the same order, `info`
+ * being what GET /api/check/:token reports once unlocked plus `size`
+ * (bytes); gone links report `exists: false` and a `reason` like check does,
+ * and are deleted on the spot. A wrong owner key gets `{ exists: true, error }`.
+ */
+
+import { jsonResponse } from "../http.js";
+import { MAX_TRACKS_PER_REQUEST } from "../limits.js";
+import { deleteTrack } from "../store.js";
+import { describeOwnedTrack } from "../track-info.js";
+
+export const onRequestPost = async ({ request, env, waitUntil }) => {
+  let body;
+  try {
+    body = await request.json();
+  } catch {
+    return jsonResponse({ error: "Invalid JSON body" }, 400);
+  }
+
+  const tracks = body && body.tracks;
+  if (!Array.isArray(tracks) || tracks.length > MAX_TRACKS_PER_REQUEST) {
+    return jsonResponse({ error: `tracks must be a list of at most ${MAX_TRACKS_PER_REQUEST} tracks` }, 400);
+  }
+  if (!tracks.every((track) => track && typeof track.token === "string" && track.token)) {
+    return jsonResponse({ error: "Every track needs a token" }, 400);
+  }
+
+  const described = await Promise.all(
+    tracks.map((track) => describeOwnedTrack(env.AUDIO_BUCKET, track.token, track.ownerKey))
+  );
+  for (const [i, { stale }] of described.entries()) {
+    if (stale) waitUntil(deleteTrack(env.AUDIO_BUCKET, tracks[i].token));
+  }
+
+  return jsonResponse({ tracks: described.map(({ info }, i) => ({ token: tracks[i].token, ...info })) }, 200);
+};
@@ -0,0 +1,50 @@
+/**
+ * GET /api/check/:token
+ *
+ * Checks whether a live audio object exists in R2 for the token.
+ * Returns { exists: boolean, locked?, passwordProtected?, filename?,
+ * createdAt?, expiry?, expiresAt?, maxPlays?, playsRemaining?,
+ * allowDownload?, metadata?, reason?, message? }. `metadata` holds what was
+ * read from the file at upload (duration, codec, bitrate, sampleRate,
+ * channels, title, artist, album, cover: true when GET /api/cover/:token has
+ * an image). Expired links answer 410 (reason "expired") and are deleted on
+ * the spot; so are links whose play limit is used up (reason "play-limit").
+ *
+ * On play-limited links, a listener that already holds a play session passes
+ * it as `?session=` so the link keeps working for them.
+ *
+ * Password-protected links report `locked: true` (and no filename) until the
+ * request carries an access token from POST /api/unlock/:token.
+ *
+ * Checks count towards the link's access statistics (see lib/stats.js). The
+ * player sends `?listen=` with its listening session and, once unlocked,
+ * `?position=` with how far it has played, in seconds.
+ */
+
+import { jsonResponse } from "../http.js";
+import { readAccess, recordAccess } from "../stats.js";
+import { GONE_MESSAGES, deleteTrack } from "../store.js";
+import { describeTrack } from "../track-info.js";
+
+export const onRequestGet = async ({ request, params, env, waitUntil }) => {
+  const { token } = params;
+  if (!token) {
+    return jsonResponse({ exists: false, reason: "missing", message: GONE_MESSAGES.missing }, 404);
+  }
+
+  const session = new URL(request.url).searchParams.get("session");
+  const { status, info, stale } = await describeTrack(request, env.AUDIO_BUCKET, token, session);
+  if (stale) {
+    waitUntil(deleteTrack(env.AUDIO_BUCKET, token));
+  }
+
+  const access = readAccess(request);
+  if (access && info.exists) {
+    // A locked link has not been heard, however far it claims to be.
+    let position = info.locked ? null : access.position;
+    const duration = info.metadata && info.metadata.duration;
+    if (position !== null && duration) position = Math.min(position, Math.ceil(duration));
+    waitUntil(recordAccess(env.AUDIO_BUCKET, token, { ...access, position }));
+  }
+  return jsonResponse(info, status);
+};
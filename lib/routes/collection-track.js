@@ -0,0 +1,32 @@
+/**
+ * DELETE /api/collections/:id/tracks/:token
+ *
+ * Takes a track out of a collection; the track itself stays. Requires the
+ * collection's owner key. Returns { ok: true, tokens }.
+ */
+
+import { COLLECTION_GONE_MESSAGES, changeCollection, readCollection } from "../collections.js";
+import { jsonResponse } from "../http.js";
+import { ownerKeyError } from "../owner.js";
+
+export const onRequestDelete = async ({ request, params, env }) => {
+  const { id, token } = params;
+  const doc = await readCollection(env.AUDIO_BUCKET, id);
+  if (!doc) {
+    return jsonResponse({ error: COLLECTION_GONE_MESSAGES.missing }, 404);
+  }
+  const denied = await ownerKeyError(request, doc.ownerKeyHash);
+  if (denied) {
+    return jsonResponse({ error: denied.error }, denied.status);
+  }
+
+  const result = await changeCollection(env.AUDIO_BUCKET, id, (current) => {
+    if (!current.tokens.includes(token)) return { status: 404, error: "Track not in this collection" };
+    return { ...current, tokens: current.tokens.filter((t) => t !== token) };
+  });
+  if (result.error) {
+    return jsonResponse({ error: result.error }, result.status);
+  }
+
+  return jsonResponse({ ok: true, tokens: result.collection.tokens }, 200);
+};
@@ -0,0 +1,54 @@
+/**
+ * POST /api/collections/:id/tracks
+ *
+ * Adds a track to the end of a collection. Body: { token, ownerKey } with
+ * the track's owner key; the request itself carries the collection's owner
+ * key (X-Owner-Key). Adding a track already in the collection is a no-op.
+ * Returns { ok: true, tokens }.
+ */
+
+import {
+  COLLECTION_GONE_MESSAGES,
+  changeCollection,
+  readCollection,
+  trackOwnerError,
+} from "../collections.js";
+import { jsonResponse } from "../http.js";
+import { MAX_TRACKS_PER_REQUEST } from "../limits.js";
+import { ownerKeyError } from "../owner.js";
+
+export const onRequestPost = async ({ request, params, env }) => {
+  const { id } = params;
+  const doc = await readCollection(env.AUDIO_BUCKET, id);
+  if (!doc) {
+    return jsonResponse({ error: COLLECTION_GONE_MESSAGES.missing }, 404);
+  }
+  const denied = await ownerKeyError(request, doc.ownerKeyHash);
+  if (denied) {
+    return jsonResponse({ error: denied.error }, denied.status);
+  }
+
+  let body;
+  try {
+    body = await request.json();
+  } catch {
+    return jsonResponse({ error: "Invalid JSON body" }, 400);
+  }
+  const notOwner = await trackOwnerError(env.AUDIO_BUCKET, body && body.token, body && body.ownerKey);
+  if (notOwner) {
+    return jsonResponse({ error: notOwner.error }, notOwner.status);
+  }
+
+  const result = await changeCollection(env.AUDIO_BUCKET, id, (current) => {
+    if (current.tokens.includes(body.token)) return current;
+    if (current.tokens.length >= MAX_TRACKS_PER_REQUEST) {
+      return { status: 400, error: `A collection can have at most ${MAX_TRACKS_PER_REQUEST} tracks` };
+    }
+    return { ...current, tokens: [...current.tokens, body.token] };
+  });
+  if (result.error) {
+    return jsonResponse({ error: result.error }, result.status);
+  }
+
+  return jsonResponse({ ok: true, tokens: result.collection.tokens }, 200);
+};
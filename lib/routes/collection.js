@@ -0,0 +1,110 @@
+/**
+ * GET /api/collections/:id
+ *
+ * The collection counterpart of GET /api/check/:token. Returns
+ * { exists: true, id, title, createdAt, tracks: [{ token, ...check }] } with
+ * each track described as /api/check/:token would (tracks that are gone
+ * stay listed with `exists: false`). A collection whose tracks are all gone
+ * answers 410 (reason "empty") and is deleted; an unknown one 404.
+ *
+ * PATCH /api/collections/:id
+ *
+ * Renames the collection. Body: { title }. Requires the collection's owner
+ * key. Returns { ok: true, title }.
+ *
+ * DELETE /api/collections/:id[?deleteTracks=true]
+ *
+ * Deletes the collection, and with `deleteTracks=true` every track in it.
+ * Requires the collection's owner key. Returns { ok: true } if the
+ * collection does not exist.
+ */
+
+import {
+  COLLECTION_GONE_MESSAGES,
+  changeCollection,
+  collectionGone,
+  deleteCollection,
+  parseCollectionTitle,
+  readCollection,
+} from "../collections.js";
+import { jsonResponse } from "../http.js";
+import { ownerKeyError } from "../owner.js";
+import { deleteTrack } from "../store.js";
+import { describeTrack } from "../track-info.js";
+
+export const onRequestGet = async ({ request, params, env, waitUntil }) => {
+  const { id } = params;
+  const doc = await readCollection(env.AUDIO_BUCKET, id);
+  if (!doc) {
+    return jsonResponse({ exists: false, reason: "missing", message: COLLECTION_GONE_MESSAGES.missing }, 404);
+  }
+
+  const described = await Promise.all(doc.tokens.map((token) => describeTrack(request, env.AUDIO_BUCKET, token)));
+  const tracks = described.map(({ info }, i) => ({ token: doc.tokens[i], ...info }));
+  for (const [i, { stale }] of described.entries()) {
+    if (stale) waitUntil(deleteTrack(env.AUDIO_BUCKET, doc.tokens[i]));
+  }
+
+  // A play-limited track whose last play is still running counts as live.
+  const live = described.filter(({ info, stale }) => info.exists || (info.reason === "play-limit" && !stale)).length;
+  if (collectionGone(doc, live)) {
+    waitUntil(deleteCollection(env.AUDIO_BUCKET, id));
+    return jsonResponse({ exists: false, reason: "empty", message: COLLECTION_GONE_MESSAGES.empty }, 410);
+  }
+
+  return jsonResponse({ exists: true, id, title: doc.title || "", createdAt: String(doc.createdAt), tracks }, 200);
+};
+
+export const onRequestPatch = async ({ request, params, env }) => {
+  const { id } = params;
+  const denied = await authorize(request, env, id);
+  if (denied) return denied;
+
+  let body;
+  try {
+    body = await request.json();
+  } catch {
+    return jsonResponse({ error: "Invalid JSON body" }, 400);
+  }
+  const { title, error } = parseCollectionTitle(body && body.title);
+  if (error) {
+    return jsonResponse({ error }, 400);
+  }
+
+  const result = await changeCollection(env.AUDIO_BUCKET, id, (doc) => ({ ...doc, title }));
+  if (result.error) {
+    return jsonResponse({ error: result.error }, result.status);
+  }
+  return jsonResponse({ ok: true, title }, 200);
+};
+
+export const onRequestDelete = async ({ request, params, env }) => {
+  const { id } = params;
+  const doc = await readCollection(env.AUDIO_BUCKET, id);
+  if (!doc) {
+    return jsonResponse({ ok: true, message: "Already deleted or expired" }, 200);
+  }
+
+  const denied = await ownerKeyError(request, doc.ownerKeyHash);
+  if (denied) {
+    return jsonResponse({ error: denied.error }, denied.status);
+  }
+
+  const withTracks = new URL(request.url).searchParams.get("deleteTracks") === "true";
+  try {
+    await deleteCollection(env.AUDIO_BUCKET, id, doc, withTracks);
+  } catch (err) {
+    return jsonResponse({ error: "Delete failed" }, 500);
+  }
+
+  return jsonResponse({ ok: true }, 200);
+};
+
+async function authorize(request, env, id) {
+  const doc = await readCollection(env.AUDIO_BUCKET, id);
+  if (!doc) {
+    return jsonResponse({ error: COLLECTION_GONE_MESSAGES.missing }, 404);
+  }
+  const denied = await ownerKeyError(request, doc.ownerKeyHash);
+  return denied ? jsonResponse({ error: denied.error }, denied.status) : null;
+}
@@ -0,0 +1,59 @@
+/**
+ * POST /api/collections
+ *
+ * Creates a collection: several tracks behind one share link
+ * (`/?collection=<id>`). Body: { title?, tracks?: [{ token, ownerKey }] },
+ * each track with its own owner key. Returns { id, ownerKey, title, tokens };
+ * the collection's owner key is only returned here, like a track's.
+ */
+
+import {
+  collectionKey,
+  newCollection,
+  parseCollectionTitle,
+  trackOwnerError,
+} from "../collections.js";
+import { jsonResponse } from "../http.js";
+import { MAX_TRACKS_PER_REQUEST } from "../limits.js";
+
+export const onRequestPost = async ({ request, env }) => {
+  let body;
+  try {
+    body = await request.json();
+  } catch {
+    return jsonResponse({ error: "Invalid JSON body" }, 400);
+  }
+  if (!body || typeof body !== "object") {
+    return jsonResponse({ error: "Invalid JSON body" }, 400);
+  }
+
+  const { title, error } = parseCollectionTitle(body.title);
+  if (error) {
+    return jsonResponse({ error }, 400);
+  }
+
+  const tracks = body.tracks === undefined ? [] : body.tracks;
+  if (!Array.isArray(tracks) || tracks.length > MAX_TRACKS_PER_REQUEST) {
+    return jsonResponse({ error: `tracks must be a list of at most ${MAX_TRACKS_PER_REQUEST} tracks` }, 400);
+  }
+
+  const tokens = [];
+  for (const track of tracks) {
+    const denied = await trackOwnerError(env.AUDIO_BUCKET, track && track.token, track && track.ownerKey);
+    if (denied) {
+      return jsonResponse({ error: denied.error }, denied.status);
+    }
+    if (!tokens.includes(track.token)) tokens.push(track.token);
+  }
+
+  const collection = await newCollection(title, tokens);
+  try {
+    await env.AUDIO_BUCKET.put(collectionKey(collection.id), JSON.stringify(collection.doc), {
+      httpMetadata: { contentType: "application/json" },
+    });
+  } catch (err) {
+    return jsonResponse({ error: "Could not create collection" }, 500);
+  }
+
+  return jsonResponse({ id: collection.id, ownerKey: collection.ownerKey, title, tokens }, 200);
+};
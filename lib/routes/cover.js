@@ -0,0 +1,45 @@
+/**
+ * GET /api/cover/:token
+ *
+ * The cover art embedded in the uploaded file, if it had one (see
+ * lib/metadata). Visible whenever /api/check/:token shows the track's
+ * details: password-protected links need the access token first, but no
+ * play session is needed, so the cover shows before Play is pressed.
+ */
+
+import { listenerAccessError } from "../access.js";
+import { jsonResponse } from "../http.js";
+import { readCover } from "../metadata/index.js";
+import { GONE_MESSAGES, deleteTrack, findTrack, goneStatus } from "../store.js";
+
+export const onRequestGet = async ({ request, params, env, waitUntil }) => {
+  const { token } = params;
+
+  const track = await findTrack(env.AUDIO_BUCKET, token);
+  if (track.gone) {
+    if (track.gone !== "missing") {
+      waitUntil(deleteTrack(env.AUDIO_BUCKET, token));
+    }
+    return jsonResponse({ error: GONE_MESSAGES[track.gone] }, goneStatus(track.gone));
+  }
+
+  const denied = await listenerAccessError(request, token, track.meta);
+  if (denied) {
+    return jsonResponse({ error: denied.error }, denied.status);
+  }
+
+  const cover = await readCover(env.AUDIO_BUCKET, token);
+  if (!cover) {
+    return jsonResponse({ error: "This audio has no cover art" }, 404);
+  }
+
+  return new Response(cover.body, {
+    status: 200,
+    headers: {
+      "Content-Type": cover.httpMetadata?.contentType || "image/jpeg",
+      "Content-Length": String(cover.size),
+      "Cache-Control": "no-store",
+      "X-Content-Type-Options": "nosniff",
+    },
+  });
+};
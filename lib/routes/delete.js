@@ -0,0 +1,47 @@
+/**
+ * DELETE/POST /api/delete/:token
+ *
+ * Deletes the R2 object associated with the token, together with its
+ * sidecars, a replacement upload still in progress and its transcription
+ * job (see lib/jobs.js). Requires the owner key returned by the upload
+ * (X-Owner-Key header). Returns { ok: true } if the object does not exist,
+ * so the client can safely clean up state.
+ */
+
+import { jsonResponse } from "../http.js";
+import { deleteJob } from "../jobs.js";
+import { ownerKeyError } from "../owner.js";
+import { audioKey, deleteTrack, isTrackToken } from "../store.js";
+
+export const onRequest = async ({ request, params, env }) => {
+  const { token } = params;
+  const method = request.method.toUpperCase();
+
+  if (!token) {
+    return jsonResponse({ error: "Missing token" }, 400);
+  }
+
+  if (method !== "DELETE" && method !== "POST") {
+    return jsonResponse({ error: "Method not allowed" }, 405);
+  }
+
+  const head = isTrackToken(token) ? await env.AUDIO_BUCKET.head(audioKey(token)) : null;
+  if (!head) {
+    // Already gone – treat as success so UI can clean up
+    return jsonResponse({ ok: true, message: "Already deleted or expired" }, 200);
+  }
+
+  const denied = await ownerKeyError(request, head.customMetadata?.ownerKeyHash);
+  if (denied) {
+    return jsonResponse({ error: denied.error }, denied.status);
+  }
+
+  try {
+    await deleteTrack(env.AUDIO_BUCKET, token);
+    await deleteJob(env.AUDIO_BUCKET, token);
+  } catch (err) {
+    return jsonResponse({ error: "Delete failed" }, 500);
+  }
+
+  return jsonResponse({ ok: true }, 200);
+};
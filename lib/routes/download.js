@@ -0,0 +1,51 @@
+/**
+ * GET|HEAD /download/:token
+ *
+ * Sends the audio as an attachment under the uploader's original filename
+ * (customMetadata.filename, or the name the owner renamed it to). Needs the
+ * same access as /stream/:token, and answers 403 when the uploader turned
+ * downloads off — except to requests carrying the owner key. Ranges and
+ * conditional requests work as on /stream/:token, so download managers can
+ * resume.
+ */
+
+import { trackAccessError } from "../access.js";
+import { audioResponse } from "../audio-response.js";
+import { downloadsAllowed } from "../download.js";
+import { attachmentDisposition, textResponse } from "../http.js";
+import { readOwnerKey } from "../owner.js";
+import { GONE_MESSAGES, deleteTrack, findTrack, goneStatus, trackFilename } from "../store.js";
+
+export const onRequestGet = (context) => downloadAudio(context, true);
+
+export const onRequestHead = (context) => downloadAudio(context, false);
+
+async function downloadAudio({ request, params, env, waitUntil }, withBody) {
+  const { token } = params;
+  if (!token) {
+    return textResponse("This audio is no longer available.", 404);
+  }
+
+  const track = await findTrack(env.AUDIO_BUCKET, token);
+  if (track.gone) {
+    if (track.gone !== "missing") {
+      waitUntil(deleteTrack(env.AUDIO_BUCKET, token));
+    }
+    return textResponse(GONE_MESSAGES[track.gone], goneStatus(track.gone));
+  }
+
+  const denied = await trackAccessError(request, token, track);
+  if (denied) {
+    return textResponse(denied.error, denied.status);
+  }
+
+  // trackAccessError has already checked an owner key if one was sent.
+  if (!downloadsAllowed(track.meta) && !readOwnerKey(request)) {
+    return textResponse("The uploader has turned off downloads for this audio.", 403);
+  }
+
+  return audioResponse(request, env.AUDIO_BUCKET, token, track.head, {
+    withBody,
+    headers: { "Content-Disposition": attachmentDisposition(trackFilename(track)) },
+  });
+}
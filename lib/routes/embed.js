@@ -0,0 +1,28 @@
+/**
+ * GET /embed/:token
+ *
+ * The compact player (public/embed.html) for other sites to put in an
+ * iframe, as /oembed hands out. The page checks the link itself, so this
+ * only serves it, with a Content-Security-Policy that lets any site frame it.
+ */
+
+import { textResponse } from "../http.js";
+
+// The size public/embed.css lays the player out for.
+export const EMBED_WIDTH = 480;
+export const EMBED_HEIGHT = 96;
+
+export const onRequestGet = async ({ request, env }) => {
+  // Pages serves public/embed.html as /embed; server.js's ASSETS does too.
+  const page = await env.ASSETS.fetch(new URL("/embed", request.url));
+  if (!page.ok) {
+    return textResponse("The embedded player is missing.", 500);
+  }
+  return new Response(page.body, {
+    headers: {
+      "Content-Type": "text/html; charset=utf-8",
+      "Cache-Control": "no-cache",
+      "Content-Security-Policy": "frame-ancestors *",
+    },
+  });
+};
@@ -0,0 +1,40 @@
+/**
+ * POST /api/extend/:token
+ *
+ * Lets the owner keep a shared link alive longer. Body: { expiresIn } with
+ * 1h, 24h or 7d, counted from now; a link that already lives longer keeps
+ * its deadline. A "listen" link that was heard to the end waits for a new
+ * full listen. Requires the owner key. Returns { ok, expiry, expiresAt }.
+ */
+
+import { EXPIRY_OPTIONS, expiresAtFor, extendedState, parseExtension } from "../expiry.js";
+import { jsonResponse } from "../http.js";
+import { findOwnedTrack } from "../owner.js";
+import { updateState } from "../store.js";
+
+export const onRequestPost = async ({ request, params, env }) => {
+  const { token } = params;
+  const owned = await findOwnedTrack(request, env.AUDIO_BUCKET, token);
+  if (owned.error) {
+    return jsonResponse({ error: owned.error }, owned.status);
+  }
+
+  let body;
+  try {
+    body = await request.json();
+  } catch {
+    return jsonResponse({ error: "Invalid JSON body" }, 400);
+  }
+
+  const choice = parseExtension(body && body.expiresIn);
+  if (!choice) {
+    const choices = Object.keys(EXPIRY_OPTIONS).filter((option) => option !== "listen").join(", ");
+    return jsonResponse({ error: `Invalid expiresIn (use one of: ${choices})` }, 400);
+  }
+
+  const { meta } = owned.track;
+  const now = Date.now();
+  const state = await updateState(env.AUDIO_BUCKET, token, (current) => extendedState(meta, current, choice, now));
+
+  return jsonResponse({ ok: true, expiry: meta.expiry, expiresAt: String(expiresAtFor(meta, state)) }, 200);
+};
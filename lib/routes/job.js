@@ -0,0 +1,69 @@
+/**
+ * GET /api/job/:token
+ *
+ * The link's transcription job (see lib/jobs.js): { status, updatedAt,
+ * transcript }, `status` being pending, in-progress, delivered or accepted
+ * and `transcript` { filename, size, deliveredAt } once one was delivered.
+ *
+ * POST /api/job/:token
+ *
+ * Moves the job on. Body: { status: "in-progress" } when the listener starts
+ * (the player sends it on the first play); the owner sends the same to hand
+ * a delivered transcript back. { status: "accepted", deleteAudio } accepts
+ * the transcript, owner only; `deleteAudio: true` deletes the audio at once,
+ * while the transcript stays downloadable. Returns the job, with
+ * `audioDeleted: true` when the audio went.
+ *
+ * Listeners need the same access as for /stream/:token, so only while the
+ * link is live. The owner key works for as long as the job is kept.
+ */
+
+import { jsonResponse } from "../http.js";
+import { changeJob, describeJob, jobAccess, transitionError } from "../jobs.js";
+import { GONE_MESSAGES, deleteTrack, goneStatus } from "../store.js";
+
+export const onRequestGet = async ({ request, params, env }) => {
+  const access = await jobAccess(request, env.AUDIO_BUCKET, params.token);
+  if (access.error) {
+    return jsonResponse({ error: access.error }, access.status);
+  }
+  return jsonResponse(describeJob(access.job), 200);
+};
+
+export const onRequestPost = async ({ request, params, env }) => {
+  const { token } = params;
+  const access = await jobAccess(request, env.AUDIO_BUCKET, token);
+  if (access.error) {
+    return jsonResponse({ error: access.error }, access.status);
+  }
+
+  let body;
+  try {
+    body = await request.json();
+  } catch {
+    return jsonResponse({ error: "Invalid JSON body" }, 400);
+  }
+
+  const { track, isOwner } = access;
+  const status = body && body.status;
+  if (track.gone && status !== "accepted") {
+    return jsonResponse({ error: GONE_MESSAGES[track.gone] }, goneStatus(track.gone));
+  }
+  const deleteAudio = status === "accepted" && body.deleteAudio === true && !track.gone;
+
+  const now = Date.now();
+  const ownerKeyHash = track.gone ? null : track.meta.ownerKeyHash;
+  const result = await changeJob(env.AUDIO_BUCKET, token, ownerKeyHash, (job) => {
+    const denied = transitionError(job.status, status, isOwner);
+    if (denied) return denied;
+    return deleteAudio ? { status, orphanedAt: now } : { status };
+  }, now);
+  if (result.error) {
+    return jsonResponse({ error: result.error }, result.status);
+  }
+
+  if (deleteAudio) {
+    await deleteTrack(env.AUDIO_BUCKET, token);
+  }
+  return jsonResponse({ ...describeJob(result.job), ...(deleteAudio ? { audioDeleted: true } : {}) }, 200);
+};
@@ -0,0 +1,41 @@
+/**
+ * POST /api/listened/:token
+ *
+ * Reported by the player when a listener reaches the end of the track. For
+ * links uploaded with the "listen" expiry this starts the short grace period
+ * after which the link expires; for other links it is a no-op.
+ * Returns { ok: true, expiresAt }.
+ */
+
+import { listenerAccessError } from "../access.js";
+import { expiresAtFor } from "../expiry.js";
+import { jsonResponse } from "../http.js";
+import { GONE_MESSAGES, findTrack, goneStatus, updateState } from "../store.js";
+
+export const onRequestPost = async ({ request, params, env }) => {
+  const { token } = params;
+  if (!token) {
+    return jsonResponse({ error: "Missing token" }, 400);
+  }
+
+  const track = await findTrack(env.AUDIO_BUCKET, token);
+  if (track.gone) {
+    return jsonResponse({ error: GONE_MESSAGES[track.gone] }, goneStatus(track.gone));
+  }
+
+  const denied = await listenerAccessError(request, token, track.meta);
+  if (denied) {
+    return jsonResponse({ error: denied.error }, denied.status);
+  }
+
+  if (track.meta.expiry !== "listen" || track.state.listenedAt) {
+    return jsonResponse({ ok: true, expiresAt: String(track.expiresAt) }, 200);
+  }
+
+  const now = Date.now();
+  const state = await updateState(env.AUDIO_BUCKET, token, (current) =>
+    current.listenedAt ? undefined : { ...current, listenedAt: now }
+  );
+
+  return jsonResponse({ ok: true, expiresAt: String(expiresAtFor(track.meta, state)) }, 200);
+};
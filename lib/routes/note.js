@@ -0,0 +1,62 @@
+/**
+ * PATCH /api/notes/:token/:id
+ *
+ * Edits a note. Body: { time?, text? }. Returns { note, notes }.
+ *
+ * DELETE /api/notes/:token/:id
+ *
+ * Removes a note. Returns { ok: true, notes }.
+ *
+ * Same access rules as /api/notes/:token.
+ */
+
+import { trackAccessResponse } from "../access.js";
+import { jsonResponse } from "../http.js";
+import { changeNotes, parseNoteInput } from "../notes.js";
+import { findTrack } from "../store.js";
+
+export const onRequestPatch = async ({ request, params, env }) => {
+  const { token, id } = params;
+  const denied = await trackAccessResponse(request, token, await findTrack(env.AUDIO_BUCKET, token));
+  if (denied) return denied;
+
+  let body;
+  try {
+    body = await request.json();
+  } catch {
+    return jsonResponse({ error: "Invalid JSON body" }, 400);
+  }
+  const input = parseNoteInput(body, true);
+  if (input.error) {
+    return jsonResponse({ error: input.error }, 400);
+  }
+
+  let note;
+  const result = await changeNotes(env.AUDIO_BUCKET, token, (notes) => {
+    const index = notes.findIndex((n) => n.id === id);
+    if (index === -1) return { status: 404, error: "Note not found" };
+    note = { ...notes[index], ...input.fields };
+    return [...notes.slice(0, index), note, ...notes.slice(index + 1)];
+  });
+  if (result.error) {
+    return jsonResponse({ error: result.error }, result.status);
+  }
+
+  return jsonResponse({ note, notes: result.notes }, 200);
+};
+
+export const onRequestDelete = async ({ request, params, env }) => {
+  const { token, id } = params;
+  const denied = await trackAccessResponse(request, token, await findTrack(env.AUDIO_BUCKET, token));
+  if (denied) return denied;
+
+  const result = await changeNotes(env.AUDIO_BUCKET, token, (notes) => {
+    if (!notes.some((n) => n.id === id)) return { status: 404, error: "Note not found" };
+    return notes.filter((n) => n.id !== id);
+  });
+  if (result.error) {
+    return jsonResponse({ error: result.error }, result.status);
+  }
+
+  return jsonResponse({ ok: true, notes: result.notes }, 200);
+};
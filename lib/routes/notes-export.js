@@ -0,0 +1,37 @@
+/**
+ * GET /api/notes/:token/export?format=srt|vtt|txt|json
+ *
+ * Downloads the track's notes as SubRip, WebVTT, timestamped plain text or
+ * JSON, named after the uploaded file. Same access rules as
+ * /api/notes/:token.
+ */
+
+import { trackAccessResponse } from "../access.js";
+import { attachmentDisposition, jsonResponse } from "../http.js";
+import { readNotes } from "../notes.js";
+import { findTrack, trackFilename } from "../store.js";
+import { EXPORT_FORMATS, exportFilename, exportNotes } from "../subtitles.js";
+
+export const onRequestGet = async ({ request, params, env }) => {
+  const { token } = params;
+  const format = (new URL(request.url).searchParams.get("format") || "srt").toLowerCase();
+  if (!Object.prototype.hasOwnProperty.call(EXPORT_FORMATS, format)) {
+    return jsonResponse({ error: `format must be one of: ${Object.keys(EXPORT_FORMATS).join(", ")}` }, 400);
+  }
+
+  const track = await findTrack(env.AUDIO_BUCKET, token);
+  const denied = await trackAccessResponse(request, token, track);
+  if (denied) return denied;
+
+  const notes = await readNotes(env.AUDIO_BUCKET, token);
+  const body = exportNotes(notes, format, trackFilename(track));
+
+  return new Response(body, {
+    status: 200,
+    headers: {
+      "Content-Type": EXPORT_FORMATS[format].contentType,
+      "Content-Disposition": attachmentDisposition(exportFilename(trackFilename(track), format), "notes"),
+      "Cache-Control": "no-store",
+    },
+  });
+};
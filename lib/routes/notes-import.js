@@ -0,0 +1,70 @@
+/**
+ * POST /api/notes/:token/import?format=srt|vtt|json&mode=append|replace
+ *
+ * Turns an existing SRT / WebVTT file (or a JSON export) into notes, one per
+ * cue, at the cue's start time. The body is the raw file; `format` is
+ * detected from the content when omitted. `mode=replace` drops the current
+ * notes first; the default appends. Returns { imported, notes }.
+ *
+ * Same access rules as /api/notes/:token.
+ */
+
+import { trackAccessResponse } from "../access.js";
+import { jsonResponse } from "../http.js";
+import { MAX_NOTES, changeNotes, newNote, parseNoteInput } from "../notes.js";
+import { findTrack } from "../store.js";
+import { IMPORT_FORMATS, MAX_IMPORT_BYTES, detectImportFormat, parseImport } from "../subtitles.js";
+
+export const onRequestPost = async ({ request, params, env }) => {
+  const { token } = params;
+  const url = new URL(request.url);
+  const mode = url.searchParams.get("mode") || "append";
+  if (mode !== "append" && mode !== "replace") {
+    return jsonResponse({ error: "mode must be append or replace" }, 400);
+  }
+
+  const track = await findTrack(env.AUDIO_BUCKET, token);
+  const denied = await trackAccessResponse(request, token, track);
+  if (denied) return denied;
+
+  const contentLength = Number(request.headers.get("Content-Length") || 0);
+  if (contentLength > MAX_IMPORT_BYTES) {
+    return jsonResponse({ error: "File too large to import" }, 413);
+  }
+  const text = await request.text();
+  if (text.length > MAX_IMPORT_BYTES) {
+    return jsonResponse({ error: "File too large to import" }, 413);
+  }
+
+  const format = (url.searchParams.get("format") || detectImportFormat(text)).toLowerCase();
+  if (!IMPORT_FORMATS.includes(format)) {
+    return jsonResponse({ error: `format must be one of: ${IMPORT_FORMATS.join(", ")}` }, 400);
+  }
+  const parsed = parseImport(text, format);
+  if (parsed.error) {
+    return jsonResponse({ error: parsed.error }, 400);
+  }
+
+  const now = Date.now();
+  const imported = [];
+  for (const [i, entry] of parsed.entries.entries()) {
+    const input = parseNoteInput(entry);
+    if (input.error) {
+      return jsonResponse({ error: `Entry ${i + 1}: ${input.error}` }, 400);
+    }
+    imported.push(newNote(input.fields, now));
+  }
+
+  const result = await changeNotes(env.AUDIO_BUCKET, token, (notes) => {
+    const merged = mode === "replace" ? imported : [...notes, ...imported];
+    if (merged.length > MAX_NOTES) {
+      return { status: 400, error: `A track can have at most ${MAX_NOTES} notes` };
+    }
+    return merged;
+  });
+  if (result.error) {
+    return jsonResponse({ error: result.error }, result.status);
+  }
+
+  return jsonResponse({ imported: imported.length, notes: result.notes }, 200);
+};
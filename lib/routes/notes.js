@@ -0,0 +1,58 @@
+/**
+ * GET /api/notes/:token
+ *
+ * Lists the timestamped notes for a track, sorted by time.
+ * Returns { notes: [{ id, time, text, createdAt }] }.
+ *
+ * POST /api/notes/:token
+ *
+ * Adds a note. Body: { time, text } with `time` in seconds into the track.
+ * Returns { note, notes }.
+ *
+ * Anyone who may listen to the track may read and write its notes (same
+ * password / play-session rules as /stream/:token), as may the owner.
+ */
+
+import { trackAccessResponse } from "../access.js";
+import { jsonResponse } from "../http.js";
+import { MAX_NOTES, changeNotes, newNote, parseNoteInput, readNotes } from "../notes.js";
+import { findTrack } from "../store.js";
+
+export const onRequestGet = async ({ request, params, env }) => {
+  const { token } = params;
+  const denied = await trackAccessResponse(request, token, await findTrack(env.AUDIO_BUCKET, token));
+  if (denied) return denied;
+
+  const notes = await readNotes(env.AUDIO_BUCKET, token);
+  return jsonResponse({ notes }, 200);
+};
+
+export const onRequestPost = async ({ request, params, env }) => {
+  const { token } = params;
+  const denied = await trackAccessResponse(request, token, await findTrack(env.AUDIO_BUCKET, token));
+  if (denied) return denied;
+
+  let body;
+  try {
+    body = await request.json();
+  } catch {
+    return jsonResponse({ error: "Invalid JSON body" }, 400);
+  }
+  const input = parseNoteInput(body);
+  if (input.error) {
+    return jsonResponse({ error: input.error }, 400);
+  }
+
+  const note = newNote(input.fields);
+  const result = await changeNotes(env.AUDIO_BUCKET, token, (notes) => {
+    if (notes.length >= MAX_NOTES) {
+      return { status: 400, error: `A track can have at most ${MAX_NOTES} notes` };
+    }
+    return [...notes, note];
+  });
+  if (result.error) {
+    return jsonResponse({ error: result.error }, result.status);
+  }
+
+  return jsonResponse({ note, notes: result.notes }, 200);
+};
@@ -0,0 +1,83 @@
+/**
+ * GET /oembed?url=<share link>[&maxwidth=][&maxheight=][&format=json]
+ *
+ * oEmbed (https://oembed.com) for share links (`/?token=` or
+ * `/embed/:token` on this site), so chat apps and blogs that support it show
+ * the compact player from GET /embed/:token in place of the bare link.
+ * Answers a "rich" response whose `html` is the iframe. Only JSON is offered
+ * (501 for any other format); links to other sites and gone links are 404.
+ *
+ * The title is the file's name only when anyone with the link could read it
+ * anyway: password-protected and encrypted links are called "Shared audio".
+ * `cache_age` ends when the link expires.
+ */
+
+import { isPasswordProtected } from "../access.js";
+import { escapeHtml, jsonResponse } from "../http.js";
+import { findTrack, isEncryptedTrack, trackFilename } from "../store.js";
+import { EMBED_HEIGHT, EMBED_WIDTH } from "./embed.js";
+
+export const onRequestGet = async ({ request, env }) => {
+  const requestUrl = new URL(request.url);
+  const params = requestUrl.searchParams;
+
+  const format = params.get("format") || "json";
+  if (format !== "json") {
+    return jsonResponse({ error: "Only the json format is supported" }, 501);
+  }
+
+  const token = shareLinkToken(params.get("url"), requestUrl.origin);
+  if (!token) {
+    return jsonResponse({ error: "url must be a share link on this site" }, 404);
+  }
+  const track = await findTrack(env.AUDIO_BUCKET, token);
+  if (track.gone) {
+    return jsonResponse({ error: "This audio is no longer available" }, 404);
+  }
+
+  const width = boundedSize(EMBED_WIDTH, params.get("maxwidth"));
+  const height = boundedSize(EMBED_HEIGHT, params.get("maxheight"));
+  const title = isPasswordProtected(track.meta) || isEncryptedTrack(track)
+    ? "Shared audio"
+    : trackFilename(track) || "Shared audio";
+  const src = `${requestUrl.origin}/embed/${encodeURIComponent(token)}`;
+
+  return jsonResponse({
+    version: "1.0",
+    type: "rich",
+    provider_name: "Aoraina",
+    provider_url: `${requestUrl.origin}/`,
+    title,
+    width,
+    height,
+    html: `<iframe src="${escapeHtml(src)}" width="${width}" height="${height}" frameborder="0" allow="autoplay" title="${escapeHtml(title)}"></iframe>`,
+    cache_age: Math.max(0, Math.floor((track.expiresAt - Date.now()) / 1000)),
+  });
+};
+
+// The token of a share link on `origin`, or null.
+function shareLinkToken(link, origin) {
+  let url;
+  try {
+    url = new URL(link);
+  } catch {
+    return null;
+  }
+  if (url.origin !== origin) return null;
+  if (url.pathname === "/" || url.pathname === "/index.html") {
+    return url.searchParams.get("token") || null;
+  }
+  const match = /^\/embed\/([^/]+)$/.exec(url.pathname);
+  if (!match) return null;
+  try {
+    return decodeURIComponent(match[1]);
+  } catch {
+    return null;
+  }
+}
+
+// `size`, shrunk to the consumer's maximum, which oEmbed says must hold.
+function boundedSize(size, max) {
+  const limit = Number.parseInt(max, 10);
+  return Number.isFinite(limit) && limit > 0 ? Math.min(size, limit) : size;
+}
@@ -0,0 +1,65 @@
+/**
+ * GET /api/peaks/:token
+ *
+ * Returns the precomputed waveform { version, duration, peaks } so the player
+ * can draw it without downloading the audio, or 404 if none was stored yet.
+ *
+ * PUT /api/peaks/:token
+ *
+ * Stores the waveform computed by a browser. Body: { duration, peaks }.
+ * A listener can only provide it while the track has none; with the owner
+ * key (X-Owner-Key) it replaces the stored one. Returns { ok, stored }.
+ *
+ * End-to-end encrypted tracks refuse it (409): a waveform would give away
+ * what the encryption hides, so their players draw it locally only.
+ *
+ * Same access rules as /stream/:token.
+ */
+
+import { trackAccessResponse } from "../access.js";
+import { jsonResponse } from "../http.js";
+import { readOwnerKey } from "../owner.js";
+import { MAX_PEAKS_BYTES, parsePeaks, readPeaks, savePeaks } from "../peaks.js";
+import { findTrack, isEncryptedTrack } from "../store.js";
+
+export const onRequestGet = async ({ request, params, env }) => {
+  const { token } = params;
+  const denied = await trackAccessResponse(request, token, await findTrack(env.AUDIO_BUCKET, token));
+  if (denied) return denied;
+
+  const peaks = await readPeaks(env.AUDIO_BUCKET, token);
+  if (!peaks) {
+    return jsonResponse({ error: "No waveform for this audio yet" }, 404);
+  }
+  return jsonResponse(peaks, 200);
+};
+
+export const onRequestPut = async ({ request, params, env }) => {
+  const { token } = params;
+  const track = await findTrack(env.AUDIO_BUCKET, token);
+  const denied = await trackAccessResponse(request, token, track);
+  if (denied) return denied;
+  if (isEncryptedTrack(track)) {
+    return jsonResponse({ error: "Encrypted audio has no stored waveform" }, 409);
+  }
+
+  const contentLength = Number(request.headers.get("Content-Length") || 0);
+  if (contentLength > MAX_PEAKS_BYTES) {
+    return jsonResponse({ error: "Waveform too large" }, 413);
+  }
+  let body;
+  try {
+    body = await request.json();
+  } catch {
+    return jsonResponse({ error: "Invalid JSON body" }, 400);
+  }
+  const input = parsePeaks(body);
+  if (input.error) {
+    return jsonResponse({ error: input.error }, 400);
+  }
+
+  // trackAccessError has already checked the owner key if one was sent.
+  const isOwner = Boolean(readOwnerKey(request));
+  const stored = await savePeaks(env.AUDIO_BUCKET, token, input.peaks, isOwner);
+  return jsonResponse({ ok: true, stored }, 200);
+};
@@ -0,0 +1,83 @@
+/**
+ * POST /api/play/:token
+ *
+ * Starts a listening session on a play-limited link and uses up one play.
+ * Returns { session, playsRemaining, sessionExpiresAt }; the player appends
+ * `?session=<id>` to /stream/:token. Requests with the owner key get a
+ * session that does not count. Links without a limit need no session and
+ * answer { session: null }.
+ *
+ * Answers 410 with reason "play-limit" once every play has been used.
+ */
+
+import { listenerAccessError } from "../access.js";
+import { jsonResponse } from "../http.js";
+import { ownerKeyError, readOwnerKey } from "../owner.js";
+import {
+  PLAY_SESSION_TTL_MS,
+  countedPlays,
+  newPlaySessionId,
+  playsRemaining,
+} from "../plays.js";
+import {
+  GONE_MESSAGES,
+  addPlay,
+  findTrack,
+  goneStatus,
+  listPlays,
+  removePlay,
+} from "../store.js";
+
+export const onRequestPost = async ({ request, params, env }) => {
+  const { token } = params;
+  if (!token) {
+    return jsonResponse({ error: "Missing token" }, 400);
+  }
+
+  const track = await findTrack(env.AUDIO_BUCKET, token);
+  if (track.gone) {
+    return jsonResponse({ error: GONE_MESSAGES[track.gone], reason: track.gone }, goneStatus(track.gone));
+  }
+
+  const owner = Boolean(readOwnerKey(request));
+  const denied = owner
+    ? await ownerKeyError(request, track.meta.ownerKeyHash)
+    : await listenerAccessError(request, token, track.meta);
+  if (denied) {
+    return jsonResponse({ error: denied.error }, denied.status);
+  }
+
+  if (!track.meta.maxPlays) {
+    return jsonResponse({ session: null }, 200);
+  }
+
+  if (!owner && !playsRemaining(track.meta, track.plays)) {
+    return playLimitResponse();
+  }
+
+  const now = Date.now();
+  const session = newPlaySessionId(owner, now);
+  await addPlay(env.AUDIO_BUCKET, token, session);
+
+  // R2 has no atomic counters: re-list and back out if concurrent listeners
+  // took the remaining plays first (sessions sort by creation time).
+  const plays = await listPlays(env.AUDIO_BUCKET, token);
+  if (!owner && countedPlays(plays).indexOf(session) >= Number(track.meta.maxPlays)) {
+    await removePlay(env.AUDIO_BUCKET, token, session);
+    return playLimitResponse();
+  }
+
+  return jsonResponse(
+    {
+      session,
+      playsRemaining: playsRemaining(track.meta, plays),
+      sessionExpiresAt: String(now + PLAY_SESSION_TTL_MS),
+    },
+    200
+  );
+};
+
+function playLimitResponse() {
+  const reason = "play-limit";
+  return jsonResponse({ error: GONE_MESSAGES[reason], reason }, goneStatus(reason));
+}
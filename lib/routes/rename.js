@@ -0,0 +1,37 @@
+/**
+ * POST /api/rename/:token
+ *
+ * Changes the name a track is shown and downloaded under. Body:
+ * { filename }. The link stays the same. Requires the owner key.
+ * Returns { ok, filename }.
+ */
+
+import { jsonResponse } from "../http.js";
+import { findOwnedTrack } from "../owner.js";
+import { updateState } from "../store.js";
+import { parseFilename } from "../upload.js";
+
+export const onRequestPost = async ({ request, params, env }) => {
+  const { token } = params;
+  const owned = await findOwnedTrack(request, env.AUDIO_BUCKET, token);
+  if (owned.error) {
+    return jsonResponse({ error: owned.error }, owned.status);
+  }
+
+  let body;
+  try {
+    body = await request.json();
+  } catch {
+    return jsonResponse({ error: "Invalid JSON body" }, 400);
+  }
+
+  const name = parseFilename(body && body.filename);
+  if (name.error) {
+    return jsonResponse({ error: name.error }, 400);
+  }
+
+  // customMetadata cannot change in place, so the new name lives in state.json.
+  await updateState(env.AUDIO_BUCKET, token, (current) => ({ ...current, filename: name.filename }));
+
+  return jsonResponse({ ok: true, filename: name.filename }, 200);
+};
@@ -0,0 +1,70 @@
+/**
+ * POST /api/replace/:token
+ *
+ * Replaces the audio behind an existing link, e.g. with a cleaner re-export,
+ * so listeners keep the same link. The new file is the request body, as for
+ * POST /api/upload; X-Filename optionally renames the track too (otherwise
+ * it keeps its name). Expiry, password, play limit, notes and plays stay;
+ * metadata and cover art are read from the new file and the waveform is
+ * recomputed by the next browser to open the link. Requires the owner key.
+ * Returns { token, replacedAt, expiry, expiresAt, passwordProtected,
+ * maxPlays, allowDownload }.
+ *
+ * Players of current listeners notice the new `replacedAt` reported by
+ * GET /api/check/:token and reload. Files over 25 MB are replaced through
+ * the resumable protocol (POST /api/uploads with `replaces`).
+ */
+
+import { jsonResponse } from "../http.js";
+import { bufferReader, storeMetadata } from "../metadata/index.js";
+import { UNSUPPORTED_AUDIO_MESSAGE, sniffAudioType } from "../sniff.js";
+import { audioKey } from "../store.js";
+import {
+  MAX_SINGLE_UPLOAD_BYTES,
+  clearReplacedAudio,
+  decodeHeaderValue,
+  parseFilename,
+  replacementFor,
+} from "../upload.js";
+
+export const onRequestPost = async ({ request, params, env }) => {
+  const { token } = params;
+
+  const header = request.headers.get("X-Filename");
+  const name = header === null ? {} : parseFilename(decodeHeaderValue(header));
+  if (name.error) {
+    return jsonResponse({ error: name.error }, 400);
+  }
+
+  const replacement = await replacementFor(request, env.AUDIO_BUCKET, token, name.filename);
+  if (replacement.error) {
+    return jsonResponse({ error: replacement.error }, replacement.status);
+  }
+
+  const arrayBuffer = await request.arrayBuffer();
+  if (!arrayBuffer || arrayBuffer.byteLength === 0) {
+    return jsonResponse({ error: "No audio data received" }, 400);
+  }
+  if (arrayBuffer.byteLength > MAX_SINGLE_UPLOAD_BYTES) {
+    return jsonResponse({ error: "Audio file too large (max 25 MB, use /api/uploads for larger files)" }, 413);
+  }
+
+  const bytes = new Uint8Array(arrayBuffer);
+  const mimeType = sniffAudioType(bytes);
+  if (!mimeType) {
+    return jsonResponse({ error: UNSUPPORTED_AUDIO_MESSAGE }, 415);
+  }
+
+  try {
+    await env.AUDIO_BUCKET.put(audioKey(token), arrayBuffer, {
+      httpMetadata: { contentType: mimeType },
+      customMetadata: replacement.customMetadata,
+    });
+    await clearReplacedAudio(env.AUDIO_BUCKET, token, Boolean(name.filename));
+  } catch (err) {
+    return jsonResponse({ error: "Replace failed" }, 500);
+  }
+  await storeMetadata(env.AUDIO_BUCKET, token, bufferReader(bytes), bytes.byteLength, mimeType);
+
+  return jsonResponse(replacement.summary, 200);
+};
@@ -0,0 +1,132 @@
+/**
+ * GET|HEAD /
+ *
+ * The player page (public/index.html). Share links (`/?token=`) get it with
+ * Open Graph and Twitter Card tags for that track, so chat apps and social
+ * sites preview the file instead of the page's static title: its name,
+ * duration and expiry, the stream as `og:audio` and /embed/:token as the
+ * Twitter player, plus oEmbed discovery (see oembed.js).
+ *
+ * The token is looked up as GET /api/check/:token does, as a listener
+ * without a password would. Links that are gone, locked or encrypted get a
+ * neutral preview that names no file; play-limited ones get no audio, since
+ * a crawler cannot play them. Previews are not counted in the access
+ * statistics.
+ */
+
+import { escapeHtml } from "../http.js";
+import { deleteTrack } from "../store.js";
+import { describeTrack } from "../track-info.js";
+import { EMBED_HEIGHT, EMBED_WIDTH } from "./embed.js";
+
+const SITE_NAME = "Aoraina";
+const NEUTRAL_TITLE = "Shared audio";
+const NEUTRAL_DESCRIPTION = "Temporary audio shared with Aoraina.";
+
+export const onRequestGet = async ({ request, env, waitUntil }) => {
+  const url = new URL(request.url);
+  const token = url.searchParams.get("token");
+  const page = await env.ASSETS.fetch(new URL("/", url));
+  if (!token || !page.ok) return page;
+
+  const { info, stale } = await describeTrack(request, env.AUDIO_BUCKET, token, null);
+  if (stale) {
+    waitUntil(deleteTrack(env.AUDIO_BUCKET, token));
+  }
+
+  const tags = previewTags(url.origin, token, info);
+  const html = (await page.text()).replace("</head>", `${tags.map((tag) => `  ${tag}\n`).join("")}</head>`);
+  return new Response(html, {
+    headers: {
+      "Content-Type": "text/html; charset=utf-8",
+      // The preview changes as the link expires, is renamed or is deleted.
+      "Cache-Control": "no-cache",
+    },
+  });
+};
+
+export const onRequestHead = async (context) => {
+  const response = await onRequestGet(context);
+  return new Response(null, response);
+};
+
+// The <meta>/<link> tags for a share link, from its check `info`.
+function previewTags(origin, token, info) {
+  const shareUrl = `${origin}/?token=${encodeURIComponent(token)}`;
+  const tags = [
+    meta("property", "og:site_name", SITE_NAME),
+    meta("property", "og:url", shareUrl),
+  ];
+
+  if (!info.exists || info.locked || info.encrypted) {
+    return [
+      ...tags,
+      meta("property", "og:type", "website"),
+      meta("property", "og:title", NEUTRAL_TITLE),
+      meta("property", "og:description", NEUTRAL_DESCRIPTION),
+      meta("name", "twitter:card", "summary"),
+      meta("name", "twitter:title", NEUTRAL_TITLE),
+      meta("name", "twitter:description", NEUTRAL_DESCRIPTION),
+    ];
+  }
+
+  const metadata = info.metadata || {};
+  const title = metadata.title ? [metadata.title, metadata.artist].filter(Boolean).join(" — ") : info.filename;
+  const description = describe(info, metadata);
+  tags.push(
+    meta("property", "og:type", "music.song"),
+    meta("property", "og:title", title),
+    meta("property", "og:description", description),
+    meta("name", "twitter:title", title),
+    meta("name", "twitter:description", description),
+  );
+  if (metadata.duration) {
+    tags.push(meta("property", "music:duration", String(Math.round(metadata.duration))));
+  }
+
+  // Play-limited links need a play session; a crawler fetching the audio
+  // would only be refused.
+  if (info.maxPlays) {
+    tags.push(meta("name", "twitter:card", "summary"));
+    return tags;
+  }
+
+  const encoded = encodeURIComponent(token);
+  const streamUrl = `${origin}/stream/${encoded}`;
+  const embedUrl = `${origin}/embed/${encoded}`;
+  tags.push(
+    meta("property", "og:audio", streamUrl),
+    ...(origin.startsWith("https:") ? [meta("property", "og:audio:secure_url", streamUrl)] : []),
+    meta("name", "twitter:card", "player"),
+    meta("name", "twitter:player", embedUrl),
+    meta("name", "twitter:player:width", String(EMBED_WIDTH)),
+    meta("name", "twitter:player:height", String(EMBED_HEIGHT)),
+    `<link rel="alternate" type="application/json+oembed" href="${escapeHtml(`${origin}/oembed?url=${encodeURIComponent(shareUrl)}`)}" title="${escapeHtml(title)}" />`,
+  );
+  if (metadata.cover) {
+    const coverUrl = `${origin}/api/cover/${encoded}`;
+    tags.push(meta("property", "og:image", coverUrl), meta("name", "twitter:image", coverUrl));
+  }
+  return tags;
+}
+
+// "12:34 of audio · 2 of 3 plays left · Link expires Mon, 19 Oct 2026 18:00:00 GMT"
+function describe(info, metadata) {
+  const parts = [];
+  if (metadata.duration) parts.push(`${formatDuration(metadata.duration)} of audio`);
+  if (info.maxPlays) parts.push(`${info.playsRemaining} of ${info.maxPlays} plays left`);
+  parts.push(`Link expires ${new Date(Number(info.expiresAt)).toUTCString()}`);
+  return parts.join(" · ");
+}
+
+function formatDuration(seconds) {
+  const total = Math.round(seconds);
+  const h = Math.floor(total / 3600);
+  const m = Math.floor((total % 3600) / 60);
+  const s = String(total % 60).padStart(2, "0");
+  return h ? `${h}:${String(m).padStart(2, "0")}:${s}` : `${m}:${s}`;
+}
+
+function meta(attribute, name, content) {
+  return `<meta ${attribute}="${name}" content="${escapeHtml(content)}" />`;
+}
@@ -0,0 +1,33 @@
+/**
+ * GET /api/stats/:token
+ *
+ * How a shared link has been used, for its owner: { firstAccessAt,
+ * lastAccessAt, sessions, bytesServed, furthestPosition, duration?, size }.
+ * Times are epoch milliseconds (null while nobody has opened the link),
+ * `furthestPosition` is seconds into the track and `duration` comes from the
+ * file's metadata when it could be read. See lib/stats.js for what counts.
+ * Requires the owner key.
+ */
+
+import { jsonResponse } from "../http.js";
+import { readMetadata } from "../metadata/index.js";
+import { findOwnedTrack } from "../owner.js";
+import { readStats } from "../stats.js";
+
+export const onRequestGet = async ({ request, params, env }) => {
+  const { token } = params;
+  const owned = await findOwnedTrack(request, env.AUDIO_BUCKET, token);
+  if (owned.error) {
+    return jsonResponse({ error: owned.error }, owned.status);
+  }
+
+  const [stats, metadata] = await Promise.all([
+    readStats(env.AUDIO_BUCKET, token),
+    readMetadata(env.AUDIO_BUCKET, token),
+  ]);
+  return jsonResponse({
+    ...stats,
+    ...(metadata && metadata.duration ? { duration: metadata.duration } : {}),
+    size: owned.track.head.size,
+  }, 200);
+};
@@ -0,0 +1,61 @@
+/**
+ * GET|HEAD /stream/:token
+ *
+ * Streams the audio stored in R2 to the browser. Range requests follow
+ * RFC 9110 — single, suffix and multi-range (multipart/byteranges) — so the
+ * HTMLAudioElement, iOS Safari and download managers can seek and resume,
+ * and ETag / Last-Modified back If-None-Match, If-Modified-Since, If-Match,
+ * If-Unmodified-Since and If-Range (see lib/audio-response.js). Expired links
+ * answer 410 and are deleted on the spot. Password-protected links need the
+ * access cookie (or ?access=) issued by POST /api/unlock/:token, and
+ * play-limited links need `?session=` from POST /api/play/:token.
+ *
+ * Each stream counts towards the link's access statistics, bytes included
+ * as they are sent (see lib/stats.js).
+ */
+
+import { trackAccessError } from "../access.js";
+import { audioResponse } from "../audio-response.js";
+import { textResponse } from "../http.js";
+import { countBytes, readAccess, recordAccess } from "../stats.js";
+import { GONE_MESSAGES, deleteTrack, findTrack, goneStatus } from "../store.js";
+
+export const onRequestGet = (context) => streamAudio(context, true);
+
+export const onRequestHead = (context) => streamAudio(context, false);
+
+async function streamAudio({ request, params, env, waitUntil }, withBody) {
+  const { token } = params;
+  if (!token) {
+    return textResponse("This audio is no longer available.", 404);
+  }
+
+  const track = await findTrack(env.AUDIO_BUCKET, token);
+  if (track.gone) {
+    if (track.gone !== "missing") {
+      waitUntil(deleteTrack(env.AUDIO_BUCKET, token));
+    }
+    return textResponse(GONE_MESSAGES[track.gone], goneStatus(track.gone));
+  }
+
+  const denied = await trackAccessError(request, token, track);
+  if (denied) {
+    return textResponse(denied.error, denied.status);
+  }
+
+  const response = await audioResponse(request, env.AUDIO_BUCKET, token, track.head, { withBody });
+  const access = readAccess(request);
+  if (!access || (response.status !== 200 && response.status !== 206)) {
+    return response;
+  }
+  if (!response.body) {
+    waitUntil(recordAccess(env.AUDIO_BUCKET, token, access));
+    return response;
+  }
+
+  // Recorded once the body is done, so an aborted stream counts what it got.
+  let served;
+  waitUntil(new Promise((resolve) => (served = resolve))
+    .then((bytes) => recordAccess(env.AUDIO_BUCKET, token, access, bytes)));
+  return new Response(countBytes(response.body, served), response);
+}
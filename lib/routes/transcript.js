@@ -0,0 +1,111 @@
+/**
+ * GET /api/transcript/:token
+ *
+ * Downloads the delivered transcript, as an attachment under the name it was
+ * delivered with. Owner key only; it keeps working after the audio is gone,
+ * for as long as the job is kept (see lib/jobs.js).
+ *
+ * PUT /api/transcript/:token
+ *
+ * Delivers the transcript. The body is the file, in any format (pasted text
+ * as text/plain), at most 10 MB; X-Filename is its name, URI-encoded.
+ * Replaces an earlier delivery until the owner accepts one. Needs the same
+ * access as /stream/:token, so the link must still be live. Sets the job to
+ * delivered and returns it.
+ */
+
+import { attachmentDisposition, jsonResponse } from "../http.js";
+import { MAX_TRANSCRIPT_BYTES, changeJob, describeJob, jobAccess, transcriptKey } from "../jobs.js";
+import { GONE_MESSAGES, goneStatus } from "../store.js";
+import { decodeHeaderValue, parseFilename } from "../upload.js";
+
+const TOO_LARGE_MESSAGE = `The transcript may be at most ${MAX_TRANSCRIPT_BYTES / (1024 * 1024)} MB`;
+
+export const onRequestGet = async ({ request, params, env }) => {
+  const { token } = params;
+  const access = await jobAccess(request, env.AUDIO_BUCKET, token);
+  if (access.error) {
+    return jsonResponse({ error: access.error }, access.status);
+  }
+  if (!access.isOwner) {
+    return jsonResponse({ error: "Owner key required" }, 401);
+  }
+
+  const transcript = access.job && access.job.transcript;
+  const object = transcript ? await env.AUDIO_BUCKET.get(transcriptKey(token, transcript.id)) : null;
+  if (!object) {
+    return jsonResponse({ error: "No transcript has been delivered yet" }, 404);
+  }
+
+  return new Response(object.body, {
+    status: 200,
+    headers: {
+      "Content-Type": transcript.contentType,
+      "Content-Length": String(object.size),
+      "Content-Disposition": attachmentDisposition(transcript.filename, "transcript"),
+      "Cache-Control": "no-store",
+      "X-Content-Type-Options": "nosniff",
+    },
+  });
+};
+
+export const onRequestPut = async ({ request, params, env }) => {
+  const { token } = params;
+  const access = await jobAccess(request, env.AUDIO_BUCKET, token);
+  if (access.error) {
+    return jsonResponse({ error: access.error }, access.status);
+  }
+  const { track, job } = access;
+  if (track.gone) {
+    return jsonResponse({ error: GONE_MESSAGES[track.gone] }, goneStatus(track.gone));
+  }
+  if (job && job.status === "accepted") {
+    return jsonResponse({ error: "The transcript has already been accepted" }, 409);
+  }
+
+  const name = parseFilename(decodeHeaderValue(request.headers.get("X-Filename") || "transcript.txt"));
+  if (name.error) {
+    return jsonResponse({ error: name.error }, 400);
+  }
+
+  if (Number(request.headers.get("Content-Length") || 0) > MAX_TRANSCRIPT_BYTES) {
+    return jsonResponse({ error: TOO_LARGE_MESSAGE }, 413);
+  }
+  const bytes = await request.arrayBuffer();
+  if (bytes.byteLength > MAX_TRANSCRIPT_BYTES) {
+    return jsonResponse({ error: TOO_LARGE_MESSAGE }, 413);
+  }
+  if (!bytes.byteLength) {
+    return jsonResponse({ error: "The transcript is empty" }, 400);
+  }
+
+  // Only ever served back as an attachment, so any well-formed type goes.
+  const type = (request.headers.get("Content-Type") || "").split(";")[0].trim().toLowerCase();
+  const contentType = /^[a-z0-9.+-]+\/[a-z0-9.+-]+$/.test(type) ? type : "application/octet-stream";
+
+  // Stored under a key of its own and only then pointed at, so a delivery
+  // the job refuses leaves the accepted transcript untouched.
+  const id = crypto.randomUUID();
+  await env.AUDIO_BUCKET.put(transcriptKey(token, id), bytes, { httpMetadata: { contentType } });
+
+  const now = Date.now();
+  let replaced = null;
+  const result = await changeJob(env.AUDIO_BUCKET, token, track.meta.ownerKeyHash, (current) => {
+    if (current.status === "accepted") {
+      return { status: 409, error: "The transcript has already been accepted" };
+    }
+    replaced = current.transcript;
+    return {
+      status: "delivered",
+      transcript: { id, filename: name.filename, contentType, size: bytes.byteLength, deliveredAt: now },
+    };
+  }, now);
+  if (result.error) {
+    await env.AUDIO_BUCKET.delete(transcriptKey(token, id));
+    return jsonResponse({ error: result.error }, result.status);
+  }
+  if (replaced) {
+    await env.AUDIO_BUCKET.delete(transcriptKey(token, replaced.id));
+  }
+  return jsonResponse(describeJob(result.job), 200);
+};
@@ -0,0 +1,57 @@
+/**
+ * POST /api/unlock/:token
+ *
+ * Exchanges the password of a protected link for a short-lived access token.
+ * Body: { password }. The owner may send X-Owner-Key instead of a password.
+ * Sets the `access_<token>` cookie used by /stream/:token and returns
+ * { ok: true, accessToken, expiresAt }. Unprotected links need no unlocking
+ * and answer { ok: true } without a token.
+ */
+
+import {
+  accessCookie,
+  createAccessToken,
+  isPasswordProtected,
+  verifyPassword,
+} from "../access.js";
+import { jsonResponse } from "../http.js";
+import { ownerKeyError, readOwnerKey } from "../owner.js";
+import { GONE_MESSAGES, findTrack, goneStatus } from "../store.js";
+
+export const onRequestPost = async ({ request, params, env }) => {
+  const { token } = params;
+  if (!token) {
+    return jsonResponse({ error: "Missing token" }, 400);
+  }
+
+  const track = await findTrack(env.AUDIO_BUCKET, token);
+  if (track.gone) {
+    return jsonResponse({ error: GONE_MESSAGES[track.gone] }, goneStatus(track.gone));
+  }
+
+  if (!isPasswordProtected(track.meta)) {
+    return jsonResponse({ ok: true }, 200);
+  }
+
+  if (readOwnerKey(request)) {
+    const denied = await ownerKeyError(request, track.meta.ownerKeyHash);
+    if (denied) {
+      return jsonResponse({ error: denied.error }, denied.status);
+    }
+  } else {
+    let body;
+    try {
+      body = await request.json();
+    } catch {
+      return jsonResponse({ error: "Invalid JSON body" }, 400);
+    }
+    if (!(await verifyPassword(body && body.password, track.meta))) {
+      return jsonResponse({ error: "Wrong password" }, 403);
+    }
+  }
+
+  const { accessToken, expiresAt } = await createAccessToken(token, track.meta);
+  const response = jsonResponse({ ok: true, accessToken, expiresAt: String(expiresAt) }, 200);
+  response.headers.append("Set-Cookie", accessCookie(request, token, accessToken));
+  return response;
+};
@@ -0,0 +1,91 @@
+/**
+ * POST /api/uploads/:token/complete
+ *
+ * Assembles the uploaded parts into the final audio object.
+ * Body: { parts: [{ partNumber, etag }, ...] } covering every part.
+ * Requires the owner key. Returns { token, expiry, expiresAt }, plus
+ * `replacedAt` when the upload replaces a link's audio. The audio metadata
+ * is then read back from R2 with ranged gets (lib/metadata).
+ */
+
+import { jsonResponse } from "../http.js";
+import { bucketReader, storeMetadata } from "../metadata/index.js";
+import { findOwnedTrack, ownerKeyError } from "../owner.js";
+import { audioKey, pendingUploadKey, readPendingUpload } from "../store.js";
+import { clearReplacedAudio } from "../upload.js";
+
+export const onRequestPost = async ({ request, params, env }) => {
+  const { token } = params;
+
+  const pending = await readPendingUpload(env.AUDIO_BUCKET, token);
+  if (!pending) {
+    return jsonResponse({ error: "Upload not found" }, 404);
+  }
+
+  const denied = await ownerKeyError(request, pending.ownerKeyHash);
+  if (denied) {
+    return jsonResponse({ error: denied.error }, denied.status);
+  }
+
+  let body;
+  try {
+    body = await request.json();
+  } catch {
+    return jsonResponse({ error: "Invalid JSON body" }, 400);
+  }
+
+  if (!pending.uploadId) {
+    return jsonResponse({ error: "No parts uploaded yet" }, 400);
+  }
+
+  const partCount = Math.ceil(pending.size / pending.partSize);
+  const parts = Array.isArray(body && body.parts) ? body.parts : [];
+  const seen = new Set(parts.map((part) => Number(part && part.partNumber)));
+  if (parts.length !== partCount || seen.size !== partCount) {
+    return jsonResponse({ error: `Expected ${partCount} distinct parts` }, 400);
+  }
+
+  const multipart = env.AUDIO_BUCKET.resumeMultipartUpload(audioKey(token), pending.uploadId);
+
+  // A replacement must not bring back a link that expired or was deleted
+  // while it was uploading.
+  let replaced = null;
+  if (pending.replaces) {
+    const owned = await findOwnedTrack(request, env.AUDIO_BUCKET, token);
+    if (owned.error) {
+      await multipart.abort().catch(() => {});
+      await env.AUDIO_BUCKET.delete(pendingUploadKey(token));
+      return jsonResponse({ error: owned.error }, owned.status);
+    }
+    replaced = owned.track;
+  }
+
+  let object;
+  try {
+    object = await multipart.complete(
+      parts
+        .map((part) => ({ partNumber: Number(part.partNumber), etag: String(part.etag) }))
+        .sort((a, b) => a.partNumber - b.partNumber)
+    );
+  } catch (err) {
+    return jsonResponse({ error: "Could not complete upload" }, 400);
+  }
+
+  await env.AUDIO_BUCKET.delete(pendingUploadKey(token));
+  if (replaced) {
+    await clearReplacedAudio(env.AUDIO_BUCKET, token, pending.renamed);
+  }
+
+  const reader = bucketReader(env.AUDIO_BUCKET, audioKey(token));
+  const contentType = object.httpMetadata && object.httpMetadata.contentType;
+  await storeMetadata(env.AUDIO_BUCKET, token, reader, object.size, contentType);
+
+  const meta = object.customMetadata || {};
+  if (replaced) {
+    return jsonResponse(
+      { token, expiry: meta.expiry, expiresAt: String(replaced.expiresAt), replacedAt: meta.replacedAt },
+      200
+    );
+  }
+  return jsonResponse({ token, expiry: meta.expiry, expiresAt: meta.expiresAt }, 200);
+};
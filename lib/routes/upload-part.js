@@ -0,0 +1,67 @@
+/**
+ * PUT /api/uploads/:token/parts/:part
+ *
+ * Uploads one part (1-based) of a multipart upload. Every part except the
+ * last must be exactly `partSize` bytes. Parts can be retried or sent in any
+ * order, except that part 1 must come first: its magic bytes decide the
+ * stored audio type (415 if it is not audio), and only then is the R2
+ * multipart upload created. Requires the owner key. Returns
+ * { partNumber, etag }; the client keeps the etags and sends them all to
+ * .../complete.
+ */
+
+import { jsonResponse } from "../http.js";
+import { ownerKeyError } from "../owner.js";
+import { UNSUPPORTED_AUDIO_MESSAGE, sniffAudioType } from "../sniff.js";
+import { audioKey, readPendingUpload } from "../store.js";
+import { expectedPartSize, startMultipartUpload } from "../upload.js";
+
+export const onRequestPut = async ({ request, params, env }) => {
+  const { token } = params;
+  const partNumber = Number(params.part);
+
+  let pending = await readPendingUpload(env.AUDIO_BUCKET, token);
+  if (!pending) {
+    return jsonResponse({ error: "Upload not found" }, 404);
+  }
+
+  const denied = await ownerKeyError(request, pending.ownerKeyHash);
+  if (denied) {
+    return jsonResponse({ error: denied.error }, denied.status);
+  }
+
+  const expected = expectedPartSize(pending, partNumber);
+  if (!expected) {
+    return jsonResponse({ error: "Invalid part number" }, 400);
+  }
+
+  const body = await request.arrayBuffer();
+  if (body.byteLength !== expected) {
+    return jsonResponse({ error: `Part ${partNumber} must be ${expected} bytes` }, 400);
+  }
+
+  if (partNumber === 1) {
+    const contentType = sniffAudioType(new Uint8Array(body), pending.size);
+    if (!contentType) {
+      return jsonResponse({ error: UNSUPPORTED_AUDIO_MESSAGE }, 415);
+    }
+    try {
+      pending = await startMultipartUpload(env.AUDIO_BUCKET, token, contentType);
+    } catch (err) {
+      return jsonResponse({ error: "Could not start upload" }, 500);
+    }
+    if (!pending) {
+      return jsonResponse({ error: "Upload not found" }, 404);
+    }
+  } else if (!pending.uploadId) {
+    return jsonResponse({ error: "Upload part 1 first" }, 409);
+  }
+
+  try {
+    const multipart = env.AUDIO_BUCKET.resumeMultipartUpload(audioKey(token), pending.uploadId);
+    const uploaded = await multipart.uploadPart(partNumber, body);
+    return jsonResponse({ partNumber: uploaded.partNumber, etag: uploaded.etag }, 200);
+  } catch (err) {
+    return jsonResponse({ error: "Part upload failed" }, 500);
+  }
+};
@@ -0,0 +1,57 @@
+/**
+ * GET /api/uploads/:token
+ *
+ * Reports whether a multipart upload can still be resumed.
+ * Returns { exists: true, size, partSize, partCount } or 404.
+ *
+ * DELETE /api/uploads/:token
+ *
+ * Aborts the multipart upload and discards the uploaded parts.
+ * Returns { ok: true } even if there was nothing to abort.
+ *
+ * Both require the owner key returned when the upload was started.
+ */
+
+import { jsonResponse } from "../http.js";
+import { ownerKeyError } from "../owner.js";
+import { abortPendingUpload, readPendingUpload } from "../store.js";
+
+export const onRequestGet = async ({ request, params, env }) => {
+  const { token } = params;
+  const pending = await readPendingUpload(env.AUDIO_BUCKET, token);
+  if (!pending) {
+    return jsonResponse({ exists: false, error: "Upload not found" }, 404);
+  }
+
+  const denied = await ownerKeyError(request, pending.ownerKeyHash);
+  if (denied) {
+    return jsonResponse({ error: denied.error }, denied.status);
+  }
+
+  return jsonResponse(
+    {
+      exists: true,
+      size: pending.size,
+      partSize: pending.partSize,
+      partCount: Math.ceil(pending.size / pending.partSize),
+    },
+    200
+  );
+};
+
+export const onRequestDelete = async ({ request, params, env }) => {
+  const { token } = params;
+  const pending = await readPendingUpload(env.AUDIO_BUCKET, token);
+  if (!pending) {
+    return jsonResponse({ ok: true, message: "Nothing to abort" }, 200);
+  }
+
+  const denied = await ownerKeyError(request, pending.ownerKeyHash);
+  if (denied) {
+    return jsonResponse({ error: denied.error }, denied.status);
+  }
+
+  await abortPendingUpload(env.AUDIO_BUCKET, token, pending);
+
+  return jsonResponse({ ok: true }, 200);
+};
@@ -0,0 +1,77 @@
+/**
+ * POST /api/upload
+ *
+ * Receives raw audio bytes and stores them in an R2 bucket (AUDIO_BUCKET)
+ * under a randomly generated token key. Returns
+ * { token, ownerKey, expiry, expiresAt, passwordProtected, maxPlays,
+ * allowDownload }.
+ *
+ * The owner key is only ever returned here; the object stores its hash so
+ * that delete (and any other mutating route) can require it.
+ *
+ * The front-end sends the file as the request body with headers:
+ * - X-Filename: encoded original filename
+ * - X-Expires-In: optional expiry choice (1h, 24h, 7d, listen; default 24h)
+ * - X-Password: optional encoded password listeners must enter
+ * - X-Max-Plays: optional number of plays before the link stops working
+ * - X-Allow-Download: optional "false" to refuse GET /download/:token
+ *
+ * The stored content type comes from the file's magic bytes (lib/sniff.js),
+ * not from Content-Type or X-Mime-Type; anything that is not a supported
+ * audio format is refused with 415. Duration, codec, tags and cover art are
+ * read from the headers and stored next to the track (lib/metadata).
+ *
+ * Files over 25 MB must use the resumable protocol under /api/uploads.
+ */
+
+import { jsonResponse } from "../http.js";
+import { bufferReader, storeMetadata } from "../metadata/index.js";
+import { UNSUPPORTED_AUDIO_MESSAGE, sniffAudioType } from "../sniff.js";
+import { MAX_SINGLE_UPLOAD_BYTES, decodeHeaderValue, newTrack } from "../upload.js";
+import { audioKey } from "../store.js";
+
+export const onRequestPost = async ({ request, env }) => {
+  try {
+    const filename = decodeHeaderValue(request.headers.get("X-Filename") || "audio");
+
+    // Read full body (sufficient for this size cap); larger files go
+    // through the multipart protocol instead.
+    const arrayBuffer = await request.arrayBuffer();
+    if (!arrayBuffer || arrayBuffer.byteLength === 0) {
+      return jsonResponse({ error: "No audio data received" }, 400);
+    }
+
+    if (arrayBuffer.byteLength > MAX_SINGLE_UPLOAD_BYTES) {
+      return jsonResponse({ error: "Audio file too large (max 25 MB, use /api/uploads for larger files)" }, 413);
+    }
+
+    const mimeType = sniffAudioType(new Uint8Array(arrayBuffer));
+    if (!mimeType) {
+      return jsonResponse({ error: UNSUPPORTED_AUDIO_MESSAGE }, 415);
+    }
+
+    const track = await newTrack({
+      filename,
+      mimeType,
+      expiry: request.headers.get("X-Expires-In"),
+      password: decodeHeaderValue(request.headers.get("X-Password") || ""),
+      maxPlays: request.headers.get("X-Max-Plays"),
+      allowDownload: request.headers.get("X-Allow-Download"),
+    });
+    if (track.error) {
+      return jsonResponse({ error: track.error }, 400);
+    }
+
+    await env.AUDIO_BUCKET.put(audioKey(track.token), arrayBuffer, {
+      httpMetadata: track.httpMetadata,
+      customMetadata: track.customMetadata,
+    });
+
+    const bytes = new Uint8Array(arrayBuffer);
+    await storeMetadata(env.AUDIO_BUCKET, track.token, bufferReader(bytes), bytes.byteLength, mimeType);
+
+    return jsonResponse(track.summary, 200);
+  } catch (err) {
+    return jsonResponse({ error: "Upload failed" }, 500);
+  }
+};
@@ -0,0 +1,111 @@
+/**
+ * POST /api/uploads
+ *
+ * Starts a resumable multipart upload for files too large for
+ * POST /api/upload. Body: { filename, size, expiry?, password?,
+ * maxPlays?, allowDownload? }. Returns the same fields as POST /api/upload plus
+ * { partSize, partCount }.
+ *
+ * The client then PUTs each part to /api/uploads/:token/parts/:n, part 1
+ * first (it decides the stored audio type, see upload-part.js), and
+ * finishes with POST /api/uploads/:token/complete (or aborts with
+ * DELETE /api/uploads/:token). All of those require the owner key.
+ * The link's expiry clock starts when the upload is started.
+ *
+ * With { replaces: token } (and that track's owner key as X-Owner-Key) the
+ * upload replaces the audio of an existing link instead, like
+ * POST /api/replace/:token: the other link options are ignored, `filename`
+ * renames the track only if given, and the response has no new owner key.
+ * The old audio plays until the upload completes.
+ */
+
+import { jsonResponse } from "../http.js";
+import { pendingUploadKey } from "../store.js";
+import { MAX_MULTIPART_UPLOAD_BYTES, PART_SIZE, newTrack, parseFilename, replacementFor } from "../upload.js";
+
+export const onRequestPost = async ({ request, env }) => {
+  let body;
+  try {
+    body = await request.json();
+  } catch {
+    return jsonResponse({ error: "Invalid JSON body" }, 400);
+  }
+
+  const size = Number(body && body.size);
+  if (!Number.isSafeInteger(size) || size <= 0) {
+    return jsonResponse({ error: "Missing or invalid size" }, 400);
+  }
+  if (size > MAX_MULTIPART_UPLOAD_BYTES) {
+    return jsonResponse({ error: "Audio file too large (max 1 GB)" }, 413);
+  }
+
+  const track =
+    body.replaces === undefined
+      ? await newTrack({
+          filename: typeof body.filename === "string" ? body.filename : "audio",
+          expiry: body.expiry,
+          password: body.password,
+          maxPlays: body.maxPlays,
+          allowDownload: body.allowDownload,
+        })
+      : await startReplacement(request, env.AUDIO_BUCKET, body);
+  if (track.error) {
+    return jsonResponse({ error: track.error }, track.status || 400);
+  }
+
+  // The R2 multipart upload itself is created with part 1.
+  try {
+    await env.AUDIO_BUCKET.put(
+      pendingUploadKey(track.token),
+      JSON.stringify({
+        ownerKeyHash: track.ownerKeyHash,
+        customMetadata: track.customMetadata,
+        size,
+        partSize: PART_SIZE,
+        createdAt: Date.now(),
+        ...(track.replaces ? { replaces: true, renamed: track.renamed } : {}),
+      }),
+      { httpMetadata: { contentType: "application/json" } }
+    );
+  } catch (err) {
+    return jsonResponse({ error: "Could not start upload" }, 500);
+  }
+
+  return jsonResponse(
+    {
+      ...track.summary,
+      partSize: PART_SIZE,
+      partCount: Math.ceil(size / PART_SIZE),
+    },
+    200
+  );
+};
+
+async function startReplacement(request, bucket, body) {
+  const token = body.replaces;
+  if (typeof token !== "string" || !token) {
+    return { error: "replaces must be the token of the track to replace" };
+  }
+  const name = body.filename === undefined ? {} : parseFilename(body.filename);
+  if (name.error) {
+    return { error: name.error };
+  }
+
+  const replacement = await replacementFor(request, bucket, token, name.filename);
+  if (replacement.error) {
+    return replacement;
+  }
+  // Pending uploads are keyed by token, so one replacement at a time.
+  if (await bucket.head(pendingUploadKey(token))) {
+    return { status: 409, error: "This audio is already being replaced" };
+  }
+
+  return {
+    token,
+    ownerKeyHash: replacement.track.meta.ownerKeyHash,
+    customMetadata: replacement.customMetadata,
+    summary: replacement.summary,
+    replaces: true,
+    renamed: Boolean(name.filename),
+  };
+}
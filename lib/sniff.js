@@ -0,0 +1,224 @@
+/**
+ * Audio format detection from magic bytes, so uploads are stored with the
+ * type of what they contain rather than what the client claimed, and
+ * anything that is not audio is refused (415) before it is ever served.
+ *
+ * Recognised: MP3 (ID3 tag or MPEG frame), WAV (RIFF/RF64), FLAC,
+ * Ogg (Opus, Vorbis, FLAC, Speex), M4A/MP4, WebM and AAC (ADTS), plus
+ * end-to-end encrypted uploads (public/e2e.js). The server cannot see inside
+ * those, so it checks their framing instead and stores them under
+ * ENCRYPTED_AUDIO_TYPE, never an audio type.
+ *
+ * MP4 and WebM also carry video, so their tracks must be in the bytes at
+ * hand and be audio only. An M4A or M4B file is trusted on its brand when
+ * its track list comes after them (the end of a long file uploaded in parts).
+ */
+
+import { children, path } from "./metadata/mp4.js";
+import { readVint } from "./metadata/webm.js";
+
+export const UNSUPPORTED_AUDIO_MESSAGE =
+  "Unsupported file: only MP3, WAV, FLAC, Ogg/Opus, M4A/MP4, WebM and AAC audio can be shared";
+
+// ISO BMFF major brands of audio files, and brands of general containers
+// that are audio only when their tracks say so.
+const AUDIO_BRANDS = new Set(["M4A ", "M4B "]);
+const CONTAINER_BRANDS = new Set(["dash", "isom"]);
+
+// EBML element IDs (with their length marker) and the WebM track types.
+const EBML_HEADER = 0x1a45dfa3;
+const EBML_DOC_TYPE = 0x4282;
+const SEGMENT = 0x18538067;
+const TRACKS = 0x1654ae6b;
+const TRACK_ENTRY = 0xae;
+const TRACK_TYPE = 0x83;
+const CLUSTER = 0x1f43b675;
+const VIDEO_TRACK = 1;
+const AUDIO_TRACK = 2;
+
+// Stored type of end-to-end encrypted audio; only the listener's browser
+// knows the real one.
+export const ENCRYPTED_AUDIO_TYPE = "application/vnd.aoraina.encrypted";
+
+// Framing of public/e2e.js, which must agree: magic, 8-byte nonce, uint32
+// header length, the sealed header, then CHUNK_SIZE-byte chunks sealed with
+// a 16-byte tag each (the last one shorter).
+const ENCRYPTED_MAGIC = "AORAENC1";
+const ENCRYPTED_PREFIX_BYTES = 20;
+const ENCRYPTED_CHUNK_BYTES = 64 * 1024;
+const GCM_TAG_BYTES = 16;
+// The sealed JSON { name, type, size, chunkSize }; the name makes its length.
+const MIN_ENCRYPTED_HEADER_BYTES = GCM_TAG_BYTES + 40;
+const MAX_ENCRYPTED_HEADER_BYTES = 16 * 1024;
+
+const OGG_AUDIO_CODECS = ["OpusHead", "\x01vorbis", "\x7fFLAC", "Speex   "];
+
+/**
+ * Returns the MIME type to store for the bytes (the start of the file is
+ * enough), or null if they are not a supported audio format. `size` is the
+ * length of the whole file, when `bytes` are only its start.
+ */
+export function sniffAudioType(bytes, size = bytes.length) {
+  if (ascii(bytes, 0, 8) === ENCRYPTED_MAGIC) {
+    return isEncryptedFraming(bytes, size) ? ENCRYPTED_AUDIO_TYPE : null;
+  }
+
+  if (ascii(bytes, 0, 3) === "ID3") {
+    return sniffAfterId3(bytes);
+  }
+
+  const riff = ascii(bytes, 0, 4);
+  if ((riff === "RIFF" || riff === "RF64") && ascii(bytes, 8, 4) === "WAVE") {
+    return "audio/wav";
+  }
+
+  if (ascii(bytes, 0, 4) === "fLaC") {
+    return "audio/flac";
+  }
+
+  if (ascii(bytes, 0, 4) === "OggS") {
+    // The first page carries the codec's identification header at byte 28.
+    return OGG_AUDIO_CODECS.some((id) => ascii(bytes, 28, id.length) === id) ? "audio/ogg" : null;
+  }
+
+  if (ascii(bytes, 4, 4) === "ftyp") {
+    return sniffMp4(bytes);
+  }
+
+  if (bytes[0] === 0x1a && bytes[1] === 0x45 && bytes[2] === 0xdf && bytes[3] === 0xa3) {
+    return sniffWebm(bytes);
+  }
+
+  return sniffFrame(bytes, 0);
+}
+
+// An ISO BMFF file (it starts with its ftyp box): audio when its tracks are
+// sound and no video, and its brands say audio or a general container.
+function sniffMp4(bytes) {
+  const [ftyp] = children(bytes, 0, bytes.length);
+  if (!ftyp) return null;
+  const brands = [ascii(bytes, ftyp.start, 4)];
+  for (let offset = ftyp.start + 8; offset + 4 <= ftyp.end; offset += 4) {
+    brands.push(ascii(bytes, offset, 4));
+  }
+
+  const handlers = mp4TrackHandlers(bytes);
+  if (handlers && (handlers.includes("vide") || !handlers.includes("soun"))) return null;
+  if (AUDIO_BRANDS.has(brands[0])) return "audio/mp4";
+  return handlers && brands.some((brand) => CONTAINER_BRANDS.has(brand)) ? "audio/mp4" : null;
+}
+
+// The handler type ("soun", "vide", ...) of every track in the moov box, or
+// null when the moov box is not (wholly) in the bytes at hand.
+function mp4TrackHandlers(bytes) {
+  const moov = [...children(bytes, 0, bytes.length)].find((box) => box.type === "moov");
+  if (!moov) return null;
+
+  const handlers = [];
+  for (const trak of children(bytes, moov.start, moov.end)) {
+    const hdlr = trak.type === "trak" && path(bytes, trak, ["mdia", "hdlr"]);
+    // Version and flags, pre_defined, then the handler type.
+    if (hdlr) handlers.push(ascii(bytes, hdlr.start + 8, 4));
+  }
+  return handlers;
+}
+
+// A Matroska file: audio when its DocType is webm and its Tracks, which
+// come before the first Cluster, hold audio and no video.
+function sniffWebm(bytes) {
+  const [header, segment] = ebmlElements(bytes, 0, bytes.length);
+  if (!header || !segment || segment.id !== SEGMENT) return null;
+  const docType = [...ebmlElements(bytes, header.start, header.end)].find((element) => element.id === EBML_DOC_TYPE);
+  if (!docType || ascii(bytes, docType.start, docType.end - docType.start).replace(/\0+$/, "") !== "webm") {
+    return null;
+  }
+
+  for (const element of ebmlElements(bytes, segment.start, segment.end)) {
+    if (element.id === CLUSTER) break;
+    if (element.id !== TRACKS) continue;
+    if (!element.complete) return null;
+
+    const types = [];
+    for (const entry of ebmlElements(bytes, element.start, element.end)) {
+      if (entry.id !== TRACK_ENTRY) continue;
+      for (const field of ebmlElements(bytes, entry.start, entry.end)) {
+        if (field.id === TRACK_TYPE) types.push(bytes[field.end - 1]);
+      }
+    }
+    return types.includes(AUDIO_TRACK) && !types.includes(VIDEO_TRACK) ? "audio/webm" : null;
+  }
+  return null;
+}
+
+// The EBML elements in bytes[start, end): their ID, payload and whether all
+// of it is there. Stops after one of unknown size (a live Segment or
+// Cluster), and at anything that is not a valid element.
+function* ebmlElements(bytes, start, end) {
+  let offset = start;
+  while (offset < end) {
+    const id = readVint(bytes, offset, true);
+    const size = id && readVint(bytes, offset + id.length, false);
+    if (!size) return;
+
+    const payload = offset + id.length + size.length;
+    const declaredEnd = size.unknown ? Infinity : payload + size.value;
+    yield { id: id.value, start: payload, end: Math.min(declaredEnd, end), complete: declaredEnd <= end };
+    offset = declaredEnd;
+  }
+}
+
+// Whether a file of `size` bytes starting with `bytes` is laid out as
+// e2e.js writes it: a header of plausible length, then whole sealed chunks.
+function isEncryptedFraming(bytes, size) {
+  if (bytes.length < ENCRYPTED_PREFIX_BYTES) return false;
+  const headerLength = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength).getUint32(16);
+  if (headerLength < MIN_ENCRYPTED_HEADER_BYTES || headerLength > MAX_ENCRYPTED_HEADER_BYTES) return false;
+
+  // Even empty audio has one (empty) sealed chunk.
+  const data = size - ENCRYPTED_PREFIX_BYTES - headerLength;
+  if (data < GCM_TAG_BYTES) return false;
+  const sealedChunk = ENCRYPTED_CHUNK_BYTES + GCM_TAG_BYTES;
+  const lastChunk = data - (Math.ceil(data / sealedChunk) - 1) * sealedChunk;
+  return lastChunk >= GCM_TAG_BYTES;
+}
+
+// An ID3v2 tag is mostly followed by MP3 frames, sometimes by AAC or FLAC.
+// When the tag is larger than the bytes at hand, trust it to be MP3.
+function sniffAfterId3(bytes) {
+  const size = ((bytes[6] & 0x7f) << 21) | ((bytes[7] & 0x7f) << 14) | ((bytes[8] & 0x7f) << 7) | (bytes[9] & 0x7f);
+  const footer = bytes[5] & 0x10 ? 10 : 0;
+  let offset = 10 + size + footer;
+  while (offset < bytes.length && bytes[offset] === 0) offset++; // padding
+  if (offset + 4 > bytes.length) return "audio/mpeg";
+  if (ascii(bytes, offset, 4) === "fLaC") return "audio/flac";
+  return sniffFrame(bytes, offset) || "audio/mpeg";
+}
+
+// MPEG audio frame header or AAC ADTS header at `offset`.
+function sniffFrame(bytes, offset) {
+  if (bytes.length < offset + 4 || bytes[offset] !== 0xff || (bytes[offset + 1] & 0xe0) !== 0xe0) {
+    return null;
+  }
+  const b1 = bytes[offset + 1];
+  const b2 = bytes[offset + 2];
+
+  const layer = (b1 >> 1) & 0x03;
+  if (layer === 0) {
+    // ADTS: 12-bit sync, layer 00, sampling frequency index below 13.
+    return (b1 & 0xf6) === 0xf0 && ((b2 >> 2) & 0x0f) < 13 ? "audio/aac" : null;
+  }
+
+  const version = (b1 >> 3) & 0x03;
+  const bitrate = b2 >> 4;
+  const sampleRate = (b2 >> 2) & 0x03;
+  if (version === 1 || bitrate === 0x0f || sampleRate === 0x03) return null;
+  return "audio/mpeg";
+}
+
+function ascii(bytes, start, length) {
+  let text = "";
+  for (let i = start; i < start + length && i < bytes.length; i++) {
+    text += String.fromCharCode(bytes[i]);
+  }
+  return text;
+}
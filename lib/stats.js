@@ -0,0 +1,140 @@
+/**
+ * Per-link access statistics for the uploader ("did the transcriber listen?"),
+ * kept in the `audio/<token>/stats.json` sidecar:
+ *   { firstAccessAt, lastAccessAt, sessions, recentSessions, bytesServed,
+ *     furthestPosition }
+ *
+ * Recorded from /stream/:token and /api/check/:token. Nothing about the
+ * listener is stored — no IP address, user agent or cookie. A listening
+ * session is a random id the player makes up for each page view and sends as
+ * `?listen=`; the most recent ones are kept only to tell a new session from
+ * a known one. The furthest position comes from the player's own
+ * `?position=` reports on check, since which bytes a browser fetches says
+ * more about its buffering than about what was heard.
+ *
+ * Requests carrying the owner key, or `?stats=0` (the owner's own player),
+ * are not counted. The figures are informational: anyone with the link can
+ * make them up, as they could simply listen.
+ *
+ * A stream is recorded once its body is finished (see countBytes), with the
+ * bytes it sent: one conditional write of stats.json per stream, and nothing
+ * kept in memory between requests.
+ */
+
+import { readOwnerKey } from "./owner.js";
+import { readJsonSidecar, updateJsonSidecar } from "./store.js";
+
+export const STATS_SIDECAR = "stats.json";
+
+const MAX_RECENT_SESSIONS = 50;
+const MAX_POSITION = 24 * 60 * 60;
+const LISTEN_ID_PATTERN = /^[A-Za-z0-9_-]{8,64}$/;
+
+// Check is polled; without anything new, lastAccessAt moves at most this often.
+const TOUCH_INTERVAL_MS = 60 * 1000;
+
+/**
+ * What a request contributes to the stats: { listenId, position }, or null
+ * when it is not to be counted. Both fields are empty when absent or invalid.
+ */
+export function readAccess(request) {
+  const params = new URL(request.url).searchParams;
+  if (params.get("stats") === "0" || readOwnerKey(request)) return null;
+
+  const listenId = params.get("listen") || "";
+  const position = Number(params.get("position"));
+  return {
+    listenId: LISTEN_ID_PATTERN.test(listenId) ? listenId : "",
+    position: params.has("position") && Number.isFinite(position) && position >= 0
+      ? Math.min(Math.round(position), MAX_POSITION)
+      : null,
+  };
+}
+
+/**
+ * Adds one access (and `bytes` served by it) to the track's stats. Never
+ * rejects: the stats are not worth failing or retrying a request for.
+ */
+export async function recordAccess(bucket, token, access, bytes = 0, now = Date.now()) {
+  try {
+    await writeAccess(bucket, token, access, bytes, now);
+  } catch (err) {
+    console.error(`Could not record access to ${token}`, err);
+  }
+}
+
+async function writeAccess(bucket, token, access, bytes, now) {
+  await updateJsonSidecar(bucket, token, STATS_SIDECAR, (current) => {
+    const stats = current || {
+      firstAccessAt: now,
+      lastAccessAt: 0,
+      sessions: 0,
+      recentSessions: [],
+      bytesServed: 0,
+      furthestPosition: 0,
+    };
+    const newSession = Boolean(access.listenId) && !stats.recentSessions.includes(access.listenId);
+    const further = access.position !== null && access.position > stats.furthestPosition;
+    if (current && !bytes && !newSession && !further && now - stats.lastAccessAt < TOUCH_INTERVAL_MS) {
+      return undefined;
+    }
+
+    const next = { ...stats, lastAccessAt: now, bytesServed: stats.bytesServed + bytes };
+    if (newSession) {
+      next.sessions = stats.sessions + 1;
+      next.recentSessions = [...stats.recentSessions, access.listenId].slice(-MAX_RECENT_SESSIONS);
+    }
+    if (further) next.furthestPosition = access.position;
+    return next;
+  });
+}
+
+/**
+ * Wraps a response body so the bytes actually read from it are counted.
+ * `onEnd(bytes)` runs once, when the body is finished or cancelled.
+ */
+export function countBytes(body, onEnd) {
+  const reader = body.getReader();
+  let bytes = 0;
+  let ended = false;
+  const end = () => {
+    if (!ended) {
+      ended = true;
+      onEnd(bytes);
+    }
+  };
+
+  return new ReadableStream({
+    async pull(controller) {
+      try {
+        const { done, value } = await reader.read();
+        if (done) {
+          end();
+          controller.close();
+          return;
+        }
+        bytes += value.byteLength;
+        controller.enqueue(value);
+      } catch (err) {
+        end();
+        controller.error(err);
+      }
+    },
+    cancel(reason) {
+      end();
+      return reader.cancel(reason);
+    },
+  });
+}
+
+/** The owner's view of the stats, with zeros for a link nobody opened. */
+export async function readStats(bucket, token) {
+  const stats = await readJsonSidecar(bucket, token, STATS_SIDECAR);
+  return {
+    firstAccessAt: stats && stats.firstAccessAt ? String(stats.firstAccessAt) : null,
+    lastAccessAt: stats && stats.lastAccessAt ? String(stats.lastAccessAt) : null,
+    sessions: stats ? stats.sessions : 0,
+    bytesServed: stats ? stats.bytesServed : 0,
+    furthestPosition: stats ? stats.furthestPosition : 0,
+  };
+}
@@ -0,0 +1,220 @@
+/**
+ * The part of the R2 bucket API the routes use — head, get (with ranges),
+ * put (with onlyIf.etagMatches), delete, list and multipart uploads — built
+ * on a small storage driver, so the Node server can run the same routes as
+ * Pages with objects kept in memory (memory.js) or in a directory (fs.js).
+ * Pages and the cleanup Worker use the real R2 binding instead.
+ *
+ * Node-only: ETags are MD5 hex digests like R2's, from node:crypto.
+ *
+ * A driver stores object bodies next to a record
+ * { key, size, etag, uploaded, httpMetadata, customMetadata } and implements:
+ *   readRecord(key), readBody(key, offset, length) -> ReadableStream,
+ *   writeObject(key, bytes, record), deleteObject(key), listKeys(),
+ *   readUpload(id), writeUpload(id, upload), writePart(id, partNumber, bytes),
+ *   assembleParts(key, id, partNumbers, record), deleteUpload(id)
+ */
+
+import { createHash, randomUUID } from "node:crypto";
+
+export function createBucket(driver) {
+  const locks = new Map();
+
+  // Serialises writes to one key, so that a conditional put cannot
+  // interleave with another write between its check and its write.
+  async function withLock(key, fn) {
+    const previous = locks.get(key) || Promise.resolve();
+    const current = previous.catch(() => {}).then(fn);
+    locks.set(key, current);
+    try {
+      return await current;
+    } finally {
+      if (locks.get(key) === current) locks.delete(key);
+    }
+  }
+
+  async function head(key) {
+    const record = await driver.readRecord(key);
+    return record ? toObject(record) : null;
+  }
+
+  async function get(key, options = {}) {
+    const record = await driver.readRecord(key);
+    if (!record) return null;
+
+    let offset = 0;
+    let length = record.size;
+    const { range } = options;
+    if (range && range.suffix !== undefined) {
+      length = Math.min(record.size, range.suffix);
+      offset = record.size - length;
+    } else if (range) {
+      offset = Math.min(record.size, range.offset || 0);
+      length = Math.min(record.size - offset, range.length ?? record.size - offset);
+    }
+
+    const body = await driver.readBody(key, offset, length);
+    return toObject(record, body, range ? { offset, length } : undefined);
+  }
+
+  async function put(key, value, options = {}) {
+    const bytes = await toBytes(value);
+    return withLock(key, async () => {
+      const { onlyIf } = options;
+      if (onlyIf && (onlyIf.etagMatches || onlyIf.etagDoesNotMatch)) {
+        const current = await driver.readRecord(key);
+        if (onlyIf.etagMatches && (!current || current.etag !== stripQuotes(onlyIf.etagMatches))) return null;
+        if (onlyIf.etagDoesNotMatch && current && current.etag === stripQuotes(onlyIf.etagDoesNotMatch)) return null;
+      }
+
+      const record = {
+        key,
+        size: bytes.byteLength,
+        etag: md5(bytes),
+        uploaded: Date.now(),
+        httpMetadata: { ...(options.httpMetadata || {}) },
+        customMetadata: { ...(options.customMetadata || {}) },
+      };
+      await driver.writeObject(key, bytes, record);
+      return toObject(record);
+    });
+  }
+
+  async function remove(keys) {
+    for (const key of Array.isArray(keys) ? keys : [keys]) {
+      await withLock(key, () => driver.deleteObject(key));
+    }
+  }
+
+  async function list(options = {}) {
+    const prefix = options.prefix || "";
+    const limit = Math.min(options.limit || 1000, 1000);
+    const keys = (await driver.listKeys())
+      .filter((key) => key.startsWith(prefix) && (!options.cursor || key > options.cursor))
+      .sort();
+
+    const page = keys.slice(0, limit);
+    const records = await Promise.all(page.map((key) => driver.readRecord(key)));
+    const objects = records.filter(Boolean).map((record) => toObject(record));
+    const truncated = keys.length > limit;
+    return { objects, truncated, ...(truncated ? { cursor: page[page.length - 1] } : {}), delimitedPrefixes: [] };
+  }
+
+  async function createMultipartUpload(key, options = {}) {
+    const uploadId = randomUUID();
+    await driver.writeUpload(uploadId, {
+      key,
+      httpMetadata: { ...(options.httpMetadata || {}) },
+      customMetadata: { ...(options.customMetadata || {}) },
+      parts: {},
+    });
+    return resumeMultipartUpload(key, uploadId);
+  }
+
+  function resumeMultipartUpload(key, uploadId) {
+    const lockKey = `multipart:${uploadId}`;
+
+    async function readUpload() {
+      const upload = await driver.readUpload(uploadId);
+      if (!upload || upload.key !== key) {
+        throw new Error("Multipart upload does not exist");
+      }
+      return upload;
+    }
+
+    return {
+      key,
+      uploadId,
+
+      async uploadPart(partNumber, value) {
+        const bytes = await toBytes(value);
+        return withLock(lockKey, async () => {
+          const upload = await readUpload();
+          const etag = md5(bytes);
+          await driver.writePart(uploadId, partNumber, bytes);
+          upload.parts[partNumber] = { etag, size: bytes.byteLength };
+          await driver.writeUpload(uploadId, upload);
+          return { partNumber, etag };
+        });
+      },
+
+      async complete(parts) {
+        return withLock(lockKey, async () => {
+          const upload = await readUpload();
+          const partNumbers = parts.map((part) => part.partNumber);
+          for (const part of parts) {
+            const stored = upload.parts[part.partNumber];
+            if (!stored || stored.etag !== stripQuotes(part.etag)) {
+              throw new Error(`Part ${part.partNumber} was not uploaded`);
+            }
+          }
+
+          // Same shape as R2's multipart ETags: MD5 of the part digests.
+          const digests = partNumbers.map((n) => Buffer.from(upload.parts[n].etag, "hex"));
+          const record = {
+            key,
+            size: partNumbers.reduce((total, n) => total + upload.parts[n].size, 0),
+            etag: `${md5(Buffer.concat(digests))}-${partNumbers.length}`,
+            uploaded: Date.now(),
+            httpMetadata: upload.httpMetadata,
+            customMetadata: upload.customMetadata,
+          };
+          await withLock(key, () => driver.assembleParts(key, uploadId, partNumbers, record));
+          await driver.deleteUpload(uploadId);
+          return toObject(record);
+        });
+      },
+
+      async abort() {
+        return withLock(lockKey, async () => {
+          await readUpload();
+          await driver.deleteUpload(uploadId);
+        });
+      },
+    };
+  }
+
+  return { head, get, put, delete: remove, list, createMultipartUpload, resumeMultipartUpload };
+}
+
+function toObject(record, body, range) {
+  const object = {
+    key: record.key,
+    version: record.etag,
+    size: record.size,
+    etag: record.etag,
+    httpEtag: `"${record.etag}"`,
+    uploaded: new Date(record.uploaded),
+    httpMetadata: { ...record.httpMetadata },
+    customMetadata: { ...record.customMetadata },
+    writeHttpMetadata(headers) {
+      if (record.httpMetadata.contentType) headers.set("Content-Type", record.httpMetadata.contentType);
+    },
+  };
+  if (body === undefined) return object;
+
+  return Object.assign(object, {
+    body,
+    range,
+    arrayBuffer: () => new Response(body).arrayBuffer(),
+    text: () => new Response(body).text(),
+    json: () => new Response(body).json(),
+    blob: () => new Response(body).blob(),
+  });
+}
+
+async function toBytes(value) {
+  if (value === null || value === undefined) return new Uint8Array(0);
+  if (typeof value === "string") return new TextEncoder().encode(value);
+  if (value instanceof ArrayBuffer) return new Uint8Array(value);
+  if (ArrayBuffer.isView(value)) return new Uint8Array(value.buffer, value.byteOffset, value.byteLength);
+  return new Uint8Array(await new Response(value).arrayBuffer()); // Blob or ReadableStream
+}
+
+function md5(bytes) {
+  return createHash("md5").update(bytes).digest("hex");
+}
+
+function stripQuotes(etag) {
+  return String(etag).replace(/^"|"$/g, "");
+}
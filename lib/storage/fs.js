@@ -0,0 +1,118 @@
+/**
+ * Storage in a local directory, so the Node server keeps its links across
+ * restarts during development. Layout:
+ *
+ *   <dir>/objects/<encoded key>.data   object body
+ *   <dir>/objects/<encoded key>.meta   JSON record (its presence is what
+ *                                      makes the object exist)
+ *   <dir>/multipart/<uploadId>/        upload.json and <n>.part files
+ *
+ * Keys are stored flat (URL-encoded) because R2 keys like `audio/<token>`
+ * and `audio/<token>/notes.json` cannot both be paths on disk.
+ */
+
+import { createReadStream, createWriteStream, mkdirSync } from "node:fs";
+import { readFile, readdir, rename, rm, unlink, writeFile } from "node:fs/promises";
+import { join } from "node:path";
+import { Readable } from "node:stream";
+import { pipeline } from "node:stream/promises";
+import { createBucket } from "./bucket.js";
+
+export function createFsBucket(dir) {
+  const objectsDir = join(dir, "objects");
+  const multipartDir = join(dir, "multipart");
+  mkdirSync(objectsDir, { recursive: true });
+  mkdirSync(multipartDir, { recursive: true });
+
+  const objectPath = (key, suffix) => join(objectsDir, `${encodeURIComponent(key)}${suffix}`);
+
+  function uploadDir(uploadId) {
+    if (!/^[\w-]+$/.test(uploadId)) throw new Error("Invalid upload id");
+    return join(multipartDir, uploadId);
+  }
+
+  return createBucket({
+    async readRecord(key) {
+      return readJson(objectPath(key, ".meta"));
+    },
+
+    async readBody(key, offset, length) {
+      if (length === 0) return new Blob([]).stream();
+      const stream = createReadStream(objectPath(key, ".data"), { start: offset, end: offset + length - 1 });
+      return Readable.toWeb(stream);
+    },
+
+    async writeObject(key, bytes, record) {
+      await writeAtomically(objectPath(key, ".data"), bytes);
+      await writeAtomically(objectPath(key, ".meta"), JSON.stringify(record));
+    },
+
+    async deleteObject(key) {
+      await removeFile(objectPath(key, ".meta"));
+      await removeFile(objectPath(key, ".data"));
+    },
+
+    async listKeys() {
+      const names = await readdir(objectsDir);
+      return names.filter((name) => name.endsWith(".meta")).map((name) => decodeURIComponent(name.slice(0, -5)));
+    },
+
+    async readUpload(uploadId) {
+      return readJson(join(uploadDir(uploadId), "upload.json"));
+    },
+
+    async writeUpload(uploadId, upload) {
+      mkdirSync(uploadDir(uploadId), { recursive: true });
+      await writeAtomically(join(uploadDir(uploadId), "upload.json"), JSON.stringify(upload));
+    },
+
+    async writePart(uploadId, partNumber, bytes) {
+      await writeAtomically(join(uploadDir(uploadId), `${partNumber}.part`), bytes);
+    },
+
+    // Parts are streamed into place so a 1 GB upload never sits in memory.
+    async assembleParts(key, uploadId, partNumbers, record) {
+      const target = objectPath(key, ".data");
+      const temporary = `${target}.${process.pid}.tmp`;
+      const output = createWriteStream(temporary);
+      for (const partNumber of partNumbers) {
+        await pipeline(createReadStream(join(uploadDir(uploadId), `${partNumber}.part`)), output, { end: false });
+      }
+      await new Promise((resolve, reject) => output.end((err) => (err ? reject(err) : resolve())));
+      await rename(temporary, target);
+      await writeAtomically(objectPath(key, ".meta"), JSON.stringify(record));
+    },
+
+    async deleteUpload(uploadId) {
+      await rm(uploadDir(uploadId), { recursive: true, force: true });
+    },
+  });
+}
+
+// Keys come from URLs, so a name the file system cannot hold (too long, or
+// invalid) is one that cannot exist either.
+const MISSING_CODES = new Set(["ENOENT", "ENAMETOOLONG", "EINVAL"]);
+
+async function readJson(path) {
+  try {
+    return JSON.parse(await readFile(path, "utf8"));
+  } catch (err) {
+    if (MISSING_CODES.has(err.code)) return null;
+    throw err;
+  }
+}
+
+// Write-then-rename, so a crash never leaves a half-written file behind.
+async function writeAtomically(path, data) {
+  const temporary = `${path}.${process.pid}.tmp`;
+  await writeFile(temporary, data);
+  await rename(temporary, path);
+}
+
+async function removeFile(path) {
+  try {
+    await unlink(path);
+  } catch (err) {
+    if (!MISSING_CODES.has(err.code)) throw err;
+  }
+}
@@ -0,0 +1,64 @@
+/**
+ * Storage kept in process memory (STORAGE=memory): everything is lost when
+ * the Node server stops.
+ */
+
+import { createBucket } from "./bucket.js";
+
+export function createMemoryBucket() {
+  const objects = new Map(); // key -> { record, bytes }
+  const uploads = new Map(); // uploadId -> { upload, parts: Map<partNumber, bytes> }
+
+  return createBucket({
+    async readRecord(key) {
+      const entry = objects.get(key);
+      return entry ? entry.record : null;
+    },
+
+    async readBody(key, offset, length) {
+      const entry = objects.get(key);
+      return new Blob([entry ? entry.bytes.subarray(offset, offset + length) : new Uint8Array(0)]).stream();
+    },
+
+    async writeObject(key, bytes, record) {
+      objects.set(key, { record, bytes: bytes.slice() });
+    },
+
+    async deleteObject(key) {
+      objects.delete(key);
+    },
+
+    async listKeys() {
+      return [...objects.keys()];
+    },
+
+    async readUpload(uploadId) {
+      const entry = uploads.get(uploadId);
+      return entry ? structuredClone(entry.upload) : null;
+    },
+
+    async writeUpload(uploadId, upload) {
+      const entry = uploads.get(uploadId);
+      uploads.set(uploadId, { upload: structuredClone(upload), parts: entry ? entry.parts : new Map() });
+    },
+
+    async writePart(uploadId, partNumber, bytes) {
+      uploads.get(uploadId).parts.set(partNumber, bytes.slice());
+    },
+
+    async assembleParts(key, uploadId, partNumbers, record) {
+      const { parts } = uploads.get(uploadId);
+      const bytes = new Uint8Array(record.size);
+      let offset = 0;
+      for (const partNumber of partNumbers) {
+        bytes.set(parts.get(partNumber), offset);
+        offset += parts.get(partNumber).byteLength;
+      }
+      objects.set(key, { record, bytes });
+    },
+
+    async deleteUpload(uploadId) {
+      uploads.delete(uploadId);
+    },
+  });
+}
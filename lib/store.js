@@ -0,0 +1,216 @@
+/**
+ * R2 layout helpers.
+ *
+ * Each track lives at `audio/<token>`. Anything else belonging to the track
+ * is stored under `audio/<token>/` (e.g. `state.json` for mutable state that
+ * cannot live in the immutable customMetadata), so deleting a track is
+ * "delete the object and everything under its prefix".
+ *
+ * state.json: { listenedAt, expiresAt, filename }, the last two set by the
+ * owner (extend, rename) and taking precedence over customMetadata.
+ *
+ * A multipart upload in progress, new or replacing a track's audio, is
+ * recorded at `uploads/<token>.json` (see upload.js).
+ */
+
+import { expiresAtFor } from "./expiry.js";
+import { playsExhausted } from "./plays.js";
+import { ENCRYPTED_AUDIO_TYPE } from "./sniff.js";
+
+export const GONE_MESSAGES = {
+  missing: "This audio is no longer available.",
+  expired: "This link has expired.",
+  "play-limit": "This link has reached its play limit.",
+};
+
+export function goneStatus(reason) {
+  return reason === "missing" ? 404 : 410;
+}
+
+// Tokens are crypto.randomUUID() values. Checking the form keeps a decoded
+// "<token>/notes.json" from reaching a sidecar as if it were a track.
+const TOKEN_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/;
+
+export function isTrackToken(token) {
+  return typeof token === "string" && TOKEN_PATTERN.test(token);
+}
+
+export function audioKey(token) {
+  return `audio/${token}`;
+}
+
+export function sidecarKey(token, name) {
+  return `audio/${token}/${name}`;
+}
+
+export function pendingUploadKey(token) {
+  return `uploads/${token}.json`;
+}
+
+export async function readPendingUpload(bucket, token) {
+  if (!isTrackToken(token)) return null;
+  return readJsonObject(bucket, pendingUploadKey(token));
+}
+
+/** Aborts the token's multipart upload, if one is pending, and drops its record. */
+export async function abortPendingUpload(bucket, token, pending) {
+  // Before part 1 arrives there is no R2 multipart upload yet.
+  if (pending && pending.uploadId) {
+    try {
+      await bucket.resumeMultipartUpload(audioKey(token), pending.uploadId).abort();
+    } catch {
+      // Already completed or aborted – nothing left to clean up in R2.
+    }
+  }
+  await bucket.delete(pendingUploadKey(token));
+}
+
+export async function readState(bucket, token) {
+  return (await readJsonSidecar(bucket, token, "state.json")) || {};
+}
+
+/** Conditional read-modify-write of state.json, see updateJsonSidecar. */
+export async function updateState(bucket, token, mutate) {
+  return updateJsonSidecar(bucket, token, "state.json", (current) => mutate(current || {}));
+}
+
+/** The name a live track is shown and downloaded under. */
+export function trackFilename(track) {
+  return track.state.filename || track.meta.filename || "";
+}
+
+/**
+ * Whether a live track is end-to-end encrypted: the server has only the
+ * ciphertext, and the player needs the key from the link's #fragment.
+ */
+export function isEncryptedTrack(track) {
+  return track.head.httpMetadata?.contentType === ENCRYPTED_AUDIO_TYPE;
+}
+
+export async function readJsonSidecar(bucket, token, name) {
+  return readJsonObject(bucket, sidecarKey(token, name));
+}
+
+/** Reads and parses a JSON object; null if it is missing or not valid JSON. */
+export async function readJsonObject(bucket, key) {
+  const object = await bucket.get(key);
+  if (!object) return null;
+  try {
+    return await object.json();
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Read-modify-write of a JSON sidecar. `mutate(current)` receives the parsed
+ * document (null if missing) and returns the new one, or undefined to leave
+ * it alone. Writes are conditional on the ETag read, retried on conflict, so
+ * concurrent listeners do not overwrite each other. Only the write creating
+ * a missing document is unconditional. Returns the stored value.
+ */
+export async function updateJsonSidecar(bucket, token, name, mutate, attempts = 5) {
+  return updateJsonObject(bucket, sidecarKey(token, name), mutate, attempts);
+}
+
+/** updateJsonSidecar for any key (e.g. collections, see collections.js). */
+export async function updateJsonObject(bucket, key, mutate, attempts = 5) {
+  for (let attempt = 0; attempt < attempts; attempt++) {
+    const object = await bucket.get(key);
+    let current = null;
+    if (object) {
+      try {
+        current = await object.json();
+      } catch {
+        current = null;
+      }
+    }
+
+    const next = mutate(current);
+    if (next === undefined) return current;
+
+    const written = await bucket.put(key, JSON.stringify(next), {
+      httpMetadata: { contentType: "application/json" },
+      ...(object ? { onlyIf: { etagMatches: object.etag } } : {}),
+    });
+    if (written) return next;
+  }
+  throw new Error(`Too many concurrent updates to ${key}`);
+}
+
+/**
+ * Deletes the audio object and every sidecar stored under its prefix, and
+ * aborts a replacement upload still in progress.
+ */
+export async function deleteTrack(bucket, token) {
+  const pending = await readPendingUpload(bucket, token);
+  if (pending) await abortPendingUpload(bucket, token, pending);
+
+  const keys = [audioKey(token)];
+  let cursor;
+  do {
+    const page = await bucket.list({ prefix: `${audioKey(token)}/`, cursor });
+    for (const object of page.objects) keys.push(object.key);
+    cursor = page.truncated ? page.cursor : undefined;
+  } while (cursor);
+
+  // R2 deletes at most 1000 keys per call
+  for (let i = 0; i < keys.length; i += 1000) {
+    await bucket.delete(keys.slice(i, i + 1000));
+  }
+}
+
+/** Ids of the play sessions started for a track (see plays.js). */
+export async function listPlays(bucket, token) {
+  const prefix = sidecarKey(token, "plays/");
+  const plays = [];
+  let cursor;
+  do {
+    const page = await bucket.list({ prefix, cursor });
+    for (const object of page.objects) plays.push(object.key.slice(prefix.length));
+    cursor = page.truncated ? page.cursor : undefined;
+  } while (cursor);
+  return plays;
+}
+
+export async function addPlay(bucket, token, sessionId) {
+  await bucket.put(sidecarKey(token, `plays/${sessionId}`), "");
+}
+
+export async function removePlay(bucket, token, sessionId) {
+  await bucket.delete(sidecarKey(token, `plays/${sessionId}`));
+}
+
+/**
+ * Evaluates everything that can end a track's life besides deletion.
+ * Returns { state, plays, expiresAt } or { gone: "missing" | "expired" | "play-limit" },
+ * "missing" for an object without the createdAt/expiresAt every upload
+ * stores, which is not a track.
+ */
+export async function trackStatus(bucket, token, meta, now = Date.now()) {
+  const state = await readState(bucket, token);
+  const expiresAt = expiresAtFor(meta, state);
+  if (Number.isNaN(expiresAt)) return { gone: "missing" };
+  if (expiresAt <= now) return { gone: "expired" };
+
+  const plays = meta.maxPlays ? await listPlays(bucket, token) : [];
+  if (meta.maxPlays && playsExhausted(meta, plays, now)) return { gone: "play-limit" };
+
+  return { state, plays, expiresAt };
+}
+
+/**
+ * Looks up a track that is still live. Returns
+ * { head, meta, state, plays, expiresAt } or { gone: "missing" | "expired" | "play-limit" }.
+ */
+export async function findTrack(bucket, token, now = Date.now()) {
+  if (!isTrackToken(token)) return { gone: "missing" };
+  const head = await bucket.head(audioKey(token));
+  if (!head) return { gone: "missing" };
+
+  const meta = head.customMetadata || {};
+  const status = await trackStatus(bucket, token, meta, now);
+  if (status.gone) return status;
+
+  return { head, meta, ...status };
+}
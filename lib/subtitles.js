@@ -0,0 +1,169 @@
+/**
+ * Converting notes to and from subtitle / transcript files.
+ *
+ * Exports: SRT, WebVTT, timestamped plain text and JSON.
+ * Imports: SRT, WebVTT and the JSON export.
+ *
+ * Notes only carry a start time, so exported cues end where the next note
+ * starts (at most CUE_SECONDS later) and imports keep the cue start only.
+ */
+
+export const EXPORT_FORMATS = {
+  srt: { extension: "srt", contentType: "application/x-subrip; charset=utf-8" },
+  vtt: { extension: "vtt", contentType: "text/vtt; charset=utf-8" },
+  txt: { extension: "txt", contentType: "text/plain; charset=utf-8" },
+  json: { extension: "json", contentType: "application/json; charset=utf-8" },
+};
+
+export const IMPORT_FORMATS = ["srt", "vtt", "json"];
+
+export const MAX_IMPORT_BYTES = 1024 * 1024;
+
+const CUE_SECONDS = 5;
+
+export function exportNotes(notes, format, filename) {
+  switch (format) {
+    case "srt":
+      return cues(notes)
+        .map((cue, i) => `${i + 1}\n${timestamp(cue.start, ",")} --> ${timestamp(cue.end, ",")}\n${cueText(cue.text)}\n`)
+        .join("\n");
+    case "vtt":
+      return ["WEBVTT\n", ...cues(notes).map(
+        (cue) => `${timestamp(cue.start, ".")} --> ${timestamp(cue.end, ".")}\n${escapeVtt(cueText(cue.text))}\n`
+      )].join("\n");
+    case "txt":
+      return notes.map((note) => `[${timestamp(note.time, ".")}] ${note.text}\n`).join("");
+    case "json":
+      return JSON.stringify(
+        { filename: filename || null, notes: notes.map(({ time, text }) => ({ time, text })) },
+        null,
+        2
+      ) + "\n";
+    default:
+      return null;
+  }
+}
+
+/** Guesses the format of an uploaded file from its first characters. */
+export function detectImportFormat(text) {
+  const start = text.replace(/^\uFEFF/, "").trimStart();
+  if (/^WEBVTT\b/.test(start)) return "vtt";
+  if (start.startsWith("{") || start.startsWith("[")) return "json";
+  return "srt";
+}
+
+/**
+ * Parses an uploaded file into [{ time, text }] (not yet validated as notes).
+ * Returns { entries } or { error }.
+ */
+export function parseImport(text, format) {
+  const source = text.replace(/^\uFEFF/, "").replace(/\r\n?/g, "\n");
+  if (format === "json") return parseJsonImport(source);
+  if (format === "srt" || format === "vtt") {
+    const entries = parseCues(source, format);
+    return entries.length ? { entries } : { error: `No cues found in the ${format.toUpperCase()} file` };
+  }
+  return { error: `Import format must be one of: ${IMPORT_FORMATS.join(", ")}` };
+}
+
+/**
+ * Name for the downloaded file, e.g. "interview.srt" for "interview.wav".
+ * Left for attachmentDisposition (lib/http.js) to make safe for the header.
+ */
+export function exportFilename(filename, format) {
+  const base = String(filename || "notes")
+    .replace(/\.[^.]*$/, "")
+    .trim();
+  return `${base || "notes"}.${EXPORT_FORMATS[format].extension}`;
+}
+
+function cues(notes) {
+  return notes.map((note, i) => {
+    const next = notes[i + 1];
+    const limit = note.time + CUE_SECONDS;
+    const end = next && next.time > note.time ? Math.min(next.time, limit) : limit;
+    return { start: note.time, end, text: note.text };
+  });
+}
+
+// A blank line ends a cue in both formats, so blank lines inside a note are
+// dropped.
+function cueText(text) {
+  return text.split("\n").filter((line) => line.trim()).join("\n");
+}
+
+function escapeVtt(text) {
+  return text.replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;");
+}
+
+function unescapeVtt(text) {
+  return text
+    .replace(/<v(?:\.[^\s>]*)?\s+([^>]+)>/g, "$1: ")
+    .replace(/<[^>]*>/g, "")
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/&nbsp;/g, " ")
+    .replace(/&lrm;|&rlm;/g, "")
+    .replace(/&amp;/g, "&");
+}
+
+function timestamp(seconds, separator) {
+  const totalMs = Math.round(seconds * 1000);
+  const ms = totalMs % 1000;
+  const totalSeconds = Math.floor(totalMs / 1000);
+  const h = Math.floor(totalSeconds / 3600);
+  const m = Math.floor((totalSeconds % 3600) / 60);
+  const s = totalSeconds % 60;
+  return `${pad(h, 2)}:${pad(m, 2)}:${pad(s, 2)}${separator}${pad(ms, 3)}`;
+}
+
+function pad(value, width) {
+  return String(value).padStart(width, "0");
+}
+
+// "01:02:03,456", "01:02:03.456" or (WebVTT) "02:03.456"
+const TIMESTAMP = /^(?:(\d+):)?(\d{1,2}):(\d{1,2})(?:[.,](\d{1,3}))?$/;
+
+function parseTimestamp(value) {
+  const match = TIMESTAMP.exec(value.trim());
+  if (!match) return null;
+  const [, h = "0", m, s, ms = "0"] = match;
+  return Number(h) * 3600 + Number(m) * 60 + Number(s) + Number(ms.padEnd(3, "0")) / 1000;
+}
+
+// Styling tags players accept in SRT files; they have no place in a note.
+const SRT_TAGS = /<\/?(?:b|i|u|font)\b[^>]*>/gi;
+
+// Both formats are blocks separated by blank lines whose timing line holds
+// "start --> end". Blocks without one (the WEBVTT header, NOTE, STYLE and
+// REGION blocks, stray text) are skipped.
+function parseCues(source, format) {
+  const entries = [];
+  for (const block of source.split(/\n\s*\n/)) {
+    const lines = block.split("\n");
+    const timingIndex = lines.findIndex((line) => line.includes("-->"));
+    if (timingIndex === -1 || /^(NOTE|STYLE|REGION)\b/.test(lines[0])) continue;
+
+    const time = parseTimestamp(lines[timingIndex].split("-->")[0]);
+    if (time === null) continue;
+
+    let text = lines.slice(timingIndex + 1).join("\n");
+    text = format === "vtt" ? unescapeVtt(text) : text.replace(SRT_TAGS, "");
+    entries.push({ time, text: text.trim() });
+  }
+  return entries.filter((entry) => entry.text);
+}
+
+function parseJsonImport(source) {
+  let doc;
+  try {
+    doc = JSON.parse(source);
+  } catch {
+    return { error: "Invalid JSON file" };
+  }
+  const list = Array.isArray(doc) ? doc : doc && doc.notes;
+  if (!Array.isArray(list)) {
+    return { error: "JSON import must be a list of notes or { notes: [...] }" };
+  }
+  return { entries: list.map((item) => ({ time: item && item.time, text: item && item.text })) };
+}
@@ -0,0 +1,94 @@
+/**
+ * What GET /api/check/:token reports about a track, shared with the
+ * collection listing (GET /api/collections/:id) and the uploads dashboard
+ * (POST /api/check) so they all answer the same way.
+ */
+
+import { isPasswordProtected, listenerAccessError } from "./access.js";
+import { downloadsAllowed } from "./download.js";
+import { readMetadata } from "./metadata/index.js";
+import { ownerKeyMatches } from "./owner.js";
+import { isActivePlay, playsRemaining } from "./plays.js";
+import { GONE_MESSAGES, findTrack, goneStatus, isEncryptedTrack, trackFilename } from "./store.js";
+
+/**
+ * Returns { status, info, stale } where `info` is the check response body
+ * and `stale` is true when the track is dead and should be deleted.
+ * `session` is the listener's play session on play-limited links, if any.
+ */
+export async function describeTrack(request, bucket, token, session) {
+  const track = await findTrack(bucket, token);
+
+  if (track.gone) {
+    return { ...goneInfo(track.gone), stale: track.gone !== "missing" };
+  }
+
+  const info = publicInfo(track);
+
+  if (track.meta.maxPlays) {
+    const remaining = playsRemaining(track.meta, track.plays);
+    if (!remaining && !isActivePlay(track.plays, session)) {
+      return { ...goneInfo("play-limit"), stale: false };
+    }
+    info.maxPlays = Number(track.meta.maxPlays);
+    info.playsRemaining = remaining;
+  }
+
+  if (await listenerAccessError(request, token, track.meta)) {
+    return { status: 200, info: { ...info, locked: true }, stale: false };
+  }
+
+  return { status: 200, info: await unlockedInfo(bucket, token, track, info), stale: false };
+}
+
+/**
+ * The owner's view, for the uploads dashboard: everything check reports
+ * once unlocked, whatever the password, plus the stored `size`. Tracks whose
+ * plays are used up still show while a play runs. A wrong owner key gets
+ * `{ exists: true, error }` only.
+ */
+export async function describeOwnedTrack(bucket, token, ownerKey) {
+  const track = await findTrack(bucket, token);
+
+  if (track.gone) {
+    return { ...goneInfo(track.gone), stale: track.gone !== "missing" };
+  }
+  if (!(await ownerKeyMatches(ownerKey, track.meta.ownerKeyHash))) {
+    return { status: 403, info: { exists: true, error: "Invalid owner key" }, stale: false };
+  }
+
+  const info = publicInfo(track);
+  if (track.meta.maxPlays) {
+    info.maxPlays = Number(track.meta.maxPlays);
+    info.playsRemaining = playsRemaining(track.meta, track.plays);
+  }
+  info.size = track.head.size;
+
+  return { status: 200, info: await unlockedInfo(bucket, token, track, info), stale: false };
+}
+
+function publicInfo(track) {
+  return {
+    exists: true,
+    expiry: track.meta.expiry || "",
+    expiresAt: String(track.expiresAt),
+    passwordProtected: isPasswordProtected(track.meta),
+    allowDownload: downloadsAllowed(track.meta),
+    ...(isEncryptedTrack(track) ? { encrypted: true } : {}),
+    ...(track.meta.replacedAt ? { replacedAt: track.meta.replacedAt } : {}),
+  };
+}
+
+async function unlockedInfo(bucket, token, track, info) {
+  info.locked = false;
+  info.filename = trackFilename(track) || "Shared audio";
+  info.createdAt = track.meta.createdAt || "";
+
+  const metadata = await readMetadata(bucket, token);
+  if (metadata) info.metadata = metadata;
+  return info;
+}
+
+function goneInfo(reason) {
+  return { status: goneStatus(reason), info: { exists: false, reason, message: GONE_MESSAGES[reason] } };
+}
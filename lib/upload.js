@@ -0,0 +1,180 @@
+/**
+ * Shared pieces of the two upload paths: the single-request POST /api/upload
+ * and the resumable multipart protocol under /api/uploads. Both can also
+ * replace the audio of an existing link (POST /api/replace/:token, or
+ * `replaces` when starting a multipart upload).
+ */
+
+import { MAX_PASSWORD_LENGTH, hashPassword, isPasswordProtected } from "./access.js";
+import { downloadsAllowed, parseAllowDownload } from "./download.js";
+import { EXPIRY_OPTIONS, expiryMetadata, parseExpiry } from "./expiry.js";
+import { COVER_SIDECAR, METADATA_SIDECAR } from "./metadata/index.js";
+import { findOwnedTrack, generateOwnerKey, hashOwnerKey } from "./owner.js";
+import { PEAKS_SIDECAR } from "./peaks.js";
+import { MAX_PLAYS_LIMIT, parseMaxPlays } from "./plays.js";
+import { audioKey, pendingUploadKey, readPendingUpload, sidecarKey, updateState } from "./store.js";
+
+// Single-request uploads are read into memory, so keep them small.
+export const MAX_SINGLE_UPLOAD_BYTES = 25 * 1024 * 1024;
+
+// Multipart uploads: R2 wants every part but the last to be the same size
+// and at least 5 MiB.
+export const PART_SIZE = 10 * 1024 * 1024;
+export const MAX_MULTIPART_UPLOAD_BYTES = 1024 * 1024 * 1024;
+
+// Unfinished multipart uploads are aborted after this long.
+export const PENDING_UPLOAD_TTL_MS = 24 * 60 * 60 * 1000;
+
+export const MAX_FILENAME_LENGTH = 255;
+
+export function decodeHeaderValue(encoded) {
+  try {
+    return decodeURIComponent(encoded);
+  } catch {
+    return encoded;
+  }
+}
+
+/**
+ * Allocates a token and owner key for a new track and builds the R2 metadata
+ * to store it with. Returns { error } if the options are invalid, otherwise
+ * { token, ownerKeyHash, httpMetadata, customMetadata, summary } where
+ * `summary` is what the uploader gets back.
+ */
+export async function newTrack({ filename, mimeType, expiry, password, maxPlays, allowDownload }, now = Date.now()) {
+  const expiryChoice = parseExpiry(expiry);
+  if (!expiryChoice) {
+    const choices = Object.keys(EXPIRY_OPTIONS).join(", ");
+    return { error: `Invalid expiry (use one of: ${choices})` };
+  }
+  if (password && (typeof password !== "string" || password.length > MAX_PASSWORD_LENGTH)) {
+    return { error: `Password must be a string of at most ${MAX_PASSWORD_LENGTH} characters` };
+  }
+  const playLimit = parseMaxPlays(maxPlays);
+  if (playLimit === null) {
+    return { error: `Play limit must be a whole number from 0 to ${MAX_PLAYS_LIMIT}` };
+  }
+  const downloadable = parseAllowDownload(allowDownload);
+  if (downloadable === null) {
+    return { error: "allowDownload must be true or false" };
+  }
+
+  const token = crypto.randomUUID();
+  const ownerKey = generateOwnerKey();
+  const ownerKeyHash = await hashOwnerKey(ownerKey);
+  const { expiresAt } = expiryMetadata(expiryChoice, now);
+  const passwordFields = password ? await hashPassword(password) : {};
+
+  return {
+    token,
+    ownerKeyHash,
+    httpMetadata: { contentType: mimeType || "audio/mpeg" },
+    customMetadata: {
+      filename: filename || "audio",
+      createdAt: now.toString(),
+      ownerKeyHash,
+      expiry: expiryChoice,
+      expiresAt,
+      ...passwordFields,
+      ...(playLimit ? { maxPlays: String(playLimit) } : {}),
+      ...(downloadable ? {} : { allowDownload: "false" }),
+    },
+    summary: {
+      token,
+      ownerKey,
+      expiry: expiryChoice,
+      expiresAt,
+      passwordProtected: Boolean(password),
+      maxPlays: playLimit,
+      allowDownload: downloadable,
+    },
+  };
+}
+
+/** Returns { filename } or { error } for a name the owner picked. */
+export function parseFilename(value) {
+  const filename = typeof value === "string" ? value.replace(/[\u0000-\u001f\u007f]+/g, "").trim() : "";
+  if (!filename || filename.length > MAX_FILENAME_LENGTH) {
+    return { error: `filename must be 1 to ${MAX_FILENAME_LENGTH} characters` };
+  }
+  return { filename };
+}
+
+/**
+ * Checks that the request may replace the audio of `token` (a live track,
+ * and its owner key) and builds the customMetadata for the new object:
+ * everything the link was set up with, the new `filename` if one is given,
+ * and `replacedAt`, which tells the players of current listeners to reload.
+ * Returns { status, error } or { track, customMetadata, summary }, `summary`
+ * being what the owner gets back.
+ */
+export async function replacementFor(request, bucket, token, filename, now = Date.now()) {
+  const owned = await findOwnedTrack(request, bucket, token);
+  if (owned.error) return owned;
+
+  const { track } = owned;
+  const replacedAt = String(now);
+  return {
+    track,
+    customMetadata: { ...track.meta, ...(filename ? { filename } : {}), replacedAt },
+    summary: {
+      token,
+      replacedAt,
+      expiry: track.meta.expiry,
+      expiresAt: String(track.expiresAt),
+      passwordProtected: isPasswordProtected(track.meta),
+      maxPlays: Number(track.meta.maxPlays) || 0,
+      allowDownload: downloadsAllowed(track.meta),
+    },
+  };
+}
+
+/**
+ * Once new audio is stored under a link: drops what was derived from the
+ * old file (metadata, cover, waveform) and, when the new file came with its
+ * own name, the owner's earlier rename. Notes, plays and expiry stay.
+ */
+export async function clearReplacedAudio(bucket, token, renamed) {
+  await bucket.delete([METADATA_SIDECAR, COVER_SIDECAR, PEAKS_SIDECAR].map((name) => sidecarKey(token, name)));
+  if (renamed) {
+    await updateState(bucket, token, ({ filename, ...rest }) => (filename === undefined ? undefined : rest));
+  }
+}
+
+/**
+ * Creates the R2 multipart upload behind a pending upload once part 1 has
+ * shown what the file is, since R2 fixes the content type at creation.
+ * Concurrent retries of part 1 race on the pending record's ETag; the loser
+ * aborts its multipart upload and uses the winner's. Returns the updated
+ * pending record, or null if the upload is gone.
+ */
+export async function startMultipartUpload(bucket, token, contentType) {
+  const object = await bucket.get(pendingUploadKey(token));
+  if (!object) return null;
+  const pending = await object.json();
+  if (pending.uploadId) return pending;
+
+  const multipart = await bucket.createMultipartUpload(audioKey(token), {
+    httpMetadata: { contentType },
+    customMetadata: pending.customMetadata,
+  });
+  const started = { ...pending, uploadId: multipart.uploadId, contentType };
+  const stored = await bucket.put(pendingUploadKey(token), JSON.stringify(started), {
+    httpMetadata: { contentType: "application/json" },
+    onlyIf: { etagMatches: object.etag },
+  });
+  if (stored) return started;
+
+  await multipart.abort().catch(() => {});
+  return readPendingUpload(bucket, token);
+}
+
+/** Expected byte length of a part, or 0 if the part number is out of range. */
+export function expectedPartSize(pending, partNumber) {
+  const partCount = Math.ceil(pending.size / pending.partSize);
+  if (!Number.isInteger(partNumber) || partNumber < 1 || partNumber > partCount) {
+    return 0;
+  }
+  if (partNumber < partCount) return pending.partSize;
+  return pending.size - (partCount - 1) * pending.partSize;
+}
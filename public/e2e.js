@@ -0,0 +1,184 @@
+// End-to-end encryption for uploads, shared by the page (script.js) and the
+// decrypting service worker (sw.js). The server only ever stores and serves
+// the encrypted file; the key travels in the share link's #fragment, which
+// browsers never send.
+//
+// File format (integers big-endian):
+//   "AORAENC1"        magic, 8 bytes
+//   nonce             8 random bytes
+//   header length     uint32
+//   header            AES-GCM of JSON { name, type, size, chunkSize }
+//   chunks            AES-GCM of each chunkSize bytes of audio, 16-byte tag each
+//
+// Every chunk is sealed on its own, so any byte range can be fetched and
+// checked without the rest of the file. The IV is the nonce followed by the
+// chunk index (0xffffffff for the header), and a chunk's additional data is
+// its index and whether it is the last one, so chunks cannot be swapped,
+// dropped or cut off at the end without decryption failing.
+(function (scope) {
+  const MAGIC = 'AORAENC1';
+  const MIME_TYPE = 'application/vnd.aoraina.encrypted';
+  const CHUNK_SIZE = 64 * 1024; // the server checks uploads against this (lib/sniff.js)
+  const TAG_BYTES = 16;
+  const PREFIX_BYTES = 20;
+  const HEADER_INDEX = 0xffffffff;
+  // Encrypted chunks are gathered into Blobs this many at a time, so a large
+  // file is not held in memory as one piece.
+  const CHUNKS_PER_BLOB = 256;
+
+  const encoder = new TextEncoder();
+  const decoder = new TextDecoder();
+
+  function toBase64Url(bytes) {
+    let binary = '';
+    bytes.forEach((byte) => {
+      binary += String.fromCharCode(byte);
+    });
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+  }
+
+  function fromBase64Url(text) {
+    const binary = atob(text.replace(/-/g, '+').replace(/_/g, '/'));
+    return Uint8Array.from(binary, (char) => char.charCodeAt(0));
+  }
+
+  // A new random AES-256 key, as the text that goes into the link.
+  async function generateKey() {
+    const key = await crypto.subtle.generateKey({ name: 'AES-GCM', length: 256 }, true, ['encrypt', 'decrypt']);
+    return toBase64Url(new Uint8Array(await crypto.subtle.exportKey('raw', key)));
+  }
+
+  async function importKey(text) {
+    let bytes;
+    try {
+      bytes = fromBase64Url(text);
+    } catch (e) {
+      bytes = null;
+    }
+    if (!bytes || bytes.length !== 32) throw new Error('The key in this link is not valid.');
+    return crypto.subtle.importKey('raw', bytes, 'AES-GCM', false, ['encrypt', 'decrypt']);
+  }
+
+  function chunkIv(nonce, index) {
+    const iv = new Uint8Array(12);
+    iv.set(nonce);
+    new DataView(iv.buffer).setUint32(8, index);
+    return iv;
+  }
+
+  function chunkData(index, last) {
+    const data = new Uint8Array(5);
+    new DataView(data.buffer).setUint32(0, index);
+    data[4] = last ? 1 : 0;
+    return data;
+  }
+
+  function chunkCount(size, chunkSize) {
+    return Math.max(1, Math.ceil(size / chunkSize));
+  }
+
+  // Encrypts `file` into a Blob of the format above. `onProgress(bytes)`
+  // reports how much of the file is done.
+  async function encryptFile(file, keyText, onProgress, signal) {
+    const key = await importKey(keyText);
+    const nonce = crypto.getRandomValues(new Uint8Array(8));
+    const info = { name: file.name || 'audio', type: file.type || 'application/octet-stream', size: file.size, chunkSize: CHUNK_SIZE };
+    const header = new Uint8Array(await crypto.subtle.encrypt(
+      { name: 'AES-GCM', iv: chunkIv(nonce, HEADER_INDEX), additionalData: encoder.encode(MAGIC) },
+      key,
+      encoder.encode(JSON.stringify(info))
+    ));
+
+    const prefix = new Uint8Array(PREFIX_BYTES);
+    prefix.set(encoder.encode(MAGIC));
+    prefix.set(nonce, 8);
+    new DataView(prefix.buffer).setUint32(16, header.length);
+
+    const blobs = [prefix, header];
+    let batch = [];
+    const count = chunkCount(file.size, CHUNK_SIZE);
+    for (let index = 0; index < count; index++) {
+      if (signal && signal.aborted) throw Object.assign(new Error('Upload cancelled'), { cancelled: true });
+      const start = index * CHUNK_SIZE;
+      const plain = await file.slice(start, start + CHUNK_SIZE).arrayBuffer();
+      batch.push(await crypto.subtle.encrypt(
+        { name: 'AES-GCM', iv: chunkIv(nonce, index), additionalData: chunkData(index, index === count - 1) },
+        key,
+        plain
+      ));
+      if (batch.length === CHUNKS_PER_BLOB) {
+        blobs.push(new Blob(batch));
+        batch = [];
+      }
+      if (onProgress) onProgress(Math.min(file.size, start + CHUNK_SIZE));
+    }
+    blobs.push(new Blob(batch));
+    return new Blob(blobs, { type: MIME_TYPE });
+  }
+
+  // Reads the header from the first bytes of an encrypted file. Returns
+  // { nonce, info, dataStart }, { needed } when more bytes are required, or
+  // null when these are not the start of an encrypted file. Throws when the
+  // key does not fit.
+  async function readHeader(bytes, key) {
+    if (bytes.length < PREFIX_BYTES || decoder.decode(bytes.subarray(0, 8)) !== MAGIC) return null;
+    const length = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength).getUint32(16);
+    const dataStart = PREFIX_BYTES + length;
+    if (bytes.length < dataStart) return { needed: dataStart };
+
+    const nonce = bytes.slice(8, 16);
+    let info;
+    try {
+      const plain = await crypto.subtle.decrypt(
+        { name: 'AES-GCM', iv: chunkIv(nonce, HEADER_INDEX), additionalData: encoder.encode(MAGIC) },
+        key,
+        bytes.subarray(PREFIX_BYTES, dataStart)
+      );
+      info = JSON.parse(decoder.decode(plain));
+    } catch (e) {
+      throw new Error('The key in this link does not fit this audio.');
+    }
+    if (!(info.size >= 0) || !(info.chunkSize > 0)) throw new Error('This encrypted audio is damaged.');
+    return { nonce, info, dataStart };
+  }
+
+  // Where chunk `index` of `file` (a readHeader result) sits in the
+  // encrypted file: [start, end).
+  function chunkRange(file, index) {
+    const { size, chunkSize } = file.info;
+    const start = file.dataStart + index * (chunkSize + TAG_BYTES);
+    return { start, end: start + Math.min(chunkSize, size - index * chunkSize) + TAG_BYTES };
+  }
+
+  async function decryptChunk(file, key, index, bytes) {
+    const last = index === chunkCount(file.info.size, file.info.chunkSize) - 1;
+    try {
+      return new Uint8Array(await crypto.subtle.decrypt(
+        { name: 'AES-GCM', iv: chunkIv(file.nonce, index), additionalData: chunkData(index, last) },
+        key,
+        bytes
+      ));
+    } catch (e) {
+      throw new Error('This encrypted audio is damaged.');
+    }
+  }
+
+  // Link fragments: `#key=<key>` for a single link, `#<token>=<key>` per
+  // track on collection links.
+  function keysFromFragment(hash) {
+    return new URLSearchParams(hash.replace(/^#/, ''));
+  }
+
+  scope.AorainaE2E = {
+    MIME_TYPE,
+    CHUNK_SIZE,
+    generateKey,
+    importKey,
+    encryptFile,
+    readHeader,
+    chunkCount,
+    chunkRange,
+    decryptChunk,
+    keysFromFragment,
+  };
+})(self);
@@ -0,0 +1,164 @@
+// Compact player for /embed/:token, for other sites to put in an iframe
+// (see /oembed): play/pause, seek and time, nothing else. Links that need
+// more than that — a password, a play limit, a key for encrypted audio —
+// point to the full player instead.
+(function () {
+  const audio = document.getElementById('audio');
+  const playPauseBtn = document.getElementById('play-pause');
+  const seekInput = document.getElementById('seek');
+  const currentTimeEl = document.getElementById('current-time');
+  const durationEl = document.getElementById('duration');
+  const titleEl = document.getElementById('title');
+  const noticeEl = document.getElementById('notice');
+
+  const token = tokenFromPath(window.location.pathname);
+  // Access statistics count this page view as a listening session, as the
+  // full player does (see script.js).
+  const LISTEN_ID = crypto.randomUUID();
+
+  let knownDuration = 0; // from the upload's metadata, for files without one
+  let seeking = false;
+
+  function tokenFromPath(pathname) {
+    const segment = pathname.split('/').filter(Boolean)[1] || '';
+    try {
+      return decodeURIComponent(segment);
+    } catch (e) {
+      return '';
+    }
+  }
+
+  function formatTime(seconds) {
+    if (!isFinite(seconds)) return '0:00';
+    const m = Math.floor(seconds / 60);
+    const s = Math.floor(seconds % 60);
+    return `${m}:${s.toString().padStart(2, '0')}`;
+  }
+
+  function statsQuery(position) {
+    const params = new URLSearchParams({ listen: LISTEN_ID });
+    if (position > 0) params.set('position', String(Math.floor(position)));
+    return params.toString();
+  }
+
+  function duration() {
+    return isFinite(audio.duration) && audio.duration > 0 ? audio.duration : knownDuration;
+  }
+
+  function showNotice(message) {
+    noticeEl.textContent = message;
+    noticeEl.classList.remove('hidden');
+    playPauseBtn.disabled = true;
+    seekInput.disabled = true;
+  }
+
+  function setTitle(text) {
+    titleEl.textContent = text;
+    titleEl.title = text;
+    document.title = text;
+  }
+
+  // ===== Loading =====
+
+  async function load() {
+    titleEl.href = `/?token=${encodeURIComponent(token)}`;
+    if (!token) {
+      setTitle('Shared audio');
+      showNotice('This link is not valid.');
+      return;
+    }
+
+    let info;
+    try {
+      const resp = await fetch(`/api/check/${encodeURIComponent(token)}?${statsQuery(0)}`);
+      info = await resp.json();
+    } catch (e) {
+      setTitle('Shared audio');
+      showNotice('Could not load this audio. Try again later.');
+      return;
+    }
+
+    if (!info.exists) {
+      setTitle('Shared audio');
+      showNotice(info.message || 'This audio is no longer available.');
+      return;
+    }
+    if (info.locked || info.maxPlays || info.encrypted) {
+      setTitle('Shared audio');
+      const reason = info.locked
+        ? 'is password protected'
+        : info.maxPlays
+          ? 'can only be played a limited number of times'
+          : 'is end-to-end encrypted';
+      showNotice(`This audio ${reason}. Open the link to listen.`);
+      return;
+    }
+
+    const metadata = info.metadata || {};
+    setTitle(metadata.title ? [metadata.title, metadata.artist].filter(Boolean).join(' — ') : info.filename);
+    if (metadata.duration) {
+      knownDuration = metadata.duration;
+      durationEl.textContent = formatTime(knownDuration);
+    }
+
+    audio.src = `/stream/${encodeURIComponent(token)}?${statsQuery(0)}`;
+    playPauseBtn.disabled = false;
+    seekInput.disabled = false;
+  }
+
+  // Lets the owner see how far this page got (see lib/stats.js).
+  function reportPosition() {
+    if (!(audio.currentTime > 0)) return;
+    fetch(`/api/check/${encodeURIComponent(token)}?${statsQuery(audio.currentTime)}`).catch(() => {});
+  }
+
+  // ===== Playback =====
+
+  playPauseBtn.addEventListener('click', () => {
+    if (audio.paused) {
+      audio.play().catch(() => showNotice('This audio could not be played.'));
+    } else {
+      audio.pause();
+    }
+  });
+
+  audio.addEventListener('play', () => {
+    playPauseBtn.textContent = '❚❚';
+    playPauseBtn.setAttribute('aria-label', 'Pause');
+  });
+
+  audio.addEventListener('pause', () => {
+    playPauseBtn.textContent = '▶';
+    playPauseBtn.setAttribute('aria-label', 'Play');
+    reportPosition();
+  });
+
+  audio.addEventListener('loadedmetadata', () => {
+    durationEl.textContent = formatTime(duration());
+  });
+
+  audio.addEventListener('timeupdate', () => {
+    currentTimeEl.textContent = formatTime(audio.currentTime);
+    const total = duration();
+    if (!seeking && total) seekInput.value = String((audio.currentTime / total) * 100);
+  });
+
+  audio.addEventListener('error', () => {
+    if (audio.getAttribute('src')) showNotice('This audio is no longer available.');
+  });
+
+  seekInput.addEventListener('input', () => {
+    seeking = true;
+    currentTimeEl.textContent = formatTime((Number(seekInput.value) / 100) * duration());
+  });
+
+  seekInput.addEventListener('change', () => {
+    seeking = false;
+    const total = duration();
+    if (total) audio.currentTime = (Number(seekInput.value) / 100) * total;
+  });
+
+  window.addEventListener('pagehide', reportPosition);
+
+  load();
+})();
@@ -1,5 +1,5 @@
 // Temporary Music Share front-end logic
-// - Lets a user upload an audio file
+// - Lets a user upload audio files (a queue, a few at a time)
 // - Sends it to the server which keeps it only in memory (no DB, no disk)
 // - Returns a unique token used to build a share link
 // - When the share link is opened, the same audio is streamed over HTTP
@@ -7,7 +7,54 @@
 
 (function () {
   const fileInput = document.getElementById('file-input');
-  const fileNameEl = document.getElementById('file-name');
+  const dropZone = document.getElementById('drop-zone');
+  const uploadQueueEl = document.getElementById('upload-queue');
+  const uploadListEl = document.getElementById('upload-list');
+  const copyAllLinksBtn = document.getElementById('copy-all-links');
+  const clearFinishedBtn = document.getElementById('clear-finished');
+  const expirySelect = document.getElementById('expiry-select');
+  const passwordInput = document.getElementById('password-input');
+  const playsSelect = document.getElementById('plays-select');
+  const allowDownloadInput = document.getElementById('allow-download');
+  const encryptInput = document.getElementById('encrypt-upload');
+  const recorderEl = document.getElementById('recorder');
+  const recordStartBtn = document.getElementById('record-start');
+  const recorderControlsEl = document.getElementById('recorder-controls');
+  const recordLevelEl = document.getElementById('record-level');
+  const recordTimeEl = document.getElementById('record-time');
+  const recordPauseBtn = document.getElementById('record-pause');
+  const recordStopBtn = document.getElementById('record-stop');
+  const recorderPreviewEl = document.getElementById('recorder-preview');
+  const recordPreviewAudio = document.getElementById('record-preview-audio');
+  const recordNameInput = document.getElementById('record-name');
+  const recordUploadBtn = document.getElementById('record-upload');
+  const recordDiscardBtn = document.getElementById('record-discard');
+  const recordStatusEl = document.getElementById('record-status');
+  const collectionSection = document.getElementById('collection-section');
+  const collectionTitleEl = document.getElementById('collection-title');
+  const collectionTracksEl = document.getElementById('collection-tracks');
+  const prevTrackBtn = document.getElementById('prev-track');
+  const nextTrackBtn = document.getElementById('next-track');
+  const autoAdvanceInput = document.getElementById('auto-advance');
+  const collectionOwnerEl = document.getElementById('collection-owner');
+  const collectionLinkInput = document.getElementById('collection-link');
+  const copyCollectionLinkBtn = document.getElementById('copy-collection-link');
+  const deleteCollectionTracksInput = document.getElementById('delete-collection-tracks');
+  const deleteCollectionBtn = document.getElementById('delete-collection');
+  const unlockSection = document.getElementById('unlock-section');
+  const unlockForm = document.getElementById('unlock-form');
+  const unlockPassword = document.getElementById('unlock-password');
+  const unlockStatus = document.getElementById('unlock-status');
+  const myUploadsSection = document.getElementById('my-uploads-section');
+  const myUploadsEmptyEl = document.getElementById('my-uploads-empty');
+  const myUploadsToolbarEl = document.getElementById('my-uploads-toolbar');
+  const myUploadsAllInput = document.getElementById('my-uploads-all');
+  const myUploadsCopyBtn = document.getElementById('my-uploads-copy');
+  const myUploadsDeleteBtn = document.getElementById('my-uploads-delete');
+  const myUploadsListEl = document.getElementById('my-uploads-list');
+  const myUploadsRefreshBtn = document.getElementById('my-uploads-refresh');
+  const myUploadsExportBtn = document.getElementById('my-uploads-export');
+  const myUploadsImportInput = document.getElementById('my-uploads-import');
   const uploadSection = document.getElementById('upload-section');
   const playerSection = document.getElementById('player-section');
   const messageSection = document.getElementById('message-section');
@@ -20,42 +67,178 @@
   const seek = document.getElementById('seek');
 
   const nowPlayingEl = document.getElementById('now-playing');
+  const coverArt = document.getElementById('cover-art');
+  const trackTechEl = document.getElementById('track-tech');
+  const expiryCountdownEl = document.getElementById('expiry-countdown');
   const shareLinkInput = document.getElementById('share-link');
   const copyLinkBtn = document.getElementById('copy-link');
   const deleteBtn = document.getElementById('delete-audio');
+  const addToCollectionBtn = document.getElementById('add-to-collection');
+  const manageLinkEl = document.getElementById('manage-link');
+  const transcriptPanel = document.getElementById('transcript-panel');
+  const jobStatusEl = document.getElementById('job-status');
+  const jobListenerEl = document.getElementById('job-listener');
+  const transcriptTextInput = document.getElementById('transcript-text');
+  const deliverTextBtn = document.getElementById('deliver-text');
+  const deliverFileInput = document.getElementById('deliver-file');
+  const jobOwnerEl = document.getElementById('job-owner');
+  const downloadTranscriptBtn = document.getElementById('download-transcript');
+  const sendBackTranscriptBtn = document.getElementById('send-back-transcript');
+  const acceptTranscriptBtn = document.getElementById('accept-transcript');
+  const acceptDeleteAudioInput = document.getElementById('accept-delete-audio');
+  const linkStatsEl = document.getElementById('link-stats');
+  const extendForm = document.getElementById('extend-form');
+  const extendSelect = document.getElementById('extend-select');
+  const renameForm = document.getElementById('rename-form');
+  const renameInput = document.getElementById('rename-input');
+  const replaceInput = document.getElementById('replace-input');
+  const downloadLink = document.getElementById('download-audio');
   const statusEl = document.getElementById('status');
 
-  const uploadProgress = document.getElementById('upload-progress');
-  const progressFill = document.getElementById('progress-fill');
-  const progressText = document.getElementById('progress-text');
   const volumeSlider = document.getElementById('volume');
   const muteToggle = document.getElementById('mute-toggle');
+  const noteMarkers = document.getElementById('note-markers');
+  const noteForm = document.getElementById('note-form');
+  const noteTimeBtn = document.getElementById('note-time');
+  const noteText = document.getElementById('note-text');
+  const addNoteBtn = document.getElementById('add-note');
+  const notesList = document.getElementById('notes-list');
+  const notesEmpty = document.getElementById('notes-empty');
+  const skipBackBtn = document.getElementById('skip-back');
+  const skipForwardBtn = document.getElementById('skip-forward');
+  const rateSlider = document.getElementById('playback-rate');
+  const rateValueEl = document.getElementById('rate-value');
+  const loopStartBtn = document.getElementById('loop-start');
+  const loopEndBtn = document.getElementById('loop-end');
+  const loopClearBtn = document.getElementById('loop-clear');
+  const loopStatusEl = document.getElementById('loop-status');
+  const loopRegion = document.getElementById('loop-region');
+  const skipSecondsInput = document.getElementById('skip-seconds');
+  const autoRewindInput = document.getElementById('auto-rewind');
+  const waveformCanvas = document.getElementById('waveform');
+  const exportFormat = document.getElementById('export-format');
+  const exportNotesBtn = document.getElementById('export-notes');
+  const importNotesInput = document.getElementById('import-notes');
 
   // Current audio token issued by the server (for uploader or viewer)
   let currentToken = null;
   let isUploader = false; // true if this page created the token by uploading
   let isDeleting = false;
+  let expiryTimer = null;
+  let accessRenewalTimer = null;
+  let playLimited = false; // link has a play limit, so streaming needs a session
+  let playSession = null;
+  let downloadAllowed = false; // uploader left downloads on for this link
+  let encryptedTrack = false; // end-to-end encrypted, played through sw.js
+  let notes = [];
+  let notesTimer = null;
+  let noteTime = null; // position captured when the listener started typing
+  let loopStart = null; // A–B loop, in seconds
+  let loopEnd = null;
+  let waveform = null; // { duration, peaks } from /api/peaks
+  let collection = null; // { id, title, tracks } from /api/collections/:id
+  let collectionIndex = -1; // position of currentToken in collection.tracks
+  let unlockHandler = null; // submit handler of the password prompt on screen
+  let replacedAt = ''; // check's `replacedAt` for the audio currently loaded
+  let replacementTimer = null;
+  let statsTimer = null;
+  let job = null; // { status, updatedAt, transcript } from /api/job
+  let jobTimer = null;
+  let progressSavedAt = 0;
 
-  // Track uploaded tokens in localStorage so uploader status persists across refresh
-  function markAsUploader(token) {
-    const uploaded = JSON.parse(localStorage.getItem('uploadedTokens') || '[]');
-    if (!uploaded.includes(token)) {
-      uploaded.push(token);
-      localStorage.setItem('uploadedTokens', JSON.stringify(uploaded));
+  // Owner keys for tokens this browser uploaded, kept in localStorage so the
+  // uploader can still delete after a refresh. The key (not the token) is what
+  // the server requires for deletion.
+  const OWNER_KEYS_STORAGE = 'ownerKeys';
+
+  // Tokens from before owner keys existed cannot be deleted by anyone.
+  localStorage.removeItem('uploadedTokens');
+
+  function loadOwnerKeys() {
+    try {
+      return JSON.parse(localStorage.getItem(OWNER_KEYS_STORAGE) || '{}') || {};
+    } catch (e) {
+      return {};
+    }
+  }
+
+  function rememberOwnerKey(token, ownerKey) {
+    const keys = loadOwnerKeys();
+    keys[token] = ownerKey;
+    localStorage.setItem(OWNER_KEYS_STORAGE, JSON.stringify(keys));
+  }
+
+  function getOwnerKey(token) {
+    return loadOwnerKeys()[token] || null;
+  }
+
+  function forgetOwnerKey(token) {
+    const keys = loadOwnerKeys();
+    delete keys[token];
+    localStorage.setItem(OWNER_KEYS_STORAGE, JSON.stringify(keys));
+    forgetLinkKey(token);
+  }
+
+  // Owner keys for collections created in this browser, kept the same way.
+  const COLLECTION_KEYS_STORAGE = 'collectionKeys';
+
+  function loadCollectionKeys() {
+    try {
+      return JSON.parse(localStorage.getItem(COLLECTION_KEYS_STORAGE) || '{}') || {};
+    } catch (e) {
+      return {};
     }
   }
 
-  function isTokenUploadedByThisBrowser(token) {
-    const uploaded = JSON.parse(localStorage.getItem('uploadedTokens') || '[]');
-    return uploaded.includes(token);
+  function rememberCollectionKey(id, ownerKey) {
+    const keys = loadCollectionKeys();
+    keys[id] = ownerKey;
+    localStorage.setItem(COLLECTION_KEYS_STORAGE, JSON.stringify(keys));
   }
 
-  function removeFromUploadedTokens(token) {
-    const uploaded = JSON.parse(localStorage.getItem('uploadedTokens') || '[]');
-    const filtered = uploaded.filter(t => t !== token);
-    localStorage.setItem('uploadedTokens', JSON.stringify(filtered));
+  function getCollectionKey(id) {
+    return loadCollectionKeys()[id] || null;
   }
 
+  function forgetCollectionKey(id) {
+    const keys = loadCollectionKeys();
+    delete keys[id];
+    localStorage.setItem(COLLECTION_KEYS_STORAGE, JSON.stringify(keys));
+  }
+  // Keys of end-to-end encrypted links this browser uploaded, so the
+  // uploader's share links keep their #key. Listeners read theirs from the
+  // link itself and never store it.
+  const LINK_KEYS_STORAGE = 'linkKeys';
+
+  function loadLinkKeys() {
+    try {
+      return JSON.parse(localStorage.getItem(LINK_KEYS_STORAGE) || '{}') || {};
+    } catch (e) {
+      return {};
+    }
+  }
+
+  function rememberLinkKey(token, key) {
+    const keys = loadLinkKeys();
+    keys[token] = key;
+    localStorage.setItem(LINK_KEYS_STORAGE, JSON.stringify(keys));
+  }
+
+  function forgetLinkKey(token) {
+    const keys = loadLinkKeys();
+    delete keys[token];
+    localStorage.setItem(LINK_KEYS_STORAGE, JSON.stringify(keys));
+  }
+
+  // `#key=` belongs to the `?token=` of the same link; collection links
+  // carry one `#<token>=` per encrypted track.
+  function linkKeyFor(token) {
+    const fragment = AorainaE2E.keysFromFragment(window.location.hash);
+    const linkToken = new URL(window.location.href).searchParams.get('token');
+    return loadLinkKeys()[token] || fragment.get(token) || (token === linkToken && fragment.get('key')) || null;
+  }
+
+
   function setStatus(message, type) {
     statusEl.textContent = message || '';
     statusEl.classList.remove('error');
@@ -71,6 +254,47 @@
     return `${m}:${s.toString().padStart(2, '0')}`;
   }
 
+  function formatRemaining(ms) {
+    const totalMinutes = Math.ceil(ms / 60000);
+    const days = Math.floor(totalMinutes / (24 * 60));
+    const hours = Math.floor((totalMinutes % (24 * 60)) / 60);
+    const minutes = totalMinutes % 60;
+    if (days > 0) return `${days}d ${hours}h`;
+    if (hours > 0) return `${hours}h ${minutes}m`;
+    if (ms >= 60000) return `${minutes}m`;
+    return `${Math.max(0, Math.ceil(ms / 1000))}s`;
+  }
+
+  // Shows a live countdown to the link's expiry and tears the player down
+  // once it passes, mirroring what the server will answer from then on.
+  function startExpiryCountdown(expiresAt, expiry) {
+    stopExpiryCountdown();
+    const deadline = Number(expiresAt);
+    if (!deadline) return;
+
+    const render = () => {
+      const remaining = deadline - Date.now();
+      if (remaining <= 0) {
+        stopExpiryCountdown();
+        resetPlayerState();
+        hidePlayer();
+        showMessage('This link has expired.');
+        return;
+      }
+      const suffix = expiry === 'listen' ? ' (or 10 minutes after the first full listen)' : '';
+      expiryCountdownEl.textContent = `Expires in ${formatRemaining(remaining)}${suffix}`;
+    };
+
+    render();
+    expiryTimer = setInterval(render, 1000);
+  }
+
+  function stopExpiryCountdown() {
+    clearInterval(expiryTimer);
+    expiryTimer = null;
+    expiryCountdownEl.textContent = '';
+  }
+
   function showPlayer() {
     playerSection.classList.remove('hidden');
   }
@@ -79,6 +303,44 @@
     playerSection.classList.add('hidden');
   }
 
+  // Title, cover and format details read from the file at upload (the
+  // `metadata` of /api/check). The duration shows before anything buffers.
+  function showTrackInfo(info, fallbackName) {
+    const meta = info.metadata || {};
+    const name = fallbackName || info.filename || 'Shared audio';
+    nowPlayingEl.textContent = meta.title ? [meta.title, meta.artist].filter(Boolean).join(' — ') : name;
+    nowPlayingEl.title = meta.title ? name : '';
+
+    trackTechEl.textContent = describeFormat(meta);
+    trackTechEl.classList.toggle('hidden', !trackTechEl.textContent);
+
+    if (meta.cover) {
+      coverArt.src = `/api/cover/${encodeURIComponent(currentToken)}`;
+      coverArt.classList.remove('hidden');
+    } else {
+      hideCoverArt();
+    }
+
+    if (meta.duration && !isFinite(audio.duration)) {
+      durationEl.textContent = formatTime(meta.duration);
+    }
+  }
+
+  function describeFormat(meta) {
+    const parts = [];
+    if (meta.codec) parts.push(meta.codec);
+    if (meta.bitrate) parts.push(`${Math.round(meta.bitrate / 1000)} kbps`);
+    if (meta.sampleRate) parts.push(`${(meta.sampleRate / 1000).toFixed(1).replace(/\.0$/, '')} kHz`);
+    if (meta.channels) parts.push(meta.channels === 1 ? 'mono' : meta.channels === 2 ? 'stereo' : `${meta.channels} channels`);
+    if (meta.album) parts.push(meta.album);
+    return parts.join(' · ');
+  }
+
+  function hideCoverArt() {
+    coverArt.classList.add('hidden');
+    coverArt.removeAttribute('src');
+  }
+
   function showMessage(message) {
     messageText.textContent = message;
     messageSection.classList.remove('hidden');
@@ -91,223 +353,2819 @@
   function buildShareUrl(token) {
     const url = new URL(window.location.origin);
     url.searchParams.set('token', token);
+    const key = loadLinkKeys()[token];
+    if (key) url.hash = `key=${key}`;
     return url.toString();
   }
 
-  async function uploadFile(file) {
-    return new Promise((resolve, reject) => {
-      const uploadUrl = '/api/upload';
+  // Files above this size go through the resumable multipart protocol
+  // (/api/uploads) instead of a single request.
+  const CHUNKED_UPLOAD_THRESHOLD = 25 * 1024 * 1024;
+  const PART_CONCURRENCY = 3;
+  const PART_MAX_ATTEMPTS = 5;
+  const PENDING_UPLOADS_STORAGE = 'pendingUploads';
+
+  function cancelledError() {
+    return Object.assign(new Error('Upload cancelled'), { status: 0, cancelled: true });
+  }
+
+  // Network errors, server errors, timeouts and rate limits may go away on
+  // their own; other client errors will not.
+  function isRetryable(err) {
+    if (err.cancelled) return false;
+    // fetch() rejects with a TypeError when no response came back at all.
+    const status = err instanceof TypeError ? 0 : err.status;
+    return status === 0 || status >= 500 || status === 408 || status === 429;
+  }
+
+  // Sends one XHR and resolves with the parsed JSON body. Rejects with an
+  // Error carrying `status` (0 for network errors) so callers can retry.
+  // Aborting `signal` aborts the request.
+  function sendXhr(method, url, headers, body, onProgress, signal) {
+    return new Promise((resolve, reject) => {
+      if (signal && signal.aborted) {
+        reject(cancelledError());
+        return;
+      }
+      const xhr = new XMLHttpRequest();
+
+      // Track upload progress
+      xhr.upload.addEventListener('progress', (e) => {
+        if (e.lengthComputable && onProgress) {
+          onProgress(e.loaded, e.total);
+        }
+      });
+
+      xhr.addEventListener('load', () => {
+        let data = null;
+        try {
+          data = JSON.parse(xhr.responseText);
+        } catch (e) {
+          // Handled below
+        }
+        if (xhr.status >= 200 && xhr.status < 300) {
+          if (data) {
+            resolve(data);
+          } else {
+            reject(Object.assign(new Error('Invalid server response'), { status: xhr.status }));
+          }
+        } else {
+          const message = (data && data.error) || 'Upload failed';
+          reject(Object.assign(new Error(message), { status: xhr.status }));
+        }
+      });
+
+      xhr.addEventListener('error', () => {
+        reject(Object.assign(new Error('Network error during upload'), { status: 0 }));
+      });
+
+      xhr.addEventListener('abort', () => {
+        reject(cancelledError());
+      });
+      if (signal) {
+        signal.addEventListener('abort', () => xhr.abort(), { once: true });
+      }
+
+      xhr.open(method, url, true);
+      Object.entries(headers).forEach(([name, value]) => xhr.setRequestHeader(name, value));
+      xhr.send(body);
+    });
+  }
+
+  // The link options picked in the form, taken when a file is queued.
+  function readUploadOptions() {
+    return {
+      expiry: expirySelect.value,
+      password: passwordInput.value,
+      maxPlays: Number(playsSelect.value),
+      allowDownload: allowDownloadInput.checked,
+      encrypt: encryptInput.checked,
+    };
+  }
+
+  async function uploadFile(file, options, onProgress, signal) {
+    const data = file.size > CHUNKED_UPLOAD_THRESHOLD
+      ? await uploadFileInParts(file, options, onProgress, signal)
+      : await sendXhr(
+          'POST',
+          '/api/upload',
+          {
+            'Content-Type': file.type || 'application/octet-stream',
+            'X-Filename': encodeURIComponent(file.name || 'audio'),
+            'X-Expires-In': options.expiry,
+            'X-Password': encodeURIComponent(options.password),
+            'X-Max-Plays': String(options.maxPlays),
+            'X-Allow-Download': String(options.allowDownload),
+          },
+          file,
+          onProgress,
+          signal
+        );
+    if (!data.token || !data.ownerKey) {
+      throw new Error('Server did not return a token');
+    }
+    return data;
+  }
+
+  // ===== Resumable (multipart) uploads =====
+  // Progress is kept in localStorage per file so that after a failure or a
+  // page reload, selecting the same file again continues where it stopped.
+
+  // Replacing a link's audio is a separate upload from sharing the same
+  // file as a new link.
+  function fileFingerprint(file, replaces) {
+    return [file.name, file.size, file.lastModified, ...(replaces ? [replaces] : [])].join(':');
+  }
+
+  function loadPendingUploads() {
+    try {
+      return JSON.parse(localStorage.getItem(PENDING_UPLOADS_STORAGE) || '{}') || {};
+    } catch (e) {
+      return {};
+    }
+  }
+
+  function savePendingUpload(fingerprint, session) {
+    const pending = loadPendingUploads();
+    pending[fingerprint] = session;
+    localStorage.setItem(PENDING_UPLOADS_STORAGE, JSON.stringify(pending));
+  }
+
+  function removePendingUpload(fingerprint) {
+    const pending = loadPendingUploads();
+    delete pending[fingerprint];
+    localStorage.setItem(PENDING_UPLOADS_STORAGE, JSON.stringify(pending));
+  }
+
+  // Returns the saved session for this file if the server still has it.
+  async function findResumableUpload(file, replaces) {
+    const fingerprint = fileFingerprint(file, replaces);
+    const session = loadPendingUploads()[fingerprint];
+    if (!session) return null;
+    try {
+      const resp = await fetch(`/api/uploads/${encodeURIComponent(session.token)}`, {
+        headers: { 'X-Owner-Key': session.ownerKey },
+      });
+      if (resp.ok) return session;
+    } catch (e) {
+      console.error(e);
+    }
+    removePendingUpload(fingerprint);
+    return null;
+  }
+
+  // Forgets a multipart upload and aborts it on the server, for files that
+  // will not be resumed (cancelled, or not audio).
+  function discardPendingUpload(file, replaces) {
+    const fingerprint = fileFingerprint(file, replaces);
+    const session = loadPendingUploads()[fingerprint];
+    if (!session) return;
+    removePendingUpload(fingerprint);
+    fetch(`/api/uploads/${encodeURIComponent(session.token)}`, {
+      method: 'DELETE',
+      headers: { 'X-Owner-Key': session.ownerKey },
+    }).catch((e) => console.error(e));
+  }
+
+  function delay(ms, signal) {
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(resolve, ms);
+      if (signal) {
+        signal.addEventListener('abort', () => {
+          clearTimeout(timer);
+          reject(cancelledError());
+        }, { once: true });
+      }
+    });
+  }
+
+  async function uploadPartWithRetry(session, file, partNumber, onProgress, signal) {
+    const start = (partNumber - 1) * session.partSize;
+    const blob = file.slice(start, Math.min(start + session.partSize, file.size));
+    const url = `/api/uploads/${encodeURIComponent(session.token)}/parts/${partNumber}`;
+
+    for (let attempt = 1; ; attempt++) {
+      try {
+        const data = await sendXhr('PUT', url, { 'X-Owner-Key': session.ownerKey }, blob, onProgress, signal);
+        return data.etag;
+      } catch (err) {
+        if (!isRetryable(err) || attempt >= PART_MAX_ATTEMPTS) throw err;
+        onProgress(0);
+        await delay(1000 * 2 ** (attempt - 1), signal);
+      }
+    }
+  }
+
+  // With `options.replaces` (a token) the file replaces that link's audio,
+  // authenticated with its owner key, instead of making a new link.
+  async function uploadFileInParts(file, options, onProgress, signal) {
+    const { replaces } = options;
+    const fingerprint = fileFingerprint(file, replaces);
+    let session = await findResumableUpload(file, replaces);
+
+    if (!session) {
+      const ownerKey = replaces ? getOwnerKey(replaces) : null;
+      const headers = { 'Content-Type': 'application/json' };
+      if (ownerKey) headers['X-Owner-Key'] = ownerKey;
+      const body = replaces ? { replaces, size: file.size } : { filename: file.name || 'audio', size: file.size, ...options };
+      const resp = await fetch('/api/uploads', {
+        method: 'POST',
+        headers,
+        body: JSON.stringify(body),
+        signal,
+      });
+      const data = await resp.json().catch(() => ({}));
+      if (!resp.ok) {
+        throw Object.assign(new Error(data.error || 'Upload failed'), { status: resp.status });
+      }
+      session = { ...data, ownerKey: data.ownerKey || ownerKey, replaces, filename: file.name, etags: {} };
+      savePendingUpload(fingerprint, session);
+    }
+
+    const partBytes = (partNumber) => Math.min(session.partSize, file.size - (partNumber - 1) * session.partSize);
+    const todo = [];
+    let doneBytes = 0;
+    for (let partNumber = 1; partNumber <= session.partCount; partNumber++) {
+      if (session.etags[partNumber]) {
+        doneBytes += partBytes(partNumber);
+      } else {
+        todo.push(partNumber);
+      }
+    }
+
+    const inFlight = {};
+    const reportProgress = () => {
+      const active = Object.values(inFlight).reduce((sum, n) => sum + n, 0);
+      onProgress(doneBytes + active, file.size);
+    };
+    reportProgress();
+
+    const sendPart = async (partNumber) => {
+      const etag = await uploadPartWithRetry(session, file, partNumber, (loaded) => {
+        inFlight[partNumber] = loaded;
+        reportProgress();
+      }, signal);
+      delete inFlight[partNumber];
+      doneBytes += partBytes(partNumber);
+      session.etags[partNumber] = etag;
+      savePendingUpload(fingerprint, session);
+      reportProgress();
+    };
+    const worker = async () => {
+      while (todo.length) {
+        await sendPart(todo.shift());
+      }
+    };
+
+    try {
+      // Part 1 goes alone: the server checks from it that the file really
+      // is audio before it accepts any other part.
+      if (todo[0] === 1) {
+        await sendPart(todo.shift());
+      }
+      await Promise.all(Array.from({ length: PART_CONCURRENCY }, worker));
+    } catch (err) {
+      if (err.status === 415) {
+        // Not audio: resuming would only fail again.
+        discardPendingUpload(file, replaces);
+      }
+      throw err;
+    }
+
+    const parts = Object.entries(session.etags).map(([partNumber, etag]) => ({
+      partNumber: Number(partNumber),
+      etag,
+    }));
+    const resp = await fetch(`/api/uploads/${encodeURIComponent(session.token)}/complete`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'X-Owner-Key': session.ownerKey },
+      body: JSON.stringify({ parts }),
+      signal,
+    });
+    const data = await resp.json().catch(() => ({}));
+    if (!resp.ok) {
+      throw Object.assign(new Error(data.error || 'Upload failed'), { status: resp.status });
+    }
+
+    removePendingUpload(fingerprint);
+    // The link settings were returned when the upload started.
+    const { passwordProtected, maxPlays, allowDownload, ownerKey } = session;
+    return { passwordProtected, maxPlays, allowDownload, ...data, ownerKey };
+  }
+
+  // After a reload, point the user at uploads they can pick up again.
+  function announceResumableUploads() {
+    const names = Object.values(loadPendingUploads())
+      .filter((session) => !session.replaces)
+      .map((session) => session.filename);
+    if (names.length) {
+      setStatus(`Unfinished upload: ${names.join(', ')}. Select the same file again to resume.`);
+    }
+  }
+
+  // `position` (seconds) overrides how far this page has played the track,
+  // as reported for the owner's access statistics.
+  async function checkToken(token, position) {
+    const params = new URLSearchParams();
+    const session = loadPlaySession(token);
+    if (session) params.set('session', session);
+    addStatsParams(params, token, position);
+    const resp = await fetch(`/api/check/${encodeURIComponent(token)}?${params}`);
+    if (!resp.ok) {
+      const data = await resp.json().catch(() => ({}));
+      return { exists: false, message: data.message || 'This audio is no longer available.' };
+    }
+    return resp.json();
+  }
+
+  // ===== Password-protected links =====
+  // Unlocking sets a short-lived access cookie that the <audio> element's
+  // range requests carry. The credentials stay in memory only, to renew the
+  // cookie before it runs out during a long listening session.
+
+  const ACCESS_RENEW_MARGIN_MS = 5 * 60 * 1000;
+
+  // credentials: { password } or { ownerKey }
+  async function unlockToken(token, credentials) {
+    const headers = { 'Content-Type': 'application/json' };
+    if (credentials.ownerKey) headers['X-Owner-Key'] = credentials.ownerKey;
+    const resp = await fetch(`/api/unlock/${encodeURIComponent(token)}`, {
+      method: 'POST',
+      headers,
+      body: JSON.stringify({ password: credentials.password || '' }),
+    });
+    const data = await resp.json().catch(() => ({}));
+    if (!resp.ok) {
+      throw new Error(data.error || 'Could not unlock this audio');
+    }
+    scheduleAccessRenewal(token, credentials, data.expiresAt);
+    return data;
+  }
+
+  function scheduleAccessRenewal(token, credentials, expiresAt) {
+    clearTimeout(accessRenewalTimer);
+    accessRenewalTimer = null;
+    if (!expiresAt) return;
+    const wait = Math.max(0, Number(expiresAt) - Date.now() - ACCESS_RENEW_MARGIN_MS);
+    accessRenewalTimer = setTimeout(() => {
+      if (token !== currentToken) return;
+      unlockToken(token, credentials).catch((err) => console.error(err));
+    }, wait);
+  }
+
+  // Shows the password prompt and resolves with the check info once the
+  // listener has entered the right password.
+  function promptForPassword(token) {
+    closePasswordPrompt();
+    unlockSection.classList.remove('hidden');
+    unlockPassword.focus();
+
+    return new Promise((resolve) => {
+      const onSubmit = async (event) => {
+        event.preventDefault();
+        unlockStatus.textContent = 'Unlocking…';
+        unlockStatus.classList.remove('error');
+        try {
+          await unlockToken(token, { password: unlockPassword.value });
+        } catch (err) {
+          unlockStatus.textContent = err.message;
+          unlockStatus.classList.add('error');
+          return;
+        }
+        closePasswordPrompt();
+        resolve(checkToken(token));
+      };
+      unlockHandler = onSubmit;
+      unlockForm.addEventListener('submit', onSubmit);
+    });
+  }
+
+  // Also drops a prompt left open for another track of a collection.
+  function closePasswordPrompt() {
+    if (unlockHandler) unlockForm.removeEventListener('submit', unlockHandler);
+    unlockHandler = null;
+    unlockPassword.value = '';
+    unlockStatus.textContent = '';
+    unlockSection.classList.add('hidden');
+  }
+
+  // ===== Play-limited links =====
+  // Each play is a session from /api/play that the stream URL carries. The
+  // session is kept in sessionStorage so a reload does not use up a play.
+
+  const PLAY_SESSIONS_STORAGE = 'playSessions';
+
+  function loadPlaySession(token) {
+    try {
+      const sessions = JSON.parse(sessionStorage.getItem(PLAY_SESSIONS_STORAGE) || '{}') || {};
+      const stored = sessions[token];
+      return stored && Number(stored.expiresAt) > Date.now() ? stored.session : null;
+    } catch (e) {
+      return null;
+    }
+  }
+
+  function savePlaySession(token, session, expiresAt) {
+    let sessions;
+    try {
+      sessions = JSON.parse(sessionStorage.getItem(PLAY_SESSIONS_STORAGE) || '{}') || {};
+    } catch (e) {
+      sessions = {};
+    }
+    sessions[token] = { session, expiresAt };
+    sessionStorage.setItem(PLAY_SESSIONS_STORAGE, JSON.stringify(sessions));
+  }
+
+  async function startPlaySession(token) {
+    const headers = {};
+    const ownerKey = isUploader && getOwnerKey(token);
+    if (ownerKey) headers['X-Owner-Key'] = ownerKey; // the owner's plays are free
+    const resp = await fetch(`/api/play/${encodeURIComponent(token)}`, { method: 'POST', headers });
+    const data = await resp.json().catch(() => ({}));
+    if (!resp.ok) {
+      throw new Error(data.error || 'Could not start playback');
+    }
+    if (data.session) {
+      savePlaySession(token, data.session, data.sessionExpiresAt);
+    }
+    return data.session;
+  }
+
+  function describePlaysRemaining(remaining) {
+    if (remaining === 1) return 'Pressing Play uses the last allowed play.';
+    return `Pressing Play uses one of ${remaining} remaining plays.`;
+  }
+
+  // Play-limited links only get a source once the listener presses Play,
+  // since that is what uses up a play.
+  function preparePlayback(token, maxPlays) {
+    playLimited = Boolean(maxPlays);
+    playSession = playLimited ? loadPlaySession(token) : null;
+    if (!playLimited || playSession) {
+      attachAudioSourceForToken(token);
+    } else {
+      playPauseBtn.disabled = false;
+    }
+    updateDownloadLink();
+  }
+
+  // /download needs the same play session as /stream, so on play-limited
+  // links the button only appears once Play has been pressed.
+  function updateDownloadLink() {
+    const available = Boolean(currentToken) && downloadAllowed && (!playLimited || Boolean(playSession));
+    downloadLink.classList.toggle('hidden', !available);
+    if (available) {
+      const params = new URLSearchParams();
+      if (playSession) params.set('session', playSession);
+      if (encryptedTrack) params.set('e2e', '1');
+      const query = params.toString() ? `?${params}` : '';
+      downloadLink.href = `/download/${encodeURIComponent(currentToken)}${query}`;
+    }
+  }
+
+  // Lets "expire after first full listen" links know a listener finished.
+  async function reportListened(token) {
+    try {
+      const resp = await fetch(`/api/listened/${encodeURIComponent(token)}`, { method: 'POST' });
+      if (resp.ok) {
+        const data = await resp.json();
+        return data.expiresAt;
+      }
+    } catch (e) {
+      console.error(e);
+    }
+    return null;
+  }
+
+  // Resolves once the server has deleted the audio (or it was already gone).
+  // Rejects if the server refused, e.g. because the owner key is wrong.
+  async function deleteToken(token, ownerKey) {
+    try {
+      isDeleting = true;
+      const resp = await fetch(`/api/delete/${encodeURIComponent(token)}`, {
+        method: 'DELETE',
+        headers: { 'X-Owner-Key': ownerKey },
+      });
+      if (!resp.ok) {
+        const data = await resp.json().catch(() => ({}));
+        throw new Error(data.error || 'Delete failed');
+      }
+    } finally {
+      isDeleting = false;
+    }
+  }
+
+  // ===== Transcriber controls =====
+  // Speed, skip length and rewind-on-pause are per-browser preferences.
+
+  const PLAYER_PREFS_STORAGE = 'playerPrefs';
+  const DEFAULT_PLAYER_PREFS = { rate: 1, skipSeconds: 5, autoRewind: 0, autoAdvance: true };
+  const MIN_RATE = 0.5;
+  const MAX_RATE = 2;
+  const RATE_STEP = 0.1;
+
+  let playerPrefs = loadPlayerPrefs();
+
+  function loadPlayerPrefs() {
+    try {
+      const stored = JSON.parse(localStorage.getItem(PLAYER_PREFS_STORAGE) || '{}') || {};
+      return { ...DEFAULT_PLAYER_PREFS, ...stored };
+    } catch (e) {
+      return { ...DEFAULT_PLAYER_PREFS };
+    }
+  }
+
+  function savePlayerPrefs(changes) {
+    playerPrefs = { ...playerPrefs, ...changes };
+    localStorage.setItem(PLAYER_PREFS_STORAGE, JSON.stringify(playerPrefs));
+  }
+
+  function clampNumber(value, min, max, fallback) {
+    const number = Number(value);
+    if (!Number.isFinite(number)) return fallback;
+    return Math.min(max, Math.max(min, number));
+  }
+
+  // Loading a new source resets playbackRate, so this runs on every load.
+  function applyPlaybackRate() {
+    const rate = clampNumber(playerPrefs.rate, MIN_RATE, MAX_RATE, 1);
+    audio.preservesPitch = true;
+    audio.mozPreservesPitch = true;
+    audio.webkitPreservesPitch = true;
+    audio.defaultPlaybackRate = rate;
+    audio.playbackRate = rate;
+    rateSlider.value = rate;
+    rateValueEl.textContent = `${rate.toFixed(2)}×`;
+  }
+
+  function changePlaybackRate(delta) {
+    const rate = clampNumber(Number(playerPrefs.rate) + delta, MIN_RATE, MAX_RATE, 1);
+    savePlayerPrefs({ rate: Math.round(rate * 100) / 100 });
+    applyPlaybackRate();
+  }
+
+  function renderSkipButtons() {
+    const seconds = clampNumber(playerPrefs.skipSeconds, 1, 60, 5);
+    skipSecondsInput.value = seconds;
+    autoRewindInput.value = clampNumber(playerPrefs.autoRewind, 0, 10, 0);
+    skipBackBtn.textContent = `−${seconds}s`;
+    skipForwardBtn.textContent = `+${seconds}s`;
+  }
+
+  function skipBy(seconds) {
+    if (!audio.src || !isFinite(audio.duration)) return;
+    audio.currentTime = Math.min(audio.duration, Math.max(0, audio.currentTime + seconds));
+  }
+
+  function skipSeconds() {
+    return clampNumber(playerPrefs.skipSeconds, 1, 60, 5);
+  }
+
+  function setLoopPoint(which) {
+    if (!audio.src || !isFinite(audio.duration)) return;
+    const time = audio.currentTime;
+    if (which === 'start') {
+      loopStart = time;
+      if (loopEnd !== null && loopEnd <= loopStart) loopEnd = null;
+    } else {
+      loopEnd = time;
+      if (loopStart === null || loopStart >= loopEnd) loopStart = 0;
+    }
+    renderLoop();
+  }
+
+  function clearLoop() {
+    loopStart = null;
+    loopEnd = null;
+    renderLoop();
+  }
+
+  function renderLoop() {
+    const active = loopStart !== null && loopEnd !== null;
+    loopClearBtn.disabled = loopStart === null && loopEnd === null;
+    if (loopStart === null) {
+      loopStatusEl.textContent = '';
+    } else if (loopEnd === null) {
+      loopStatusEl.textContent = `Loop from ${formatTime(loopStart)}…`;
+    } else {
+      loopStatusEl.textContent = `Looping ${formatTime(loopStart)}–${formatTime(loopEnd)}`;
+    }
+
+    drawWaveform();
+    if (!active || !audio.duration || !isFinite(audio.duration)) {
+      loopRegion.classList.add('hidden');
+      return;
+    }
+    loopRegion.classList.remove('hidden');
+    loopRegion.style.left = `${(loopStart / audio.duration) * 100}%`;
+    loopRegion.style.width = `${((loopEnd - loopStart) / audio.duration) * 100}%`;
+  }
+
+  // Shortcuts on function keys (and Esc) so they also work while the
+  // listener is typing a note; the bare keys only apply outside text fields.
+  const SHORTCUTS = {
+    Escape: () => togglePlayback(),
+    F1: () => skipBy(-skipSeconds()),
+    F2: () => skipBy(skipSeconds()),
+    F3: () => changePlaybackRate(-RATE_STEP),
+    F4: () => changePlaybackRate(RATE_STEP),
+    F6: () => setLoopPoint('start'),
+    F7: () => setLoopPoint('end'),
+    F8: () => clearLoop(),
+    F9: () => startNoteAtCurrentTime(),
+  };
+
+  const BARE_KEY_SHORTCUTS = {
+    ' ': () => togglePlayback(),
+    ArrowLeft: () => skipBy(-skipSeconds()),
+    ArrowRight: () => skipBy(skipSeconds()),
+  };
+
+  // Inputs (sliders included) keep their own keys, and Space keeps
+  // activating whatever button or link has focus.
+  function keepsBareKeys(target, key) {
+    if (!target || !target.closest) return false;
+    if (target.isContentEditable || target.closest('input, textarea, select')) return true;
+    return key === ' ' && Boolean(target.closest('button, a, summary'));
+  }
+
+  function togglePlayback() {
+    if (!playPauseBtn.disabled) playPauseBtn.click();
+  }
+
+  // ===== Track API requests =====
+  // Notes and waveform requests use the same credentials as the stream: the
+  // owner key for the uploader, the play session for play-limited links and
+  // the access cookie for password-protected ones.
+
+  function trackFetch(method, url, body, contentType, extraHeaders) {
+    const headers = { ...extraHeaders };
+    const ownerKey = isUploader && getOwnerKey(currentToken);
+    if (ownerKey) headers['X-Owner-Key'] = ownerKey;
+    if (playSession) headers['X-Play-Session'] = playSession;
+    if (contentType) headers['Content-Type'] = contentType;
+    return fetch(url, { method, headers, body });
+  }
+
+  function hasTrackAccess() {
+    return Boolean(currentToken) && (!playLimited || Boolean(playSession) || isUploader);
+  }
+
+  // ===== Timestamped notes =====
+
+  const NOTES_POLL_MS = 20 * 1000;
+
+  function notesFetch(method, path, body, contentType) {
+    return trackFetch(method, `/api/notes/${encodeURIComponent(currentToken)}${path}`, body, contentType);
+  }
+
+  async function notesRequest(method, path, body) {
+    const resp = body
+      ? await notesFetch(method, path, JSON.stringify(body), 'application/json')
+      : await notesFetch(method, path);
+    const data = await resp.json().catch(() => ({}));
+    if (!resp.ok) {
+      throw new Error(data.error || 'Notes request failed');
+    }
+    return data;
+  }
+
+  // Fetches the export (it needs the same headers as the other note
+  // requests, so a plain link will not do) and saves it under the name
+  // the server suggests.
+  async function downloadNotes(format) {
+    const resp = await notesFetch('GET', `/export?format=${encodeURIComponent(format)}`);
+    if (!resp.ok) {
+      const data = await resp.json().catch(() => ({}));
+      throw new Error(data.error || 'Export failed');
+    }
+    const disposition = resp.headers.get('Content-Disposition') || '';
+    const match = /filename="([^"]+)"/.exec(disposition);
+    saveBlob(await resp.blob(), match ? match[1] : `notes.${format}`);
+  }
+
+  function saveBlob(blob, filename) {
+    const blobUrl = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = blobUrl;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(blobUrl), 0);
+  }
+
+  async function importNotes(file) {
+    const resp = await notesFetch('POST', '/import', await file.text(), 'text/plain; charset=utf-8');
+    const data = await resp.json().catch(() => ({}));
+    if (!resp.ok) {
+      throw new Error(data.error || 'Import failed');
+    }
+    return data;
+  }
+
+  async function refreshNotes() {
+    if (!hasTrackAccess()) return;
+    const token = currentToken;
+    try {
+      const data = await notesRequest('GET', '');
+      if (token === currentToken) renderNotes(data.notes);
+    } catch (err) {
+      console.error(err);
+    }
+  }
+
+  // ===== Transcript hand-back =====
+  // The listener delivers the finished transcript against the link, pasted
+  // or as a file; the owner downloads it and accepts it (optionally deleting
+  // the audio) or sends it back. Playing marks the job as in progress.
+
+  const JOB_POLL_MS = 30 * 1000;
+  const JOB_STATUS_LABELS = {
+    pending: 'Not started yet',
+    'in-progress': 'In progress',
+    delivered: 'Transcript delivered',
+    accepted: 'Transcript accepted',
+  };
+
+  async function jobRequest(method, path, body, contentType, headers) {
+    const resp = await trackFetch(method, `/api/${path}/${encodeURIComponent(currentToken)}`, body, contentType, headers);
+    const data = await resp.json().catch(() => ({}));
+    if (!resp.ok) {
+      throw new Error(data.error || 'Transcript request failed');
+    }
+    return data;
+  }
+
+  async function refreshJob() {
+    if (!hasTrackAccess()) return;
+    const token = currentToken;
+    try {
+      const data = await jobRequest('GET', 'job');
+      if (token === currentToken) renderJob(data);
+    } catch (err) {
+      console.error(err);
+    }
+  }
+
+  function startJob() {
+    stopJob();
+    refreshJob();
+    jobTimer = setInterval(refreshJob, JOB_POLL_MS);
+  }
+
+  function stopJob() {
+    clearInterval(jobTimer);
+    jobTimer = null;
+    job = null;
+    transcriptTextInput.value = '';
+    transcriptPanel.classList.add('hidden');
+  }
+
+  function renderJob(data) {
+    job = data;
+    const { transcript } = data;
+    const details = transcript
+      ? `: ${transcript.filename} (${formatBytes(transcript.size)}), ${new Date(Number(transcript.deliveredAt)).toLocaleString()}`
+      : '';
+    jobStatusEl.textContent = `${JOB_STATUS_LABELS[data.status] || data.status}${details}`;
+
+    jobListenerEl.classList.toggle('hidden', isUploader || data.status === 'accepted');
+    deliverTextBtn.textContent = transcript ? 'Deliver again' : 'Deliver text';
+    jobOwnerEl.classList.toggle('hidden', !isUploader || !transcript);
+    const reviewable = data.status === 'delivered';
+    sendBackTranscriptBtn.disabled = !reviewable;
+    acceptTranscriptBtn.disabled = !reviewable;
+    acceptDeleteAudioInput.disabled = !reviewable;
+    transcriptPanel.classList.remove('hidden');
+    if (!audio.paused) markJobStarted();
+  }
+
+  // On the listener's first play (the job may load only after it started).
+  function markJobStarted() {
+    if (isUploader || !job || job.status !== 'pending') return;
+    const token = currentToken;
+    job = { ...job, status: 'in-progress' }; // once per page, whatever the answer
+    jobRequest('POST', 'job', JSON.stringify({ status: 'in-progress' }), 'application/json')
+      .then((data) => {
+        if (token === currentToken) renderJob(data);
+      })
+      .catch((err) => console.error(err));
+  }
+
+  async function deliverTranscript(body, filename, contentType) {
+    const token = currentToken;
+    setStatus('Delivering the transcript…');
+    try {
+      const data = await jobRequest('PUT', 'transcript', body, contentType, { 'X-Filename': encodeURIComponent(filename) });
+      if (token === currentToken) renderJob(data);
+      transcriptTextInput.value = '';
+      setStatus('Transcript delivered. The uploader can download it now.');
+    } catch (err) {
+      setStatus(err.message, 'error');
+    }
+  }
+
+  async function downloadTranscript() {
+    const resp = await trackFetch('GET', `/api/transcript/${encodeURIComponent(currentToken)}`);
+    if (!resp.ok) {
+      const data = await resp.json().catch(() => ({}));
+      throw new Error(data.error || 'Download failed');
+    }
+    saveBlob(await resp.blob(), (job && job.transcript && job.transcript.filename) || 'transcript.txt');
+  }
+
+  function startNotes() {
+    stopNotes();
+    addNoteBtn.disabled = !hasTrackAccess();
+    exportNotesBtn.disabled = !hasTrackAccess();
+    importNotesInput.disabled = !hasTrackAccess();
+    refreshNotes();
+    notesTimer = setInterval(refreshNotes, NOTES_POLL_MS);
+  }
+
+  function stopNotes() {
+    clearInterval(notesTimer);
+    notesTimer = null;
+    noteTime = null;
+    noteText.value = '';
+    renderNotes([]);
+  }
+
+  function renderNotes(list) {
+    notes = Array.isArray(list) ? list : [];
+    notesList.textContent = '';
+    notes.forEach((note) => {
+      const item = document.createElement('li');
+      item.className = 'note';
+
+      const timeBtn = document.createElement('button');
+      timeBtn.type = 'button';
+      timeBtn.className = 'note-time';
+      timeBtn.textContent = formatTime(note.time);
+      timeBtn.title = 'Jump to this point';
+      timeBtn.addEventListener('click', () => seekTo(note.time));
+
+      const text = document.createElement('span');
+      text.className = 'note-text';
+      text.textContent = note.text;
+
+      const removeBtn = document.createElement('button');
+      removeBtn.type = 'button';
+      removeBtn.className = 'btn-icon note-remove';
+      removeBtn.textContent = '✕';
+      removeBtn.title = 'Delete note';
+      removeBtn.addEventListener('click', () => removeNote(note.id));
+
+      item.append(timeBtn, text, removeBtn);
+      notesList.appendChild(item);
+    });
+    notesEmpty.classList.toggle('hidden', notes.length > 0);
+    renderNoteMarkers();
+  }
+
+  function renderNoteMarkers() {
+    noteMarkers.textContent = '';
+    if (!audio.duration || !isFinite(audio.duration)) return;
+    notes.forEach((note) => {
+      const marker = document.createElement('button');
+      marker.type = 'button';
+      marker.className = 'note-marker';
+      marker.style.left = `${Math.min(100, (note.time / audio.duration) * 100)}%`;
+      marker.title = `${formatTime(note.time)} ${note.text}`;
+      marker.addEventListener('click', () => seekTo(note.time));
+      noteMarkers.appendChild(marker);
+    });
+  }
+
+  function seekTo(seconds) {
+    if (!audio.src) return;
+    audio.currentTime = seconds;
+  }
+
+  function startNoteAtCurrentTime() {
+    if (!hasTrackAccess()) return;
+    noteTime = audio.currentTime;
+    renderNoteTime();
+    noteText.focus();
+  }
+
+  function renderNoteTime() {
+    noteTimeBtn.textContent = formatTime(noteTime === null ? audio.currentTime : noteTime);
+  }
+
+  async function removeNote(id) {
+    try {
+      const data = await notesRequest('DELETE', `/${encodeURIComponent(id)}`);
+      renderNotes(data.notes);
+    } catch (err) {
+      console.error(err);
+      setStatus(err.message, 'error');
+    }
+  }
+
+  // ===== Waveform =====
+  // Peaks are computed in the browser once per track and stored on the
+  // server: by the uploader from the file they just sent, or else by the
+  // first listener, who then has to download the audio, hence the size cap.
+
+  const PEAK_COUNT = 1000;
+  const DECODE_PEAKS_MAX_BYTES = 100 * 1024 * 1024; // decodeAudioData needs it all in memory
+  const LISTENER_PEAKS_MAX_BYTES = 30 * 1024 * 1024;
+  const WAV_READ_CHUNK_BYTES = 4 * 1024 * 1024;
+
+  async function loadWaveform(token, localFile) {
+    if (!hasTrackAccess()) return;
+    try {
+      let peaks = null;
+      if (!localFile && !encryptedTrack) {
+        const resp = await trackFetch('GET', `/api/peaks/${encodeURIComponent(token)}`);
+        if (resp.ok) peaks = await resp.json();
+      }
+      if (!peaks) {
+        const source = localFile || (await downloadForPeaks(token));
+        peaks = source && (await computePeaks(source));
+        if (!peaks) return;
+        // The waveform of encrypted audio stays in this browser.
+        if (!encryptedTrack) {
+          await trackFetch('PUT', `/api/peaks/${encodeURIComponent(token)}`, JSON.stringify(peaks), 'application/json');
+        }
+      }
+      if (token === currentToken) {
+        waveform = peaks;
+        drawWaveform();
+      }
+    } catch (err) {
+      // The seek bar still works without a waveform.
+      console.error(err);
+    }
+  }
+
+  async function downloadForPeaks(token) {
+    const url = streamUrlForToken(token);
+    const probe = await fetch(url, { headers: { Range: 'bytes=0-0' } });
+    const match = /\/(\d+)$/.exec(probe.headers.get('Content-Range') || '');
+    if (probe.body) probe.body.cancel();
+    const size = match ? Number(match[1]) : 0;
+    if (!probe.ok || !size || size > LISTENER_PEAKS_MAX_BYTES) return null;
+
+    const resp = await fetch(url);
+    return resp.ok ? resp.blob() : null;
+  }
+
+  // Returns { duration, peaks } or null if the browser cannot read the file.
+  async function computePeaks(blob) {
+    const wav = await readWavFormat(blob);
+    if (wav) return wavPeaks(blob, wav);
+    if (blob.size > DECODE_PEAKS_MAX_BYTES) return null;
+
+    const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+    if (!AudioContextClass) return null;
+    const context = new AudioContextClass();
+    try {
+      const buffer = await context.decodeAudioData(await blob.arrayBuffer());
+      const levels = new Float32Array(PEAK_COUNT);
+      for (let channel = 0; channel < buffer.numberOfChannels; channel++) {
+        const samples = buffer.getChannelData(channel);
+        for (let i = 0; i < samples.length; i++) {
+          const bucket = Math.floor((i * PEAK_COUNT) / samples.length);
+          const level = Math.abs(samples[i]);
+          if (level > levels[bucket]) levels[bucket] = level;
+        }
+      }
+      return { duration: buffer.duration, peaks: toPeakBytes(levels) };
+    } catch (err) {
+      console.error(err);
+      return null;
+    } finally {
+      context.close();
+    }
+  }
+
+  // Long interview recordings are usually WAV, far too big to decode in one
+  // go, so their samples are read straight from the file a slice at a time.
+  async function readWavFormat(blob) {
+    const view = new DataView(await blob.slice(0, 64 * 1024).arrayBuffer());
+    const tag = (offset) => String.fromCharCode(...new Uint8Array(view.buffer, offset, 4));
+    if (view.byteLength < 12 || tag(0) !== 'RIFF' || tag(8) !== 'WAVE') return null;
+
+    let format = null;
+    let offset = 12;
+    while (offset + 8 <= view.byteLength) {
+      const id = tag(offset);
+      const size = view.getUint32(offset + 4, true);
+      if (id === 'fmt ' && offset + 24 <= view.byteLength) {
+        let encoding = view.getUint16(offset + 8, true);
+        if (encoding === 0xfffe && offset + 34 <= view.byteLength) {
+          encoding = view.getUint16(offset + 32, true); // WAVE_FORMAT_EXTENSIBLE sub-format
+        }
+        format = {
+          encoding,
+          channels: view.getUint16(offset + 10, true),
+          sampleRate: view.getUint32(offset + 12, true),
+          blockAlign: view.getUint16(offset + 20, true),
+          bits: view.getUint16(offset + 22, true),
+        };
+      } else if (id === 'data') {
+        if (!format || !format.channels || !format.sampleRate || !format.blockAlign) return null;
+        const readers = { '1:8': 1, '1:16': 1, '1:24': 1, '1:32': 1, '3:32': 1, '3:64': 1 };
+        if (!readers[`${format.encoding}:${format.bits}`]) return null;
+        const dataOffset = offset + 8;
+        const dataSize = Math.min(size, blob.size - dataOffset);
+        return { ...format, dataOffset, frames: Math.floor(dataSize / format.blockAlign) };
+      }
+      offset += 8 + size + (size % 2);
+    }
+    return null;
+  }
+
+  async function wavPeaks(blob, wav) {
+    const levels = new Float32Array(PEAK_COUNT);
+    const bytesPerSample = wav.bits / 8;
+    const readSample = {
+      '1:8': (view, at) => (view.getUint8(at) - 128) / 128,
+      '1:16': (view, at) => view.getInt16(at, true) / 32768,
+      '1:24': (view, at) => ((view.getInt8(at + 2) << 16) | view.getUint16(at, true)) / 8388608,
+      '1:32': (view, at) => view.getInt32(at, true) / 2147483648,
+      '3:32': (view, at) => view.getFloat32(at, true),
+      '3:64': (view, at) => view.getFloat64(at, true),
+    }[`${wav.encoding}:${wav.bits}`];
+
+    const framesPerChunk = Math.max(1, Math.floor(WAV_READ_CHUNK_BYTES / wav.blockAlign));
+    for (let first = 0; first < wav.frames; first += framesPerChunk) {
+      const count = Math.min(framesPerChunk, wav.frames - first);
+      const start = wav.dataOffset + first * wav.blockAlign;
+      const view = new DataView(await blob.slice(start, start + count * wav.blockAlign).arrayBuffer());
+      for (let frame = 0; frame < count; frame++) {
+        const bucket = Math.floor(((first + frame) * PEAK_COUNT) / wav.frames);
+        for (let channel = 0; channel < wav.channels; channel++) {
+          const level = Math.abs(readSample(view, frame * wav.blockAlign + channel * bytesPerSample));
+          if (level > levels[bucket]) levels[bucket] = level;
+        }
+      }
+    }
+    return { duration: wav.frames / wav.sampleRate, peaks: toPeakBytes(levels) };
+  }
+
+  function toPeakBytes(levels) {
+    return Array.from(levels, (level) => Math.min(255, Math.round(level * 255)));
+  }
+
+  function waveformDuration() {
+    if (isFinite(audio.duration) && audio.duration > 0) return audio.duration;
+    return waveform ? waveform.duration : 0;
+  }
+
+  function drawWaveform() {
+    if (!waveform || !waveform.peaks || !waveform.peaks.length) {
+      waveformCanvas.classList.add('hidden');
+      return;
+    }
+    waveformCanvas.classList.remove('hidden');
+
+    const ratio = window.devicePixelRatio || 1;
+    const width = waveformCanvas.clientWidth;
+    const height = waveformCanvas.clientHeight;
+    if (waveformCanvas.width !== Math.round(width * ratio) || waveformCanvas.height !== Math.round(height * ratio)) {
+      waveformCanvas.width = Math.round(width * ratio);
+      waveformCanvas.height = Math.round(height * ratio);
+    }
+    const ctx = waveformCanvas.getContext('2d');
+    ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+    ctx.clearRect(0, 0, width, height);
+
+    const duration = waveformDuration();
+    if (duration && loopStart !== null && loopEnd !== null) {
+      ctx.fillStyle = 'rgba(34, 197, 94, 0.2)';
+      ctx.fillRect((loopStart / duration) * width, 0, ((loopEnd - loopStart) / duration) * width, height);
+    }
+
+    // Quiet recordings are scaled up so their shape is still visible.
+    const { peaks } = waveform;
+    const loudest = Math.max(1, ...peaks);
+    const played = duration ? audio.currentTime / duration : 0;
+    const barStep = 3;
+    for (let x = 0; x < width; x += barStep) {
+      const from = Math.floor((x / width) * peaks.length);
+      const to = Math.max(from + 1, Math.floor(((x + barStep) / width) * peaks.length));
+      let level = 0;
+      for (let i = from; i < to && i < peaks.length; i++) level = Math.max(level, peaks[i]);
+      const barHeight = Math.max(1, (level / loudest) * (height - 4));
+      ctx.fillStyle = x / width < played ? '#818cf8' : 'rgba(148, 163, 184, 0.45)';
+      ctx.fillRect(x, (height - barHeight) / 2, barStep - 1, barHeight);
+    }
+  }
+
+  function streamUrlForToken(token) {
+    const params = new URLSearchParams();
+    if (playSession) params.set('session', playSession);
+    if (encryptedTrack && token === currentToken) params.set('e2e', '1'); // decrypted by sw.js
+    addStatsParams(params, token, 0);
+    return `/stream/${encodeURIComponent(token)}?${params}`;
+  }
+
+  function attachAudioSourceForToken(token) {
+    audio.src = streamUrlForToken(token);
+    audio.load();
+  }
+
+  function resetPlayerState() {
+    stopExpiryCountdown();
+    stopReplacementWatch();
+    stopLinkStats();
+    manageLinkEl.classList.add('hidden');
+    closePasswordPrompt();
+    clearTimeout(accessRenewalTimer);
+    accessRenewalTimer = null;
+    audio.pause();
+    audio.src = '';
+    currentToken = null;
+    isUploader = false;
+    playLimited = false;
+    playSession = null;
+    downloadAllowed = false;
+    encryptedTrack = false;
+    updateDownloadLink();
+    stopNotes();
+    stopJob();
+    renderNoteTime();
+    clearLoop();
+    waveform = null;
+    drawWaveform();
+    playPauseBtn.disabled = true;
+    copyLinkBtn.disabled = true;
+    deleteBtn.disabled = true;
+    addToCollectionBtn.classList.add('hidden');
+    seek.value = 0;
+    currentTimeEl.textContent = '0:00';
+    durationEl.textContent = '0:00';
+    shareLinkInput.value = '';
+    nowPlayingEl.textContent = '';
+    nowPlayingEl.title = '';
+    trackTechEl.textContent = '';
+    trackTechEl.classList.add('hidden');
+    hideCoverArt();
+  }
+
+  // ===== Upload flow (uploader) =====
+  // Selected or dropped files go through a queue: a few upload at a time,
+  // each with its own progress bar, cancel and retry, and ends up as a share
+  // link. The player keeps what it is playing; the first upload goes into it
+  // only when it is empty.
+
+  const UPLOAD_CONCURRENCY = 2;
+  const UPLOAD_MAX_ATTEMPTS = 4;
+
+  let uploadQueue = []; // { id, file, options, state, loaded, attempt, message, controller, data, el }
+  let nextUploadId = 1;
+
+  function enqueueFiles(files) {
+    const list = Array.from(files || []);
+    if (!list.length) return;
+
+    // Every file of this selection gets the options picked right now.
+    const options = readUploadOptions();
+    passwordInput.value = '';
+    hideMessage();
+
+    list.forEach((file) => {
+      const item = { id: nextUploadId++, file, options, state: 'queued', loaded: 0, attempt: 0, message: '' };
+      uploadQueue.push(item);
+      uploadListEl.appendChild(createUploadItem(item));
+      renderUploadItem(item);
+    });
+    uploadQueueEl.classList.remove('hidden');
+    renderQueueActions();
+    pumpUploadQueue();
+  }
+
+  function pumpUploadQueue() {
+    let active = uploadQueue.filter((item) => ['encrypting', 'uploading', 'retrying'].includes(item.state)).length;
+    for (const item of uploadQueue) {
+      if (active >= UPLOAD_CONCURRENCY) break;
+      if (item.state === 'queued') {
+        active++;
+        runUpload(item);
+      }
+    }
+  }
+
+  async function runUpload(item) {
+    const controller = new AbortController();
+    item.controller = controller;
+    item.state = 'uploading';
+    item.loaded = 0;
+    item.message = '';
+    renderUploadItem(item);
+
+    try {
+      if (item.options.encrypt && !item.upload) {
+        await encryptUploadItem(item, controller.signal);
+      }
+      const file = item.upload || item.file;
+      for (item.attempt = 1; ; item.attempt++) {
+        try {
+          item.data = await uploadFile(file, item.options, (loaded) => {
+            item.loaded = loaded;
+            renderUploadItem(item);
+          }, controller.signal);
+          break;
+        } catch (err) {
+          if (controller.signal.aborted || !isRetryable(err) || item.attempt >= UPLOAD_MAX_ATTEMPTS) throw err;
+          // Multipart uploads resume from the parts already stored.
+          const wait = 2000 * 2 ** (item.attempt - 1);
+          item.state = 'retrying';
+          item.message = `${err.message}. Retrying in ${Math.round(wait / 1000)}s…`;
+          renderUploadItem(item);
+          await delay(wait, controller.signal);
+          item.state = 'uploading';
+          item.message = '';
+        }
+      }
+      try {
+        await finishUpload(item);
+        item.state = 'done';
+      } catch (err) {
+        // The audio is stored and the link works: retrying would upload it
+        // a second time.
+        console.error(err);
+        item.state = 'uploaded';
+        item.message = `Uploaded, but ${err.message || 'saving it in this browser failed'}`;
+      }
+    } catch (err) {
+      if (controller.signal.aborted || err.cancelled) {
+        item.state = 'cancelled';
+        item.message = 'Cancelled';
+        discardPendingUpload(item.upload || item.file);
+      } else {
+        console.error(err);
+        item.state = 'failed';
+        const file = item.upload || item.file;
+        const resumable = file.size > CHUNKED_UPLOAD_THRESHOLD && loadPendingUploads()[fileFingerprint(file)];
+        item.message = resumable ? `${err.message}. Retry resumes it.` : err.message || 'Upload failed';
+      }
+    } finally {
+      item.controller = null;
+      renderUploadItem(item);
+      renderQueueActions();
+      pumpUploadQueue();
+    }
+  }
+
+  // An encrypted upload is encrypted once, up front, so that retries and
+  // resumed parts all send the same bytes.
+  async function encryptUploadItem(item, signal) {
+    item.state = 'encrypting';
+    renderUploadItem(item);
+    const key = await AorainaE2E.generateKey();
+    const blob = await AorainaE2E.encryptFile(item.file, key, (done) => {
+      item.loaded = done;
+      renderUploadItem(item);
+    }, signal);
+    // The server gets a neutral name; the real one is inside the encrypted file.
+    item.upload = new File([blob], 'Encrypted audio', { type: AorainaE2E.MIME_TYPE });
+    item.linkKey = key;
+    item.state = 'uploading';
+    item.loaded = 0;
+    renderUploadItem(item);
+  }
+
+  async function finishUpload(item) {
+    const { token, ownerKey } = item.data;
+    rememberOwnerKey(token, ownerKey); // Needed later to delete this token
+    if (item.linkKey) rememberLinkKey(token, item.linkKey);
+
+    if (ownsCollection()) {
+      // Uploads made with the uploader's collection open go into it.
+      try {
+        await addToCollection(token);
+        item.message = 'Added to the collection';
+      } catch (err) {
+        console.error(err);
+        item.message = `Not added to the collection: ${err.message}`;
+      }
+    }
+
+    refreshMyUploads();
+    if (!currentToken) {
+      await showUploadedTrack(item, true);
+    }
+  }
+
+  function cancelUpload(item) {
+    if (item.controller) {
+      item.controller.abort();
+    } else if (item.state === 'queued') {
+      item.state = 'cancelled';
+      item.message = 'Cancelled';
+      renderUploadItem(item);
+      renderQueueActions();
+    }
+  }
+
+  function retryUpload(item) {
+    item.state = 'queued';
+    item.loaded = 0;
+    item.message = '';
+    renderUploadItem(item);
+    renderQueueActions();
+    pumpUploadQueue();
+  }
+
+  function removeUploadItem(item) {
+    uploadQueue = uploadQueue.filter((other) => other !== item);
+    item.el.remove();
+    renderQueueActions();
+  }
+
+  function createUploadItem(item) {
+    const el = document.createElement('li');
+    el.className = 'upload-item';
+
+    const header = document.createElement('div');
+    header.className = 'upload-item-header';
+    const name = document.createElement('span');
+    name.className = 'upload-item-name';
+    name.textContent = item.file.name || 'audio';
+    name.title = item.file.name || '';
+    const state = document.createElement('span');
+    state.className = 'upload-item-state';
+    header.append(name, state);
+
+    const bar = document.createElement('div');
+    bar.className = 'progress-bar';
+    const fill = document.createElement('div');
+    fill.className = 'progress-fill';
+    bar.appendChild(fill);
+
+    const actions = document.createElement('div');
+    actions.className = 'upload-item-actions';
+
+    el.append(header, bar, actions);
+    item.el = el;
+    item.stateEl = state;
+    item.fillEl = fill;
+    item.actionsEl = actions;
+    return el;
+  }
+
+  function renderUploadItem(item) {
+    item.el.className = `upload-item ${item.state}`;
+    const percent = isUploaded(item) ? 100 : item.file.size ? Math.round((item.loaded / item.file.size) * 100) : 0;
+    item.fillEl.style.width = `${Math.min(100, percent)}%`;
+
+    const labels = {
+      queued: 'Waiting…',
+      encrypting: `Encrypting… ${percent}%`,
+      uploading: `${percent}%`,
+      retrying: item.message,
+      done: item.message || 'Done',
+      uploaded: item.message,
+      failed: item.message,
+      cancelled: item.message,
+    };
+    item.stateEl.textContent = labels[item.state];
+
+    // Buttons only change with the state, so progress updates skip them.
+    if (item.renderedState === item.state) return;
+    item.renderedState = item.state;
+    item.actionsEl.textContent = '';
+
+    const button = (label, onClick, className = 'btn secondary') => {
+      const btn = document.createElement('button');
+      btn.type = 'button';
+      btn.className = className;
+      btn.textContent = label;
+      btn.addEventListener('click', onClick);
+      item.actionsEl.appendChild(btn);
+      return btn;
+    };
+
+    if (['queued', 'encrypting', 'uploading', 'retrying'].includes(item.state)) {
+      button('Cancel', () => cancelUpload(item), 'btn danger');
+    } else if (isUploaded(item)) {
+      const link = document.createElement('input');
+      link.className = 'share-input';
+      link.type = 'text';
+      link.readOnly = true;
+      link.value = buildShareUrl(item.data.token);
+      link.addEventListener('focus', () => link.select());
+      item.actionsEl.appendChild(link);
+      const copyBtn = button('Copy', () => copyText(link.value, copyBtn));
+      button('Play', () => showUploadedTrack(item, true));
+    } else {
+      button('Retry', () => retryUpload(item));
+      button('Remove', () => removeUploadItem(item));
+    }
+  }
+
+  // 'uploaded': stored, but what follows the upload (saving the owner key,
+  // adding to the collection, showing the track) failed.
+  function isUploaded(item) {
+    return item.state === 'done' || item.state === 'uploaded';
+  }
+
+  function renderQueueActions() {
+    copyAllLinksBtn.disabled = !uploadQueue.some(isUploaded);
+    clearFinishedBtn.disabled = !uploadQueue.some((item) => ['done', 'uploaded', 'failed', 'cancelled'].includes(item.state));
+    uploadQueueEl.classList.toggle('hidden', uploadQueue.length === 0);
+  }
+
+  // Copies `text` and briefly confirms on `button`.
+  async function copyText(text, button) {
+    try {
+      await navigator.clipboard.writeText(text);
+      const original = button.textContent;
+      button.textContent = 'Copied!';
+      button.disabled = true;
+      setTimeout(() => {
+        button.textContent = original;
+        button.disabled = false;
+      }, 1200);
+    } catch (e) {
+      console.error(e);
+      setStatus('Could not copy link. You can copy it manually.', 'error');
+    }
+  }
+
+  // Shows a track this page uploaded in the player.
+  async function showUploadedTrack(item, autoplay) {
+    const { file, data } = item;
+    const { token, ownerKey, expiry, expiresAt, passwordProtected, maxPlays, allowDownload } = data;
+
+    saveCurrentProgress();
+    hideMessage();
+    resetPlayerState();
+    currentToken = token;
+    isUploader = true;
+
+    // The owner key unlocks the uploader's own protected link.
+    if (passwordProtected) {
+      await unlockToken(token, { ownerKey });
+    }
+    if (token !== currentToken) return;
+
+    encryptedTrack = Boolean(item.linkKey);
+    if (encryptedTrack) {
+      try {
+        await openEncrypted(token);
+      } catch (err) {
+        console.error(err);
+        setStatus(err.message, 'error');
+      }
+      if (token !== currentToken) return;
+    }
+
+    shareLinkInput.value = buildShareUrl(token);
+    copyLinkBtn.disabled = false;
+    deleteBtn.disabled = false;
+    deleteBtn.classList.remove('hidden');
+    playerSection.querySelector('.share-row').style.display = 'flex';
+    playerSection.querySelector('.actions-row').style.display = 'flex';
+    updateAddToCollection();
+
+    nowPlayingEl.textContent = file.name;
+    showManageLink(file.name);
+    startLinkStats(token);
+    watchForReplacement(token, '');
+    // The upload response has no metadata; check has it once stored.
+    checkToken(token).then((info) => {
+      if (info.exists && token === currentToken) showTrackInfo(info, file.name);
+    });
+    startExpiryCountdown(expiresAt, expiry);
+    downloadAllowed = allowDownload !== false;
+    preparePlayback(token, maxPlays);
+    startNotes();
+    startJob();
+    showPlayer();
+    loadWaveform(token, file);
+
+    if (collection) {
+      collectionIndex = collection.tracks.findIndex((track) => track.token === token);
+      renderCollection();
+    } else {
+      // Add token to browser URL so refresh preserves the audio
+      const url = new URL(window.location.href);
+      url.searchParams.set('token', token);
+      url.hash = item.linkKey ? `key=${item.linkKey}` : '';
+      window.history.replaceState({}, '', url.toString());
+    }
+
+    setStatus('Upload complete. Audio is ready to play and share.');
+
+    // Automatically start playback when metadata is ready
+    if (autoplay) {
+      audio.addEventListener(
+        'canplay',
+        () => {
+          if (audio.paused && token === currentToken) {
+            audio.play().catch(() => {
+              // If autoplay fails due to browser policies, user can tap play.
+            });
+          }
+        },
+        { once: true }
+      );
+    }
+  }
+
+  fileInput.addEventListener('change', () => {
+    enqueueFiles(fileInput.files);
+    fileInput.value = ''; // so picking the same file again still fires
+  });
+
+  // Dropped files outside the zone would make the browser navigate to them.
+  ['dragover', 'drop'].forEach((type) => {
+    window.addEventListener(type, (event) => {
+      if (event.dataTransfer && Array.from(event.dataTransfer.types).includes('Files')) {
+        event.preventDefault();
+      }
+    });
+  });
+
+  ['dragenter', 'dragover'].forEach((type) => {
+    dropZone.addEventListener(type, (event) => {
+      event.preventDefault();
+      dropZone.classList.add('dragging');
+    });
+  });
+
+  dropZone.addEventListener('dragleave', (event) => {
+    if (!dropZone.contains(event.relatedTarget)) dropZone.classList.remove('dragging');
+  });
+
+  dropZone.addEventListener('drop', (event) => {
+    event.preventDefault();
+    dropZone.classList.remove('dragging');
+    if (uploadSection.classList.contains('hidden')) return;
+    enqueueFiles(event.dataTransfer && event.dataTransfer.files);
+  });
+
+  copyAllLinksBtn.addEventListener('click', () => {
+    const links = uploadQueue
+      .filter(isUploaded)
+      .map((item) => `${item.file.name}: ${buildShareUrl(item.data.token)}`);
+    copyText(links.join('\n'), copyAllLinksBtn);
+  });
+
+  clearFinishedBtn.addEventListener('click', () => {
+    uploadQueue
+      .filter((item) => ['done', 'uploaded', 'failed', 'cancelled'].includes(item.state))
+      .forEach(removeUploadItem);
+  });
+
+  // ===== Recording =====
+  // Records from the microphone with MediaRecorder, with an input level
+  // meter, pause/resume and a preview. The recording then goes through the
+  // upload queue like a picked file. Chrome and Firefox record WebM/Opus,
+  // Safari MP4/AAC.
+
+  const MAX_RECORDING_SECONDS = 60 * 60;
+  const RECORDING_MIME_TYPES = ['audio/webm;codecs=opus', 'audio/ogg;codecs=opus', 'audio/mp4', 'audio/webm'];
+  const RECORDING_EXTENSIONS = { 'audio/webm': 'webm', 'audio/ogg': 'ogg', 'audio/mp4': 'm4a' };
+
+  let recording = null; // { recorder, stream, context, chunks, elapsed, resumedAt, timer, frame, discarded }
+  let recordedFile = null; // the finished recording, while it is previewed
+
+  function setRecordStatus(message, type) {
+    recordStatusEl.textContent = message || '';
+    recordStatusEl.classList.toggle('error', type === 'error');
+  }
+
+  function renderRecorder() {
+    recordStartBtn.classList.toggle('hidden', Boolean(recording || recordedFile));
+    recorderControlsEl.classList.toggle('hidden', !recording);
+    recorderPreviewEl.classList.toggle('hidden', !recordedFile);
+    if (recording) {
+      const seconds = recordedSeconds(recording);
+      recordTimeEl.textContent = `${formatTime(seconds)} / ${formatTime(MAX_RECORDING_SECONDS)}`;
+      recordPauseBtn.textContent = recording.recorder.state === 'paused' ? 'Resume' : 'Pause';
+    }
+  }
+
+  function recordedSeconds(session) {
+    return session.elapsed + (session.resumedAt ? (Date.now() - session.resumedAt) / 1000 : 0);
+  }
+
+  // e.g. "Recording 2026-10-19 14-05.webm", in local time.
+  function recordingName(extension) {
+    const now = new Date();
+    const pad = (n) => String(n).padStart(2, '0');
+    const date = `${now.getFullYear()}-${pad(now.getMonth() + 1)}-${pad(now.getDate())}`;
+    return `Recording ${date} ${pad(now.getHours())}-${pad(now.getMinutes())}.${extension}`;
+  }
+
+  async function startRecording() {
+    discardRecording();
+    setRecordStatus('');
+    let stream;
+    try {
+      stream = await navigator.mediaDevices.getUserMedia({ audio: true });
+    } catch (err) {
+      setRecordStatus(`Could not use the microphone: ${err.message}`, 'error');
+      return;
+    }
+
+    const mimeType = RECORDING_MIME_TYPES.find((type) => MediaRecorder.isTypeSupported(type));
+    const recorder = new MediaRecorder(stream, mimeType ? { mimeType } : undefined);
+    const context = new AudioContext();
+    const analyser = context.createAnalyser();
+    analyser.fftSize = 2048;
+    context.createMediaStreamSource(stream).connect(analyser);
+
+    const session = { recorder, stream, context, chunks: [], elapsed: 0, resumedAt: Date.now() };
+    recorder.addEventListener('dataavailable', (event) => {
+      if (event.data.size) session.chunks.push(event.data);
+    });
+    recorder.addEventListener('stop', () => finishRecording(session));
+    recorder.start(1000);
+    recording = session;
+
+    const samples = new Float32Array(analyser.fftSize);
+    const drawLevel = () => {
+      analyser.getFloatTimeDomainData(samples);
+      let peak = 0;
+      for (const sample of samples) peak = Math.max(peak, Math.abs(sample));
+      recordLevelEl.style.width = `${Math.round(Math.min(1, peak) * 100)}%`;
+      session.frame = requestAnimationFrame(drawLevel);
+    };
+    drawLevel();
+    session.timer = setInterval(() => {
+      if (recordedSeconds(session) >= MAX_RECORDING_SECONDS) {
+        stopRecording();
+        setRecordStatus(`Recording stopped at the ${MAX_RECORDING_SECONDS / 60}-minute limit.`);
+      }
+      renderRecorder();
+    }, 250);
+    renderRecorder();
+  }
+
+  function togglePauseRecording() {
+    if (!recording) return;
+    const { recorder } = recording;
+    if (recorder.state === 'recording') {
+      recorder.pause();
+      recording.elapsed = recordedSeconds(recording);
+      recording.resumedAt = 0;
+    } else if (recorder.state === 'paused') {
+      recorder.resume();
+      recording.resumedAt = Date.now();
+    }
+    renderRecorder();
+  }
+
+  // The recorder's `stop` event then calls finishRecording.
+  function stopRecording() {
+    if (!recording || recording.recorder.state === 'inactive') return;
+    recording.elapsed = recordedSeconds(recording);
+    recording.resumedAt = 0;
+    recording.recorder.stop();
+  }
+
+  async function finishRecording(session) {
+    clearInterval(session.timer);
+    cancelAnimationFrame(session.frame);
+    session.stream.getTracks().forEach((track) => track.stop());
+    session.context.close();
+    recordLevelEl.style.width = '0%';
+    if (recording === session) recording = null;
+    if (session.discarded || !session.chunks.length) {
+      if (!session.discarded) setRecordStatus('Nothing was recorded.', 'error');
+      renderRecorder();
+      return;
+    }
+
+    const type = (session.recorder.mimeType || 'audio/webm').split(';')[0];
+    let blob = new Blob(session.chunks, { type });
+    if (type === 'audio/webm') {
+      blob = await withWebmDuration(blob, session.elapsed).catch(() => blob);
+    }
+    recordedFile = new File([blob], recordingName(RECORDING_EXTENSIONS[type] || 'webm'), { type });
+    recordPreviewAudio.src = URL.createObjectURL(recordedFile);
+    recordNameInput.value = recordedFile.name;
+    renderRecorder();
+  }
+
+  // Drops the recording in progress or the one being previewed.
+  function discardRecording() {
+    if (recording) {
+      recording.discarded = true;
+      stopRecording();
+    }
+    if (recordedFile) {
+      recordPreviewAudio.pause();
+      URL.revokeObjectURL(recordPreviewAudio.src);
+      recordPreviewAudio.removeAttribute('src');
+      recordedFile = null;
+    }
+    renderRecorder();
+  }
+
+  function uploadRecording() {
+    if (!recordedFile) return;
+    const name = recordNameInput.value.trim() || recordedFile.name;
+    enqueueFiles([new File([recordedFile], name, { type: recordedFile.type })]);
+    discardRecording();
+    setRecordStatus('');
+  }
+
+  // MediaRecorder writes WebM without a duration, which leaves listeners
+  // unable to seek. Adds it to Segment > Info. Files laid out differently,
+  // or that already have one, come back unchanged.
+  async function withWebmDuration(blob, seconds) {
+    const head = new Uint8Array(await blob.slice(0, 64 * 1024).arrayBuffer());
+    const header = readEbmlElement(head, 0);
+    const segment = header && readEbmlElement(head, header.end);
+    // A sized Segment (or a SeekHead) would need its offsets rewritten.
+    if (!segment || segment.id !== 0x18538067 || !segment.unknownSize) return blob;
+
+    let offset = segment.dataStart;
+    let info = null;
+    while (!info) {
+      const element = readEbmlElement(head, offset);
+      if (!element || element.unknownSize || element.id === 0x114d9b74 || element.id === 0x1f43b675) return blob;
+      if (element.id === 0x1549a966) info = element;
+      offset = element.end;
+    }
+    if (info.end > head.length) return blob;
+
+    let timecodeScale = 1000000;
+    for (let child = info.dataStart; child < info.end; ) {
+      const element = readEbmlElement(head, child);
+      if (!element) return blob;
+      if (element.id === 0x4489) return blob; // Duration already there
+      if (element.id === 0x2ad7b1) {
+        timecodeScale = head.subarray(element.dataStart, element.end).reduce((value, byte) => value * 256 + byte, 0);
+      }
+      child = element.end;
+    }
+
+    // Duration: a float64 in TimecodeScale units.
+    const duration = new Uint8Array(11);
+    duration.set([0x44, 0x89, 0x88]);
+    new DataView(duration.buffer).setFloat64(3, (seconds * 1e9) / (timecodeScale || 1000000));
+
+    // Info again, with an 8-byte size vint covering the added element.
+    const size = info.end - info.dataStart + duration.length;
+    const infoHeader = new Uint8Array([0x15, 0x49, 0xa9, 0x66, 0x01, 0, 0, 0, 0, 0, 0, 0]);
+    for (let i = 0, rest = size; i < 7; i++, rest = Math.floor(rest / 256)) infoHeader[11 - i] = rest % 256;
+
+    return new Blob([
+      head.subarray(0, info.start),
+      infoHeader,
+      head.subarray(info.dataStart, info.end),
+      duration,
+      blob.slice(info.end),
+    ], { type: blob.type });
+  }
+
+  // An EBML element header: { id, start, dataStart, end, unknownSize }, or
+  // null if it does not fit in `bytes`.
+  function readEbmlElement(bytes, start) {
+    const id = readEbmlVint(bytes, start);
+    const size = id && readEbmlVint(bytes, start + id.length);
+    if (!size) return null;
+    const dataStart = start + id.length + size.length;
+    return {
+      id: id.raw,
+      start,
+      dataStart,
+      end: size.allOnes ? Infinity : dataStart + size.value,
+      unknownSize: size.allOnes,
+    };
+  }
+
+  function readEbmlVint(bytes, offset) {
+    const first = bytes[offset];
+    if (!first) return null;
+    let length = 1;
+    while (!(first & (0x80 >> (length - 1)))) length++;
+    if (offset + length > bytes.length) return null;
+
+    let value = first & (0xff >> length);
+    let raw = first;
+    let allOnes = value === 0xff >> length;
+    for (let i = 1; i < length; i++) {
+      value = value * 256 + bytes[offset + i];
+      raw = raw * 256 + bytes[offset + i];
+      if (bytes[offset + i] !== 0xff) allOnes = false;
+    }
+    return { value, raw, length, allOnes };
+  }
+
+  if (navigator.mediaDevices && navigator.mediaDevices.getUserMedia && window.MediaRecorder) {
+    recorderEl.classList.remove('hidden');
+  }
+
+  recordStartBtn.addEventListener('click', startRecording);
+  recordPauseBtn.addEventListener('click', togglePauseRecording);
+  recordStopBtn.addEventListener('click', stopRecording);
+  recordUploadBtn.addEventListener('click', uploadRecording);
+  recordDiscardBtn.addEventListener('click', () => {
+    discardRecording();
+    setRecordStatus('');
+  });
+
+  // A recording exists only in this page until it is uploaded.
+  window.addEventListener('beforeunload', (event) => {
+    if (recording || recordedFile) event.preventDefault();
+  });
+
+  // ===== My uploads =====
+  // Every link this browser holds the owner key of, checked in one batched
+  // request (POST /api/check). Links whose audio is gone are dropped from
+  // the stored keys and shown as gone until the next refresh. The keys can
+  // be exported to a file and imported in another browser.
+
+  const BATCH_CHECK_SIZE = 100; // what POST /api/check accepts at once (lib/limits.js)
+  const MY_UPLOADS_EXPORT_VERSION = 1;
+
+  let myUploads = []; // { token, info, selected }, newest first
+  let myUploadsRefresh = null; // the refresh in flight, if any
+
+  function formatBytes(bytes) {
+    if (!Number.isFinite(bytes)) return '';
+    if (bytes < 1024) return `${bytes} B`;
+    if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(0)} KB`;
+    if (bytes < 1024 * 1024 * 1024) return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+    return `${(bytes / (1024 * 1024 * 1024)).toFixed(2)} GB`;
+  }
+
+  async function checkOwnedTokens(keys) {
+    const tokens = Object.keys(keys);
+    const results = [];
+    for (let i = 0; i < tokens.length; i += BATCH_CHECK_SIZE) {
+      const tracks = tokens.slice(i, i + BATCH_CHECK_SIZE).map((token) => ({ token, ownerKey: keys[token] }));
+      const resp = await fetch('/api/check', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ tracks }),
+      });
+      const data = await resp.json().catch(() => ({}));
+      if (!resp.ok) {
+        throw new Error(data.error || 'Could not check your uploads');
+      }
+      results.push(...data.tracks);
+    }
+    return results;
+  }
+
+  // A refresh asked for while another runs goes after it, so that it sees
+  // the keys stored meanwhile.
+  function refreshMyUploads() {
+    if (myUploadsSection.classList.contains('hidden')) return Promise.resolve();
+    myUploadsRefresh = (myUploadsRefresh || Promise.resolve()).then(loadMyUploads);
+    return myUploadsRefresh;
+  }
+
+  async function loadMyUploads() {
+    myUploadsRefreshBtn.disabled = true;
+    try {
+      const selected = new Set(myUploads.filter((entry) => entry.selected).map((entry) => entry.token));
+      const tracks = await checkOwnedTokens(loadOwnerKeys());
+
+      // The audio is gone for good, and with it the use of its owner key.
+      tracks.filter((info) => !info.exists).forEach((info) => forgetOwnerKey(info.token));
+
+      myUploads = tracks
+        .map((info) => ({ token: info.token, info, selected: info.exists && selected.has(info.token) }))
+        .sort((a, b) => Number(b.info.createdAt || 0) - Number(a.info.createdAt || 0));
+      renderMyUploads();
+    } catch (err) {
+      console.error(err);
+      setStatus(err.message, 'error');
+    } finally {
+      myUploadsRefreshBtn.disabled = false;
+    }
+  }
+
+  function describeMyUpload(info) {
+    if (!info.exists) return info.message || 'No longer available';
+    if (info.error) return info.error;
+
+    const parts = [];
+    if (info.size !== undefined) parts.push(formatBytes(info.size));
+    const created = Number(info.createdAt);
+    if (created) parts.push(`uploaded ${new Date(created).toLocaleString()}`);
+    const remaining = Number(info.expiresAt) - Date.now();
+    parts.push(remaining > 0 ? `expires in ${formatRemaining(remaining)}` : 'expired');
+    if (info.expiry === 'listen') parts.push('or after the first full listen');
+    if (info.maxPlays) parts.push(`${info.playsRemaining} of ${info.maxPlays} plays left`);
+    if (info.passwordProtected) parts.push('password');
+    return parts.join(' · ');
+  }
+
+  function renderMyUploads() {
+    myUploadsListEl.textContent = '';
+    myUploads.forEach((entry) => {
+      const { token, info } = entry;
+      const live = info.exists && !info.error;
+
+      const el = document.createElement('li');
+      el.className = `upload-item my-upload${live ? '' : ' gone'}`;
+
+      const checkbox = document.createElement('input');
+      checkbox.type = 'checkbox';
+      checkbox.checked = entry.selected;
+      checkbox.disabled = !info.exists;
+      checkbox.setAttribute('aria-label', 'Select');
+      checkbox.addEventListener('change', () => {
+        entry.selected = checkbox.checked;
+        renderMyUploadsActions();
+      });
+
+      const body = document.createElement('div');
+      body.className = 'my-upload-body';
+      const header = document.createElement('div');
+      header.className = 'upload-item-header';
+      const name = document.createElement('span');
+      name.className = 'upload-item-name';
+      const filename = info.filename || token;
+      name.textContent = (info.metadata && info.metadata.title) || filename;
+      name.title = filename;
+      const state = document.createElement('span');
+      state.className = 'upload-item-state';
+      state.textContent = !info.exists ? 'Gone' : info.error ? 'Not yours' : token === currentToken ? 'Playing' : 'Live';
+      header.append(name, state);
+
+      const details = document.createElement('div');
+      details.className = 'my-upload-details';
+      details.textContent = describeMyUpload(info);
+      body.append(header, details);
+
+      if (live) {
+        const actions = document.createElement('div');
+        actions.className = 'upload-item-actions';
+        const copyBtn = document.createElement('button');
+        copyBtn.type = 'button';
+        copyBtn.className = 'btn secondary';
+        copyBtn.textContent = 'Copy link';
+        copyBtn.addEventListener('click', () => copyText(buildShareUrl(token), copyBtn));
+        const openLink = document.createElement('a');
+        openLink.className = 'btn secondary';
+        openLink.href = buildShareUrl(token);
+        openLink.textContent = 'Open';
+        actions.append(copyBtn, openLink);
+        body.appendChild(actions);
+      }
+
+      el.append(checkbox, body);
+      myUploadsListEl.appendChild(el);
+    });
+
+    myUploadsEmptyEl.classList.toggle('hidden', myUploads.length > 0);
+    myUploadsToolbarEl.classList.toggle('hidden', myUploads.length === 0);
+    renderMyUploadsActions();
+  }
+
+  function renderMyUploadsActions() {
+    const selectable = myUploads.filter((entry) => entry.info.exists);
+    const selected = selectable.filter((entry) => entry.selected);
+    myUploadsAllInput.checked = selectable.length > 0 && selected.length === selectable.length;
+    myUploadsAllInput.indeterminate = selected.length > 0 && selected.length < selectable.length;
+    myUploadsAllInput.disabled = selectable.length === 0;
+    myUploadsCopyBtn.disabled = selected.length === 0;
+    myUploadsDeleteBtn.disabled = selected.length === 0;
+    myUploadsDeleteBtn.textContent = selected.length ? `Delete ${selected.length}` : 'Delete';
+  }
+
+  async function deleteMyUploads(entries) {
+    let failed = 0;
+    for (const { token } of entries) {
+      const ownerKey = getOwnerKey(token);
+      if (!ownerKey) continue;
+      try {
+        await deleteToken(token, ownerKey);
+      } catch (err) {
+        console.error(err);
+        failed++;
+        continue;
+      }
+      forgetOwnerKey(token);
+      if (token === currentToken) {
+        resetPlayerState();
+        hidePlayer();
+        const url = new URL(window.location.href);
+        url.searchParams.delete('token');
+        url.hash = '';
+        window.history.replaceState({}, '', url.toString());
+      }
+    }
+    return failed;
+  }
+
+  function exportMyUploads() {
+    const data = {
+      version: MY_UPLOADS_EXPORT_VERSION,
+      exportedAt: new Date().toISOString(),
+      ownerKeys: loadOwnerKeys(),
+      collectionKeys: loadCollectionKeys(),
+      linkKeys: loadLinkKeys(),
+    };
+    saveBlob(new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' }), 'my-uploads.json');
+  }
+
+  // Merges the keys of an exported file into this browser's. Returns how
+  // many links and collections were new here.
+  async function importMyUploads(file) {
+    let data;
+    try {
+      data = JSON.parse(await file.text());
+    } catch (e) {
+      throw new Error('This is not an exported uploads file.');
+    }
+    if (!data || data.version !== MY_UPLOADS_EXPORT_VERSION || typeof data.ownerKeys !== 'object') {
+      throw new Error('This is not an exported uploads file.');
+    }
+
+    const merge = (stored, imported, remember) => {
+      let added = 0;
+      Object.entries(imported || {}).forEach(([id, key]) => {
+        if (typeof key !== 'string' || !key || stored[id] === key) return;
+        if (!stored[id]) added++;
+        remember(id, key);
+      });
+      return added;
+    };
+    merge(loadLinkKeys(), data.linkKeys, rememberLinkKey);
+    return {
+      tracks: merge(loadOwnerKeys(), data.ownerKeys, rememberOwnerKey),
+      collections: merge(loadCollectionKeys(), data.collectionKeys, rememberCollectionKey),
+    };
+  }
+
+  // Only for uploaders: listeners of a shared link never see it.
+  function showMyUploads() {
+    if (uploadSection.classList.contains('hidden')) return;
+    myUploadsSection.classList.remove('hidden');
+    if (Object.keys(loadOwnerKeys()).length) {
+      refreshMyUploads();
+    } else {
+      renderMyUploads();
+    }
+    // Keeps the remaining lifetimes current.
+    setInterval(() => {
+      if (myUploads.length) renderMyUploads();
+    }, 60000);
+  }
+
+  myUploadsAllInput.addEventListener('change', () => {
+    myUploads.forEach((entry) => {
+      if (entry.info.exists) entry.selected = myUploadsAllInput.checked;
+    });
+    renderMyUploads();
+  });
+
+  myUploadsCopyBtn.addEventListener('click', () => {
+    const links = myUploads
+      .filter((entry) => entry.selected)
+      .map((entry) => `${entry.info.filename || entry.token}: ${buildShareUrl(entry.token)}`);
+    copyText(links.join('\n'), myUploadsCopyBtn);
+  });
+
+  myUploadsDeleteBtn.addEventListener('click', async () => {
+    const entries = myUploads.filter((entry) => entry.selected);
+    if (!entries.length) return;
+    const what = entries.length === 1 ? 'this link' : `these ${entries.length} links`;
+    if (!window.confirm(`Delete ${what}? Listeners will no longer be able to play them.`)) return;
+
+    myUploadsDeleteBtn.disabled = true;
+    setStatus(`Deleting ${entries.length} upload${entries.length === 1 ? '' : 's'}…`);
+    const failed = await deleteMyUploads(entries);
+    await refreshMyUploads();
+    if (collection) refreshCollection().catch((err) => console.error(err));
+    setStatus(failed ? `${failed} upload${failed === 1 ? '' : 's'} could not be deleted.` : 'Deleted.', failed ? 'error' : undefined);
+  });
+
+  myUploadsRefreshBtn.addEventListener('click', () => refreshMyUploads());
+
+  myUploadsExportBtn.addEventListener('click', exportMyUploads);
+
+  myUploadsImportInput.addEventListener('change', async () => {
+    const file = myUploadsImportInput.files && myUploadsImportInput.files[0];
+    myUploadsImportInput.value = '';
+    if (!file) return;
+    try {
+      const added = await importMyUploads(file);
+      const plural = (count, word) => `${count} ${word}${count === 1 ? '' : 's'}`;
+      setStatus(`Imported ${plural(added.tracks, 'new link')} and ${plural(added.collections, 'collection')}.`);
+      await refreshMyUploads();
+    } catch (err) {
+      console.error(err);
+      setStatus(err.message, 'error');
+    }
+  });
+
+  // ===== End-to-end encryption =====
+  // Encrypted links play through a service worker (sw.js) that decrypts
+  // their /stream and /download responses, marked `e2e=1`, with the key from
+  // the link's #fragment. The server only ever has the encrypted file.
+
+  const WORKER_READY_TIMEOUT_MS = 5000;
+  let decryptingWorker = null; // Promise of the active sw.js
+
+  function startDecryptingWorker() {
+    if (!decryptingWorker) {
+      decryptingWorker = (async () => {
+        if (!('serviceWorker' in navigator)) {
+          throw new Error('This browser cannot play end-to-end encrypted audio.');
+        }
+        await navigator.serviceWorker.register('/sw.js');
+        const registration = await navigator.serviceWorker.ready;
+        // The worker only sees requests of pages it controls, which a
+        // forced reload is not.
+        if (!navigator.serviceWorker.controller) {
+          await new Promise((resolve, reject) => {
+            const timer = setTimeout(
+              () => reject(new Error('Reload the page to play this encrypted audio.')),
+              WORKER_READY_TIMEOUT_MS
+            );
+            navigator.serviceWorker.addEventListener(
+              'controllerchange',
+              () => {
+                clearTimeout(timer);
+                resolve();
+              },
+              { once: true }
+            );
+          });
+        }
+        return registration.active;
+      })();
+      decryptingWorker.catch(() => {
+        decryptingWorker = null;
+      });
+    }
+    return decryptingWorker;
+  }
+
+  // Hands the worker the key of `token` and returns the decrypted
+  // { name, type, size }, or null while the server does not let this page
+  // read the audio yet (a play-limited link before Play).
+  async function openEncrypted(token) {
+    const key = linkKeyFor(token);
+    if (!key) {
+      throw new Error('This audio is end-to-end encrypted and the link is missing its key. Open the complete link, including the part after #.');
+    }
+    const worker = await startDecryptingWorker();
+    const reply = await new Promise((resolve) => {
+      const channel = new MessageChannel();
+      channel.port1.onmessage = (event) => resolve(event.data || {});
+      const url = new URL(streamUrlForToken(token), window.location.href).toString();
+      worker.postMessage({ type: 'open', token, key, url }, [channel.port2]);
+    });
+    if (reply.status === 403) return null;
+    if (reply.error) throw new Error(reply.error);
+    return reply.plain ? null : reply;
+  }
+
+  // A play-limited link's name can only be decrypted once Play was pressed.
+  function showDecryptedName(token) {
+    openEncrypted(token)
+      .then((decrypted) => {
+        if (decrypted && token === currentToken) nowPlayingEl.textContent = decrypted.name;
+      })
+      .catch((err) => console.error(err));
+  }
+
+  // The worker forgets keys when the browser stops it, and asks again.
+  if ('serviceWorker' in navigator) {
+    navigator.serviceWorker.addEventListener('message', (event) => {
+      const data = event.data || {};
+      if (data.type === 'key-request' && event.ports[0]) {
+        event.ports[0].postMessage({ key: linkKeyFor(data.token) });
+      }
+    });
+  }
+
+  // ===== Shared-link flow (viewer) =====
+
+  async function initFromTokenInUrl() {
+    const url = new URL(window.location.href);
+    const collectionId = url.searchParams.get('collection');
+    if (collectionId) {
+      await openCollection(collectionId);
+      return;
+    }
+
+    const token = url.searchParams.get('token');
+    if (!token) {
+      // No token – uploader mode only
+      announceResumableUploads();
+      return;
+    }
+
+    // Only hide upload UI for viewers (not the original uploader)
+    if (!getOwnerKey(token)) {
+      uploadSection.classList.add('hidden');
+    }
+
+    await openTrack(token);
+  }
+
+  // Loads a shared track into the player. Resolves false if it is gone, or
+  // if another track was opened meanwhile (collections).
+  async function openTrack(token) {
+    currentToken = token;
+
+    // Only the browser holding the owner key counts as the uploader
+    isUploader = Boolean(getOwnerKey(token));
+
+    let info = await checkToken(token);
+    if (token !== currentToken) return false;
+    if (!info.exists) {
+      showMessage(info.message || 'This audio is no longer available.');
+      hidePlayer();
+      return false;
+    }
+
+    if (info.locked && isUploader) {
+      await unlockToken(token, { ownerKey: getOwnerKey(token) });
+      info = await checkToken(token);
+    }
+    if (info.locked) {
+      info = await promptForPassword(token);
+      if (token !== currentToken) return false;
+      if (!info.exists) {
+        showMessage(info.message || 'This audio is no longer available.');
+        return false;
+      }
+    }
+    if (token !== currentToken) return false;
+
+    // The server's name for encrypted audio is a neutral one.
+    let decrypted = null;
+    encryptedTrack = Boolean(info.encrypted);
+    if (encryptedTrack) {
+      try {
+        decrypted = await openEncrypted(token);
+      } catch (err) {
+        if (token !== currentToken) return false;
+        showMessage(err.message);
+        hidePlayer();
+        return false;
+      }
+      if (token !== currentToken) return false;
+    }
+
+    hideMessage();
+    showTrackInfo(info, decrypted && decrypted.name);
+    showManageLink(decrypted ? decrypted.name : info.filename || '');
+    startLinkStats(token);
+    watchForReplacement(token, info.replacedAt);
+    startExpiryCountdown(info.expiresAt, info.expiry);
+    downloadAllowed = info.allowDownload !== false;
+    preparePlayback(token, info.maxPlays);
+    startNotes();
+    startJob();
+    showPlayer();
+    loadWaveform(token);
+
+    shareLinkInput.value = buildShareUrl(token);
+    copyLinkBtn.disabled = false;
+
+    // Only the original uploader can delete
+    deleteBtn.disabled = !isUploader;
+    updateAddToCollection();
+
+    // Hide share/delete UI for viewers
+    const shareRow = playerSection.querySelector('.share-row');
+    const actionsRow = playerSection.querySelector('.actions-row');
+    
+    if (!isUploader) {
+      shareRow.style.display = 'none';
+      // Listeners only get the download button, if the uploader allowed it.
+      actionsRow.style.display = downloadAllowed ? 'flex' : 'none';
+      deleteBtn.classList.add('hidden');
+      const playsNote = info.maxPlays && !playSession ? ` ${describePlaysRemaining(info.playsRemaining)}` : '';
+      setStatus(`You are listening to a temporary shared track.${playsNote}`);
+    } else {
+      shareRow.style.display = 'flex';
+      actionsRow.style.display = 'flex';
+      deleteBtn.classList.remove('hidden');
+      setStatus('Your uploaded audio is ready. You can delete it anytime.');
+    }
+    return true;
+  }
+
+  // ===== Managing a shared link (owner) =====
+  // Extending, renaming and replacing the audio all keep the link listeners
+  // already have. Players poll check and reload once the audio is replaced.
+
+  const REPLACEMENT_POLL_MS = 30 * 1000;
+
+  function showManageLink(filename) {
+    manageLinkEl.classList.toggle('hidden', !isUploader);
+    // Encrypted audio keeps its real name inside the file.
+    renameForm.classList.toggle('hidden', encryptedTrack);
+    renameInput.value = filename || '';
+  }
+
+  async function manageRequest(action, token, body) {
+    const resp = await fetch(`/api/${action}/${encodeURIComponent(token)}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'X-Owner-Key': getOwnerKey(token) || '' },
+      body: JSON.stringify(body),
+    });
+    const data = await resp.json().catch(() => ({}));
+    if (!resp.ok) {
+      throw new Error(data.error || 'Request failed');
+    }
+    return data;
+  }
+
+  async function replaceAudio(token, file) {
+    if (encryptedTrack) {
+      // Under the same key, so the link listeners have keeps working.
+      setStatus('Encrypting…');
+      const blob = await AorainaE2E.encryptFile(file, linkKeyFor(token));
+      file = new File([blob], 'Encrypted audio', { type: AorainaE2E.MIME_TYPE });
+    }
+    const onProgress = (loaded, total) => {
+      setStatus(`Replacing audio… ${Math.round((loaded / (total || file.size || 1)) * 100)}%`);
+    };
+    const send = () => file.size > CHUNKED_UPLOAD_THRESHOLD
+      ? uploadFileInParts(file, { replaces: token }, onProgress)
+      : sendXhr(
+          'POST',
+          `/api/replace/${encodeURIComponent(token)}`,
+          { 'Content-Type': file.type || 'application/octet-stream', 'X-Owner-Key': getOwnerKey(token) || '' },
+          file,
+          onProgress
+        );
+
+    try {
+      return await send();
+    } catch (err) {
+      if (err.status !== 409) throw err;
+      // An unfinished replacement, e.g. from another browser, gives way.
+      await fetch(`/api/uploads/${encodeURIComponent(token)}`, {
+        method: 'DELETE',
+        headers: { 'X-Owner-Key': getOwnerKey(token) || '' },
+      });
+      return send();
+    }
+  }
+
+  function watchForReplacement(token, since) {
+    stopReplacementWatch();
+    replacedAt = since || '';
+    replacementTimer = setInterval(async () => {
+      let info;
+      try {
+        info = await checkToken(token);
+      } catch (err) {
+        return; // offline for a moment; try again next time
+      }
+      if (token !== currentToken || !info.exists || info.locked) return;
+      if ((info.replacedAt || '') !== replacedAt) {
+        reloadReplacedAudio(token, info);
+        setStatus('The uploader replaced this audio; the new version continues from the same position.');
+      }
+    }, REPLACEMENT_POLL_MS);
+  }
+
+  function stopReplacementWatch() {
+    clearInterval(replacementTimer);
+    replacementTimer = null;
+    replacedAt = '';
+  }
+
+  // ===== Access statistics =====
+  // Stream and check requests carry a random id made up for this page view,
+  // so the owner can see how many listening sessions a link had without the
+  // server learning anything about the listener. Check also reports how far
+  // this page has played. The owner's own listening is left out.
+
+  const LISTEN_ID = crypto.randomUUID();
+  const STATS_POLL_MS = 60 * 1000;
+
+  function addStatsParams(params, token, position) {
+    if (getOwnerKey(token)) {
+      params.set('stats', '0');
+      return;
+    }
+    params.set('listen', LISTEN_ID);
+    const played = position !== undefined ? position : token === currentToken ? audio.currentTime : 0;
+    if (played > 0) params.set('position', String(Math.floor(played)));
+  }
+
+  function reportPosition(token, position) {
+    checkToken(token, position).catch((err) => console.error(err));
+  }
+
+  // Shows the owner who opened the link and how far they got.
+  function startLinkStats(token) {
+    stopLinkStats();
+    if (!isUploader) return;
+
+    const load = async () => {
+      const resp = await fetch(`/api/stats/${encodeURIComponent(token)}`, {
+        headers: { 'X-Owner-Key': getOwnerKey(token) || '' },
+      }).catch(() => null);
+      if (!resp || !resp.ok || token !== currentToken) return;
+      linkStatsEl.textContent = describeLinkStats(await resp.json());
+      linkStatsEl.classList.remove('hidden');
+    };
+    load();
+    statsTimer = setInterval(load, STATS_POLL_MS);
+  }
+
+  function stopLinkStats() {
+    clearInterval(statsTimer);
+    statsTimer = null;
+    linkStatsEl.textContent = '';
+    linkStatsEl.classList.add('hidden');
+  }
+
+  function describeLinkStats(stats) {
+    if (!stats.firstAccessAt) return 'Nobody has opened this link yet.';
+    const parts = [
+      stats.sessions === 1 ? 'Opened in 1 listening session' : `Opened in ${stats.sessions} listening sessions`,
+      `last ${new Date(Number(stats.lastAccessAt)).toLocaleString()}`,
+    ];
+    if (stats.furthestPosition) {
+      const of = stats.duration ? ` of ${formatTime(stats.duration)}` : '';
+      parts.push(`played up to ${formatTime(stats.furthestPosition)}${of}`);
+    }
+    parts.push(`${formatBytes(stats.bytesServed)} served`);
+    return parts.join(' · ');
+  }
+
+  // Swaps in the new audio behind the same link, keeping the position and
+  // whether it was playing. `localFile` spares the owner a download for
+  // the waveform.
+  async function reloadReplacedAudio(token, info, localFile) {
+    // The worker reads the new file's header before the player asks for it.
+    let decrypted = null;
+    if (encryptedTrack) {
+      try {
+        decrypted = await openEncrypted(token);
+      } catch (err) {
+        console.error(err);
+        setStatus(err.message, 'error');
+        return;
+      }
+      if (token !== currentToken) return;
+    }
+
+    replacedAt = info.replacedAt || '';
+    clearLoop();
+    waveform = null;
+    drawWaveform();
+    showTrackInfo(info, decrypted && decrypted.name);
+
+    // Play-limited links have no source until Play is pressed.
+    if (audio.src) {
+      const position = audio.currentTime;
+      const wasPlaying = !audio.paused;
+      audio.addEventListener(
+        'loadedmetadata',
+        () => {
+          if (token !== currentToken) return;
+          audio.currentTime = Math.min(position, audio.duration || position);
+          if (wasPlaying) audio.play().catch(() => {});
+        },
+        { once: true }
+      );
+      attachAudioSourceForToken(token);
+    }
+    loadWaveform(token, localFile);
+  }
+
+  // ===== Collections =====
+  // Several tracks behind one link (?collection=<id>), played as a playlist.
+  // Each track still goes through openTrack, so passwords and play limits
+  // work per track.
+
+  // Listening position per track, so the playlist shows how far each part
+  // has been heard and picks up where the listener left off.
+  const TRACK_PROGRESS_STORAGE = 'trackProgress';
+  const MAX_TRACK_PROGRESS_ENTRIES = 200;
+  const PROGRESS_SAVE_INTERVAL_MS = 5000;
+  // Closer than this to the end counts as heard to the end.
+  const FINISHED_MARGIN_SECONDS = 5;
+
+  function loadTrackProgress() {
+    try {
+      return JSON.parse(localStorage.getItem(TRACK_PROGRESS_STORAGE) || '{}') || {};
+    } catch (e) {
+      return {};
+    }
+  }
+
+  function saveTrackProgress(token, position, duration) {
+    if (!token || !isFinite(duration) || !duration) return;
+    const progress = loadTrackProgress();
+    delete progress[token]; // re-inserted last, so the oldest entries go first
+    progress[token] = { position, duration };
+    const tokens = Object.keys(progress);
+    tokens.slice(0, Math.max(0, tokens.length - MAX_TRACK_PROGRESS_ENTRIES)).forEach((t) => delete progress[t]);
+    localStorage.setItem(TRACK_PROGRESS_STORAGE, JSON.stringify(progress));
+    progressSavedAt = Date.now();
+  }
+
+  function saveCurrentProgress() {
+    if (collection && currentToken && audio.src) {
+      saveTrackProgress(currentToken, audio.currentTime, audio.duration);
+    }
+  }
+
+  function isFinished(entry) {
+    return Boolean(entry) && entry.position >= entry.duration - FINISHED_MARGIN_SECONDS;
+  }
+
+  // Carries the keys of the encrypted tracks this browser knows.
+  function buildCollectionUrl(id, tokens) {
+    const url = new URL(window.location.origin);
+    url.searchParams.set('collection', id);
+    const fragment = new URLSearchParams();
+    tokens.forEach((token) => {
+      const key = linkKeyFor(token);
+      if (key) fragment.set(token, key);
+    });
+    url.hash = fragment.toString();
+    return url.toString();
+  }
+
+  function setCollectionInUrl(id) {
+    const url = new URL(window.location.href);
+    url.searchParams.delete('token');
+    if (id) {
+      url.searchParams.set('collection', id);
+      url.hash = new URL(buildCollectionUrl(id, collection ? collection.tracks.map((track) => track.token) : [])).hash;
+    } else {
+      url.searchParams.delete('collection');
+      url.hash = '';
+    }
+    window.history.replaceState({}, '', url.toString());
+  }
+
+  async function fetchCollection(id) {
+    const resp = await fetch(`/api/collections/${encodeURIComponent(id)}`);
+    const data = await resp.json().catch(() => ({}));
+    if (!resp.ok) {
+      return { exists: false, message: data.message || 'This collection is no longer available.' };
+    }
+    return data;
+  }
+
+  async function collectionRequest(method, path, body) {
+    const headers = { 'X-Owner-Key': getCollectionKey(collection.id) || '' };
+    if (body) headers['Content-Type'] = 'application/json';
+    const resp = await fetch(`/api/collections/${encodeURIComponent(collection.id)}${path}`, {
+      method,
+      headers,
+      body: body ? JSON.stringify(body) : undefined,
+    });
+    const data = await resp.json().catch(() => ({}));
+    if (!resp.ok) {
+      throw new Error(data.error || 'Collection request failed');
+    }
+    return data;
+  }
+
+  function ownsCollection() {
+    return Boolean(collection && getCollectionKey(collection.id));
+  }
+
+  // A track that is gone can still be played by a listener whose play
+  // session on it is running.
+  function isPlayable(track) {
+    return track.exists || Boolean(loadPlaySession(track.token));
+  }
+
+  function collectionTrackLabel(track) {
+    if (!track.exists) return track.message || 'No longer available';
+    if (track.locked) return 'Password protected';
+    const meta = track.metadata || {};
+    if (meta.title) return [meta.title, meta.artist].filter(Boolean).join(' — ');
+    return track.filename || 'Shared audio';
+  }
+
+  async function openCollection(id) {
+    const owned = Boolean(getCollectionKey(id));
+    if (!owned) {
+      uploadSection.classList.add('hidden');
+    }
+
+    const data = await fetchCollection(id);
+    if (!data.exists) {
+      forgetCollectionKey(id);
+      showMessage(data.message);
+      return;
+    }
+    showCollection(data);
+
+    // Start with the first track not yet heard to the end.
+    const progress = loadTrackProgress();
+    let start = data.tracks.findIndex((track) => isPlayable(track) && !isFinished(progress[track.token]));
+    if (start === -1) start = data.tracks.findIndex(isPlayable);
+    if (start === -1) {
+      showMessage('None of the tracks in this collection can be played right now.');
+      return;
+    }
+    await openCollectionTrack(start, false);
+  }
+
+  function showCollection(data) {
+    collection = data;
+    collectionIndex = data.tracks.findIndex((track) => track.token === currentToken);
+    collectionSection.classList.remove('hidden');
+    collectionOwnerEl.classList.toggle('hidden', !ownsCollection());
+    collectionLinkInput.value = buildCollectionUrl(data.id, data.tracks.map((track) => track.token));
+    renderCollection();
+    updateAddToCollection();
+  }
+
+  function hideCollection() {
+    collection = null;
+    collectionIndex = -1;
+    collectionSection.classList.add('hidden');
+    collectionTracksEl.textContent = '';
+  }
+
+  async function refreshCollection() {
+    const data = await fetchCollection(collection.id);
+    if (data.exists) showCollection(data);
+  }
+
+  function renderCollection() {
+    collectionTitleEl.textContent = collection.title || 'Collection';
+    collectionTracksEl.textContent = '';
+    const progress = loadTrackProgress();
+    const owned = ownsCollection();
 
-      const xhr = new XMLHttpRequest();
+    collection.tracks.forEach((track, index) => {
+      const item = document.createElement('li');
+      item.className = 'collection-track';
+      item.classList.toggle('current', index === collectionIndex);
+      item.classList.toggle('unavailable', !isPlayable(track));
 
-      // Track upload progress
-      xhr.upload.addEventListener('progress', (e) => {
-        if (e.lengthComputable) {
-          const percentComplete = Math.round((e.loaded / e.total) * 100);
-          progressFill.style.width = percentComplete + '%';
-          progressText.textContent = percentComplete + '%';
-        }
-      });
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.className = 'collection-track-button';
+      button.disabled = !isPlayable(track);
+      button.addEventListener('click', () => openCollectionTrack(index, true));
 
-      xhr.addEventListener('load', () => {
-        if (xhr.status >= 200 && xhr.status < 300) {
-          try {
-            const data = JSON.parse(xhr.responseText);
-            if (!data.token) {
-              reject(new Error('Server did not return a token'));
-            } else {
-              resolve(data.token);
-            }
-          } catch (e) {
-            reject(new Error('Invalid server response'));
-          }
-        } else {
-          try {
-            const data = JSON.parse(xhr.responseText);
-            reject(new Error(data.error || 'Upload failed'));
-          } catch (e) {
-            reject(new Error('Upload failed'));
-          }
-        }
-      });
+      const name = document.createElement('span');
+      name.className = 'collection-track-name';
+      name.textContent = `${index + 1}. ${collectionTrackLabel(track)}`;
 
-      xhr.addEventListener('error', () => {
-        reject(new Error('Network error during upload'));
-      });
+      const bar = document.createElement('span');
+      bar.className = 'track-progress';
+      const fill = document.createElement('span');
+      fill.className = 'track-progress-fill';
+      const entry = progress[track.token];
+      fill.style.width = entry ? `${Math.min(100, (entry.position / entry.duration) * 100)}%` : '0%';
+      bar.appendChild(fill);
+      button.append(name, bar);
 
-      xhr.addEventListener('abort', () => {
-        reject(new Error('Upload cancelled'));
-      });
+      const duration = document.createElement('span');
+      duration.className = 'collection-track-duration';
+      const seconds = track.metadata && track.metadata.duration;
+      duration.textContent = seconds ? formatTime(seconds) : '';
 
-      xhr.open('POST', uploadUrl, true);
-      xhr.setRequestHeader('Content-Type', file.type || 'application/octet-stream');
-      xhr.setRequestHeader('X-Filename', encodeURIComponent(file.name || 'audio'));
-      xhr.setRequestHeader('X-Mime-Type', file.type || 'audio/mpeg');
+      item.append(button, duration);
 
-      xhr.send(file);
+      if (owned) {
+        const removeBtn = document.createElement('button');
+        removeBtn.type = 'button';
+        removeBtn.className = 'btn-icon note-remove';
+        removeBtn.textContent = '✕';
+        removeBtn.title = 'Remove from the collection (the track stays)';
+        removeBtn.addEventListener('click', () => removeFromCollection(track.token));
+        item.appendChild(removeBtn);
+      }
+      collectionTracksEl.appendChild(item);
     });
-  }
 
-  async function checkToken(token) {
-    const resp = await fetch(`/api/check/${encodeURIComponent(token)}`);
-    if (!resp.ok) {
-      return { exists: false, message: 'This audio is no longer available.' };
-    }
-    return resp.json();
+    prevTrackBtn.disabled = findPlayableTrack(-1) === -1;
+    nextTrackBtn.disabled = findPlayableTrack(1) === -1;
   }
 
-  async function deleteToken(token) {
-    try {
-      isDeleting = true;
-      await fetch(`/api/delete/${encodeURIComponent(token)}`, {
-        method: 'DELETE',
-      });
-    } catch (e) {
-      // Even if the call fails, treat local state as deleted - the server
-      // periodically cleans expired entries and this is best-effort.
-    } finally {
-      isDeleting = false;
+  // Only the current track's bar moves while it plays.
+  function renderCurrentTrackProgress() {
+    const fill = collectionTracksEl.querySelector('.current .track-progress-fill');
+    if (fill && isFinite(audio.duration) && audio.duration) {
+      fill.style.width = `${Math.min(100, (audio.currentTime / audio.duration) * 100)}%`;
     }
   }
 
-  function attachAudioSourceForToken(token) {
-    const streamUrl = `/stream/${encodeURIComponent(token)}`;
-    audio.src = streamUrl;
-    audio.load();
-  }
-
-  function resetPlayerState() {
-    audio.pause();
-    audio.src = '';
-    currentToken = null;
-    isUploader = false;
-    playPauseBtn.disabled = true;
-    copyLinkBtn.disabled = true;
-    deleteBtn.disabled = true;
-    seek.value = 0;
-    currentTimeEl.textContent = '0:00';
-    durationEl.textContent = '0:00';
-    shareLinkInput.value = '';
-    nowPlayingEl.textContent = '';
-  }
-
-  // ===== Upload flow (uploader) =====
-
-  fileInput.addEventListener('change', async (event) => {
-    const file = event.target.files && event.target.files[0];
-    if (!file) {
-      fileNameEl.textContent = 'No file selected.';
-      return;
+  function findPlayableTrack(step) {
+    if (!collection) return -1;
+    for (let i = collectionIndex + step; i >= 0 && i < collection.tracks.length; i += step) {
+      if (isPlayable(collection.tracks[i])) return i;
     }
+    return -1;
+  }
 
-    fileNameEl.textContent = file.name;
-    hideMessage();
+  async function openCollectionTrack(index, autoplay) {
+    const track = collection.tracks[index];
+    if (!track) return;
+    saveCurrentProgress();
     resetPlayerState();
+    collectionIndex = index;
+    renderCollection();
 
-    // Show and reset progress bar
-    uploadProgress.classList.remove('hidden');
-    progressFill.style.width = '0%';
-    progressText.textContent = '0%';
-    setStatus('Uploading and preparing temporary link…');
-
-    try {
-      const token = await uploadFile(file);
-      
-      // Hide progress bar after successful upload
-      uploadProgress.classList.add('hidden');
-      
-      currentToken = token;
-      isUploader = true;
-      markAsUploader(token); // Remember this browser uploaded this token
-      const shareUrl = buildShareUrl(token);
-
-      shareLinkInput.value = shareUrl;
-      copyLinkBtn.disabled = false;
-      deleteBtn.disabled = false;
-
-      nowPlayingEl.textContent = file.name;
-      attachAudioSourceForToken(token);
-      showPlayer();
-
-      // Add token to browser URL so refresh preserves the audio
-      const url = new URL(window.location.href);
-      url.searchParams.set('token', token);
-      window.history.replaceState({}, '', url.toString());
+    const opened = await openTrack(track.token);
+    if (!opened || track.token !== currentToken) return;
 
-      setStatus('Upload complete. Audio is ready to play and share.');
+    // Pick up where the listener left off, unless they heard it all.
+    const entry = loadTrackProgress()[track.token];
+    if (entry && !isFinished(entry) && entry.position > 0) {
+      audio.addEventListener(
+        'loadedmetadata',
+        () => {
+          if (currentToken === track.token) audio.currentTime = entry.position;
+        },
+        { once: true }
+      );
+    }
 
-      // Automatically start playback when metadata is ready
+    // Starting a play-limited track uses up a play, so that stays a click.
+    if (autoplay && !playLimited) {
       audio.addEventListener(
         'canplay',
         () => {
-          if (audio.paused) {
+          if (audio.paused && currentToken === track.token) {
             audio.play().catch(() => {
-              // If autoplay fails due to browser policies, user can tap play.
+              // Autoplay blocked; the listener can press Play.
             });
           }
         },
         { once: true }
       );
-    } catch (err) {
-      console.error(err);
-      uploadProgress.classList.add('hidden');
-      setStatus(err.message || 'Upload failed', 'error');
-      resetPlayerState();
-    }
-  });
-
-  // ===== Shared-link flow (viewer) =====
-
-  async function initFromTokenInUrl() {
-    const url = new URL(window.location.href);
-    const token = url.searchParams.get('token');
-    if (!token) return; // No token – uploader mode only
-
-    currentToken = token;
-    
-    // Check if this browser uploaded this token
-    isUploader = isTokenUploadedByThisBrowser(token);
-
-    // Only hide upload UI for viewers (not the original uploader)
-    if (!isUploader) {
-      uploadSection.classList.add('hidden');
     }
+  }
 
-    const info = await checkToken(token);
-    if (!info.exists) {
-      showMessage(info.message || 'This audio is no longer available.');
-      hidePlayer();
+  function advanceCollection(step, autoplay) {
+    const index = findPlayableTrack(step);
+    if (index === -1) {
+      if (step > 0) setStatus('That was the last track of the collection.');
       return;
     }
+    openCollectionTrack(index, autoplay);
+  }
 
-    nowPlayingEl.textContent = decodeURIComponent(info.filename || 'Shared audio');
-    attachAudioSourceForToken(token);
-    showPlayer();
+  // The uploader can start a collection from a track of theirs; tracks they
+  // upload while their collection is open are added to it.
+  function updateAddToCollection() {
+    const available = isUploader && Boolean(currentToken) && !ownsCollection();
+    addToCollectionBtn.classList.toggle('hidden', !available);
+    addToCollectionBtn.disabled = !available;
+  }
 
-    shareLinkInput.value = shareUrl;
-    copyLinkBtn.disabled = false;
+  async function createCollection(token) {
+    const resp = await fetch('/api/collections', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ tracks: [{ token, ownerKey: getOwnerKey(token) }] }),
+    });
+    const data = await resp.json().catch(() => ({}));
+    if (!resp.ok) {
+      throw new Error(data.error || 'Could not create the collection');
+    }
+    rememberCollectionKey(data.id, data.ownerKey);
+    return data.id;
+  }
 
-    // Only the original uploader can delete
-    deleteBtn.disabled = !isUploader;
+  async function addToCollection(token) {
+    await collectionRequest('POST', '/tracks', { token, ownerKey: getOwnerKey(token) });
+    await refreshCollection();
+  }
 
-    // Hide share/delete UI for viewers
-    const shareRow = document.querySelector('.share-row');
-    const actionsRow = document.querySelector('.actions-row');
-    
-    if (!isUploader) {
-      shareRow.style.display = 'none';
-      actionsRow.style.display = 'none';
-      setStatus('You are listening to a temporary shared track.');
-    } else {
-      shareRow.style.display = 'flex';
-      actionsRow.style.display = 'flex';
-      setStatus('Your uploaded audio is ready. You can delete it anytime.');
+  async function removeFromCollection(token) {
+    try {
+      await collectionRequest('DELETE', `/tracks/${encodeURIComponent(token)}`);
+      await refreshCollection();
+    } catch (err) {
+      console.error(err);
+      setStatus(err.message, 'error');
     }
   }
 
   // ===== Player controls =====
 
-  playPauseBtn.addEventListener('click', () => {
+  playPauseBtn.addEventListener('click', async () => {
+    if (playLimited && !playSession) {
+      playPauseBtn.disabled = true;
+      try {
+        playSession = await startPlaySession(currentToken);
+      } catch (err) {
+        console.error(err);
+        playPauseBtn.disabled = false;
+        setStatus(err.message, 'error');
+        return;
+      }
+      attachAudioSourceForToken(currentToken);
+      updateDownloadLink();
+      startNotes();
+      startJob();
+      if (encryptedTrack) showDecryptedName(currentToken);
+      if (!waveform) loadWaveform(currentToken);
+    }
+
     if (audio.paused) {
       audio.play().catch((err) => {
         console.error(err);
@@ -320,16 +3178,48 @@
   audio.addEventListener('play', () => {
     playPauseBtn.textContent = 'Pause';
     playPauseBtn.disabled = false;
+    markJobStarted();
   });
 
   audio.addEventListener('pause', () => {
     playPauseBtn.textContent = 'Play';
     playPauseBtn.disabled = false;
+    if (!audio.ended) saveCurrentProgress();
+    if (currentToken && !isUploader && !audio.ended) reportPosition(currentToken);
+
+    // Rewinding a little on pause re-plays the words cut off mid-sentence.
+    const rewind = clampNumber(playerPrefs.autoRewind, 0, 10, 0);
+    if (rewind && !audio.ended && isFinite(audio.duration)) {
+      audio.currentTime = Math.max(loopStart !== null ? loopStart : 0, audio.currentTime - rewind);
+    }
+  });
+
+  audio.addEventListener('ended', async () => {
+    const token = currentToken;
+    const uploader = isUploader;
+    if (token && !uploader) reportPosition(token, audio.duration);
+    if (collection && token) {
+      saveTrackProgress(token, audio.duration, audio.duration);
+      if (autoAdvanceInput.checked) advanceCollection(1, true);
+    }
+
+    // The uploader previewing their own track must not burn the link.
+    if (!token || uploader) return;
+    const expiresAt = await reportListened(token);
+    if (expiresAt && token === currentToken) {
+      startExpiryCountdown(expiresAt, 'listened');
+    }
   });
 
+  // A cover that fails to load (link deleted meanwhile) just disappears.
+  coverArt.addEventListener('error', hideCoverArt);
+
   audio.addEventListener('loadedmetadata', () => {
     durationEl.textContent = formatTime(audio.duration);
     playPauseBtn.disabled = false;
+    applyPlaybackRate();
+    renderNoteMarkers();
+    renderLoop();
   });
 
   audio.addEventListener('timeupdate', () => {
@@ -337,6 +3227,17 @@
     currentTimeEl.textContent = formatTime(audio.currentTime);
     const progress = (audio.currentTime / audio.duration) * 100;
     seek.value = progress;
+    renderNoteTime();
+    drawWaveform();
+
+    if (collection) {
+      renderCurrentTrackProgress();
+      if (Date.now() - progressSavedAt > PROGRESS_SAVE_INTERVAL_MS) saveCurrentProgress();
+    }
+
+    if (loopStart !== null && loopEnd !== null && audio.currentTime >= loopEnd) {
+      audio.currentTime = loopStart;
+    }
   });
 
   seek.addEventListener('input', () => {
@@ -345,6 +3246,112 @@
     audio.currentTime = (pct / 100) * audio.duration;
   });
 
+  // Notes: the time is taken when the listener starts typing, since by the
+  // time they press Enter the audio has moved on.
+  noteText.addEventListener('input', () => {
+    if (!noteText.value) {
+      noteTime = null;
+    } else if (noteTime === null) {
+      noteTime = audio.currentTime;
+    }
+    renderNoteTime();
+  });
+
+  noteTimeBtn.addEventListener('click', () => {
+    noteTime = audio.currentTime;
+    renderNoteTime();
+    noteText.focus();
+  });
+
+  noteForm.addEventListener('submit', async (event) => {
+    event.preventDefault();
+    const text = noteText.value.trim();
+    if (!text || !hasTrackAccess()) return;
+
+    addNoteBtn.disabled = true;
+    try {
+      const time = noteTime === null ? audio.currentTime : noteTime;
+      const data = await notesRequest('POST', '', { time, text });
+      renderNotes(data.notes);
+      noteText.value = '';
+      noteTime = null;
+      renderNoteTime();
+    } catch (err) {
+      console.error(err);
+      setStatus(err.message, 'error');
+    } finally {
+      addNoteBtn.disabled = false;
+    }
+  });
+
+  waveformCanvas.addEventListener('click', (event) => {
+    const duration = waveformDuration();
+    if (!audio.src || !duration) return;
+    const rect = waveformCanvas.getBoundingClientRect();
+    seekTo(((event.clientX - rect.left) / rect.width) * duration);
+    drawWaveform();
+  });
+
+  window.addEventListener('resize', drawWaveform);
+
+  skipBackBtn.addEventListener('click', () => skipBy(-skipSeconds()));
+  skipForwardBtn.addEventListener('click', () => skipBy(skipSeconds()));
+
+  rateSlider.addEventListener('input', () => {
+    savePlayerPrefs({ rate: Number(rateSlider.value) });
+    applyPlaybackRate();
+  });
+
+  loopStartBtn.addEventListener('click', () => setLoopPoint('start'));
+  loopEndBtn.addEventListener('click', () => setLoopPoint('end'));
+  loopClearBtn.addEventListener('click', clearLoop);
+
+  skipSecondsInput.addEventListener('change', () => {
+    savePlayerPrefs({ skipSeconds: clampNumber(skipSecondsInput.value, 1, 60, 5) });
+    renderSkipButtons();
+  });
+
+  autoRewindInput.addEventListener('change', () => {
+    savePlayerPrefs({ autoRewind: clampNumber(autoRewindInput.value, 0, 10, 0) });
+    renderSkipButtons();
+  });
+
+  document.addEventListener('keydown', (event) => {
+    if (playerSection.classList.contains('hidden') || event.ctrlKey || event.metaKey || event.altKey) return;
+    const action = SHORTCUTS[event.key] ||
+      (!event.shiftKey && !keepsBareKeys(event.target, event.key) && BARE_KEY_SHORTCUTS[event.key]);
+    if (!action) return;
+    event.preventDefault();
+    action();
+  });
+
+  exportNotesBtn.addEventListener('click', async () => {
+    if (!hasTrackAccess()) return;
+    exportNotesBtn.disabled = true;
+    try {
+      await downloadNotes(exportFormat.value);
+    } catch (err) {
+      console.error(err);
+      setStatus(err.message, 'error');
+    } finally {
+      exportNotesBtn.disabled = false;
+    }
+  });
+
+  importNotesInput.addEventListener('change', async () => {
+    const file = importNotesInput.files && importNotesInput.files[0];
+    importNotesInput.value = '';
+    if (!file || !hasTrackAccess()) return;
+    try {
+      const data = await importNotes(file);
+      renderNotes(data.notes);
+      setStatus(`Imported ${data.imported} note${data.imported === 1 ? '' : 's'} from ${file.name}.`);
+    } catch (err) {
+      console.error(err);
+      setStatus(err.message, 'error');
+    }
+  });
+
   // Volume controls
   volumeSlider.addEventListener('input', () => {
     const volume = parseFloat(volumeSlider.value) / 100;
@@ -375,53 +3382,241 @@
     }
   });
 
-  copyLinkBtn.addEventListener('click', async () => {
+  copyLinkBtn.addEventListener('click', () => {
     if (!shareLinkInput.value) return;
-    try {
-      await navigator.clipboard.writeText(shareLinkInput.value);
-      const original = copyLinkBtn.textContent;
-      copyLinkBtn.textContent = 'Copied!';
-      copyLinkBtn.disabled = true;
-      setTimeout(() => {
-        copyLinkBtn.textContent = original;
-        copyLinkBtn.disabled = false;
-      }, 1200);
-    } catch (e) {
-      console.error(e);
-      setStatus('Could not copy link. You can copy it manually.', 'error');
-    }
+    copyText(shareLinkInput.value, copyLinkBtn);
   });
 
   deleteBtn.addEventListener('click', async () => {
     if (!currentToken) return;
-    if (!isUploader) {
-      // In this demo, only the uploader page can delete.
+    const ownerKey = getOwnerKey(currentToken);
+    if (!isUploader || !ownerKey) {
       setStatus('Only the original uploader can delete this audio.', 'error');
       return;
     }
 
     deleteBtn.disabled = true;
-    // Remove from localStorage so this token is no longer marked as uploaded
-    removeFromUploadedTokens(currentToken);
-
     setStatus('Deleting audio and invalidating link…');
 
-    await deleteToken(currentToken);
+    try {
+      await deleteToken(currentToken, ownerKey);
+    } catch (err) {
+      console.error(err);
+      deleteBtn.disabled = false;
+      setStatus(err.message || 'Delete failed', 'error');
+      return;
+    }
+
+    closeDeletedTrack(currentToken, 'This audio has been deleted and the link is no longer valid.');
+  });
+
+  function closeDeletedTrack(token, message) {
+    // The owner key is useless once the audio is gone
+    forgetOwnerKey(token);
+    refreshMyUploads();
 
     resetPlayerState();
     hidePlayer();
-    showMessage('This audio has been deleted and the link is no longer valid.');
+    showMessage(message);
     setStatus('');
 
     // Also remove token from the URL to avoid confusion on refresh.
     const url = new URL(window.location.href);
     url.searchParams.delete('token');
+    url.hash = '';
     window.history.replaceState({}, '', url.toString());
+
+    if (collection) {
+      refreshCollection().catch((err) => console.error(err));
+    }
+  }
+
+  deliverTextBtn.addEventListener('click', () => {
+    const text = transcriptTextInput.value.trim();
+    if (!text || !currentToken) return;
+    deliverTranscript(text, 'transcript.txt', 'text/plain; charset=utf-8');
   });
 
-  // Initialize depending on whether a token is present in the URL.
-  initFromTokenInUrl().catch((err) => {
-    console.error(err);
-    showMessage('This audio is no longer available.');
+  deliverFileInput.addEventListener('change', () => {
+    const file = deliverFileInput.files[0];
+    deliverFileInput.value = '';
+    if (!file || !currentToken) return;
+    deliverTranscript(file, file.name, file.type || 'application/octet-stream');
+  });
+
+  downloadTranscriptBtn.addEventListener('click', () => {
+    downloadTranscript().catch((err) => setStatus(err.message, 'error'));
   });
+
+  sendBackTranscriptBtn.addEventListener('click', async () => {
+    const token = currentToken;
+    try {
+      const data = await jobRequest('POST', 'job', JSON.stringify({ status: 'in-progress' }), 'application/json');
+      if (token === currentToken) renderJob(data);
+      setStatus('Transcript sent back. The listener can deliver a new one.');
+    } catch (err) {
+      setStatus(err.message, 'error');
+    }
+  });
+
+  // Accepting with the audio deleted saves the transcript first: it stays on
+  // the server for a while, but this page can no longer reach it.
+  acceptTranscriptBtn.addEventListener('click', async () => {
+    const token = currentToken;
+    const deleteAudio = acceptDeleteAudioInput.checked;
+    acceptTranscriptBtn.disabled = true;
+    try {
+      if (deleteAudio) await downloadTranscript();
+      const data = await jobRequest('POST', 'job', JSON.stringify({ status: 'accepted', deleteAudio }), 'application/json');
+      if (token !== currentToken) return;
+      if (!data.audioDeleted) {
+        renderJob(data);
+        setStatus('Transcript accepted.');
+        return;
+      }
+    } catch (err) {
+      acceptTranscriptBtn.disabled = false;
+      setStatus(err.message, 'error');
+      return;
+    }
+
+    closeDeletedTrack(token, 'Transcript accepted. The audio has been deleted and the link is no longer valid.');
+  });
+
+  extendForm.addEventListener('submit', async (event) => {
+    event.preventDefault();
+    const token = currentToken;
+    if (!token || !isUploader) return;
+    try {
+      const data = await manageRequest('extend', token, { expiresIn: extendSelect.value });
+      if (token !== currentToken) return;
+      startExpiryCountdown(data.expiresAt, data.expiry);
+      setStatus('Link extended.');
+      refreshMyUploads();
+    } catch (err) {
+      console.error(err);
+      setStatus(err.message, 'error');
+    }
+  });
+
+  renameForm.addEventListener('submit', async (event) => {
+    event.preventDefault();
+    const token = currentToken;
+    if (!token || !isUploader) return;
+    try {
+      const data = await manageRequest('rename', token, { filename: renameInput.value });
+      const info = await checkToken(token);
+      if (token !== currentToken) return;
+      if (info.exists && !info.locked) showTrackInfo(info, data.filename);
+      setStatus(`Renamed to ${data.filename}.`);
+      refreshMyUploads();
+      if (collection) refreshCollection().catch((err) => console.error(err));
+    } catch (err) {
+      console.error(err);
+      setStatus(err.message, 'error');
+    }
+  });
+
+  replaceInput.addEventListener('change', async () => {
+    const file = replaceInput.files && replaceInput.files[0];
+    replaceInput.value = '';
+    const token = currentToken;
+    if (!file || !token || !isUploader) return;
+
+    replaceInput.disabled = true;
+    try {
+      await replaceAudio(token, file);
+      const info = await checkToken(token);
+      if (token !== currentToken) return;
+      if (info.exists) reloadReplacedAudio(token, info, file);
+      setStatus('Audio replaced. Listeners get the new version on the same link.');
+      refreshMyUploads();
+    } catch (err) {
+      console.error(err);
+      setStatus(err.message || 'Replace failed', 'error');
+    } finally {
+      replaceInput.disabled = false;
+    }
+  });
+
+  addToCollectionBtn.addEventListener('click', async () => {
+    const token = currentToken;
+    if (!token || !getOwnerKey(token)) return;
+    addToCollectionBtn.disabled = true;
+    try {
+      const id = await createCollection(token);
+      const data = await fetchCollection(id);
+      if (!data.exists) throw new Error(data.message);
+      showCollection(data);
+      setCollectionInUrl(id);
+      setStatus('Collection created. Tracks you upload now are added to it.');
+    } catch (err) {
+      console.error(err);
+      addToCollectionBtn.disabled = false;
+      setStatus(err.message, 'error');
+    }
+  });
+
+  prevTrackBtn.addEventListener('click', () => advanceCollection(-1, true));
+  nextTrackBtn.addEventListener('click', () => advanceCollection(1, true));
+
+  autoAdvanceInput.addEventListener('change', () => {
+    savePlayerPrefs({ autoAdvance: autoAdvanceInput.checked });
+  });
+
+  copyCollectionLinkBtn.addEventListener('click', () => {
+    copyText(collectionLinkInput.value, copyCollectionLinkBtn);
+  });
+
+  deleteCollectionBtn.addEventListener('click', async () => {
+    if (!ownsCollection()) return;
+    const withTracks = deleteCollectionTracksInput.checked;
+    const { id, tracks } = collection;
+    deleteCollectionBtn.disabled = true;
+    setStatus(withTracks ? 'Deleting the collection and its tracks…' : 'Deleting the collection…');
+
+    try {
+      await collectionRequest('DELETE', withTracks ? '?deleteTracks=true' : '');
+    } catch (err) {
+      console.error(err);
+      deleteCollectionBtn.disabled = false;
+      setStatus(err.message || 'Delete failed', 'error');
+      return;
+    }
+    deleteCollectionBtn.disabled = false;
+    forgetCollectionKey(id);
+    if (withTracks) {
+      tracks.forEach((track) => forgetOwnerKey(track.token));
+      refreshMyUploads();
+      resetPlayerState();
+      hidePlayer();
+    }
+    hideCollection();
+    updateAddToCollection();
+    setCollectionInUrl(null);
+    if (currentToken) {
+      // The track on screen keeps playing under its own link.
+      const url = new URL(window.location.href);
+      url.searchParams.set('token', currentToken);
+      url.hash = new URL(buildShareUrl(currentToken)).hash;
+      window.history.replaceState({}, '', url.toString());
+    }
+    showMessage(withTracks ? 'The collection and its tracks have been deleted.' : 'The collection has been deleted; its tracks keep their own links.');
+    setStatus('');
+  });
+
+  // Keep the position of the current track when the page goes away.
+  window.addEventListener('pagehide', saveCurrentProgress);
+
+  applyPlaybackRate();
+  renderSkipButtons();
+  autoAdvanceInput.checked = Boolean(playerPrefs.autoAdvance);
+
+  // Initialize depending on whether a token is present in the URL.
+  initFromTokenInUrl()
+    .catch((err) => {
+      console.error(err);
+      showMessage('This audio is no longer available.');
+    })
+    .then(showMyUploads);
 })();
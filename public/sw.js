@@ -0,0 +1,239 @@
+// Decrypting service worker for end-to-end encrypted links (format in
+// e2e.js). The page marks the stream and download URLs of an encrypted
+// track with `e2e=1` and hands this worker the key; those requests are then
+// answered with the decrypted audio, byte ranges included, so the <audio>
+// element plays and seeks as it would any other file. Only the chunks a
+// range needs are fetched from the server.
+//
+// Keys are kept in memory only. When the browser restarts the worker, it
+// asks the open pages for the key again.
+
+importScripts('e2e.js');
+
+const E2E = self.AorainaE2E;
+
+// The header is well within this; a longer one is fetched in a second go.
+const HEADER_PROBE_BYTES = 4096;
+// Chunks fetched per request to the server (1 MiB of audio).
+const CHUNKS_PER_FETCH = 16;
+const KEY_REQUEST_TIMEOUT_MS = 2000;
+
+const keys = new Map(); // token -> Promise<CryptoKey | null>
+const files = new Map(); // token -> readHeader() result plus the ETag it came with
+
+self.addEventListener('install', () => self.skipWaiting());
+
+self.addEventListener('activate', (event) => event.waitUntil(self.clients.claim()));
+
+// { type: 'open', token, key, url }: remember the key and answer with the
+// decrypted { name, type, size }, or { error }.
+self.addEventListener('message', (event) => {
+  const data = event.data || {};
+  const port = event.ports[0];
+  if (data.type !== 'open' || !port) return;
+
+  event.waitUntil((async () => {
+    try {
+      keys.set(data.token, E2E.importKey(data.key));
+      files.delete(data.token);
+      const file = await loadFile(data.url, data.token, await keys.get(data.token));
+      if (file.response) {
+        // The key stays: a play-limited link refuses until Play is pressed.
+        const text = await file.response.text().catch(() => '');
+        port.postMessage({ error: text || 'This audio is no longer available.', status: file.response.status });
+      } else if (file.plain) {
+        port.postMessage({ plain: true });
+      } else {
+        const { name, type, size } = file.info;
+        port.postMessage({ name, type, size });
+      }
+    } catch (err) {
+      keys.delete(data.token);
+      port.postMessage({ error: err.message });
+    }
+  })());
+});
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  const url = new URL(request.url);
+  const match = /^\/(stream|download)\/([^/]+)$/.exec(url.pathname);
+  if (request.method !== 'GET' || url.origin !== self.location.origin || !match || url.searchParams.get('e2e') !== '1') {
+    return;
+  }
+  let token;
+  try {
+    token = decodeURIComponent(match[2]);
+  } catch (e) {
+    return; // Not a token this worker knows; the server answers it.
+  }
+  event.respondWith(respond(event, token, match[1] === 'download'));
+});
+
+async function respond(event, token, download) {
+  const { request } = event;
+  const key = await keyFor(token, event.clientId);
+  if (!key) return fetch(request);
+
+  let file;
+  try {
+    file = await loadFile(request.url, token, key);
+  } catch (err) {
+    return new Response(err.message, { status: 500, headers: { 'Content-Type': 'text/plain; charset=utf-8' } });
+  }
+  if (file.response) return file.response;
+  if (file.plain) return fetch(request);
+
+  const { name, type, size } = file.info;
+  const range = parseRange(request.headers.get('Range'), size);
+  if (range === 'unsatisfiable') {
+    return new Response(null, { status: 416, headers: { 'Content-Range': `bytes */${size}` } });
+  }
+  const start = range ? range.start : 0;
+  const end = range ? range.end : size - 1;
+
+  // The type comes from the uploader's browser, like the rest of the header:
+  // never let it make this origin serve a page.
+  const headers = new Headers({
+    'Content-Type': audioType(type),
+    'Content-Length': String(Math.max(0, end - start + 1)),
+    'Accept-Ranges': 'bytes',
+    'Cache-Control': 'no-store',
+    'X-Content-Type-Options': 'nosniff',
+    'Content-Security-Policy': 'sandbox',
+  });
+  if (range) headers.set('Content-Range', `bytes ${start}-${end}/${size}`);
+  if (download) headers.set('Content-Disposition', attachmentDisposition(name));
+
+  return new Response(decryptedBody(request.url, token, file, key, start, end), {
+    status: range ? 206 : 200,
+    headers,
+  });
+}
+
+// The key the page handed over, or null when no page has one for `token`.
+async function keyFor(token, clientId) {
+  if (!keys.has(token)) {
+    const text = await askPagesForKey(token, clientId);
+    if (!text) return null;
+    keys.set(token, E2E.importKey(text).catch(() => null));
+  }
+  return keys.get(token);
+}
+
+async function askPagesForKey(token, clientId) {
+  const client = clientId && (await self.clients.get(clientId));
+  const pages = client ? [client] : await self.clients.matchAll({ type: 'window' });
+  for (const page of pages) {
+    const key = await new Promise((resolve) => {
+      const channel = new MessageChannel();
+      const timer = setTimeout(() => resolve(null), KEY_REQUEST_TIMEOUT_MS);
+      channel.port1.onmessage = (event) => {
+        clearTimeout(timer);
+        resolve((event.data && event.data.key) || null);
+      };
+      page.postMessage({ type: 'key-request', token }, [channel.port2]);
+    });
+    if (key) return key;
+  }
+  return null;
+}
+
+// The header of the encrypted file behind `url`: a readHeader() result,
+// { plain: true } when the file is not encrypted, or { response } with the
+// server's answer when it refused.
+async function loadFile(url, token, key) {
+  if (files.has(token)) return files.get(token);
+
+  let response = await fetchRange(url, 0, HEADER_PROBE_BYTES - 1);
+  if (response.status !== 206 && response.status !== 200) return { response };
+  let file = await E2E.readHeader(new Uint8Array(await response.arrayBuffer()), key);
+  if (file && file.needed) {
+    response = await fetchRange(url, 0, file.needed - 1);
+    if (response.status !== 206 && response.status !== 200) return { response };
+    file = await E2E.readHeader(new Uint8Array(await response.arrayBuffer()), key);
+  }
+  if (!file || file.needed) return { plain: true };
+
+  file.etag = response.headers.get('ETag');
+  files.set(token, file);
+  return file;
+}
+
+function fetchRange(url, start, end, etag) {
+  const headers = { Range: `bytes=${start}-${end}` };
+  if (etag) headers['If-Range'] = etag;
+  return fetch(url, { headers, credentials: 'same-origin', cache: 'no-store' });
+}
+
+// Plaintext bytes start..end (inclusive), decrypted a few chunks at a time
+// as the player reads them.
+function decryptedBody(url, token, file, key, start, end) {
+  const { chunkSize } = file.info;
+  let index = Math.floor(start / chunkSize);
+  const lastIndex = Math.floor(end / chunkSize);
+
+  return new ReadableStream({
+    async pull(controller) {
+      if (start > end || index > lastIndex) {
+        controller.close();
+        return;
+      }
+      const upTo = Math.min(lastIndex, index + CHUNKS_PER_FETCH - 1);
+      const from = E2E.chunkRange(file, index).start;
+      const to = E2E.chunkRange(file, upTo).end;
+      try {
+        // If-Range makes a replaced file come back whole (200) instead of
+        // mixing chunks of two files.
+        const response = await fetchRange(url, from, to - 1, file.etag);
+        if (response.status !== 206) {
+          if (response.body) response.body.cancel();
+          files.delete(token);
+          throw new Error('The audio changed while it was playing.');
+        }
+        const bytes = new Uint8Array(await response.arrayBuffer());
+        for (let i = index; i <= upTo; i++) {
+          const range = E2E.chunkRange(file, i);
+          const plain = await E2E.decryptChunk(file, key, i, bytes.subarray(range.start - from, range.end - from));
+          const chunkStart = i * chunkSize;
+          controller.enqueue(plain.subarray(Math.max(start, chunkStart) - chunkStart, Math.min(end + 1, chunkStart + plain.length) - chunkStart));
+        }
+        index = upTo + 1;
+      } catch (err) {
+        controller.error(err);
+      }
+    },
+  });
+}
+
+// A single `bytes=` range as { start, end }, null to send everything, or
+// 'unsatisfiable'. Several ranges get the whole file, which is allowed.
+function parseRange(header, size) {
+  const match = /^bytes=(\d*)-(\d*)$/.exec((header || '').trim());
+  if (!match || (!match[1] && !match[2])) return null;
+  let start;
+  let end;
+  if (!match[1]) {
+    start = Math.max(0, size - Number(match[2]));
+    end = size - 1;
+  } else {
+    start = Number(match[1]);
+    end = match[2] ? Math.min(Number(match[2]), size - 1) : size - 1;
+  }
+  if (start >= size || start > end) return 'unsatisfiable';
+  return { start, end };
+}
+
+// `type` if it is an audio type, else one no browser renders.
+function audioType(type) {
+  const essence = String(type || '').split(';')[0].trim().toLowerCase();
+  return /^audio\/[a-z0-9.+-]+$/.test(essence) ? essence : 'application/octet-stream';
+}
+
+// As lib/http.js does for downloads, with the name from the encrypted header.
+function attachmentDisposition(filename) {
+  const name = String(filename || '').replace(/[\u0000-\u001f\u007f/\\]+/g, '_').trim() || 'audio';
+  const ascii = name.replace(/[^\x20-\x7e]/g, '_').replace(/["%;]/g, '_');
+  const encoded = encodeURIComponent(name).replace(/['()*]/g, (c) => `%${c.charCodeAt(0).toString(16).toUpperCase()}`);
+  return `attachment; filename="${ascii}"; filename*=UTF-8''${encoded}`;
+}
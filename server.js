@@ -1,265 +1,173 @@
-// Simple Node HTTP server storing audio in memory only (no DB, no disk)
-// Serves static front-end and exposes minimal API for temporary audio sharing.
-
-const http = require('http');
-const path = require('path');
-const fs = require('fs');
-const { randomBytes } = require('crypto');
-
-const PUBLIC_DIR = path.join(__dirname, 'public');
-
-/**
- * In-memory store for uploaded audio.
- * Shape: {
- *   [token]: {
- *     buffer: Buffer,
- *     mimeType: string,
- *     filename: string,
- *     createdAt: number,
- *     deleted: boolean
- *   }
- * }
- */
-const audioStore = Object.create(null);
-
-// Max in-memory size per upload (e.g., 25 MB)
-const MAX_AUDIO_BYTES = 25 * 1024 * 1024;
-// Lifetime for audio in memory (ms) – purely for safety auto-expiry
-const AUDIO_TTL_MS = 60 * 60 * 1000; // 1 hour
-
-function generateToken() {
-  return randomBytes(16).toString('hex');
-}
-
-function sendJson(res, status, body) {
-  const json = JSON.stringify(body);
-  res.writeHead(status, {
-    'Content-Type': 'application/json',
-    'Content-Length': Buffer.byteLength(json),
-  });
-  res.end(json);
-}
-
-function notFound(res) {
-  sendJson(res, 404, { error: 'Not found' });
-}
-
-function cleanExpiredAudio() {
-  const now = Date.now();
-  for (const [token, entry] of Object.entries(audioStore)) {
-    if (entry.deleted) {
-      delete audioStore[token];
-      continue;
-    }
-    if (now - entry.createdAt > AUDIO_TTL_MS) {
-      delete audioStore[token];
-    }
+// Node HTTP server for local development and self-hosting.
+// Serves the static front-end from public/ and runs the same API routes as
+// the Cloudflare Pages deployment (lib/routes), on local storage instead of R2.
+//
+// Storage (STORAGE env var):
+//   fs (default) – files under DATA_DIR (default ./data), survives restarts
+//   memory       – in process memory, gone when the server stops
+
+import http from 'node:http';
+import fs from 'node:fs';
+import path from 'node:path';
+import { Readable } from 'node:stream';
+import { fileURLToPath } from 'node:url';
+
+import { sweepExpiredTracks } from './lib/cleanup.js';
+import { handleRequest } from './lib/router.js';
+import { createFsBucket } from './lib/storage/fs.js';
+import { createMemoryBucket } from './lib/storage/memory.js';
+
+const ROOT_DIR = path.dirname(fileURLToPath(import.meta.url));
+const PUBLIC_DIR = path.join(ROOT_DIR, 'public');
+
+// As often as the cleanup Worker runs on Cloudflare.
+const CLEANUP_INTERVAL_MS = 60 * 1000;
+
+function createStorage() {
+  const kind = (process.env.STORAGE || 'fs').toLowerCase();
+  if (kind === 'memory') {
+    return { bucket: createMemoryBucket(), description: 'in memory' };
   }
+  if (kind === 'fs') {
+    const dir = path.resolve(process.env.DATA_DIR || path.join(ROOT_DIR, 'data'));
+    return { bucket: createFsBucket(dir), description: `in ${dir}` };
+  }
+  throw new Error(`Unknown STORAGE "${kind}" (use fs or memory)`);
 }
 
-setInterval(cleanExpiredAudio, 10 * 60 * 1000).unref();
+const MIME_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.js': 'application/javascript; charset=utf-8',
+  '.ico': 'image/x-icon',
+  '.png': 'image/png',
+  '.svg': 'image/svg+xml',
+};
 
-function serveStaticFile(req, res) {
-  const url = new URL(req.url, 'http://localhost');
-  let filePath = url.pathname === '/' ? '/index.html' : url.pathname;
+// The file under public/ for a URL path, or null. As on Pages, a path
+// without an extension also finds its .html file (/embed -> embed.html).
+async function resolveStaticFile(pathname) {
+  let filePath = pathname === '/' ? '/index.html' : pathname;
 
   // Prevent directory traversal
   filePath = path.normalize(filePath).replace(/^([.\\/])+/, '');
-  const fullPath = path.join(PUBLIC_DIR, filePath);
-
-  fs.stat(fullPath, (err, stats) => {
-    if (err || !stats.isFile()) {
-      res.writeHead(404, { 'Content-Type': 'text/plain' });
-      res.end('Not found');
-      return;
-    }
+  const candidates = [path.join(PUBLIC_DIR, filePath)];
+  if (!path.extname(filePath)) candidates.push(`${candidates[0]}.html`);
 
-    const ext = path.extname(fullPath).toLowerCase();
-    const mimeTypes = {
-      '.html': 'text/html; charset=utf-8',
-      '.css': 'text/css; charset=utf-8',
-      '.js': 'application/javascript; charset=utf-8',
-      '.ico': 'image/x-icon',
-      '.png': 'image/png',
-      '.svg': 'image/svg+xml',
-    };
-    const contentType = mimeTypes[ext] || 'application/octet-stream';
-
-    res.writeHead(200, { 'Content-Type': contentType });
-    fs.createReadStream(fullPath).pipe(res);
-  });
-}
-
-function handleUpload(req, res) {
-  // Only accept POST with multipart/form-data but parse manually into buffer.
-  // For simplicity and to avoid frameworks, we'll read the whole body
-  // limited by MAX_AUDIO_BYTES and rely on the front-end sending just the
-  // raw file via fetch with body set to the File/Blob.
-
-  if (req.method !== 'POST') {
-    sendJson(res, 405, { error: 'Method not allowed' });
-    return;
+  for (const fullPath of candidates) {
+    const stats = await fs.promises.stat(fullPath).catch(() => null);
+    if (stats && stats.isFile()) return fullPath;
   }
+  return null;
+}
 
-  const contentType = req.headers['content-type'] || '';
-  const filenameHeader = req.headers['x-filename'] || 'audio';
-  const mimeHeader = req.headers['x-mime-type'] || 'audio/mpeg';
-
-  let received = 0;
-  const chunks = [];
-
-  req.on('data', (chunk) => {
-    received += chunk.length;
-    if (received > MAX_AUDIO_BYTES) {
-      // Too large – destroy the connection and respond once finished
-      req.destroy();
-    } else {
-      chunks.push(chunk);
-    }
-  });
+function contentTypeFor(fullPath) {
+  return MIME_TYPES[path.extname(fullPath).toLowerCase()] || 'application/octet-stream';
+}
 
-  req.on('end', () => {
-    if (received > MAX_AUDIO_BYTES) {
-      sendJson(res, 413, { error: 'Audio file too large' });
-      return;
+// Stands in for the ASSETS binding Pages gives Functions, so routes can
+// serve a page from public/ (see lib/routes/embed.js).
+const assets = {
+  async fetch(input) {
+    const fullPath = await resolveStaticFile(new URL(input.url || input).pathname);
+    if (!fullPath) {
+      return new Response('Not found', { status: 404, headers: { 'Content-Type': 'text/plain' } });
     }
+    return new Response(Readable.toWeb(fs.createReadStream(fullPath)), {
+      headers: { 'Content-Type': contentTypeFor(fullPath) },
+    });
+  },
+};
 
-    const buffer = Buffer.concat(chunks);
-    if (!buffer.length) {
-      sendJson(res, 400, { error: 'No audio data received' });
-      return;
-    }
+const storage = createStorage();
+const env = { AUDIO_BUCKET: storage.bucket, ASSETS: assets };
 
-    const token = generateToken();
-    audioStore[token] = {
-      buffer,
-      mimeType: mimeHeader || contentType || 'application/octet-stream',
-      filename: filenameHeader,
-      createdAt: Date.now(),
-      deleted: false,
-    };
+function sweep() {
+  sweepExpiredTracks(storage.bucket).catch((err) => console.error('Cleanup failed', err));
+}
 
-    sendJson(res, 200, { token });
-  });
+setInterval(sweep, CLEANUP_INTERVAL_MS).unref();
 
-  req.on('error', () => {
-    sendJson(res, 500, { error: 'Upload failed' });
-  });
-}
+async function serveStaticFile(req, res) {
+  const url = new URL(req.url, 'http://localhost');
+  const fullPath = await resolveStaticFile(url.pathname);
+  if (!fullPath) {
+    res.writeHead(404, { 'Content-Type': 'text/plain' });
+    res.end('Not found');
+    return;
+  }
 
-function getAudioEntry(token) {
-  const entry = audioStore[token];
-  if (!entry || entry.deleted) return null;
-  return entry;
+  res.writeHead(200, { 'Content-Type': contentTypeFor(fullPath) });
+  fs.createReadStream(fullPath).pipe(res);
 }
 
-function handleCheck(req, res, token) {
-  const entry = getAudioEntry(token);
-  if (!entry) {
-    sendJson(res, 404, { exists: false, message: 'This audio is no longer available.' });
-    return;
+// Node request -> web Request, as the route modules expect.
+function toWebRequest(req) {
+  const url = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+  const headers = new Headers();
+  for (const [name, value] of Object.entries(req.headers)) {
+    for (const item of Array.isArray(value) ? value : [value]) headers.append(name, item);
   }
-  sendJson(res, 200, {
-    exists: true,
-    filename: entry.filename,
-    createdAt: entry.createdAt,
+  const hasBody = req.method !== 'GET' && req.method !== 'HEAD';
+  return new Request(url, {
+    method: req.method,
+    headers,
+    body: hasBody ? Readable.toWeb(req) : undefined,
+    duplex: 'half',
   });
 }
 
-function handleDelete(req, res, token) {
-  if (req.method !== 'DELETE' && req.method !== 'POST') {
-    sendJson(res, 405, { error: 'Method not allowed' });
-    return;
-  }
-  const entry = getAudioEntry(token);
-  if (!entry) {
-    // Already gone – treat as success so UI can clean up
-    sendJson(res, 200, { ok: true, message: 'Already deleted or expired' });
+// web Response -> Node response, streaming the body.
+function sendWebResponse(res, response) {
+  const headers = {};
+  response.headers.forEach((value, name) => {
+    if (name !== 'set-cookie') headers[name] = value;
+  });
+  const cookies = response.headers.getSetCookie();
+  if (cookies.length) headers['set-cookie'] = cookies;
+  res.writeHead(response.status, headers);
+
+  if (!response.body) {
+    res.end();
     return;
   }
-  entry.deleted = true;
-  delete audioStore[token];
-  sendJson(res, 200, { ok: true });
+  const body = Readable.fromWeb(response.body);
+  // Listeners seeking abort range requests mid-way; stop reading then.
+  res.on('close', () => body.destroy());
+  body.on('error', () => res.destroy());
+  body.pipe(res);
 }
 
-function handleStream(req, res, token) {
-  const entry = getAudioEntry(token);
-  if (!entry) {
-    res.writeHead(404, { 'Content-Type': 'text/plain; charset=utf-8' });
-    res.end('This audio is no longer available.');
+async function route(req, res) {
+  const request = toWebRequest(req);
+  const waitUntil = (promise) => {
+    Promise.resolve(promise).catch((err) => console.error(err));
+  };
+
+  const response = await handleRequest(request, env, waitUntil);
+  if (response) {
+    sendWebResponse(res, response);
     return;
   }
 
-  const { buffer, mimeType } = entry;
-
-  // Basic streaming with support for range requests so the browser
-  // can seek within the audio.
-  const total = buffer.length;
-  const range = req.headers.range;
-
-  if (range) {
-    const match = /bytes=(\d+)-(\d*)/.exec(range);
-    if (!match) {
-      res.writeHead(416, { 'Content-Type': 'text/plain' });
-      res.end('Invalid range');
-      return;
-    }
-    const start = parseInt(match[1], 10);
-    let end = match[2] ? parseInt(match[2], 10) : total - 1;
-    if (isNaN(start) || isNaN(end) || start >= total || end >= total || start > end) {
-      res.writeHead(416, { 'Content-Type': 'text/plain' });
-      res.end('Invalid range');
-      return;
-    }
-
-    const chunkSize = end - start + 1;
-    res.writeHead(206, {
-      'Content-Range': `bytes ${start}-${end}/${total}`,
-      'Accept-Ranges': 'bytes',
-      'Content-Length': chunkSize,
-      'Content-Type': mimeType,
-      'Cache-Control': 'no-store',
-    });
-    res.end(buffer.slice(start, end + 1));
-  } else {
-    res.writeHead(200, {
-      'Content-Length': total,
-      'Content-Type': mimeType,
-      'Accept-Ranges': 'bytes',
-      'Cache-Control': 'no-store',
-    });
-    res.end(buffer);
-  }
+  // Otherwise serve static files from public/
+  await serveStaticFile(req, res);
 }
 
 const server = http.createServer((req, res) => {
-  const url = new URL(req.url, 'http://localhost');
-
-  // API routes – all under /api
-  if (url.pathname === '/api/upload') {
-    return handleUpload(req, res);
-  }
-
-  if (url.pathname.startsWith('/api/check/')) {
-    const token = url.pathname.split('/').pop();
-    return handleCheck(req, res, token);
-  }
-
-  if (url.pathname.startsWith('/api/delete/')) {
-    const token = url.pathname.split('/').pop();
-    return handleDelete(req, res, token);
-  }
-
-  if (url.pathname.startsWith('/stream/')) {
-    const token = url.pathname.split('/').pop();
-    return handleStream(req, res, token);
-  }
-
-  // Otherwise serve static files from public/
-  return serveStaticFile(req, res);
+  // Make sure a failing route still gets a response.
+  route(req, res).catch((err) => {
+    console.error(err);
+    if (!res.headersSent) {
+      res.writeHead(500, { 'Content-Type': 'application/json', 'Cache-Control': 'no-store' });
+      res.end(JSON.stringify({ error: 'Internal server error' }));
+    } else {
+      res.destroy();
+    }
+  });
 });
 
 const PORT = process.env.PORT || 3000;
 server.listen(PORT, () => {
-  console.log(`Temp music player server running at http://localhost:${PORT}`);
+  console.log(`Temp music player server running at http://localhost:${PORT} (storage ${storage.description})`);
 });
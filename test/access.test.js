@@ -0,0 +1,105 @@
+// Password-protected links: the password is kept only as a hash, and the
+// access tokens it unlocks are bound to one track and expire.
+
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+
+import {
+  ACCESS_TTL_MS,
+  accessCookie,
+  createAccessToken,
+  hashPassword,
+  listenerAccessError,
+  trackAccessError,
+  verifyPassword,
+} from "../lib/access.js";
+import { fromBase64Url, toBase64Url } from "../lib/encoding.js";
+import { generateOwnerKey, hashOwnerKey } from "../lib/owner.js";
+import { newPlaySessionId } from "../lib/plays.js";
+
+const TOKEN = "3f1c2a4e-0000-4000-8000-000000000001";
+const NOW = Date.UTC(2026, 0, 1);
+
+function streamRequest(query = "", headers = {}) {
+  return new Request(`https://example.com/stream/${TOKEN}${query}`, { headers });
+}
+
+describe("password hashes", () => {
+  it("verify the password they were made from, and only that", async () => {
+    const meta = await hashPassword("correct horse");
+    assert.equal(await verifyPassword("correct horse", meta), true);
+    assert.equal(await verifyPassword("Correct horse", meta), false);
+    assert.equal(await verifyPassword(undefined, meta), false);
+    assert.equal(await verifyPassword("correct horse", {}), false);
+  });
+
+  it("are salted", async () => {
+    const a = await hashPassword("same");
+    const b = await hashPassword("same");
+    assert.notEqual(a.passwordSalt, b.passwordSalt);
+    assert.notEqual(a.passwordHash, b.passwordHash);
+  });
+});
+
+describe("listenerAccessError", () => {
+  it("lets anyone read a link without a password", async () => {
+    assert.equal(await listenerAccessError(streamRequest(), TOKEN, {}, NOW), null);
+  });
+
+  it("accepts the access token from ?access= or the cookie", async () => {
+    const meta = await hashPassword("pw");
+    const { accessToken, expiresAt } = await createAccessToken(TOKEN, meta, NOW);
+    assert.equal(expiresAt, NOW + ACCESS_TTL_MS);
+
+    assert.equal(await listenerAccessError(streamRequest(`?access=${accessToken}`), TOKEN, meta, NOW), null);
+    const cookie = accessCookie(streamRequest(), TOKEN, accessToken).split(";")[0];
+    assert.equal(await listenerAccessError(streamRequest("", { Cookie: `a=b; ${cookie}` }), TOKEN, meta, NOW), null);
+  });
+
+  it("refuses no token, an expired one, or one made for another link or password", async () => {
+    const meta = await hashPassword("pw");
+    const { accessToken } = await createAccessToken(TOKEN, meta, NOW);
+    const check = (token, at = NOW, stored = meta) =>
+      listenerAccessError(streamRequest(`?access=${accessToken}`), token, stored, at);
+
+    assert.equal((await listenerAccessError(streamRequest(), TOKEN, meta, NOW)).status, 401);
+    assert.equal((await check(TOKEN, NOW + ACCESS_TTL_MS)).status, 401);
+    assert.equal((await check("another-token")).status, 403);
+    assert.equal((await check(TOKEN, NOW, await hashPassword("pw"))).status, 403);
+  });
+});
+
+describe("trackAccessError", () => {
+  it("lets the owner in with the owner key alone", async () => {
+    const ownerKey = generateOwnerKey();
+    const meta = { ...(await hashPassword("pw")), maxPlays: "1", ownerKeyHash: await hashOwnerKey(ownerKey) };
+    const track = { meta, plays: [] };
+    assert.equal(await trackAccessError(streamRequest("", { "X-Owner-Key": ownerKey }), TOKEN, track, NOW), null);
+    assert.equal((await trackAccessError(streamRequest("", { "X-Owner-Key": "wrong" }), TOKEN, track, NOW)).status, 403);
+  });
+
+  it("needs an active play session on play-limited links", async () => {
+    const session = newPlaySessionId(false, NOW);
+    const track = { meta: { maxPlays: "1" }, plays: [session] };
+    assert.equal(await trackAccessError(streamRequest(`?session=${session}`), TOKEN, track, NOW), null);
+    assert.equal(await trackAccessError(streamRequest("", { "X-Play-Session": session }), TOKEN, track, NOW), null);
+    assert.equal((await trackAccessError(streamRequest(), TOKEN, track, NOW)).status, 403);
+  });
+});
+
+describe("accessCookie", () => {
+  it("is HttpOnly, and Secure over https", () => {
+    const cookie = accessCookie(streamRequest(), TOKEN, "v");
+    assert.match(cookie, new RegExp(`^access_${TOKEN}=v; Path=/; Max-Age=7200; HttpOnly; SameSite=Lax; Secure$`));
+    assert.doesNotMatch(accessCookie(new Request("http://localhost/"), TOKEN, "v"), /Secure/);
+  });
+});
+
+describe("base64url", () => {
+  it("round trips bytes without padding", () => {
+    const bytes = Uint8Array.from([0, 251, 255, 62, 63]);
+    const encoded = toBase64Url(bytes);
+    assert.match(encoded, /^[A-Za-z0-9_-]+$/);
+    assert.deepEqual(fromBase64Url(encoded), bytes);
+  });
+});
@@ -0,0 +1,103 @@
+// The scheduled cleanup: what it removes, and how it spreads a large bucket
+// over several bounded runs.
+
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+
+import { CLEANUP_STATE_KEY, sweepExpiredTracks } from "../lib/cleanup.js";
+import { collectionKey, newCollection } from "../lib/collections.js";
+import { jobKey } from "../lib/jobs.js";
+import { createMemoryBucket } from "../lib/storage/memory.js";
+import { PENDING_UPLOAD_TTL_MS } from "../lib/upload.js";
+
+const NOW = Date.UTC(2026, 0, 1);
+const HOUR_MS = 60 * 60 * 1000;
+
+async function addTrack(bucket, expiresAt, sidecars = []) {
+  const token = crypto.randomUUID();
+  await bucket.put(`audio/${token}`, "audio", {
+    customMetadata: { createdAt: String(NOW - HOUR_MS), expiresAt: String(expiresAt) },
+  });
+  for (const name of sidecars) await bucket.put(`audio/${token}/${name}`, "{}");
+  return token;
+}
+
+async function keys(bucket, prefix) {
+  return (await bucket.list({ prefix })).objects.map((object) => object.key);
+}
+
+async function readState(bucket) {
+  return (await bucket.get(CLEANUP_STATE_KEY)).json();
+}
+
+// Runs the cleanup until it has been through every prefix once.
+async function sweepAll(bucket, now = NOW) {
+  let runs = 0;
+  let state;
+  do {
+    await sweepExpiredTracks(bucket, now);
+    runs++;
+    state = await readState(bucket);
+  } while (state.next !== 0 || Object.keys(state.cursors).length);
+  return runs;
+}
+
+describe("sweepExpiredTracks", () => {
+  it("deletes expired tracks and leftovers, and keeps live ones", async () => {
+    const bucket = createMemoryBucket();
+    const live = await addTrack(bucket, NOW + HOUR_MS, ["notes.json"]);
+    const expired = await addTrack(bucket, NOW - 1, ["notes.json", "state.json"]);
+    const orphan = crypto.randomUUID();
+    await bucket.put(`audio/${orphan}/notes.json`, "[]");
+
+    const stale = crypto.randomUUID();
+    await bucket.put(`uploads/${stale}.json`, JSON.stringify({ createdAt: NOW - PENDING_UPLOAD_TTL_MS }));
+    const fresh = crypto.randomUUID();
+    await bucket.put(`uploads/${fresh}.json`, JSON.stringify({ createdAt: NOW }));
+
+    const dead = await newCollection("Dead", [expired], NOW);
+    await bucket.put(collectionKey(dead.id), JSON.stringify(dead.doc));
+    const kept = await newCollection("Kept", [expired, live], NOW);
+    await bucket.put(collectionKey(kept.id), JSON.stringify(kept.doc));
+
+    await bucket.put(jobKey(orphan), JSON.stringify({ status: "in-progress", transcript: null }));
+
+    assert.equal(await sweepAll(bucket), 4);
+    assert.deepEqual(await keys(bucket, "audio/"), [`audio/${live}`, `audio/${live}/notes.json`]);
+    assert.deepEqual(await keys(bucket, "uploads/"), [`uploads/${fresh}.json`]);
+    assert.deepEqual(await keys(bucket, "collections/"), [collectionKey(kept.id)]);
+    assert.deepEqual(await keys(bucket, "jobs/"), []);
+  });
+
+  it("looks at one page per run and resumes where it stopped", async () => {
+    const bucket = createMemoryBucket();
+    for (let i = 0; i < 300; i++) await addTrack(bucket, NOW - 1);
+
+    const lists = [];
+    const list = bucket.list.bind(bucket);
+    bucket.list = (options) => {
+      if (options.prefix === "audio/") lists.push(options);
+      return list(options);
+    };
+
+    const first = await sweepExpiredTracks(bucket, NOW);
+    assert.equal(first.prefix, "audio/");
+    assert.equal(first.removed, lists[0].limit);
+    assert.ok(lists[0].limit < 300);
+    assert.ok((await readState(bucket)).cursors["audio/"]);
+
+    await sweepAll(bucket);
+    assert.deepEqual(await keys(bucket, "audio/"), []);
+    assert.equal(lists[0].cursor, undefined);
+    assert.ok(lists[1].cursor);
+  });
+
+  it("keeps the sidecars of a track listed on the page before", async () => {
+    const bucket = createMemoryBucket();
+    // Three keys per track, so some page ends between a track and its sidecars.
+    for (let i = 0; i < 100; i++) await addTrack(bucket, NOW + HOUR_MS, ["notes.json", "state.json"]);
+
+    await sweepAll(bucket);
+    assert.equal((await keys(bucket, "audio/")).length, 300);
+  });
+});
@@ -0,0 +1,102 @@
+// Collections: who may add a track, how the document changes and when a
+// collection is gone.
+
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+
+import {
+  EMPTY_COLLECTION_TTL_MS,
+  MAX_COLLECTION_TITLE_LENGTH,
+  changeCollection,
+  collectionGone,
+  collectionKey,
+  countLiveTracks,
+  newCollection,
+  parseCollectionTitle,
+  trackOwnerError,
+} from "../lib/collections.js";
+import { generateOwnerKey, hashOwnerKey } from "../lib/owner.js";
+import { createMemoryBucket } from "../lib/storage/memory.js";
+import { audioKey } from "../lib/store.js";
+
+const NOW = Date.now();
+
+async function addTrack(bucket, token, meta = {}) {
+  const ownerKey = generateOwnerKey();
+  await bucket.put(audioKey(token), "audio", {
+    customMetadata: {
+      createdAt: String(NOW),
+      expiresAt: String(NOW + 60 * 60 * 1000),
+      ownerKeyHash: await hashOwnerKey(ownerKey),
+      ...meta,
+    },
+  });
+  return ownerKey;
+}
+
+describe("parseCollectionTitle", () => {
+  it("trims the title and treats a missing one as empty", () => {
+    assert.deepEqual(parseCollectionTitle("  Interview  "), { title: "Interview" });
+    assert.deepEqual(parseCollectionTitle(undefined), { title: "" });
+  });
+
+  it("refuses anything but a short string", () => {
+    assert.match(parseCollectionTitle(42).error, /title/);
+    assert.match(parseCollectionTitle("x".repeat(MAX_COLLECTION_TITLE_LENGTH + 1)).error, /title/);
+  });
+});
+
+describe("trackOwnerError", () => {
+  it("lets only the track's owner add it", async () => {
+    const bucket = createMemoryBucket();
+    const token = crypto.randomUUID();
+    const ownerKey = await addTrack(bucket, token);
+    assert.equal(await trackOwnerError(bucket, token, ownerKey), null);
+    assert.equal((await trackOwnerError(bucket, token, "wrong")).status, 403);
+    assert.equal((await trackOwnerError(bucket, token, "")).status, 401);
+    assert.equal((await trackOwnerError(bucket, "", ownerKey)).status, 400);
+    assert.equal((await trackOwnerError(bucket, crypto.randomUUID(), ownerKey)).status, 404);
+  });
+});
+
+describe("changeCollection", () => {
+  it("writes what the change returns, or reports its error", async () => {
+    const bucket = createMemoryBucket();
+    const { id, ownerKey, doc } = await newCollection("Interview", ["a"], NOW);
+    assert.equal(doc.ownerKeyHash, await hashOwnerKey(ownerKey));
+    await bucket.put(collectionKey(id), JSON.stringify(doc));
+
+    const added = await changeCollection(bucket, id, (current) => ({ ...current, tokens: [...current.tokens, "b"] }));
+    assert.deepEqual(added.collection.tokens, ["a", "b"]);
+
+    const refused = await changeCollection(bucket, id, () => ({ status: 409, error: "no" }));
+    assert.deepEqual(refused, { status: 409, error: "no" });
+    assert.equal((await changeCollection(bucket, "missing", (current) => current)).status, 404);
+  });
+});
+
+describe("collectionGone", () => {
+  it("keeps a collection while any track lives", () => {
+    assert.equal(collectionGone({ tokens: ["a", "b"], createdAt: 0 }, 1, NOW), false);
+  });
+
+  it("ends it once every track it had is gone", () => {
+    assert.equal(collectionGone({ tokens: ["a"], createdAt: NOW }, 0, NOW), true);
+  });
+
+  it("gives an empty collection a day to get its first track", () => {
+    const doc = { tokens: [], createdAt: NOW };
+    assert.equal(collectionGone(doc, 0, NOW + EMPTY_COLLECTION_TTL_MS - 1), false);
+    assert.equal(collectionGone(doc, 0, NOW + EMPTY_COLLECTION_TTL_MS), true);
+  });
+});
+
+describe("countLiveTracks", () => {
+  it("skips missing and expired tracks", async () => {
+    const bucket = createMemoryBucket();
+    const [live, expired, missing] = [crypto.randomUUID(), crypto.randomUUID(), crypto.randomUUID()];
+    await addTrack(bucket, live);
+    await addTrack(bucket, expired, { expiresAt: String(NOW - 1) });
+    assert.equal(await countLiveTracks(bucket, { tokens: [live, expired, missing] }, NOW), 1);
+  });
+});
@@ -0,0 +1,62 @@
+// Conditional requests (RFC 9110 §13) against a stored object's ETag and
+// upload time.
+
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+
+import { ifRangeMatches, preconditionStatus, validatorHeaders } from "../lib/conditional.js";
+
+const OBJECT = { etag: "abc", httpEtag: '"abc"', uploaded: new Date("2026-01-01T12:00:00.500Z") };
+const LAST_MODIFIED = "Thu, 01 Jan 2026 12:00:00 GMT";
+const EARLIER = "Thu, 01 Jan 2026 11:00:00 GMT";
+
+function request(headers, method = "GET") {
+  return new Request("https://example.com/stream/t", { method, headers });
+}
+
+describe("validatorHeaders", () => {
+  it("sends the ETag and the upload time as Last-Modified", () => {
+    assert.deepEqual(validatorHeaders(OBJECT), { ETag: '"abc"', "Last-Modified": LAST_MODIFIED });
+  });
+});
+
+describe("preconditionStatus", () => {
+  it("answers 304 to a cache that already has the object", () => {
+    assert.equal(preconditionStatus(request({ "If-None-Match": '"x", W/"abc"' }), OBJECT), 304);
+    assert.equal(preconditionStatus(request({ "If-None-Match": "*" }, "HEAD"), OBJECT), 304);
+    assert.equal(preconditionStatus(request({ "If-Modified-Since": LAST_MODIFIED }), OBJECT), 304);
+    assert.equal(preconditionStatus(request({ "If-Modified-Since": EARLIER }), OBJECT), null);
+  });
+
+  it("lets If-None-Match override If-Modified-Since", () => {
+    const headers = { "If-None-Match": '"other"', "If-Modified-Since": LAST_MODIFIED };
+    assert.equal(preconditionStatus(request(headers), OBJECT), null);
+  });
+
+  it("answers 412 when If-Match or If-Unmodified-Since fails", () => {
+    assert.equal(preconditionStatus(request({ "If-Match": '"abc"' }), OBJECT), null);
+    assert.equal(preconditionStatus(request({ "If-Match": 'W/"abc"' }), OBJECT), 412);
+    assert.equal(preconditionStatus(request({ "If-Match": '"other"' }), OBJECT), 412);
+    assert.equal(preconditionStatus(request({ "If-Unmodified-Since": EARLIER }), OBJECT), 412);
+    assert.equal(preconditionStatus(request({ "If-Unmodified-Since": LAST_MODIFIED }), OBJECT), null);
+  });
+
+  it("ignores dates it cannot parse", () => {
+    assert.equal(preconditionStatus(request({ "If-Modified-Since": "yesterday" }), OBJECT), null);
+    assert.equal(preconditionStatus(request({ "If-Unmodified-Since": "soon" }), OBJECT), null);
+  });
+});
+
+describe("ifRangeMatches", () => {
+  it("serves ranges without If-Range, or for the same representation", () => {
+    assert.equal(ifRangeMatches(request({}), OBJECT), true);
+    assert.equal(ifRangeMatches(request({ "If-Range": '"abc"' }), OBJECT), true);
+    assert.equal(ifRangeMatches(request({ "If-Range": LAST_MODIFIED }), OBJECT), true);
+  });
+
+  it("sends the whole object when the representation changed or the tag is weak", () => {
+    assert.equal(ifRangeMatches(request({ "If-Range": '"old"' }), OBJECT), false);
+    assert.equal(ifRangeMatches(request({ "If-Range": 'W/"abc"' }), OBJECT), false);
+    assert.equal(ifRangeMatches(request({ "If-Range": EARLIER }), OBJECT), false);
+  });
+});
@@ -0,0 +1,47 @@
+// Downloads: the uploader's opt-out and the Content-Disposition carrying the
+// original filename.
+
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+
+import { downloadsAllowed, parseAllowDownload } from "../lib/download.js";
+import { attachmentDisposition } from "../lib/http.js";
+
+describe("parseAllowDownload", () => {
+  it("allows downloads unless told otherwise", () => {
+    for (const value of [undefined, null, "", true, "true", "1", " YES "]) {
+      assert.equal(parseAllowDownload(value), true, String(value));
+    }
+    for (const value of [false, "false", "0", "No"]) {
+      assert.equal(parseAllowDownload(value), false, String(value));
+    }
+    assert.equal(parseAllowDownload("maybe"), null);
+  });
+
+  it("keeps allowing them for links stored before the option", () => {
+    assert.equal(downloadsAllowed({}), true);
+    assert.equal(downloadsAllowed({ allowDownload: "false" }), false);
+  });
+});
+
+describe("attachmentDisposition", () => {
+  it("sends an ASCII fallback and the exact name as filename*", () => {
+    assert.equal(
+      attachmentDisposition('Café "take" (1).wav'),
+      `attachment; filename="Caf_ _take_ (1).wav"; filename*=UTF-8''Caf%C3%A9%20%22take%22%20%281%29.wav`,
+    );
+  });
+
+  it("drops path separators and control characters", () => {
+    assert.equal(
+      attachmentDisposition("../secret\r\n.wav"),
+      `attachment; filename=".._secret_.wav"; filename*=UTF-8''.._secret_.wav`,
+    );
+  });
+
+  it("falls back when there is no name left", () => {
+    assert.match(attachmentDisposition(""), /filename="audio"/);
+    assert.match(attachmentDisposition(" / ", "notes"), /filename="_"/);
+    assert.match(attachmentDisposition(undefined, "notes"), /filename="notes"/);
+  });
+});
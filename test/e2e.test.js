@@ -0,0 +1,105 @@
+// public/e2e.js, the end-to-end encryption shared by the page and the
+// service worker, run in a sandbox shaped like a browser's.
+
+import assert from "node:assert/strict";
+import { readFileSync } from "node:fs";
+import { describe, it } from "node:test";
+import vm from "node:vm";
+
+function loadE2E() {
+  const scope = { crypto, Blob, TextEncoder, TextDecoder, URLSearchParams, btoa, atob, Uint8Array, DataView };
+  scope.self = scope;
+  vm.runInNewContext(readFileSync(new URL("../public/e2e.js", import.meta.url), "utf8"), scope);
+  return scope.AorainaE2E;
+}
+
+const E2E = loadE2E();
+
+function audioFile(size) {
+  return new File([Uint8Array.from({ length: size }, (_, i) => i % 251)], "take one.wav", { type: "audio/wav" });
+}
+
+async function encrypt(file, keyText) {
+  return new Uint8Array(await (await E2E.encryptFile(file, keyText)).arrayBuffer());
+}
+
+// Decrypts every chunk of `bytes` as the service worker does.
+async function decrypt(bytes, keyText) {
+  const key = await E2E.importKey(keyText);
+  const file = await E2E.readHeader(bytes, key);
+  const parts = [];
+  for (let index = 0; index < E2E.chunkCount(file.info.size, file.info.chunkSize); index++) {
+    const { start, end } = E2E.chunkRange(file, index);
+    parts.push(await E2E.decryptChunk(file, key, index, bytes.subarray(start, end)));
+  }
+  return { info: file.info, plain: new Uint8Array(await new Blob(parts).arrayBuffer()) };
+}
+
+describe("encryptFile", () => {
+  for (const size of [0, 1000, E2E.CHUNK_SIZE, 2 * E2E.CHUNK_SIZE + 1]) {
+    it(`round-trips a ${size}-byte file`, async () => {
+      const keyText = await E2E.generateKey();
+      const file = audioFile(size);
+      const { info, plain } = await decrypt(await encrypt(file, keyText), keyText);
+      assert.deepEqual(
+        { name: info.name, type: info.type, size: info.size },
+        { name: "take one.wav", type: "audio/wav", size }
+      );
+      assert.deepEqual(plain, new Uint8Array(await file.arrayBuffer()));
+    });
+  }
+
+  it("writes a Blob of the encrypted type starting with the magic", async () => {
+    const blob = await E2E.encryptFile(audioFile(10), await E2E.generateKey());
+    assert.equal(blob.type, E2E.MIME_TYPE);
+    assert.equal(new TextDecoder().decode(new Uint8Array(await blob.arrayBuffer()).subarray(0, 8)), "AORAENC1");
+  });
+});
+
+describe("readHeader", () => {
+  it("asks for more bytes until it has the whole header", async () => {
+    const keyText = await E2E.generateKey();
+    const bytes = await encrypt(audioFile(10), keyText);
+    const key = await E2E.importKey(keyText);
+    const partial = await E2E.readHeader(bytes.subarray(0, 24), key);
+    assert.ok(partial.needed > 24);
+    assert.ok((await E2E.readHeader(bytes.subarray(0, partial.needed), key)).info);
+    assert.equal(await E2E.readHeader(new TextEncoder().encode("RIFF".repeat(10)), key), null);
+  });
+
+  it("refuses a key the file was not encrypted with", async () => {
+    const bytes = await encrypt(audioFile(10), await E2E.generateKey());
+    const otherKey = await E2E.importKey(await E2E.generateKey());
+    await assert.rejects(E2E.readHeader(bytes, otherKey), /does not fit/);
+  });
+});
+
+describe("decryptChunk", () => {
+  it("notices chunks that were swapped or cut off", async () => {
+    const keyText = await E2E.generateKey();
+    const bytes = await encrypt(audioFile(2 * E2E.CHUNK_SIZE + 1), keyText);
+    const key = await E2E.importKey(keyText);
+    const file = await E2E.readHeader(bytes, key);
+    const first = E2E.chunkRange(file, 0);
+    const second = E2E.chunkRange(file, 1);
+    await assert.rejects(E2E.decryptChunk(file, key, 1, bytes.subarray(first.start, first.end)), /damaged/);
+
+    // The second chunk passed off as the last one of a shorter file.
+    const shorter = { ...file, info: { ...file.info, size: 2 * E2E.CHUNK_SIZE } };
+    await assert.rejects(E2E.decryptChunk(shorter, key, 1, bytes.subarray(second.start, second.end)), /damaged/);
+  });
+});
+
+describe("importKey", () => {
+  it("refuses anything but a 256-bit key", async () => {
+    await assert.rejects(E2E.importKey("short"), /not valid/);
+    await assert.rejects(E2E.importKey("!!!"), /not valid/);
+  });
+});
+
+describe("keysFromFragment", () => {
+  it("reads the key of a link and the keys of a collection", () => {
+    assert.equal(E2E.keysFromFragment("#key=abc").get("key"), "abc");
+    assert.equal(E2E.keysFromFragment("#t1=a&t2=b").get("t2"), "b");
+  });
+});
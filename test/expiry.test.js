@@ -0,0 +1,105 @@
+// Per-link expiry: the choices an upload may make, the deadline each one
+// gives a stored object and how an owner extends it.
+
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+
+import {
+  DEFAULT_EXPIRY,
+  EXPIRY_OPTIONS,
+  LISTEN_GRACE_MS,
+  expiresAtFor,
+  expiryMetadata,
+  extendedState,
+  parseExpiry,
+  parseExtension,
+} from "../lib/expiry.js";
+
+const HOUR_MS = 60 * 60 * 1000;
+const CREATED_AT = Date.UTC(2026, 0, 1);
+
+describe("parseExpiry", () => {
+  it("normalizes the allowed choices and defaults an empty one", () => {
+    assert.equal(parseExpiry(" 7D "), "7d");
+    assert.equal(parseExpiry("listen"), "listen");
+    assert.equal(parseExpiry(""), DEFAULT_EXPIRY);
+    assert.equal(parseExpiry(undefined), DEFAULT_EXPIRY);
+  });
+
+  it("refuses anything else", () => {
+    assert.equal(parseExpiry("30d"), null);
+    assert.equal(parseExpiry("constructor"), null);
+  });
+});
+
+describe("expiresAtFor", () => {
+  it("uses the deadline stored at upload", () => {
+    const meta = { createdAt: String(CREATED_AT), ...expiryMetadata("1h", CREATED_AT) };
+    assert.deepEqual(expiryMetadata("1h", CREATED_AT), { expiry: "1h", expiresAt: String(CREATED_AT + HOUR_MS) });
+    assert.equal(expiresAtFor(meta, {}), CREATED_AT + HOUR_MS);
+  });
+
+  it("prefers a deadline the owner set later", () => {
+    const meta = { createdAt: String(CREATED_AT), ...expiryMetadata("1h", CREATED_AT) };
+    assert.equal(expiresAtFor(meta, { expiresAt: CREATED_AT + 5 * HOUR_MS }), CREATED_AT + 5 * HOUR_MS);
+  });
+
+  it("gives objects stored before expiry existed the default lifetime", () => {
+    assert.equal(expiresAtFor({ createdAt: String(CREATED_AT) }, {}), CREATED_AT + EXPIRY_OPTIONS[DEFAULT_EXPIRY]);
+  });
+
+  it("has no deadline for an object stored without either time", () => {
+    assert.ok(Number.isNaN(expiresAtFor({}, {})));
+  });
+
+  it("ends a listen link a grace period after the first full listen", () => {
+    const meta = { createdAt: String(CREATED_AT), ...expiryMetadata("listen", CREATED_AT) };
+    assert.equal(expiresAtFor(meta, {}), CREATED_AT + EXPIRY_OPTIONS.listen);
+
+    const listenedAt = CREATED_AT + 2 * HOUR_MS;
+    assert.equal(expiresAtFor(meta, { listenedAt }), listenedAt + LISTEN_GRACE_MS);
+  });
+
+  it("never lets a late listen outlive the listen link's cap", () => {
+    const meta = { createdAt: String(CREATED_AT), ...expiryMetadata("listen", CREATED_AT) };
+    const listenedAt = CREATED_AT + EXPIRY_OPTIONS.listen - 1000;
+    assert.equal(expiresAtFor(meta, { listenedAt }), CREATED_AT + EXPIRY_OPTIONS.listen);
+  });
+
+  it("ignores a reported listen on timed links", () => {
+    const meta = { createdAt: String(CREATED_AT), ...expiryMetadata("24h", CREATED_AT) };
+    assert.equal(expiresAtFor(meta, { listenedAt: CREATED_AT }), CREATED_AT + 24 * HOUR_MS);
+  });
+});
+
+describe("parseExtension", () => {
+  it("accepts only timed choices", () => {
+    assert.equal(parseExtension("7d"), "7d");
+    assert.equal(parseExtension("listen"), null);
+    assert.equal(parseExtension("30d"), null);
+  });
+});
+
+describe("extendedState", () => {
+  const meta = { createdAt: String(CREATED_AT), ...expiryMetadata("1h", CREATED_AT) };
+
+  it("moves the deadline to the chosen lifetime from now", () => {
+    const now = CREATED_AT + 30 * 60 * 1000;
+    assert.deepEqual(extendedState(meta, { filename: "a.wav" }, "24h", now), {
+      filename: "a.wav",
+      expiresAt: now + 24 * HOUR_MS,
+    });
+  });
+
+  it("never shortens a link", () => {
+    const expiresAt = CREATED_AT + 7 * 24 * HOUR_MS;
+    assert.equal(extendedState(meta, { expiresAt }, "1h", CREATED_AT).expiresAt, expiresAt);
+  });
+
+  it("makes a heard listen link wait for a new full listen", () => {
+    const listenMeta = { createdAt: String(CREATED_AT), ...expiryMetadata("listen", CREATED_AT) };
+    const state = extendedState(listenMeta, { listenedAt: CREATED_AT }, "1h", CREATED_AT);
+    assert.equal("listenedAt" in state, false);
+    assert.equal(state.expiresAt, CREATED_AT + EXPIRY_OPTIONS.listen);
+  });
+});
@@ -0,0 +1,103 @@
+// Transcription jobs: the status moves each side may make, how the stored
+// job changes and when the cleanup may drop it.
+
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+
+import {
+  JOB_RETENTION_MS,
+  changeJob,
+  deleteJob,
+  describeJob,
+  jobExpired,
+  jobKey,
+  readJob,
+  transcriptKey,
+  transitionError,
+} from "../lib/jobs.js";
+import { createMemoryBucket } from "../lib/storage/memory.js";
+
+const NOW = Date.UTC(2026, 0, 1);
+
+describe("transitionError", () => {
+  const cases = [
+    ["pending", "in-progress", false, null],
+    ["in-progress", "in-progress", false, null],
+    ["delivered", "in-progress", true, null],
+    ["delivered", "in-progress", false, 409],
+    ["accepted", "in-progress", true, 409],
+    ["delivered", "accepted", true, null],
+    ["accepted", "accepted", true, null],
+    ["in-progress", "accepted", true, 409],
+    ["delivered", "accepted", false, 403],
+    ["pending", "delivered", true, 400],
+  ];
+  for (const [from, to, isOwner, status] of cases) {
+    it(`${from} → ${to} by ${isOwner ? "the owner" : "a listener"}: ${status || "allowed"}`, () => {
+      const error = transitionError(from, to, isOwner);
+      assert.equal(error && error.status, status);
+    });
+  }
+});
+
+describe("describeJob", () => {
+  it("reports a link without a job as pending", () => {
+    assert.deepEqual(describeJob(null), { status: "pending", updatedAt: null, transcript: null });
+  });
+
+  it("leaves the owner key hash and content type out", () => {
+    const job = {
+      status: "delivered",
+      updatedAt: NOW,
+      ownerKeyHash: "hash",
+      transcript: { filename: "take.srt", contentType: "text/plain", size: 12, deliveredAt: NOW },
+    };
+    assert.deepEqual(describeJob(job), {
+      status: "delivered",
+      updatedAt: String(NOW),
+      transcript: { filename: "take.srt", size: 12, deliveredAt: String(NOW) },
+    });
+  });
+});
+
+describe("changeJob", () => {
+  it("creates a pending job owned by the track's owner, then changes it", async () => {
+    const bucket = createMemoryBucket();
+    const started = await changeJob(bucket, "t", "hash", () => ({ status: "in-progress" }), NOW);
+    assert.deepEqual(started.job, { status: "in-progress", ownerKeyHash: "hash", transcript: null, updatedAt: NOW });
+    assert.deepEqual(await readJob(bucket, "t"), started.job);
+  });
+
+  it("writes nothing when the change refuses", async () => {
+    const bucket = createMemoryBucket();
+    const refused = await changeJob(bucket, "t", "hash", () => ({ status: 409, error: "no" }), NOW);
+    assert.deepEqual(refused, { status: 409, error: "no" });
+    assert.equal(await readJob(bucket, "t"), null);
+  });
+});
+
+describe("jobExpired", () => {
+  it("keeps a delivered transcript for a while after its audio is gone", () => {
+    const job = { status: "delivered", transcript: {}, orphanedAt: NOW };
+    assert.ok(!jobExpired({ ...job, orphanedAt: undefined }, NOW));
+    assert.equal(jobExpired(job, NOW + JOB_RETENTION_MS - 1), false);
+    assert.equal(jobExpired(job, NOW + JOB_RETENTION_MS), true);
+  });
+
+  it("drops a job with nothing delivered at once", () => {
+    assert.equal(jobExpired(null, NOW), true);
+    assert.equal(jobExpired({ status: "in-progress", transcript: null }, NOW), true);
+  });
+});
+
+describe("deleteJob", () => {
+  it("deletes the job with every delivery stored for it", async () => {
+    const bucket = createMemoryBucket();
+    await bucket.put(jobKey("t"), "{}");
+    await bucket.put(transcriptKey("t", "a"), "first");
+    await bucket.put(transcriptKey("t", "b"), "second");
+    await bucket.put(jobKey("u"), "{}");
+    await deleteJob(bucket, "t");
+    assert.deepEqual((await bucket.list()).objects.map((object) => object.key), [jobKey("u")]);
+  });
+});
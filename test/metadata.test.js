@@ -0,0 +1,205 @@
+// lib/metadata: each parser against a minimal file of its format, and what
+// storeMetadata keeps next to the track.
+
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+
+import { bufferReader, readCover, readMetadata, storeMetadata } from "../lib/metadata/index.js";
+import { createMemoryBucket } from "../lib/storage/memory.js";
+
+const JPEG = [0xff, 0xd8, 0xff, 0xe0, 0, 16, 0x4a, 0x46, 0x49, 0x46, 0];
+
+// Concatenates strings (UTF-8), numbers (one byte each) and byte arrays.
+function bytesOf(...parts) {
+  const out = [];
+  for (const part of parts) {
+    if (typeof part === "string") out.push(...new TextEncoder().encode(part));
+    else if (typeof part === "number") out.push(part);
+    else out.push(...part);
+  }
+  return Uint8Array.from(out);
+}
+
+const zeros = (length) => new Uint8Array(length);
+const u16le = (n) => [n & 0xff, (n >> 8) & 0xff];
+const u32le = (n) => [n & 0xff, (n >> 8) & 0xff, (n >> 16) & 0xff, (n >>> 24) & 0xff];
+const u16be = (n) => [(n >> 8) & 0xff, n & 0xff];
+const u32be = (n) => [(n >>> 24) & 0xff, (n >> 16) & 0xff, (n >> 8) & 0xff, n & 0xff];
+const u64le = (n) => [...u32le(n % 2 ** 32), ...u32le(Math.floor(n / 2 ** 32))];
+
+async function parse(bytes, contentType) {
+  const bucket = createMemoryBucket();
+  const doc = await storeMetadata(bucket, "t", bufferReader(bytes), bytes.length, contentType);
+  return { doc, bucket };
+}
+
+function wav() {
+  const info = bytesOf("INFO", "INAM", u32le(10), "WAV title\0", "IART", u32le(4), "Ana\0");
+  return bytesOf(
+    "RIFF", u32le(0), "WAVE",
+    "fmt ", u32le(16), u16le(1), u16le(1), u32le(8000), u32le(8000), u16le(1), u16le(8),
+    "LIST", u32le(info.length), info,
+    "data", u32le(16000), zeros(16000),
+  );
+}
+
+function id3Frame(id, body) {
+  return bytesOf(id, u32be(body.length), 0, 0, body);
+}
+
+function mp3() {
+  const frames = bytesOf(
+    id3Frame("TIT2", bytesOf(0, "MP3 title")),
+    id3Frame("TPE1", bytesOf(3, "Zoë")),
+    id3Frame("APIC", bytesOf(0, "image/jpeg", 0, 3, 0, JPEG)),
+  );
+  const size = frames.length;
+  const tag = bytesOf("ID3", 3, 0, 0, [(size >> 21) & 0x7f, (size >> 14) & 0x7f, (size >> 7) & 0x7f, size & 0x7f], frames);
+  // MPEG-1 Layer III, 128 kbit/s, 44.1 kHz, stereo: 16000 bytes last a second.
+  return bytesOf(tag, [0xff, 0xfb, 0x90, 0x00], zeros(16000 - 4));
+}
+
+function vorbisComment(...entries) {
+  return bytesOf(u32le(4), "test", u32le(entries.length), ...entries.map((entry) => bytesOf(u32le(new TextEncoder().encode(entry).length), entry)));
+}
+
+function flac() {
+  const streamInfo = zeros(34);
+  // 44.1 kHz, stereo, 16 bits, 88200 samples.
+  streamInfo.set([0x0a, 0xc4, 0x42, 0xf0, ...u32be(88200)], 10);
+  const comment = vorbisComment("TITLE=FLAC title", "ARTIST=Ana");
+  return bytesOf(
+    "fLaC",
+    0x00, 0, 0, 34, streamInfo,
+    0x84, 0, (comment.length >> 8) & 0xff, comment.length & 0xff, comment,
+    zeros(1000),
+  );
+}
+
+function oggPage(granule, sequence, packet) {
+  const segments = [];
+  for (let left = packet.length; ; left -= 255) {
+    segments.push(Math.min(left, 255));
+    if (left < 255) break;
+  }
+  return bytesOf("OggS", 0, sequence ? 0 : 2, u64le(granule), u32le(1234), u32le(sequence), u32le(0), segments.length, segments, packet);
+}
+
+function opus() {
+  return bytesOf(
+    oggPage(0, 0, bytesOf("OpusHead", 1, 2, u16le(312), u32le(44100), u16le(0), 0)),
+    oggPage(0, 1, bytesOf("OpusTags", vorbisComment("title=Opus title"))),
+    oggPage(312 + 48000 * 3, 2, zeros(200)),
+  );
+}
+
+function box(type, ...content) {
+  const body = bytesOf(...content);
+  return bytesOf(u32be(body.length + 8), type, body);
+}
+
+function m4a() {
+  const timing = (timescale, duration) => bytesOf(zeros(12), u32be(timescale), u32be(duration), zeros(4));
+  const sampleEntry = box("mp4a", zeros(6), u16be(1), zeros(8), u16be(2), u16be(16), zeros(4), u32be(44100 * 65536));
+  const trak = box("trak", box("mdia",
+    box("mdhd", timing(44100, 44100 * 2)),
+    box("hdlr", zeros(8), "soun", zeros(12)),
+    box("minf", box("stbl", box("stsd", zeros(4), u32be(1), sampleEntry))),
+  ));
+  // "©nam" is not ASCII, so these item headers are written out by hand.
+  const tags = box("ilst",
+    bytesOf(u32be(8 + 8 + 8 + 9), [0xa9], "nam", box("data", u32be(1), zeros(4), "M4A title")),
+    bytesOf(u32be(8 + 8 + 8 + JPEG.length), "covr", box("data", u32be(13), zeros(4), JPEG)),
+  );
+  const udta = box("udta", box("meta", zeros(4), box("hdlr", zeros(8), "mdir", zeros(12)), tags));
+  return bytesOf(box("ftyp", "M4A ", zeros(4), "isom"), box("moov", box("mvhd", timing(1000, 2000)), trak, udta), box("mdat", zeros(500)));
+}
+
+function ebml(id, ...content) {
+  const body = bytesOf(...content);
+  const size = body.length < 127 ? [0x80 | body.length] : [0x40 | (body.length >> 8), body.length & 0xff];
+  return bytesOf(id, size, body);
+}
+
+function webm() {
+  const float64 = (value) => {
+    const bytes = new Uint8Array(8);
+    new DataView(bytes.buffer).setFloat64(0, value);
+    return bytes;
+  };
+  return bytesOf(
+    ebml([0x1a, 0x45, 0xdf, 0xa3], ebml([0x42, 0x82], "webm")),
+    [0x18, 0x53, 0x80, 0x67, 0x01, 0xff, 0xff, 0xff, 0xff, 0xff, 0xff, 0xff], // Segment, unknown size
+    ebml([0x15, 0x49, 0xa9, 0x66], ebml([0x2a, 0xd7, 0xb1], [0x0f, 0x42, 0x40]), ebml([0x44, 0x89], float64(2500))),
+    ebml([0x16, 0x54, 0xae, 0x6b], ebml([0xae],
+      ebml([0x83], [2]),
+      ebml([0x86], "A_OPUS"),
+      ebml([0xe1], ebml([0xb5], float64(48000)), ebml([0x9f], [1])),
+    )),
+    ebml([0x12, 0x54, 0xc3, 0x67], ebml([0x73, 0x73], ebml([0x67, 0xc8], ebml([0x45, 0xa3], "TITLE"), ebml([0x44, 0x87], "WebM title")))),
+    ebml([0x1f, 0x43, 0xb6, 0x75], zeros(100)),
+  );
+}
+
+describe("storeMetadata", () => {
+  it("reads WAV format details and INFO tags", async () => {
+    const { doc } = await parse(wav(), "audio/wav");
+    assert.deepEqual(doc, { duration: 2, bitrate: 64000, sampleRate: 8000, channels: 1, codec: "PCM", title: "WAV title", artist: "Ana" });
+  });
+
+  it("reads the MP3 frame header and ID3v2 tags, and keeps the cover", async () => {
+    const { doc, bucket } = await parse(mp3(), "audio/mpeg");
+    assert.deepEqual(doc, { duration: 1, bitrate: 128000, sampleRate: 44100, channels: 2, codec: "MP3", title: "MP3 title", artist: "Zoë", cover: true });
+
+    const cover = await readCover(bucket, "t");
+    assert.equal(cover.httpMetadata.contentType, "image/jpeg");
+    assert.deepEqual(new Uint8Array(await cover.arrayBuffer()), Uint8Array.from(JPEG));
+    assert.deepEqual(await readMetadata(bucket, "t"), doc);
+  });
+
+  it("reads FLAC STREAMINFO and Vorbis comments", async () => {
+    const { doc } = await parse(flac(), "audio/flac");
+    assert.deepEqual(doc, { duration: 2, bitrate: 4000, sampleRate: 44100, channels: 2, codec: "FLAC", title: "FLAC title", artist: "Ana" });
+  });
+
+  it("reads Ogg Opus headers and the duration from the last granule", async () => {
+    const bytes = opus();
+    const { doc } = await parse(bytes, "audio/ogg");
+    assert.equal(doc.codec, "Opus");
+    assert.equal(doc.channels, 2);
+    assert.equal(doc.sampleRate, 44100);
+    assert.equal(doc.duration, 3);
+    assert.equal(doc.bitrate, Math.round((bytes.length * 8) / 3));
+    assert.equal(doc.title, "Opus title");
+  });
+
+  it("reads the MP4 sound track, iTunes tags and cover", async () => {
+    const { doc } = await parse(m4a(), "audio/mp4");
+    assert.equal(doc.codec, "AAC");
+    assert.equal(doc.channels, 2);
+    assert.equal(doc.sampleRate, 44100);
+    assert.equal(doc.duration, 2);
+    assert.equal(doc.title, "M4A title");
+    assert.equal(doc.cover, true);
+  });
+
+  it("reads WebM Info, the audio track and tags", async () => {
+    const bytes = webm();
+    const { doc } = await parse(bytes, "audio/webm");
+    assert.deepEqual(doc, {
+      duration: 2.5,
+      bitrate: Math.round((bytes.length * 8) / 2.5),
+      sampleRate: 48000,
+      channels: 1,
+      codec: "Opus",
+      title: "WebM title",
+    });
+  });
+
+  it("stores nothing for files it cannot make sense of", async () => {
+    const { doc, bucket } = await parse(bytesOf("RIFF", u32le(4), "WAVE"), "audio/wav");
+    assert.deepEqual(doc, {});
+    assert.equal((await parse(bytesOf("garbage"), "audio/x-unknown")).doc, null);
+    assert.equal(await readCover(bucket, "t"), null);
+  });
+});
@@ -0,0 +1,43 @@
+// Timestamped notes: what a listener may store, and the order they are
+// shown in.
+
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+
+import { MAX_NOTE_LENGTH, newNote, parseNoteInput, sortNotes } from "../lib/notes.js";
+
+describe("parseNoteInput", () => {
+  it("keeps times to the millisecond and trims the text", () => {
+    assert.deepEqual(parseNoteInput({ time: 12.34567, text: "  hello \n" }), {
+      fields: { time: 12.346, text: "hello" },
+    });
+  });
+
+  it("needs both fields for a new note but either for an edit", () => {
+    assert.match(parseNoteInput({ text: "no time" }).error, /time/);
+    assert.deepEqual(parseNoteInput({ text: "new text" }, true), { fields: { text: "new text" } });
+    assert.deepEqual(parseNoteInput({}, true), { fields: {} });
+  });
+
+  it("refuses bad times and empty or overlong text", () => {
+    assert.match(parseNoteInput(null).error, /JSON/);
+    for (const time of [-1, "soon", Infinity, 24 * 60 * 60 + 1]) {
+      assert.match(parseNoteInput({ time, text: "x" }).error, /time/, String(time));
+    }
+    assert.match(parseNoteInput({ time: 1, text: "   " }).error, /text/);
+    assert.match(parseNoteInput({ time: 1, text: 42 }).error, /text/);
+    assert.match(parseNoteInput({ time: 1, text: "x".repeat(MAX_NOTE_LENGTH + 1) }).error, /at most/);
+  });
+});
+
+describe("sortNotes", () => {
+  it("orders by time, then by when the note was taken, without touching the input", () => {
+    const notes = [
+      newNote({ time: 5, text: "c" }, 3),
+      newNote({ time: 1, text: "b" }, 2),
+      newNote({ time: 1, text: "a" }, 1),
+    ];
+    assert.deepEqual(sortNotes(notes).map((note) => note.text), ["a", "b", "c"]);
+    assert.equal(notes[0].text, "c");
+  });
+});
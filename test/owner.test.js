@@ -0,0 +1,71 @@
+// Owner keys: only the holder of the key returned by the upload may manage
+// a track.
+
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+
+import {
+  generateOwnerKey,
+  hashOwnerKey,
+  ownerKeyError,
+  ownerKeyMatches,
+  readOwnerKey,
+  timingSafeEqual,
+} from "../lib/owner.js";
+
+function requestWith(headers) {
+  return new Request("https://example.com/api/delete/t", { method: "DELETE", headers });
+}
+
+describe("generateOwnerKey", () => {
+  it("makes a fresh URL-safe key every time", () => {
+    const a = generateOwnerKey();
+    const b = generateOwnerKey();
+    assert.match(a, /^[A-Za-z0-9_-]{43}$/);
+    assert.notEqual(a, b);
+  });
+});
+
+describe("readOwnerKey", () => {
+  it("reads X-Owner-Key, then a bearer token", () => {
+    assert.equal(readOwnerKey(requestWith({ "X-Owner-Key": " abc " })), "abc");
+    assert.equal(readOwnerKey(requestWith({ Authorization: "bearer xyz" })), "xyz");
+    assert.equal(readOwnerKey(requestWith({ Authorization: "Basic xyz" })), "");
+    assert.equal(readOwnerKey(requestWith({})), "");
+  });
+});
+
+describe("ownerKeyError", () => {
+  it("accepts the key whose hash is stored", async () => {
+    const key = generateOwnerKey();
+    const hash = await hashOwnerKey(key);
+    assert.equal(await ownerKeyError(requestWith({ "X-Owner-Key": key }), hash), null);
+  });
+
+  it("refuses a missing or wrong key, and objects stored without a hash", async () => {
+    const hash = await hashOwnerKey(generateOwnerKey());
+    assert.equal((await ownerKeyError(requestWith({}), hash)).status, 401);
+    assert.equal((await ownerKeyError(requestWith({ "X-Owner-Key": "guess" }), hash)).status, 403);
+    assert.equal((await ownerKeyError(requestWith({ "X-Owner-Key": "guess" }), undefined)).status, 403);
+  });
+});
+
+describe("ownerKeyMatches", () => {
+  it("matches only the key behind the stored hash", async () => {
+    const key = generateOwnerKey();
+    const hash = await hashOwnerKey(key);
+    assert.equal(await ownerKeyMatches(key, hash), true);
+    assert.equal(await ownerKeyMatches("guess", hash), false);
+    assert.equal(await ownerKeyMatches(undefined, hash), false);
+    assert.equal(await ownerKeyMatches(key, undefined), false);
+  });
+});
+
+describe("timingSafeEqual", () => {
+  it("compares strings of any length", () => {
+    assert.equal(timingSafeEqual("abc", "abc"), true);
+    assert.equal(timingSafeEqual("abc", "abd"), false);
+    assert.equal(timingSafeEqual("abc", "ab"), false);
+    assert.equal(timingSafeEqual("abc", undefined), false);
+  });
+});
@@ -0,0 +1,28 @@
+// Waveform peaks sent by a browser: only a well-formed document is stored.
+
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+
+import { MAX_PEAKS, parsePeaks } from "../lib/peaks.js";
+
+describe("parsePeaks", () => {
+  it("stores the version, the duration to the millisecond and the peaks", () => {
+    assert.deepEqual(parsePeaks({ duration: 61.23456, peaks: [0, 128, 255] }), {
+      peaks: { version: 1, duration: 61.235, peaks: [0, 128, 255] },
+    });
+  });
+
+  it("refuses a missing or implausible duration", () => {
+    for (const duration of [undefined, 0, -5, "long", 24 * 60 * 60 + 1]) {
+      assert.match(parsePeaks({ duration, peaks: [1] }).error, /duration/, String(duration));
+    }
+  });
+
+  it("refuses empty, overlong or out-of-range peaks", () => {
+    assert.match(parsePeaks(null).error, /JSON/);
+    assert.match(parsePeaks({ duration: 1, peaks: [] }).error, /list/);
+    assert.match(parsePeaks({ duration: 1, peaks: new Array(MAX_PEAKS + 1).fill(0) }).error, /list/);
+    assert.match(parsePeaks({ duration: 1, peaks: [0, 256] }).error, /0 to 255/);
+    assert.match(parsePeaks({ duration: 1, peaks: [0.5] }).error, /0 to 255/);
+  });
+});
@@ -0,0 +1,73 @@
+// Play limits: which sessions count, and when a limited link is used up.
+
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+
+import {
+  MAX_PLAYS_LIMIT,
+  PLAY_SESSION_TTL_MS,
+  countedPlays,
+  isActivePlay,
+  newPlaySessionId,
+  parseMaxPlays,
+  playSessionCreatedAt,
+  playsExhausted,
+  playsRemaining,
+} from "../lib/plays.js";
+
+const NOW = Date.UTC(2026, 0, 1);
+
+describe("parseMaxPlays", () => {
+  it("reads no limit as 0 and accepts whole numbers up to the maximum", () => {
+    assert.equal(parseMaxPlays(undefined), 0);
+    assert.equal(parseMaxPlays(""), 0);
+    assert.equal(parseMaxPlays("1"), 1);
+    assert.equal(parseMaxPlays(MAX_PLAYS_LIMIT), MAX_PLAYS_LIMIT);
+  });
+
+  it("refuses anything else", () => {
+    for (const value of ["-1", "1.5", "two", MAX_PLAYS_LIMIT + 1]) {
+      assert.equal(parseMaxPlays(value), null, String(value));
+    }
+  });
+});
+
+describe("play sessions", () => {
+  it("carry their creation time, and the owner's are not counted", () => {
+    const listener = newPlaySessionId(false, NOW);
+    const owner = newPlaySessionId(true, NOW + 1);
+    assert.equal(playSessionCreatedAt(listener), NOW);
+    assert.equal(playSessionCreatedAt(owner), NOW + 1);
+    assert.deepEqual(countedPlays([owner, listener]), [listener]);
+  });
+
+  it("stay active for the session lifetime only", () => {
+    const id = newPlaySessionId(false, NOW);
+    assert.equal(isActivePlay([id], id, NOW + PLAY_SESSION_TTL_MS - 1), true);
+    assert.equal(isActivePlay([id], id, NOW + PLAY_SESSION_TTL_MS), false);
+    assert.equal(isActivePlay([], id, NOW), false);
+    assert.equal(isActivePlay([id], "", NOW), false);
+  });
+});
+
+describe("playsExhausted", () => {
+  const meta = { maxPlays: "1" };
+
+  it("is never true without a limit", () => {
+    assert.equal(playsRemaining({}, [newPlaySessionId(false, NOW)]), Infinity);
+    assert.equal(playsExhausted({}, [newPlaySessionId(false, NOW)], NOW + PLAY_SESSION_TTL_MS), false);
+  });
+
+  it("waits for the last allowed session to run out", () => {
+    const plays = [newPlaySessionId(false, NOW)];
+    assert.equal(playsRemaining(meta, plays), 0);
+    assert.equal(playsExhausted(meta, plays, NOW + 1000), false);
+    assert.equal(playsExhausted(meta, plays, NOW + PLAY_SESSION_TTL_MS), true);
+  });
+
+  it("does not count the owner's previews", () => {
+    const plays = [newPlaySessionId(true, NOW)];
+    assert.equal(playsRemaining(meta, plays), 1);
+    assert.equal(playsExhausted(meta, plays, NOW + PLAY_SESSION_TTL_MS), false);
+  });
+});
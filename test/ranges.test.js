@@ -0,0 +1,60 @@
+// Range header parsing (RFC 9110 §14) and multipart/byteranges bodies.
+
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+
+import { MAX_RANGES, multipartByteRanges, parseRange } from "../lib/ranges.js";
+import { createMemoryBucket } from "../lib/storage/memory.js";
+
+describe("parseRange", () => {
+  it("reads single, open-ended and suffix ranges", () => {
+    assert.deepEqual(parseRange("bytes=0-99", 1000), { ranges: [{ start: 0, end: 99 }] });
+    assert.deepEqual(parseRange("bytes=900-", 1000), { ranges: [{ start: 900, end: 999 }] });
+    assert.deepEqual(parseRange("bytes=-65536", 1000), { ranges: [{ start: 0, end: 999 }] });
+    assert.deepEqual(parseRange(" Bytes = -100 ", 1000), { ranges: [{ start: 900, end: 999 }] });
+  });
+
+  it("clamps ends past the object and drops ranges starting after it", () => {
+    assert.deepEqual(parseRange("bytes=990-2000", 1000), { ranges: [{ start: 990, end: 999 }] });
+    assert.deepEqual(parseRange("bytes=0-0,5000-6000", 1000), { ranges: [{ start: 0, end: 0 }] });
+  });
+
+  it("sorts and merges overlapping and adjacent ranges", () => {
+    assert.deepEqual(parseRange("bytes=500-599,0-99,100-199,550-700", 1000), {
+      ranges: [{ start: 0, end: 199 }, { start: 500, end: 700 }],
+    });
+  });
+
+  it("answers unsatisfiable when no range starts inside the object", () => {
+    assert.deepEqual(parseRange("bytes=1000-", 1000), { unsatisfiable: true });
+    assert.deepEqual(parseRange("bytes=-0", 1000), { unsatisfiable: true });
+    assert.deepEqual(parseRange("bytes=-10", 0), { unsatisfiable: true });
+  });
+
+  it("ignores headers it cannot serve, so the whole object is sent", () => {
+    for (const header of [null, "", "items=0-1", "bytes=", "bytes=5-1", "bytes=-", "bytes=a-b", "bytes=1-2-3"]) {
+      assert.equal(parseRange(header, 1000), null, String(header));
+    }
+    const many = Array.from({ length: MAX_RANGES + 1 }, (_, i) => `${i * 10}-${i * 10 + 1}`).join(",");
+    assert.equal(parseRange(`bytes=${many}`, 1000), null);
+  });
+});
+
+describe("multipartByteRanges", () => {
+  it("frames each range with its Content-Range and gets the length right", async () => {
+    const bucket = createMemoryBucket();
+    await bucket.put("audio/t", "0123456789");
+    const ranges = [{ start: 0, end: 1 }, { start: 7, end: 9 }];
+
+    const { body, contentType, length } = multipartByteRanges(bucket, "audio/t", ranges, 10, "audio/wav");
+    const boundary = /boundary=(.+)$/.exec(contentType)[1];
+    const text = await new Response(body).text();
+    assert.equal(new TextEncoder().encode(text).byteLength, length);
+    assert.equal(
+      text,
+      `--${boundary}\r\nContent-Type: audio/wav\r\nContent-Range: bytes 0-1/10\r\n\r\n01` +
+        `\r\n--${boundary}\r\nContent-Type: audio/wav\r\nContent-Range: bytes 7-9/10\r\n\r\n789` +
+        `\r\n--${boundary}--\r\n`,
+    );
+  });
+});
@@ -0,0 +1,312 @@
+// The route table the Node server dispatches through, and the shared routes
+// running against an in-memory bucket as they do under Pages.
+
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+
+import { handleRequest, matchRoute } from "../lib/router.js";
+import { MAX_TRACKS_PER_REQUEST } from "../lib/limits.js";
+import { createMemoryBucket } from "../lib/storage/memory.js";
+
+// 44-byte PCM WAV header followed by a second of 8 kHz mono silence.
+function wavFile() {
+  const bytes = new Uint8Array(44 + 8000);
+  const view = new DataView(bytes.buffer);
+  const ascii = (offset, text) => [...text].forEach((c, i) => (bytes[offset + i] = c.charCodeAt(0)));
+  ascii(0, "RIFF");
+  view.setUint32(4, bytes.length - 8, true);
+  ascii(8, "WAVEfmt ");
+  view.setUint32(16, 16, true);
+  view.setUint16(20, 1, true);
+  view.setUint16(22, 1, true);
+  view.setUint32(24, 8000, true);
+  view.setUint32(28, 8000, true);
+  view.setUint16(32, 1, true);
+  view.setUint16(34, 8, true);
+  ascii(36, "data");
+  view.setUint32(40, 8000, true);
+  bytes.fill(128, 44);
+  return bytes;
+}
+
+function createServer() {
+  const env = {
+    AUDIO_BUCKET: createMemoryBucket(),
+    // Stands in for the static files, with a page for / only.
+    ASSETS: {
+      async fetch(url) {
+        return new URL(url).pathname === "/"
+          ? new Response("<html><head><title>Aoraina</title></head><body></body></html>")
+          : new Response("Not found", { status: 404 });
+      },
+    },
+  };
+  const pending = [];
+  return {
+    env,
+    fetch(path, init) {
+      return handleRequest(new Request(`http://localhost${path}`, init), env, (p) => pending.push(p));
+    },
+    // Waits for the work routes hand to waitUntil, as the runtime would.
+    async settled() {
+      while (pending.length) await Promise.all(pending.splice(0));
+    },
+  };
+}
+
+describe("matchRoute", () => {
+  it("prefers static segments and decodes parameters", () => {
+    assert.equal(matchRoute("/api/notes/abc/export").params.token, "abc");
+    assert.deepEqual(matchRoute("/api/notes/abc/n%201").params, { token: "abc", id: "n 1" });
+    assert.equal(matchRoute("/stream/a%E0%A4%A").params.token, "a%E0%A4%A");
+  });
+
+  it("leaves unknown paths to the static files", () => {
+    assert.equal(matchRoute("/script.js"), null);
+    assert.equal(matchRoute("/stream"), null);
+    assert.equal(matchRoute("/stream/a/b"), null);
+  });
+});
+
+describe("handleRequest", () => {
+  it("answers 405 for a method the route does not export", async () => {
+    const server = createServer();
+    assert.equal((await server.fetch("/api/upload", { method: "GET" })).status, 405);
+    assert.equal(await server.fetch("/missing"), null);
+  });
+
+  it("uploads, checks, streams and deletes a track", async () => {
+    const server = createServer();
+    const wav = wavFile();
+    const upload = await server.fetch("/api/upload", {
+      method: "POST",
+      headers: { "Content-Type": "audio/wav", "X-Filename": encodeURIComponent("Café take.wav") },
+      body: wav,
+    });
+    assert.equal(upload.status, 200);
+    const { token, ownerKey } = await upload.json();
+
+    const check = await (await server.fetch(`/api/check/${token}`)).json();
+    assert.equal(check.exists, true);
+    assert.equal(check.filename, "Café take.wav");
+
+    const stream = await server.fetch(`/stream/${token}`, { headers: { Range: "bytes=0-3" } });
+    assert.equal(stream.status, 206);
+    assert.equal(await stream.text(), "RIFF");
+
+    const refused = await server.fetch(`/api/delete/${token}`, { method: "DELETE" });
+    assert.equal(refused.status, 401);
+    const deleted = await server.fetch(`/api/delete/${token}`, { method: "DELETE", headers: { "X-Owner-Key": ownerKey } });
+    assert.equal(deleted.status, 200);
+    assert.equal((await server.fetch(`/api/check/${token}`)).status, 404);
+    await server.settled();
+    assert.deepEqual((await server.env.AUDIO_BUCKET.list()).objects, []);
+  });
+
+  it("serves only uploaded tracks, not their sidecars or other objects", async () => {
+    const server = createServer();
+    const upload = await server.fetch("/api/upload", {
+      method: "POST",
+      headers: { "Content-Type": "audio/wav", "X-Filename": "take.wav" },
+      body: wavFile(),
+    });
+    const { token } = await upload.json();
+    await server.settled();
+    await server.env.AUDIO_BUCKET.put(`audio/${token}/notes.json`, '[{"text":"private"}]');
+    const bare = crypto.randomUUID();
+    await server.env.AUDIO_BUCKET.put(`audio/${bare}`, "not uploaded");
+
+    for (const path of [`/stream/${token}%2Fnotes.json`, `/api/check/${token}%2Fnotes.json`, `/api/check/${bare}`]) {
+      assert.equal((await server.fetch(path)).status, 404, path);
+    }
+    assert.equal((await server.fetch(`/api/delete/${token}%2Fnotes.json`, { method: "DELETE" })).status, 200);
+    assert.ok(await server.env.AUDIO_BUCKET.head(`audio/${token}/notes.json`));
+  });
+
+  it("records each stream once its body is done", async () => {
+    const server = createServer();
+    const upload = await server.fetch("/api/upload", {
+      method: "POST",
+      headers: { "Content-Type": "audio/wav", "X-Filename": "take.wav" },
+      body: wavFile(),
+    });
+    const { token, ownerKey } = await upload.json();
+    await server.settled();
+
+    const bucket = server.env.AUDIO_BUCKET;
+    const put = bucket.put.bind(bucket);
+    let statsWrites = 0;
+    bucket.put = (key, ...rest) => {
+      if (key === `audio/${token}/stats.json`) statsWrites++;
+      return put(key, ...rest);
+    };
+
+    const full = await server.fetch(`/stream/${token}?listen=abcdefgh1234`);
+    await full.arrayBuffer();
+    const part = await server.fetch(`/stream/${token}?listen=abcdefgh1234`, { headers: { Range: "bytes=0-3" } });
+    await part.arrayBuffer();
+    await server.settled();
+    assert.equal(statsWrites, 2);
+
+    const stats = await (await server.fetch(`/api/stats/${token}`, { headers: { "X-Owner-Key": ownerKey } })).json();
+    assert.equal(stats.bytesServed, wavFile().length + 4);
+    assert.equal(stats.sessions, 1);
+  });
+
+  it("stores the sniffed type and refuses what is not audio", async () => {
+    const server = createServer();
+    const upload = await server.fetch("/api/upload", {
+      method: "POST",
+      headers: { "Content-Type": "text/html", "X-Filename": "take.wav" },
+      body: wavFile(),
+    });
+    const { token } = await upload.json();
+    const stream = await server.fetch(`/stream/${token}`);
+    assert.equal(stream.headers.get("Content-Type"), "audio/wav");
+    await stream.body.cancel();
+
+    const refused = await server.fetch("/api/upload", {
+      method: "POST",
+      headers: { "Content-Type": "audio/mpeg", "X-Filename": "page.mp3" },
+      body: "<html><script>alert(1)</script></html>",
+    });
+    assert.equal(refused.status, 415);
+    await server.settled();
+    const keys = (await server.env.AUDIO_BUCKET.list()).objects.map((object) => object.key);
+    assert.ok(keys.every((key) => key.startsWith(`audio/${token}`)));
+  });
+
+  it("checks several owned tracks in one request", async () => {
+    const server = createServer();
+    const upload = await server.fetch("/api/upload", {
+      method: "POST",
+      headers: { "Content-Type": "audio/wav", "X-Filename": "take.wav" },
+      body: wavFile(),
+    });
+    const { token, ownerKey } = await upload.json();
+
+    const batch = await server.fetch("/api/check", {
+      method: "POST",
+      body: JSON.stringify({
+        tracks: [
+          { token, ownerKey },
+          { token, ownerKey: "guess" },
+          { token: "missing", ownerKey },
+        ],
+      }),
+    });
+    assert.equal(batch.status, 200);
+    const [owned, wrongKey, missing] = (await batch.json()).tracks;
+    assert.equal(owned.token, token);
+    assert.equal(owned.filename, "take.wav");
+    assert.equal(owned.size, wavFile().length);
+    assert.equal(wrongKey.exists, true);
+    assert.ok(wrongKey.error);
+    assert.equal(missing.exists, false);
+
+    const tooMany = Array.from({ length: MAX_TRACKS_PER_REQUEST + 1 }, () => ({ token, ownerKey }));
+    const refused = await server.fetch("/api/check", { method: "POST", body: JSON.stringify({ tracks: tooMany }) });
+    assert.equal(refused.status, 400);
+  });
+
+  it("caps collections at the tracks one request can list", async () => {
+    const server = createServer();
+    const tracks = Array.from({ length: MAX_TRACKS_PER_REQUEST + 1 }, () => ({ token: crypto.randomUUID(), ownerKey: "key" }));
+    const refused = await server.fetch("/api/collections", { method: "POST", body: JSON.stringify({ tracks }) });
+    assert.equal(refused.status, 400);
+    assert.match((await refused.json()).error, new RegExp(`at most ${MAX_TRACKS_PER_REQUEST} tracks`));
+  });
+
+  it("keeps the accepted transcript when a delivery races the accept", async () => {
+    const server = createServer();
+    const bucket = server.env.AUDIO_BUCKET;
+    const upload = await server.fetch("/api/upload", {
+      method: "POST",
+      headers: { "Content-Type": "audio/wav", "X-Filename": "take.wav" },
+      body: wavFile(),
+    });
+    const { token, ownerKey } = await upload.json();
+    const deliver = (text) =>
+      server.fetch(`/api/transcript/${token}`, { method: "PUT", headers: { "Content-Type": "text/plain" }, body: text });
+    assert.equal((await deliver("first")).status, 200);
+    assert.equal((await deliver("second")).status, 200);
+
+    // The owner accepts while the third delivery is being stored.
+    const put = bucket.put.bind(bucket);
+    bucket.put = async (key, ...rest) => {
+      if (key.includes("/transcripts/")) {
+        bucket.put = put;
+        const accept = await server.fetch(`/api/job/${token}`, {
+          method: "POST",
+          headers: { "X-Owner-Key": ownerKey },
+          body: JSON.stringify({ status: "accepted" }),
+        });
+        assert.equal(accept.status, 200);
+      }
+      return put(key, ...rest);
+    };
+    assert.equal((await deliver("third")).status, 409);
+
+    const download = await server.fetch(`/api/transcript/${token}`, { headers: { "X-Owner-Key": ownerKey } });
+    assert.equal(await download.text(), "second");
+    const stored = (await bucket.list({ prefix: `jobs/${token}/` })).objects;
+    assert.equal(stored.length, 1);
+  });
+
+  it("answers oEmbed for share links on this site", async () => {
+    const server = createServer();
+    const upload = async (headers) => {
+      const response = await server.fetch("/api/upload", {
+        method: "POST",
+        headers: { "Content-Type": "audio/wav", "X-Filename": "take.wav", ...headers },
+        body: wavFile(),
+      });
+      return (await response.json()).token;
+    };
+    const oembed = (query) => server.fetch(`/oembed?${new URLSearchParams(query)}`);
+
+    const token = await upload({});
+    const response = await oembed({ url: `http://localhost/?token=${token}`, maxwidth: "300" });
+    assert.equal(response.status, 200);
+    const embed = await response.json();
+    assert.equal(embed.type, "rich");
+    assert.equal(embed.title, "take.wav");
+    assert.equal(embed.width, 300);
+    assert.ok(embed.html.includes(`src="http://localhost/embed/${token}"`));
+    assert.equal((await (await oembed({ url: `http://localhost/embed/${token}` })).json()).title, "take.wav");
+
+    const locked = await upload({ "X-Password": "secret" });
+    assert.equal((await (await oembed({ url: `http://localhost/?token=${locked}` })).json()).title, "Shared audio");
+
+    assert.equal((await oembed({ url: `https://elsewhere.example/?token=${token}` })).status, 404);
+    assert.equal((await oembed({ url: "http://localhost/?token=missing" })).status, 404);
+    assert.equal((await oembed({ url: `http://localhost/?token=${token}`, format: "xml" })).status, 501);
+  });
+
+  it("puts a track's preview tags into its share page", async () => {
+    const server = createServer();
+    const upload = async (headers) => {
+      const response = await server.fetch("/api/upload", {
+        method: "POST",
+        headers: { "Content-Type": "audio/wav", "X-Filename": encodeURIComponent('<b>"take"</b>.wav'), ...headers },
+        body: wavFile(),
+      });
+      return (await response.json()).token;
+    };
+    const page = async (token) => (await server.fetch(`/?token=${token}`)).text();
+
+    const token = await upload({});
+    const html = await page(token);
+    assert.ok(html.includes('<meta property="og:title" content="&lt;b&gt;&quot;take&quot;&lt;/b&gt;.wav" />'));
+    assert.ok(html.includes(`<meta property="og:audio" content="http://localhost/stream/${token}" />`));
+    assert.ok(html.includes('<meta name="twitter:card" content="player" />'));
+    assert.ok(html.indexOf("og:title") < html.indexOf("</head>"));
+
+    const locked = await page(await upload({ "X-Password": "secret" }));
+    assert.ok(locked.includes('<meta property="og:title" content="Shared audio" />'));
+    assert.equal(locked.includes("take"), false);
+    assert.ok((await page("missing")).includes('content="Shared audio"'));
+    assert.equal(await (await server.fetch("/")).text(), "<html><head><title>Aoraina</title></head><body></body></html>");
+  });
+});
+
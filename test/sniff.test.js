@@ -0,0 +1,178 @@
+// lib/sniff.js: the start of each supported format is recognised, including
+// files written by public/e2e.js, and anything else is refused.
+
+import assert from "node:assert/strict";
+import { readFileSync } from "node:fs";
+import { describe, it } from "node:test";
+import vm from "node:vm";
+
+import { ENCRYPTED_AUDIO_TYPE, sniffAudioType } from "../lib/sniff.js";
+
+// Concatenates strings (one byte per character) and byte arrays.
+function bytesOf(...parts) {
+  const bytes = [];
+  for (const part of parts) {
+    if (typeof part === "string") bytes.push(...[...part].map((c) => c.charCodeAt(0)));
+    else bytes.push(...part);
+  }
+  return Uint8Array.from(bytes);
+}
+
+function zeros(length) {
+  return new Array(length).fill(0);
+}
+
+// An ID3v2 tag of `size` bytes (syncsafe), padding included.
+function id3(size) {
+  return bytesOf("ID3", [4, 0, 0, (size >> 21) & 0x7f, (size >> 14) & 0x7f, (size >> 7) & 0x7f, size & 0x7f], zeros(size));
+}
+
+const MP3_FRAME = [0xff, 0xfb, 0x90, 0x64]; // MPEG-1 Layer III, 128 kbit/s, 44.1 kHz
+const ADTS_FRAME = [0xff, 0xf1, 0x50, 0x80]; // AAC LC, 44.1 kHz
+
+function oggPage(codec) {
+  return bytesOf("OggS", zeros(24), codec, zeros(16));
+}
+
+function ftyp(brand) {
+  return bytesOf([0, 0, 0, 24], "ftyp", brand, [0, 0, 0, 0], brand, "isom");
+}
+
+function uint32(value) {
+  return [(value >>> 24) & 0xff, (value >> 16) & 0xff, (value >> 8) & 0xff, value & 0xff];
+}
+
+function box(type, ...payload) {
+  const body = bytesOf(...payload);
+  return bytesOf(uint32(8 + body.length), type, body);
+}
+
+// An MP4 file with these brands (the major one first) whose tracks have
+// these handler types.
+function mp4(brands, handlers) {
+  const tracks = handlers.map((handler) => box("trak", box("mdia", box("hdlr", zeros(8), handler, zeros(13)))));
+  return bytesOf(box("ftyp", brands[0], zeros(4), ...brands.slice(1)), box("moov", ...tracks), box("mdat", zeros(32)));
+}
+
+// An EBML element: its ID, a two-byte size and the payload.
+function ebml(id, ...payload) {
+  const body = bytesOf(...payload);
+  return bytesOf(id, [0x40 | (body.length >> 8), body.length & 0xff], body);
+}
+
+// A WebM file as MediaRecorder writes it, with tracks of these types
+// (1 video, 2 audio) ahead of a Cluster, in a Segment of unknown size.
+function webm(trackTypes, docType = "webm") {
+  const header = ebml([0x1a, 0x45, 0xdf, 0xa3], ebml([0x42, 0x86], [1]), ebml([0x42, 0x82], docType));
+  const entries = trackTypes.map((type, i) => ebml([0xae], ebml([0xd7], [i + 1]), ebml([0x83], [type])));
+  const segment = bytesOf(
+    ebml([0x15, 0x49, 0xa9, 0x66], zeros(8)),
+    ebml([0x16, 0x54, 0xae, 0x6b], ...entries),
+    ebml([0x1f, 0x43, 0xb6, 0x75], zeros(16))
+  );
+  return bytesOf(header, [0x18, 0x53, 0x80, 0x67, 0x01, 0xff, 0xff, 0xff, 0xff, 0xff, 0xff, 0xff], segment);
+}
+
+const ACCEPTED = [
+  ["MP3 with an ID3 tag", bytesOf(id3(32), MP3_FRAME), "audio/mpeg"],
+  ["MP3 whose ID3 tag runs past the bytes at hand", id3(4096).subarray(0, 512), "audio/mpeg"],
+  ["MP3 frame without a tag", bytesOf(MP3_FRAME, zeros(60)), "audio/mpeg"],
+  ["MPEG-2 Layer III frame", bytesOf([0xff, 0xf3, 0x64, 0xc4], zeros(60)), "audio/mpeg"],
+  ["FLAC behind an ID3 tag", bytesOf(id3(16), "fLaC", zeros(38)), "audio/flac"],
+  ["AAC behind an ID3 tag", bytesOf(id3(16), ADTS_FRAME), "audio/aac"],
+  ["WAV", bytesOf("RIFF", [36, 0, 0, 0], "WAVEfmt ", zeros(24)), "audio/wav"],
+  ["RF64 WAV", bytesOf("RF64", [0xff, 0xff, 0xff, 0xff], "WAVEds64", zeros(24)), "audio/wav"],
+  ["FLAC", bytesOf("fLaC", [0, 0, 0, 34], zeros(34)), "audio/flac"],
+  ["Ogg Opus", oggPage("OpusHead"), "audio/ogg"],
+  ["Ogg Vorbis", oggPage("\x01vorbis"), "audio/ogg"],
+  ["Ogg FLAC", oggPage("\x7fFLAC"), "audio/ogg"],
+  ["Ogg Speex", oggPage("Speex   "), "audio/ogg"],
+  ["M4A whose tracks come after the bytes at hand", ftyp("M4A "), "audio/mp4"],
+  ["M4B audiobook", ftyp("M4B "), "audio/mp4"],
+  ["M4A with a sound track", mp4(["M4A ", "isom"], ["soun"]), "audio/mp4"],
+  ["MP4 (isom) with a sound track", mp4(["mp42", "isom"], ["soun"]), "audio/mp4"],
+  ["fragmented MP4 (dash) with a sound track", mp4(["dash", "iso6"], ["soun"]), "audio/mp4"],
+  ["M4B with a sound and a chapter track", mp4(["M4B "], ["soun", "text"]), "audio/mp4"],
+  ["WebM with an audio track", webm([2]), "audio/webm"],
+  ["WebM with two audio tracks", webm([2, 2]), "audio/webm"],
+  ["AAC (ADTS)", bytesOf(ADTS_FRAME, zeros(60)), "audio/aac"],
+];
+
+const REFUSED = [
+  ["HTML", bytesOf("<!DOCTYPE html><html><script>alert(1)</script></html>")],
+  ["PNG", bytesOf([0x89], "PNG\r\n\x1a\n", zeros(24))],
+  ["JPEG", bytesOf([0xff, 0xd8, 0xff, 0xe0], zeros(60))],
+  ["ZIP", bytesOf("PK\x03\x04", zeros(60))],
+  ["PDF", bytesOf("%PDF-1.7\n", zeros(60))],
+  ["HEIC image", ftyp("heic")],
+  ["AVIF image", ftyp("avif")],
+  ["Ogg Theora video", oggPage("\x80theora")],
+  ["MP4 video", mp4(["isom", "mp41"], ["vide", "soun"])],
+  ["M4A with a video track", mp4(["M4A "], ["soun", "vide"])],
+  ["QuickTime movie", mp4(["qt  "], ["soun"])],
+  ["MP4 (isom) whose tracks are not at hand", ftyp("isom")],
+  ["MP4 (isom) without a sound track", mp4(["isom"], ["text"])],
+  ["WebM video", webm([1, 2])],
+  ["WebM without tracks", webm([])],
+  ["WebM cut inside its Tracks", webm([2]).subarray(0, 60)],
+  ["Matroska without the webm DocType", webm([2], "matroska")],
+  ["RIFF that is not WAVE", bytesOf("RIFF", [36, 0, 0, 0], "AVI LIST", zeros(24))],
+  ["a frame sync with a reserved MPEG version", bytesOf([0xff, 0xeb, 0x90, 0x64], zeros(60))],
+  ["a frame sync with a bad bitrate", bytesOf([0xff, 0xfb, 0xf0, 0x64], zeros(60))],
+  ["empty input", new Uint8Array(0)],
+];
+
+describe("sniffAudioType", () => {
+  for (const [name, bytes, type] of ACCEPTED) {
+    it(`recognises ${name}`, () => {
+      assert.equal(sniffAudioType(bytes), type);
+    });
+  }
+
+  for (const [name, bytes] of REFUSED) {
+    it(`refuses ${name}`, () => {
+      assert.equal(sniffAudioType(bytes), null);
+    });
+  }
+});
+
+function loadE2E() {
+  const scope = { crypto, Blob, TextEncoder, TextDecoder, URLSearchParams, btoa, atob, Uint8Array, DataView };
+  scope.self = scope;
+  vm.runInNewContext(readFileSync(new URL("../public/e2e.js", import.meta.url), "utf8"), scope);
+  return scope.AorainaE2E;
+}
+
+async function encrypted(size) {
+  const E2E = loadE2E();
+  const file = new File([new Uint8Array(size).fill(7)], "take one.wav", { type: "audio/wav" });
+  const blob = await E2E.encryptFile(file, await E2E.generateKey());
+  return new Uint8Array(await blob.arrayBuffer());
+}
+
+describe("encrypted uploads", () => {
+  for (const size of [0, 1000, 64 * 1024, 64 * 1024 + 1, 200 * 1024]) {
+    it(`accepts a ${size}-byte file as e2e.js writes it`, async () => {
+      assert.equal(sniffAudioType(await encrypted(size)), ENCRYPTED_AUDIO_TYPE);
+    });
+  }
+
+  it("checks the framing against the whole size when given only the start", async () => {
+    const bytes = await encrypted(3 * 64 * 1024);
+    assert.equal(sniffAudioType(bytes.subarray(0, 4096), bytes.length), ENCRYPTED_AUDIO_TYPE);
+    // A chunk shorter than its tag cannot follow three whole ones.
+    assert.equal(sniffAudioType(bytes.subarray(0, 4096), bytes.length + 5), null);
+  });
+
+  it("refuses a file cut inside its header or first tag", async () => {
+    const bytes = await encrypted(0);
+    assert.equal(sniffAudioType(bytes.subarray(0, bytes.length - 1)), null);
+    assert.equal(sniffAudioType(bytes.subarray(0, 60)), null);
+  });
+
+  it("refuses anything else behind the magic", () => {
+    const text = new TextEncoder().encode(`AORAENC1${"<html>".repeat(100)}`);
+    assert.equal(sniffAudioType(text), null);
+    assert.equal(sniffAudioType(new TextEncoder().encode("AORAENC1")), null);
+  });
+});
@@ -0,0 +1,95 @@
+// Per-link access statistics: which requests count, what one access adds and
+// how streamed bytes are measured.
+
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+
+import { countBytes, readAccess, readStats, recordAccess } from "../lib/stats.js";
+import { createMemoryBucket } from "../lib/storage/memory.js";
+
+const NOW = Date.UTC(2026, 0, 1);
+const LISTEN_ID = "abcdefgh1234";
+
+function requestTo(query, headers = {}) {
+  return new Request(`https://example.com/stream/t${query}`, { headers });
+}
+
+function streamOf(...chunks) {
+  return new ReadableStream({
+    start(controller) {
+      for (const chunk of chunks) controller.enqueue(new Uint8Array(chunk));
+      controller.close();
+    },
+  });
+}
+
+describe("readAccess", () => {
+  it("reads the listening session and a played position", () => {
+    assert.deepEqual(readAccess(requestTo(`?listen=${LISTEN_ID}&position=61.6`)), { listenId: LISTEN_ID, position: 62 });
+    assert.deepEqual(readAccess(requestTo("")), { listenId: "", position: null });
+  });
+
+  it("drops invalid values", () => {
+    assert.deepEqual(readAccess(requestTo("?listen=short&position=-1")), { listenId: "", position: null });
+    assert.deepEqual(readAccess(requestTo("?position=abc")), { listenId: "", position: null });
+  });
+
+  it("does not count the owner", () => {
+    assert.equal(readAccess(requestTo("?stats=0")), null);
+    assert.equal(readAccess(requestTo("", { "X-Owner-Key": "key" })), null);
+  });
+});
+
+describe("recordAccess", () => {
+  it("counts each session once and keeps the furthest position", async () => {
+    const bucket = createMemoryBucket();
+    await recordAccess(bucket, "t", { listenId: LISTEN_ID, position: 30 }, 100, NOW);
+    await recordAccess(bucket, "t", { listenId: LISTEN_ID, position: 10 }, 50, NOW + 1000);
+    assert.deepEqual(await readStats(bucket, "t"), {
+      firstAccessAt: String(NOW),
+      lastAccessAt: String(NOW + 1000),
+      sessions: 1,
+      bytesServed: 150,
+      furthestPosition: 30,
+    });
+  });
+
+  it("moves the last access at most once a minute for polls with nothing new", async () => {
+    const bucket = createMemoryBucket();
+    const poll = { listenId: "", position: null };
+    await recordAccess(bucket, "t", poll, 0, NOW);
+    await recordAccess(bucket, "t", poll, 0, NOW + 1000);
+    assert.equal((await readStats(bucket, "t")).lastAccessAt, String(NOW));
+    await recordAccess(bucket, "t", poll, 0, NOW + 60 * 1000);
+    assert.equal((await readStats(bucket, "t")).lastAccessAt, String(NOW + 60 * 1000));
+  });
+});
+
+describe("readStats", () => {
+  it("reports zeros for a link nobody opened", async () => {
+    assert.deepEqual(await readStats(createMemoryBucket(), "t"), {
+      firstAccessAt: null,
+      lastAccessAt: null,
+      sessions: 0,
+      bytesServed: 0,
+      furthestPosition: 0,
+    });
+  });
+});
+
+describe("countBytes", () => {
+  it("reports the bytes read once the body is finished", async () => {
+    const counts = [];
+    const body = countBytes(streamOf([1, 2, 3], [4, 5]), (bytes) => counts.push(bytes));
+    assert.equal((await new Response(body).arrayBuffer()).byteLength, 5);
+    assert.deepEqual(counts, [5]);
+  });
+
+  it("reports what was read before the body was cancelled", async () => {
+    const counts = [];
+    const reader = countBytes(streamOf([1, 2, 3], [4, 5]), (bytes) => counts.push(bytes)).getReader();
+    await reader.read();
+    await reader.cancel();
+    assert.deepEqual(counts, [3]);
+  });
+});
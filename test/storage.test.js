@@ -0,0 +1,105 @@
+// The R2 stand-ins the Node server runs on: both drivers must behave like
+// the parts of the R2 binding the routes use.
+
+import assert from "node:assert/strict";
+import { mkdtemp, rm } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { after, describe, it } from "node:test";
+
+import { createFsBucket } from "../lib/storage/fs.js";
+import { createMemoryBucket } from "../lib/storage/memory.js";
+
+const dataDir = await mkdtemp(join(tmpdir(), "aoraina-test-"));
+after(() => rm(dataDir, { recursive: true, force: true }));
+
+const DRIVERS = {
+  memory: () => createMemoryBucket(),
+  fs: () => createFsBucket(join(dataDir, String(Math.random()).slice(2))),
+};
+
+for (const [name, createBucket] of Object.entries(DRIVERS)) {
+  describe(`${name} bucket`, () => {
+    it("stores bodies with their metadata", async () => {
+      const bucket = createBucket();
+      await bucket.put("audio/a", "hello world", {
+        httpMetadata: { contentType: "audio/wav" },
+        customMetadata: { filename: "a.wav" },
+      });
+
+      const head = await bucket.head("audio/a");
+      assert.equal(head.size, 11);
+      assert.equal(head.httpEtag, `"${head.etag}"`);
+      assert.deepEqual(head.customMetadata, { filename: "a.wav" });
+      const headers = new Headers();
+      head.writeHttpMetadata(headers);
+      assert.equal(headers.get("Content-Type"), "audio/wav");
+
+      assert.equal(await (await bucket.get("audio/a")).text(), "hello world");
+      assert.equal(await bucket.get("audio/missing"), null);
+      assert.equal(await bucket.head("audio/missing"), null);
+    });
+
+    it("treats a key no object could have as missing", async () => {
+      const bucket = createBucket();
+      const key = `audio/${"x".repeat(1000)}`;
+      assert.equal(await bucket.head(key), null);
+      assert.equal(await bucket.get(key), null);
+      await bucket.delete(key);
+    });
+
+    it("reads offset, length and suffix ranges", async () => {
+      const bucket = createBucket();
+      await bucket.put("k", "0123456789");
+      const part = await bucket.get("k", { range: { offset: 2, length: 3 } });
+      assert.equal(await part.text(), "234");
+      assert.deepEqual(part.range, { offset: 2, length: 3 });
+      assert.equal(await (await bucket.get("k", { range: { suffix: 4 } })).text(), "6789");
+      assert.equal(await (await bucket.get("k", { range: { offset: 8 } })).text(), "89");
+    });
+
+    it("writes conditionally on the ETag", async () => {
+      const bucket = createBucket();
+      const first = await bucket.put("doc", "{}");
+      assert.ok(await bucket.put("doc", '{"a":1}', { onlyIf: { etagMatches: first.etag } }));
+      assert.equal(await bucket.put("doc", '{"a":2}', { onlyIf: { etagMatches: first.etag } }), null);
+      assert.deepEqual(await (await bucket.get("doc")).json(), { a: 1 });
+    });
+
+    it("lists by prefix in pages and deletes several keys at once", async () => {
+      const bucket = createBucket();
+      for (const key of ["audio/b", "audio/a", "audio/a/notes.json", "uploads/x.json"]) {
+        await bucket.put(key, "");
+      }
+
+      const first = await bucket.list({ prefix: "audio/", limit: 2 });
+      assert.deepEqual(first.objects.map((object) => object.key), ["audio/a", "audio/a/notes.json"]);
+      assert.equal(first.truncated, true);
+      const second = await bucket.list({ prefix: "audio/", limit: 2, cursor: first.cursor });
+      assert.deepEqual(second.objects.map((object) => object.key), ["audio/b"]);
+      assert.equal(second.truncated, false);
+
+      await bucket.delete(["audio/a", "audio/a/notes.json"]);
+      assert.deepEqual((await bucket.list({ prefix: "audio/" })).objects.map((object) => object.key), ["audio/b"]);
+    });
+
+    it("assembles multipart uploads in part order, and aborts them", async () => {
+      const bucket = createBucket();
+      const upload = await bucket.createMultipartUpload("audio/big", { customMetadata: { filename: "big.wav" } });
+      const resumed = bucket.resumeMultipartUpload("audio/big", upload.uploadId);
+      const two = await resumed.uploadPart(2, "world");
+      const one = await upload.uploadPart(1, "hello ");
+
+      const object = await resumed.complete([one, two]);
+      assert.match(object.etag, /-2$/);
+      assert.equal(await (await bucket.get("audio/big")).text(), "hello world");
+      assert.equal((await bucket.head("audio/big")).customMetadata.filename, "big.wav");
+
+      const other = await bucket.createMultipartUpload("audio/other");
+      await other.uploadPart(1, "x");
+      await other.abort();
+      await assert.rejects(other.uploadPart(2, "y"));
+      assert.equal(await bucket.head("audio/other"), null);
+    });
+  });
+}
@@ -0,0 +1,90 @@
+// Round trips of lib/subtitles.js: what exportNotes writes, parseImport
+// must read back.
+
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+
+import { detectImportFormat, exportFilename, exportNotes, parseImport } from "../lib/subtitles.js";
+
+const NOTES = [
+  { time: 0, text: "Start" },
+  { time: 75.25, text: "Speaker A: hello\nSpeaker B: hi" },
+  { time: 3725.5, text: "Over an hour in" },
+  { time: 45296.789, text: "Twelve hours, 34 minutes & <56> seconds" },
+];
+
+function roundTrip(notes, format) {
+  const text = exportNotes(notes, format, "interview.wav");
+  assert.equal(detectImportFormat(text), format);
+  const parsed = parseImport(text, format);
+  assert.equal(parsed.error, undefined);
+  return parsed.entries;
+}
+
+for (const format of ["srt", "vtt", "json"]) {
+  describe(`${format} round trip`, () => {
+    it("keeps times, including those over an hour, and multi-line text", () => {
+      assert.deepEqual(roundTrip(NOTES, format), NOTES);
+    });
+
+    it("keeps millisecond precision", () => {
+      const notes = [{ time: 1.001, text: "a" }, { time: 3599.999, text: "b" }];
+      assert.deepEqual(roundTrip(notes, format), notes);
+    });
+  });
+}
+
+describe("empty and blank-line note text", () => {
+  const notes = [
+    { time: 1, text: "" },
+    { time: 2, text: "First line\n\nafter a blank line" },
+    { time: 3, text: "Last" },
+  ];
+
+  it("json keeps the text as it is", () => {
+    assert.deepEqual(roundTrip(notes, "json"), notes);
+  });
+
+  for (const format of ["srt", "vtt"]) {
+    it(`${format} drops empty notes and blank lines, which would end the cue`, () => {
+      assert.deepEqual(roundTrip(notes, format), [
+        { time: 2, text: "First line\nafter a blank line" },
+        { time: 3, text: "Last" },
+      ]);
+    });
+  }
+});
+
+describe("timestamp separators", () => {
+  it("srt is written with commas and vtt with dots", () => {
+    const notes = [{ time: 3723.456, text: "x" }];
+    assert.match(exportNotes(notes, "srt"), /^01:02:03,456 --> /m);
+    assert.match(exportNotes(notes, "vtt"), /^01:02:03\.456 --> /m);
+  });
+
+  it("either separator is read in either format", () => {
+    const srt = "1\n01:02:03.456 --> 01:02:05.000\ndots\n\n2\n01:02:04,5 --> 01:02:06,000\nshort comma\n";
+    assert.deepEqual(parseImport(srt, "srt").entries, [
+      { time: 3723.456, text: "dots" },
+      { time: 3724.5, text: "short comma" },
+    ]);
+
+    const vtt = "WEBVTT\n\n01:02:03,456 --> 01:02:05,000\ncommas\n\n02:03.4 --> 02:05.000\nno hours\n";
+    assert.deepEqual(parseImport(vtt, "vtt").entries, [
+      { time: 3723.456, text: "commas" },
+      { time: 123.4, text: "no hours" },
+    ]);
+  });
+
+  it("reads CRLF line endings and a byte order mark", () => {
+    const srt = "\uFEFF1\r\n00:00:01,000 --> 00:00:02,000\r\nwindows\r\n\r\n";
+    assert.deepEqual(parseImport(srt, "srt").entries, [{ time: 1, text: "windows" }]);
+  });
+});
+
+describe("exportFilename", () => {
+  it("swaps the extension and keeps the rest of the name", () => {
+    assert.equal(exportFilename('Café "live" take.wav', "srt"), 'Café "live" take.srt');
+    assert.equal(exportFilename("", "vtt"), "notes.vtt");
+  });
+});
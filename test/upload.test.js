@@ -0,0 +1,75 @@
+// What both upload paths share: the new track's metadata, the part sizes of
+// a resumable upload and the names an owner may give a track.
+
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+
+import { hashOwnerKey } from "../lib/owner.js";
+import {
+  MAX_FILENAME_LENGTH,
+  PART_SIZE,
+  decodeHeaderValue,
+  expectedPartSize,
+  newTrack,
+  parseFilename,
+} from "../lib/upload.js";
+
+describe("newTrack", () => {
+  it("returns the owner key once and stores only its hash", async () => {
+    const now = Date.UTC(2026, 0, 1);
+    const track = await newTrack({ filename: "take.wav", mimeType: "audio/wav", expiry: "1h" }, now);
+    assert.match(track.token, /^[0-9a-f-]{36}$/);
+    assert.equal(track.customMetadata.ownerKeyHash, await hashOwnerKey(track.summary.ownerKey));
+    assert.equal(JSON.stringify(track.customMetadata).includes(track.summary.ownerKey), false);
+    assert.equal(track.customMetadata.filename, "take.wav");
+    assert.equal(track.customMetadata.createdAt, String(now));
+    assert.equal(track.customMetadata.expiresAt, String(now + 60 * 60 * 1000));
+  });
+
+  it("stores a password only as a salted hash", async () => {
+    const track = await newTrack({ filename: "a.wav", expiry: "1h", password: "open sesame" });
+    assert.equal(track.summary.passwordProtected, true);
+    assert.ok(track.customMetadata.passwordHash && track.customMetadata.passwordSalt);
+    assert.equal(JSON.stringify(track.customMetadata).includes("open sesame"), false);
+  });
+
+  it("refuses an expiry that is not offered, or an overlong password", async () => {
+    assert.match((await newTrack({ filename: "a.wav", expiry: "forever" })).error, /Invalid expiry/);
+    assert.match((await newTrack({ filename: "a.wav", password: "x".repeat(257) })).error, /Password/);
+  });
+});
+
+describe("expectedPartSize", () => {
+  const pending = { size: 2 * PART_SIZE + 123, partSize: PART_SIZE };
+
+  it("expects whole parts and a shorter last one", () => {
+    assert.equal(expectedPartSize(pending, 1), PART_SIZE);
+    assert.equal(expectedPartSize(pending, 2), PART_SIZE);
+    assert.equal(expectedPartSize(pending, 3), 123);
+  });
+
+  it("expects nothing outside the upload", () => {
+    assert.equal(expectedPartSize(pending, 0), 0);
+    assert.equal(expectedPartSize(pending, 4), 0);
+    assert.equal(expectedPartSize(pending, 1.5), 0);
+  });
+});
+
+describe("decodeHeaderValue", () => {
+  it("decodes a header and keeps a malformed one as sent", () => {
+    assert.equal(decodeHeaderValue("Caf%C3%A9%20take.wav"), "Café take.wav");
+    assert.equal(decodeHeaderValue("50% off.wav"), "50% off.wav");
+  });
+});
+
+describe("parseFilename", () => {
+  it("trims the name and drops control characters", () => {
+    assert.deepEqual(parseFilename("  take\u0000 2\n.wav "), { filename: "take 2.wav" });
+  });
+
+  it("refuses an empty or overlong name", () => {
+    assert.ok(parseFilename(" ").error);
+    assert.ok(parseFilename(undefined).error);
+    assert.ok(parseFilename("x".repeat(MAX_FILENAME_LENGTH + 1)).error);
+  });
+});
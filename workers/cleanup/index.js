@@ -0,0 +1,15 @@
+/**
+ * Scheduled cleanup Worker.
+ *
+ * Pages Functions cannot run on a cron, so expiry sweeping lives in this
+ * small standalone Worker bound to the same R2 bucket as the Pages project.
+ * Deploy with `wrangler deploy` from this directory.
+ */
+
+import { sweepExpiredTracks } from "../../lib/cleanup.js";
+
+export default {
+  async scheduled(event, env, ctx) {
+    ctx.waitUntil(sweepExpiredTracks(env.AUDIO_BUCKET, Date.now()));
+  },
+};